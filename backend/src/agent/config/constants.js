@@ -1,19 +1,68 @@
+// `argumentPolicy` lists the flags a tool must never run with on this server; see registry/ArgumentPolicy.js.
+// Operators can replace any part of it per deployment with TOOL_ARGUMENT_POLICY_FILE.
+// `networkAccess` tells whether a step reaches the network: 'always', 'urls' (when an argument is a URL) or unset for local tools.
 export const DEFAULT_TOOL_DEFINITIONS = {
   ffmpeg: {
     title: 'FFmpeg',
-    description: 'Handles audio and video conversions and processing.'
+    description: 'Handles audio and video conversions and processing.',
+    networkAccess: 'urls',
+    argumentPolicy: {
+      deniedFlags: [{ flag: '-dump_attachment', reason: 'writes attachments to paths taken from the file metadata' }]
+    }
   },
   magick: {
     title: 'ImageMagick',
-    description: 'Performs rich image conversions, resizing, and effects.'
+    description: 'Performs rich image conversions, resizing, and effects.',
+    networkAccess: 'urls'
+  },
+  ffprobe: {
+    title: 'FFprobe',
+    description: 'Reads container and stream information from audio and video files without modifying them.',
+    networkAccess: 'urls'
   },
   exiftool: {
     title: 'ExifTool',
-    description: 'Reads and edits embedded metadata for media files.'
+    description: 'Reads and edits embedded metadata for media files.',
+    argumentPolicy: {
+      ignoreCase: true,
+      deniedFlags: [
+        { flag: '-@', reason: 'reads more arguments from a file' },
+        { flag: '-config', reason: 'loads Perl code from a file' },
+        ...['-w', '-w!', '-w+', '-tagout', '-tagout!', '-tagout+', '-textout', '-textout!', '-textout+'].map((flag) => ({
+          flag,
+          reason: 'writes files named after the inputs; write to the output directory with -o or stdout instead'
+        })),
+        { flag: '-srcfile', reason: 'reads the source from a file named after the input' },
+        { flag: '-overwrite_original', reason: 'write the edited copy to the output directory with -o', inputsOnly: true },
+        { flag: '-overwrite_original_in_place', reason: 'write the edited copy to the output directory with -o', inputsOnly: true },
+        { flag: '-delete_original', reason: 'uploaded files must stay unchanged', inputsOnly: true },
+        { flag: '-restore_original', reason: 'uploaded files must stay unchanged', inputsOnly: true }
+      ]
+    }
   },
   'yt-dlp': {
     title: 'yt-dlp',
-    description: 'Downloads media from supported online services.'
+    description: 'Downloads media from supported online services.',
+    networkAccess: 'always',
+    argumentPolicy: {
+      deniedFlags: [
+        { flag: '--exec', reason: 'runs shell commands' },
+        { flag: '--exec-before-download', reason: 'runs shell commands' },
+        { flag: '--netrc-cmd', reason: 'runs shell commands' },
+        { flag: '-a', reason: 'reads URLs from a file' },
+        { flag: '--batch-file', reason: 'reads URLs from a file' },
+        { flag: '--config-location', reason: 'reads more options from a file' },
+        { flag: '--config-locations', reason: 'reads more options from a file' },
+        { flag: '--plugin-dirs', reason: 'loads Python code' },
+        { flag: '--print-to-file', reason: 'writes to a file outside the -o template' },
+        { flag: '--ffmpeg-location', reason: 'runs an ffmpeg binary of its choice' },
+        { flag: '--cache-dir', reason: 'writes cache files outside the session' }
+      ],
+      allowedValues: {
+        '--downloader': ['(?:[a-z0-9_+,-]+:)?(?:native|ffmpeg)'],
+        '--external-downloader': ['(?:[a-z0-9_+,-]+:)?(?:native|ffmpeg)']
+      }
+    }
   },
   none: {
     title: 'No command',
@@ -22,3 +71,69 @@ export const DEFAULT_TOOL_DEFINITIONS = {
 };
 
 export const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-5-nano';
+
+export const PLANNER_MODES = ['openai', 'rules', 'hybrid'];
+
+export const LLM_PROVIDERS = ['responses', 'chat'];
+
+export const DEFAULT_MAX_REPAIR_ATTEMPTS = 1;
+
+export const DEFAULT_LLM_TIMEOUT_MS = 120_000;
+
+export const DEFAULT_LLM_MAX_RETRIES = 2;
+
+export const DEFAULT_LLM_RETRY_DELAY_MS = 1_000;
+
+export const DEFAULT_MAX_VALIDATION_RETRIES = 1;
+
+// Version of the command plan shape shared by the planner, stored session records and the frontend.
+// 2: optional fields (overview, followUp and step id/title/note) are always present; step fields are null when unset.
+// 3: outputs carry an id (null when unset) that arguments can reference as {{output:ID}}.
+export const PLAN_SCHEMA_VERSION = 3;
+
+// USD per 1M tokens. Dated snapshots (e.g. gpt-4o-2024-08-06) use the price of their base model.
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'o4-mini': { input: 1.1, output: 4.4 }
+};
+
+// Capability and cost tags shown in the model selector. Dated snapshots use the tags of their base model.
+export const DEFAULT_MODEL_TAGS = {
+  'gpt-5': ['strong', 'reasoning'],
+  'gpt-5-mini': ['balanced', 'reasoning'],
+  'gpt-5-nano': ['fast', 'low-cost', 'reasoning'],
+  'gpt-4.1': ['strong', 'long-context'],
+  'gpt-4.1-mini': ['balanced', 'long-context'],
+  'gpt-4.1-nano': ['fast', 'low-cost'],
+  'gpt-4o': ['strong'],
+  'gpt-4o-mini': ['fast', 'low-cost'],
+  'o4-mini': ['balanced', 'reasoning']
+};
+
+export const NOTABLE_CAPABILITIES = {
+  encoders: [
+    'libx264',
+    'libx265',
+    'libvpx-vp9',
+    'libaom-av1',
+    'libsvtav1',
+    'prores_ks',
+    'gif',
+    'libwebp',
+    'aac',
+    'libfdk_aac',
+    'libmp3lame',
+    'libopus',
+    'libvorbis',
+    'flac'
+  ],
+  filters: ['scale', 'fps', 'palettegen', 'paletteuse', 'loudnorm', 'drawtext', 'subtitles', 'zscale', 'libvmaf'],
+  imageFormats: ['JPEG', 'PNG', 'WEBP', 'GIF', 'TIFF', 'HEIC', 'AVIF', 'JXL', 'PDF', 'SVG']
+};
@@ -0,0 +1,203 @@
+import { DEFAULT_MODEL, DEFAULT_MODEL_PRICES, DEFAULT_MODEL_TAGS } from './constants.js';
+import { findModelEntry } from '../shared/TokenUsage.js';
+
+/**
+ * @typedef {Object} LLMConfig
+ * @property {'responses'|'chat'} provider
+ * @property {string} model
+ * @property {string|undefined} baseURL
+ * @property {string|undefined} apiKey
+ * @property {string|undefined} structuredOutput
+ * @property {number|undefined} timeoutMs
+ * @property {number|undefined} maxRetries
+ * @property {string[]} fallbackModels
+ * @property {Record<string, {input: number, output: number}>} prices 100万トークンあたりの料金（USD）
+ * @property {string[]} models リクエストごとに選択できるモデル（先頭は `model`）
+ * @property {Record<string, string[]>} modelTags モデルごとの性能・料金タグ
+ * @property {ModelRouting} routing
+ * @property {LLMBudget} budget
+ */
+
+/**
+ * @typedef {Object} ModelRouting
+ * @property {string|undefined} lightModel 入力1件・単一ステップの依頼に使う安価なモデル
+ * @property {string|undefined} strongModel 複数入力や失敗後のやり直しに使う高性能なモデル
+ */
+
+/**
+ * @typedef {Object} ModelCatalog
+ * @property {string} defaultModel
+ * @property {Array<{id: string, tags: string[], price: {input: number, output: number}|null, default: boolean}>} models
+ * @property {{lightModel: string|null, strongModel: string|null}} routing
+ */
+
+/**
+ * @typedef {Object} LLMBudget
+ * @property {number|undefined} sessionUsd 1セッション（再編集・回答を含む一連の作業）あたりの上限
+ * @property {number|undefined} totalUsd サーバー起動からの累計の上限
+ * @property {'refuse'|'downgrade'} action 上限を超えた場合の動作
+ * @property {string|undefined} downgradeModel `downgrade` 時に切り替えるモデル
+ */
+
+/**
+ * 環境変数からLLMの接続設定を組み立てます。
+ * - `LLM_PROVIDER`: `responses`（既定）または `chat`
+ * - `LLM_MODEL`: 利用モデル（未指定時は `OPENAI_MODEL`）
+ * - `LLM_BASE_URL`: OpenAI互換サーバーのURL（セルフホスト向け）
+ * - `LLM_API_KEY`: APIキー（未指定時は `OPENAI_API_KEY`）
+ * - `LLM_STRUCTURED_OUTPUT`: Chat Completions の構造化出力方式（`json_schema` / `json_object` / `prompt`）
+ * - `LLM_TIMEOUT_MS`: 1回のモデル呼び出しのタイムアウト（ミリ秒）
+ * - `LLM_MAX_RETRIES`: 429 / 5xx / タイムアウト時にモデルごとに再試行する回数
+ * - `LLM_FALLBACK_MODELS`: 主モデルが失敗した場合に順に試すモデル（カンマ区切り）
+ * - `LLM_MODELS`: リクエストごとに選択できるモデル（カンマ区切り。未指定時は上記とルーティング・予算用のモデル）
+ * - `LLM_MODEL_TAGS`: モデルのタグの上書き（JSON。例: `{"my-model": ["fast", "low-cost"]}`）
+ * - `LLM_ROUTING_LIGHT_MODEL` / `LLM_ROUTING_STRONG_MODEL`: 自動ルーティングで使う安価なモデル・高性能なモデル
+ * - `LLM_PRICES`: 料金表の上書き（JSON。例: `{"my-model": {"input": 0.5, "output": 1.5}}`、100万トークンあたりUSD）
+ * - `LLM_SESSION_BUDGET_USD` / `LLM_TOTAL_BUDGET_USD`: セッションごと・サーバー全体の予算（USD）
+ * - `LLM_BUDGET_ACTION`: 予算超過時に `refuse`（既定。リクエストを拒否）または `downgrade`（`LLM_BUDGET_DOWNGRADE_MODEL` に切り替え）
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {LLMConfig}
+ */
+export function resolveLLMConfig(env = process.env) {
+  const model = env.LLM_MODEL || env.OPENAI_MODEL || DEFAULT_MODEL;
+  const fallbackModels = parseModelList(env.LLM_FALLBACK_MODELS);
+  const routing = {
+    lightModel: env.LLM_ROUTING_LIGHT_MODEL?.trim() || undefined,
+    strongModel: env.LLM_ROUTING_STRONG_MODEL?.trim() || undefined
+  };
+  const downgradeModel = env.LLM_BUDGET_DOWNGRADE_MODEL?.trim() || undefined;
+  const listedModels = parseModelList(env.LLM_MODELS);
+  const models = listedModels.length > 0 ? listedModels : [routing.lightModel, routing.strongModel, ...fallbackModels, downgradeModel];
+  return {
+    provider: /** @type {'responses'|'chat'} */ ((env.LLM_PROVIDER || 'responses').trim().toLowerCase()),
+    model,
+    baseURL: env.LLM_BASE_URL || undefined,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || undefined,
+    structuredOutput: env.LLM_STRUCTURED_OUTPUT || undefined,
+    timeoutMs: parseOptionalInteger(env.LLM_TIMEOUT_MS),
+    maxRetries: parseOptionalInteger(env.LLM_MAX_RETRIES),
+    fallbackModels,
+    prices: { ...DEFAULT_MODEL_PRICES, ...parsePriceTable(env.LLM_PRICES) },
+    models: [...new Set([model, ...models.filter(Boolean)])],
+    modelTags: { ...DEFAULT_MODEL_TAGS, ...parseModelTags(env.LLM_MODEL_TAGS) },
+    routing,
+    budget: {
+      sessionUsd: parseOptionalAmount(env.LLM_SESSION_BUDGET_USD),
+      totalUsd: parseOptionalAmount(env.LLM_TOTAL_BUDGET_USD),
+      action: (env.LLM_BUDGET_ACTION || '').trim().toLowerCase() === 'downgrade' ? 'downgrade' : 'refuse',
+      downgradeModel
+    }
+  };
+}
+
+/**
+ * `/api/models` で返す、選択できるモデルの一覧（タグと料金付き）を組み立てます。
+ * 日付付きスナップショットなど一覧に無い派生モデルは、元のモデルのタグと料金を使います。
+ * @param {LLMConfig} config
+ * @returns {ModelCatalog}
+ */
+export function describeModelCatalog(config) {
+  return {
+    defaultModel: config.model,
+    models: config.models.map((id) => ({
+      id,
+      tags: findModelEntry(id, config.modelTags) ?? [],
+      price: findModelEntry(id, config.prices),
+      default: id === config.model
+    })),
+    routing: {
+      lightModel: config.routing.lightModel ?? null,
+      strongModel: config.routing.strongModel ?? null
+    }
+  };
+}
+
+/**
+ * カンマ区切りのモデル名を配列にします。
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+function parseModelList(value) {
+  return (value || '')
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean);
+}
+
+/**
+ * `LLM_MODEL_TAGS` のJSONを検証してタグ表に変換します。
+ * @param {string|undefined} value
+ * @returns {Record<string, string[]>}
+ */
+function parseModelTags(value) {
+  if (!value || !value.trim()) {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`LLM_MODEL_TAGS is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('LLM_MODEL_TAGS must be a JSON object keyed by model name.');
+  }
+  /** @type {Record<string, string[]>} */
+  const tags = {};
+  Object.entries(parsed).forEach(([model, list]) => {
+    if (!Array.isArray(list) || list.some((tag) => typeof tag !== 'string')) {
+      throw new Error(`LLM_MODEL_TAGS entry for ${model} must be an array of strings.`);
+    }
+    tags[model] = list;
+  });
+  return tags;
+}
+
+/**
+ * `LLM_PRICES` のJSONを検証して料金表に変換します。不正な値は起動時に気付けるよう例外にします。
+ * @param {string|undefined} value
+ * @returns {Record<string, {input: number, output: number}>}
+ */
+function parsePriceTable(value) {
+  if (!value || !value.trim()) {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`LLM_PRICES is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('LLM_PRICES must be a JSON object keyed by model name.');
+  }
+  /** @type {Record<string, {input: number, output: number}>} */
+  const prices = {};
+  Object.entries(parsed).forEach(([model, price]) => {
+    if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output) || price.input < 0 || price.output < 0) {
+      throw new Error(`LLM_PRICES entry for ${model} needs non-negative input and output prices.`);
+    }
+    prices[model] = { input: price.input, output: price.output };
+  });
+  return prices;
+}
+
+/**
+ * 未指定や0以上の数値でない値は `undefined`（上限なし）として扱います。
+ * @param {string|undefined} value
+ * @returns {number|undefined}
+ */
+function parseOptionalAmount(value) {
+  const parsed = Number.parseFloat(value ?? '');
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
+/**
+ * 未指定や数値でない値は `undefined`（既定値を使う）として扱います。
+ * @param {string|undefined} value
+ * @returns {number|undefined}
+ */
+function parseOptionalInteger(value) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
@@ -0,0 +1,128 @@
+export const DEFAULT_RECIPES = [
+  {
+    id: 'video-to-browser-mp4',
+    tool: 'ffmpeg',
+    task: 'Convert a video to an MP4 that plays in every browser',
+    keywords: ['mp4', 'h264', 'browser', 'web', 'convert', '変換', 'ブラウザ'],
+    fileTypes: ['video'],
+    arguments: ['-i', 'INPUT', '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '192k', '-movflags', '+faststart', 'OUTPUT.mp4'],
+    pitfalls: [
+      'Use -pix_fmt yuv420p for browser playback; 4:2:2 or 4:4:4 H.264 does not play in most browsers.',
+      'libx264 needs even dimensions; scale with -2 (e.g. scale=1280:-2) instead of -1.',
+      '-movflags +faststart moves the index to the front so playback can start before the download finishes.'
+    ]
+  },
+  {
+    id: 'video-resize',
+    tool: 'ffmpeg',
+    task: 'Resize or downscale a video',
+    keywords: ['resize', 'scale', 'downscale', '720p', '1080p', 'resolution', 'リサイズ', '解像度', '縮小'],
+    fileTypes: ['video'],
+    arguments: ['-i', 'INPUT', '-vf', 'scale=1280:-2', '-c:v', 'libx264', '-crf', '23', '-c:a', 'copy', 'OUTPUT.mp4'],
+    pitfalls: [
+      'Use -2 for the derived side so the height stays divisible by 2.',
+      'Do not upscale unless asked; use scale=\'min(1280,iw)\':-2 to cap the width.'
+    ]
+  },
+  {
+    id: 'video-compress',
+    tool: 'ffmpeg',
+    task: 'Reduce the file size of a video',
+    keywords: ['compress', 'smaller', 'size', 'crf', 'bitrate', '圧縮', '軽く', '容量', 'サイズ'],
+    fileTypes: ['video'],
+    arguments: ['-i', 'INPUT', '-c:v', 'libx264', '-crf', '28', '-preset', 'slow', '-c:a', 'aac', '-b:a', '128k', 'OUTPUT.mp4'],
+    pitfalls: [
+      'Prefer CRF (18 = visually lossless, 28 = small) over a fixed bitrate for single-pass encodes.',
+      'A target file size needs two-pass encoding with -b:v computed from the duration.'
+    ]
+  },
+  {
+    id: 'video-to-gif',
+    tool: 'ffmpeg',
+    task: 'Turn a video clip into an animated GIF',
+    keywords: ['gif', 'animation', 'animated', 'アニメーション', 'ジフ'],
+    fileTypes: ['video'],
+    arguments: [
+      '-i',
+      'INPUT',
+      '-vf',
+      'fps=12,scale=480:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse',
+      '-loop',
+      '0',
+      'OUTPUT.gif'
+    ],
+    pitfalls: [
+      'Generate a palette (palettegen/paletteuse) or the GIF will be heavily dithered.',
+      'Lower the frame rate and width; GIF size grows quickly.'
+    ]
+  },
+  {
+    id: 'video-trim',
+    tool: 'ffmpeg',
+    task: 'Cut a segment out of a video or audio file',
+    keywords: ['trim', 'cut', 'clip', 'segment', 'seconds', 'カット', '切り出し', 'トリム'],
+    fileTypes: ['video', 'audio'],
+    arguments: ['-ss', '00:00:10', '-i', 'INPUT', '-t', '5', '-c:v', 'libx264', '-c:a', 'aac', 'OUTPUT.mp4'],
+    pitfalls: [
+      '-c copy can only cut on keyframes; re-encode when the cut must be frame accurate.',
+      '-t is a duration and -to an end time; do not mix them up.'
+    ]
+  },
+  {
+    id: 'extract-audio',
+    tool: 'ffmpeg',
+    task: 'Extract the audio track from a video',
+    keywords: ['audio', 'extract', 'mp3', 'm4a', 'sound', 'music', '音声', '抽出', '音だけ'],
+    fileTypes: ['video'],
+    arguments: ['-i', 'INPUT', '-vn', '-c:a', 'libmp3lame', '-q:a', '2', 'OUTPUT.mp3'],
+    pitfalls: [
+      'Use -vn so the cover or video stream is not copied.',
+      'When the source is already AAC, -c:a copy into .m4a is lossless and fast.'
+    ]
+  },
+  {
+    id: 'audio-loudness',
+    tool: 'ffmpeg',
+    task: 'Normalise the loudness of audio',
+    keywords: ['loudness', 'normalize', 'normalise', 'volume', 'lufs', '音量', '正規化', 'ノーマライズ'],
+    fileTypes: ['audio', 'video'],
+    arguments: ['-i', 'INPUT', '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11', '-c:v', 'copy', 'OUTPUT'],
+    pitfalls: ['loudnorm resamples to 192 kHz internally; add -ar 48000 to keep a normal sample rate.']
+  },
+  {
+    id: 'image-convert',
+    tool: 'magick',
+    task: 'Convert an image to another format',
+    keywords: ['convert', 'png', 'jpg', 'jpeg', 'webp', 'heic', 'format', '変換', '形式'],
+    fileTypes: ['image'],
+    arguments: ['INPUT', '-auto-orient', '-quality', '85', 'OUTPUT.jpg'],
+    pitfalls: [
+      'Add -auto-orient before saving so EXIF rotation is applied to the pixels.',
+      'JPEG has no transparency; add -background white -flatten for PNGs with alpha.'
+    ]
+  },
+  {
+    id: 'image-resize',
+    tool: 'magick',
+    task: 'Resize an image or create a thumbnail',
+    keywords: ['resize', 'thumbnail', 'scale', 'shrink', 'width', 'サムネイル', 'リサイズ', '縮小'],
+    fileTypes: ['image'],
+    arguments: ['INPUT', '-auto-orient', '-resize', '800x800>', '-strip', 'OUTPUT.jpg'],
+    pitfalls: [
+      'The > suffix only shrinks larger images and never upscales.',
+      'Use -thumbnail instead of -resize for small previews; it also strips profiles.'
+    ]
+  },
+  {
+    id: 'strip-metadata',
+    tool: 'exiftool',
+    task: 'Remove EXIF and GPS metadata from a photo',
+    keywords: ['exif', 'gps', 'metadata', 'strip', 'remove', 'privacy', '位置情報', 'メタデータ', '削除'],
+    fileTypes: ['image', 'video'],
+    arguments: ['-all=', '-o', 'OUTPUT.jpg', 'INPUT'],
+    pitfalls: [
+      'Write to a new file with -o; without it exiftool rewrites the input and leaves an _original backup.',
+      'Keep the orientation with -tagsfromfile @ -Orientation if the photo would appear rotated.'
+    ]
+  }
+];
@@ -1,7 +1,15 @@
 import { CommandExecutor } from '../execution/CommandExecutor.js';
 import { OpenAIPlanner } from '../planning/OpenAIPlanner.js';
+import { PlannerChain, singlePlanAsAlternatives } from '../planning/PlannerChain.js';
+import { PlanValidator } from '../planning/PlanValidator.js';
+import { ModelRouter } from '../planning/ModelRouter.js';
+import { ResultSummarizer } from '../planning/ResultSummarizer.js';
+import { RuleBasedPlanner } from '../planning/RuleBasedPlanner.js';
 import { ToolRegistry } from '../registry/ToolRegistry.js';
-import { TaskPhaseTracker } from './TaskPhaseTracker.js';
+import { DEFAULT_MAX_REPAIR_ATTEMPTS, DEFAULT_MODEL, DEFAULT_MODEL_PRICES, PLANNER_MODES } from '../config/constants.js';
+import { createLLMProvider } from '../integrations/LLMProviderFactory.js';
+import { addUsage, calculateCost } from '../shared/TokenUsage.js';
+import { DEFAULT_TASK_PHASES, TaskPhaseTracker } from './TaskPhaseTracker.js';
 import { MediaAgentTaskError } from './MediaAgentTaskError.js';
 import OpenAI from 'openai';
 
@@ -9,45 +17,204 @@ import OpenAI from 'openai';
 /** @typedef {import('../index.js').CommandPlan} CommandPlan */
 /** @typedef {import('../index.js').CommandExecutionOptions} CommandExecutionOptions */
 /** @typedef {import('../index.js').CommandExecutionResult} CommandExecutionResult */
+/** @typedef {import('../index.js').CommandPlanner} CommandPlanner */
+/** @typedef {import('../index.js').LLMProvider} LLMProvider */
+/** @typedef {import('../index.js').RepairContext} RepairContext */
+/** @typedef {import('../index.js').Clarification} Clarification */
+/** @typedef {import('../index.js').PlanAlternative} PlanAlternative */
+/** @typedef {import('../index.js').ResultSummary} ResultSummary */
+/** @typedef {import('../index.js').InquiryAnswer} InquiryAnswer */
+/** @typedef {import('../index.js').ModelAttempt} ModelAttempt */
+/** @typedef {import('../index.js').UsageSummary} UsageSummary */
+/** @typedef {import('../shared/TokenUsage.js').ModelPriceTable} ModelPriceTable */
+/** @typedef {import('../index.js').PlanDelta} PlanDelta */
+/** @typedef {CommandExecutionOptions & {dryRun?: boolean, debug?: boolean, includeRawResponse?: boolean, maxRepairAttempts?: number, inquiry?: boolean, signal?: AbortSignal, model?: string, modelReason?: string, retry?: boolean, onPlanDelta?: (delta: PlanDelta) => void}} TaskRunOptions */
+/** @typedef {{plan: CommandPlan|null, rawPlan: any, result: CommandExecutionResult|null, phases: Array<any>, debug?: Record<string, any>, clarification?: Clarification, summary?: ResultSummary|null, answer?: InquiryAnswer|null, responseId?: string|null}} TaskRunResult */
+
+const REPAIR_STDERR_TAIL_LENGTH = 2000;
+
+const PLANNING_PHASES = DEFAULT_TASK_PHASES.filter((phase) => phase.id === 'plan');
+const EXECUTION_PHASES = DEFAULT_TASK_PHASES.filter((phase) => phase.id !== 'plan');
 
 /**
  * Orchestrates planning and executing multimedia workflows.
+ * When a command fails, the agent re-plans with the failure details up to `maxRepairAttempts` times.
+ * With a `summarizer`, successful runs end with a natural-language summary of the result.
+ * Inquiry runs (`inquiry: true`) only execute read-only probes and end with an answer to the user's question instead.
+ * Every phase that calls a model records its token usage and cost (priced with `modelPrices`) in its meta.
+ * `model` in the run options replaces the configured model for every call of that run (`modelReason` says why).
+ * Without it, a `modelRouter` picks the planning model per request; `retry` marks a request about a task that failed before.
+ * The plan phase meta records the chosen `selectedModel` and its `modelReason`, and the network policy decision:
+ * `networkDecision` is `local`, `allowed` (with the `networkSteps` and `networkHosts`) or `blocked`.
+ * `onPlanDelta` receives each plan step as soon as the model has written it, before the plan is validated.
+ * Results carry the `responseId` of the latest stored model response behind the plan (null when the planner keeps none),
+ * which a follow-up request can pass back as `previousResponseId`.
  */
 export class MediaAgent {
   /**
-   * @param {{planner: OpenAIPlanner, executor: CommandExecutor, toolRegistry: ToolRegistry}} deps
+   * @param {{planner: CommandPlanner, executor: CommandExecutor, toolRegistry: ToolRegistry, maxRepairAttempts?: number, planValidator?: PlanValidator, summarizer?: ResultSummarizer|null, modelPrices?: ModelPriceTable, modelRouter?: ModelRouter|null}} deps
    */
-  constructor({ planner, executor, toolRegistry }) {
+  constructor({
+    planner,
+    executor,
+    toolRegistry,
+    maxRepairAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS,
+    planValidator,
+    summarizer = null,
+    modelPrices = DEFAULT_MODEL_PRICES,
+    modelRouter = null
+  }) {
     this.planner = planner;
     this.executor = executor;
     this.toolRegistry = toolRegistry;
+    this.maxRepairAttempts = maxRepairAttempts;
+    this.planValidator = planValidator || new PlanValidator(toolRegistry);
+    this.summarizer = summarizer;
+    this.modelPrices = modelPrices;
+    this.modelRouter = modelRouter;
+  }
+
+  /**
+   * Chooses the planning model: an explicitly requested model wins, otherwise the router decides.
+   * Returns a null model (the planner's own default) and a null reason when there is neither.
+   * @param {AgentRequest} request
+   * @param {{model?: string, modelReason?: string, repair?: boolean, retry?: boolean}} [options]
+   * @returns {{model: string|null, reason: string|null}}
+   */
+  selectModel(request, options = {}) {
+    if (options.model) {
+      return { model: options.model, reason: options.modelReason || 'Requested for this run.' };
+    }
+    if (!this.modelRouter) {
+      return { model: null, reason: null };
+    }
+    return this.modelRouter.route(request, { repair: options.repair, retry: options.retry });
   }
 
   /**
-   * Produces a command plan and executes it.
+   * Whether the planner can continue a stored model conversation (`AgentRequest.previousResponseId`).
+   * @returns {boolean}
+   */
+  supportsStoredConversation() {
+    return Boolean(this.planner.supportsStoredState);
+  }
+
+  /**
+   * Produces a command plan and executes it, re-planning after failed executions.
+   * When the planner asks a clarifying question, nothing is executed and `clarification` is returned instead of a plan.
    * @param {AgentRequest} request
-   * @param {CommandExecutionOptions & {dryRun?: boolean, debug?: boolean, includeRawResponse?: boolean}} [options]
-   * @returns {Promise<{plan: CommandPlan, rawPlan: any, result: CommandExecutionResult, phases: Array<any>, debug?: Record<string, any>}>}
+   * @param {TaskRunOptions} [options]
+   * @returns {Promise<TaskRunResult>}
    */
   async runTask(request, options = {}) {
-    const { dryRun = false, debug = false, includeRawResponse = false, ...executionOptions } = options;
+    const { debug = false, includeRawResponse = false, inquiry = false, signal, model, modelReason, retry, onPlanDelta } = options;
     const tracker = new TaskPhaseTracker();
 
-    tracker.start('plan', { task: request.task.slice(0, 120) });
-    let plan;
-    let rawPlan;
-    let debugInfo;
+    const planned = await this.runPlanPhase(tracker, 'plan', request, {
+      debug,
+      includeRawResponse,
+      inquiry,
+      signal,
+      model,
+      modelReason,
+      retry,
+      onPlanDelta
+    });
+    if (planned.clarification) {
+      return createClarificationResult(tracker, 'plan', planned);
+    }
+    return this.runExecutionLoop(tracker, request, planned, options);
+  }
+
+  /**
+   * Produces a validated plan without executing it, so it can be reviewed (and edited) before `executePlan`.
+   * @param {AgentRequest} request
+   * @param {{debug?: boolean, includeRawResponse?: boolean, signal?: AbortSignal, model?: string, modelReason?: string, retry?: boolean, onPlanDelta?: (delta: PlanDelta) => void}} [options]
+   * @returns {Promise<TaskRunResult>}
+   */
+  async planTask(request, options = {}) {
+    const { debug = false, includeRawResponse = false, signal, model, modelReason, retry, onPlanDelta } = options;
+    const tracker = new TaskPhaseTracker(PLANNING_PHASES);
+
+    const planned = await this.runPlanPhase(tracker, 'plan', request, {
+      debug,
+      includeRawResponse,
+      signal,
+      model,
+      modelReason,
+      retry,
+      onPlanDelta
+    });
+    if (planned.clarification) {
+      return createClarificationResult(tracker, 'plan', planned);
+    }
+    return {
+      plan: planned.plan,
+      rawPlan: planned.rawPlan,
+      result: null,
+      phases: tracker.getPhases(),
+      debug: planned.debugInfo,
+      responseId: planned.responseId
+    };
+  }
+
+  /**
+   * Re-validates a plan that was changed outside the planner (for example steps edited by the user).
+   * The given plan is not mutated; the normalised copy is returned.
+   * @param {AgentRequest} request
+   * @param {CommandPlan} plan
+   * @returns {CommandPlan}
+   */
+  validatePlan(request, plan) {
+    return this.planValidator.validate(structuredClone(plan), request.outputDir, {
+      files: request.files,
+      inputDir: request.inputDir
+    });
+  }
+
+  /**
+   * Asks the planner for two or three alternative plans without executing anything.
+   * Planners without `planAlternatives` contribute their single plan as the only candidate.
+   * @param {AgentRequest} request
+   * @param {{debug?: boolean, includeRawResponse?: boolean, signal?: AbortSignal, model?: string, modelReason?: string, retry?: boolean}} [options]
+   * @returns {Promise<{alternatives: PlanAlternative[], rawPlan: any, phases: Array<any>, debug?: Record<string, any>}>}
+   */
+  async proposeAlternatives(request, options = {}) {
+    const { debug = false, includeRawResponse = false, signal, model, modelReason, retry } = options;
+    const plannerOptions = { debug, includeRawResponse };
+    if (signal) {
+      plannerOptions.signal = signal;
+    }
+    const choice = this.selectModel(request, { model, modelReason, retry });
+    if (choice.model) {
+      plannerOptions.model = choice.model;
+    }
+    const tracker = new TaskPhaseTracker(PLANNING_PHASES);
+    tracker.start('plan', { task: request.task.slice(0, 120), mode: 'alternatives', ...describeModelChoice(choice) });
     try {
-      const planResult = await this.planner.plan(request, { debug, includeRawResponse });
-      plan = planResult.plan;
-      rawPlan = planResult.rawPlan;
-      debugInfo = planResult.debug;
+      const proposal =
+        typeof this.planner.planAlternatives === 'function'
+          ? await this.planner.planAlternatives(request, plannerOptions)
+          : singlePlanAsAlternatives(await this.planner.plan(request, plannerOptions));
+      const discarded = Array.isArray(proposal.discarded) ? proposal.discarded : [];
       tracker.complete('plan', {
-        steps: plan.steps.length,
-        commands: plan.steps.map((step) => step.command)
+        planner: proposal.planner ?? null,
+        ...recordModelAttempts(tracker, 'plan', proposal.attempts, this.modelPrices),
+        ...recordPromptWarnings(tracker, 'plan', proposal.promptWarnings),
+        alternatives: proposal.alternatives.map((alternative) => alternative.label),
+        discarded: discarded.length
       });
+      discarded.forEach((entry) => {
+        tracker.log('plan', `Discarded alternative "${entry.label}": ${entry.reason}`);
+      });
+      return {
+        alternatives: proposal.alternatives,
+        rawPlan: proposal.rawPlan,
+        phases: tracker.getPhases(),
+        debug: proposal.debug
+      };
     } catch (error) {
-      tracker.fail('plan', error);
+      tracker.fail('plan', error, recordModelAttempts(tracker, 'plan', error?.attempts, this.modelPrices));
       throw new MediaAgentTaskError('Plan phase failed', tracker.getPhases(), {
         cause: error,
         context: {
@@ -57,30 +224,73 @@ export class MediaAgent {
         }
       });
     }
+  }
+
+  /**
+   * Executes a plan that was produced earlier (for example a chosen alternative), with the usual self-repair loop.
+   * The returned phases start at `execute`; the original planning phases belong to the earlier call.
+   * @param {AgentRequest} request
+   * @param {CommandPlan} plan
+   * @param {TaskRunOptions & {rawPlan?: any}} [options]
+   * @returns {Promise<TaskRunResult>}
+   */
+  async executePlan(request, plan, options = {}) {
+    const { rawPlan, ...runOptions } = options;
+    const tracker = new TaskPhaseTracker(EXECUTION_PHASES);
+    return this.runExecutionLoop(
+      tracker,
+      request,
+      { plan, rawPlan: rawPlan ?? plan, debugInfo: undefined, responseId: null },
+      runOptions
+    );
+  }
+
+  /**
+   * Executes the plan and re-plans with the failure details until it succeeds or the repair budget is spent.
+   * @param {TaskPhaseTracker} tracker
+   * @param {AgentRequest} request
+   * @param {{plan: CommandPlan, rawPlan: any, debugInfo: Record<string, any>|undefined, responseId: string|null}} initial
+   * @param {TaskRunOptions} options
+   * @returns {Promise<TaskRunResult>}
+   */
+  async runExecutionLoop(tracker, request, initial, options) {
+    const {
+      dryRun = false,
+      debug = false,
+      includeRawResponse = false,
+      maxRepairAttempts = this.maxRepairAttempts,
+      inquiry = false,
+      signal,
+      model,
+      modelReason,
+      retry,
+      onPlanDelta,
+      ...executionOptions
+    } = options;
 
-    tracker.start('execute', { dryRun });
+    let { plan, rawPlan, debugInfo, responseId } = initial;
+    let attempt = 1;
     let result;
-    try {
-      if (dryRun) {
-        tracker.log('execute', 'Dry-run mode enabled; skipping command execution.');
+    while (true) {
+      const executePhaseId = attempt === 1 ? 'execute' : `execute#${attempt}`;
+      result = await this.runExecutePhase(
+        tracker,
+        executePhaseId,
+        plan,
+        { ...executionOptions, dryRun, captureJson: inquiry, inputs: request.files },
+        { rawPlan, debugInfo }
+      );
+      if (!hasExecutionFailure(result)) {
+        break;
       }
-      result = await this.executor.execute(plan, { ...executionOptions, dryRun });
-      const executeMeta = {
-        exitCode: result.exitCode,
-        timedOut: result.timedOut,
-        dryRun: dryRun || result?.dryRun || false,
-        steps: result.steps.map((step) => ({
-          command: step.command,
-          status: step.status,
-          exitCode: step.exitCode,
-          timedOut: step.timedOut,
-          skipReason: step.skipReason ?? null
-        }))
-      };
-      if (hasExecutionFailure(result)) {
-        const failureError = new Error(describeExecutionFailure(result));
-        failureError.name = 'CommandExecutionError';
-        tracker.fail('execute', failureError, executeMeta);
+
+      const failureError = new Error(describeExecutionFailure(result));
+      failureError.name = 'CommandExecutionError';
+      const repair = buildRepairContext(plan, result, attempt);
+      const canRepair =
+        attempt <= maxRepairAttempts &&
+        (typeof this.planner.canPlan !== 'function' || this.planner.canPlan(request, { repair, inquiry }));
+      if (!canRepair) {
         throw new MediaAgentTaskError('Execution phase failed', tracker.getPhases(), {
           cause: failureError,
           context: {
@@ -91,18 +301,61 @@ export class MediaAgent {
           }
         });
       }
-      tracker.complete('execute', executeMeta);
-    } catch (error) {
-      tracker.fail('execute', error);
-      throw new MediaAgentTaskError('Execution phase failed', tracker.getPhases(), {
-        cause: error,
-        context: { plan, rawPlan: rawPlan ?? plan, debug: debugInfo }
+      tracker.log(executePhaseId, `${failureError.message} Requesting a repaired plan.`);
+      attempt += 1;
+
+      const planPhaseId = `plan#${attempt}`;
+      tracker.addPhase({ id: planPhaseId, title: `Re-plan command (attempt ${attempt})` }, { before: 'summarize' });
+      tracker.addPhase({ id: `execute#${attempt}`, title: `Execute command (attempt ${attempt})` }, { before: 'summarize' });
+      const repaired = await this.runPlanPhase(tracker, planPhaseId, request, {
+        debug,
+        includeRawResponse,
+        repair,
+        inquiry,
+        signal,
+        model,
+        modelReason,
+        onPlanDelta
       });
+      if (repaired.clarification) {
+        return createClarificationResult(tracker, planPhaseId, { ...repaired, responseId: repaired.responseId ?? responseId });
+      }
+      ({ plan, rawPlan, debugInfo } = repaired);
+      responseId = repaired.responseId ?? responseId;
     }
 
     tracker.start('summarize');
+    const outputs = Array.isArray(result.resolvedOutputs) ? result.resolvedOutputs.length : 0;
+    /** @type {ModelAttempt[]} */
+    const summaryAttempts = [];
+    const summarizeOptions = { model, attempts: summaryAttempts };
+    if (inquiry) {
+      const answer = await this.runSummarizePhase(
+        tracker,
+        'Inquiry answer',
+        () => this.summarizer.answerInquiry(request, result, summarizeOptions),
+        dryRun || result?.dryRun
+      );
+      tracker.complete('summarize', {
+        outputs,
+        attempts: attempt,
+        answered: answer !== null,
+        ...recordModelAttempts(tracker, 'summarize', summaryAttempts, this.modelPrices)
+      });
+      return { plan, rawPlan: rawPlan ?? plan, result, phases: tracker.getPhases(), debug: debugInfo, answer, responseId };
+    }
+
+    const summary = await this.runSummarizePhase(
+      tracker,
+      'Result summary',
+      () => this.summarizer.summarize(request, plan, result, summarizeOptions),
+      dryRun || result?.dryRun
+    );
     tracker.complete('summarize', {
-      outputs: Array.isArray(result.resolvedOutputs) ? result.resolvedOutputs.length : 0
+      outputs,
+      attempts: attempt,
+      summarized: summary !== null,
+      ...recordModelAttempts(tracker, 'summarize', summaryAttempts, this.modelPrices)
     });
 
     return {
@@ -110,8 +363,181 @@ export class MediaAgent {
       rawPlan: rawPlan ?? plan,
       result,
       phases: tracker.getPhases(),
-      debug: debugInfo
+      debug: debugInfo,
+      summary,
+      responseId
+    };
+  }
+
+  /**
+   * Runs a summarizer call for the summarize phase. A missing or failing summarizer never fails the task;
+   * the failure is logged on the summarize phase and null is returned.
+   * Dry runs are skipped because nothing was produced or probed.
+   * @template T
+   * @param {TaskPhaseTracker} tracker
+   * @param {string} label
+   * @param {() => Promise<T>} generate
+   * @param {boolean} skipped
+   * @returns {Promise<T|null>}
+   */
+  async runSummarizePhase(tracker, label, generate, skipped) {
+    if (!this.summarizer || skipped) {
+      return null;
+    }
+    try {
+      return await generate();
+    } catch (error) {
+      tracker.log('summarize', `${label} unavailable: ${error?.message || error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Runs the planner and records the outcome on the given phase.
+   * @param {TaskPhaseTracker} tracker
+   * @param {string} phaseId
+   * @param {AgentRequest} request
+   * @param {{debug: boolean, includeRawResponse: boolean, repair?: RepairContext, inquiry?: boolean, signal?: AbortSignal, model?: string, modelReason?: string, retry?: boolean, onPlanDelta?: (delta: PlanDelta) => void}} planOptions
+   * @returns {Promise<{plan: CommandPlan, rawPlan: any, debugInfo: Record<string, any>|undefined, clarification: Clarification|null, responseId: string|null}>}
+   */
+  async runPlanPhase(tracker, phaseId, request, planOptions) {
+    const startMeta = { task: request.task.slice(0, 120) };
+    if (planOptions.inquiry) {
+      startMeta.inquiry = true;
+    }
+    if (planOptions.repair) {
+      startMeta.attempt = planOptions.repair.attempt + 1;
+      startMeta.repairOf = planOptions.repair.commandLine;
+    }
+    const choice = this.selectModel(request, {
+      model: planOptions.model,
+      modelReason: planOptions.modelReason,
+      repair: Boolean(planOptions.repair),
+      retry: planOptions.retry
+    });
+    tracker.start(phaseId, { ...startMeta, ...describeModelChoice(choice) });
+    try {
+      const plannerOptions = { debug: planOptions.debug, includeRawResponse: planOptions.includeRawResponse };
+      if (planOptions.repair) {
+        plannerOptions.repair = planOptions.repair;
+      }
+      if (planOptions.inquiry) {
+        plannerOptions.inquiry = true;
+      }
+      if (planOptions.signal) {
+        plannerOptions.signal = planOptions.signal;
+      }
+      if (choice.model) {
+        plannerOptions.model = choice.model;
+      }
+      if (planOptions.onPlanDelta) {
+        const { onPlanDelta } = planOptions;
+        plannerOptions.onPlanDelta = (delta) => onPlanDelta({ phase: phaseId, ...delta });
+      }
+      const planResult = await this.planner.plan(request, plannerOptions);
+      const { plan } = planResult;
+      const modelMeta = recordModelAttempts(tracker, phaseId, planResult.attempts, this.modelPrices);
+      const warningMeta = recordPromptWarnings(tracker, phaseId, planResult.promptWarnings);
+      (planResult.validationRejections || []).forEach((reason) => {
+        tracker.log(phaseId, `Plan rejected by validation and sent back to the planner: ${reason}`);
+      });
+      if (planResult.clarification) {
+        tracker.complete(phaseId, {
+          planner: planResult.planner ?? null,
+          ...modelMeta,
+          ...warningMeta,
+          clarification: planResult.clarification.question
+        });
+      } else {
+        const networkAccess = this.planValidator.describeNetworkAccess(plan);
+        networkAccess.steps.forEach(({ step, command, hosts }) => {
+          const target = hosts.length > 0 ? ` (${hosts.join(', ')})` : '';
+          tracker.log(phaseId, `Step ${step} reaches the network with ${command}${target}; allowed by the ${networkAccess.policy} network policy.`);
+        });
+        tracker.complete(phaseId, {
+          planner: planResult.planner ?? null,
+          ...modelMeta,
+          ...warningMeta,
+          steps: plan.steps.length,
+          commands: plan.steps.map((step) => step.command),
+          ...describeNetworkDecision(networkAccess)
+        });
+      }
+      return {
+        plan,
+        rawPlan: planResult.rawPlan,
+        debugInfo: planResult.debug,
+        clarification: planResult.clarification ?? null,
+        responseId: planResult.responseId ?? null
+      };
+    } catch (error) {
+      const networkMeta =
+        error?.code === 'network_not_allowed'
+          ? { networkPolicy: this.toolRegistry.getNetworkPolicy().mode, networkDecision: 'blocked' }
+          : {};
+      tracker.fail(phaseId, error, {
+        ...recordModelAttempts(tracker, phaseId, error?.attempts, this.modelPrices),
+        ...networkMeta
+      });
+      throw new MediaAgentTaskError('Plan phase failed', tracker.getPhases(), {
+        cause: error,
+        context: {
+          rawPlan: error?.rawPlan ?? null,
+          debug: error?.debug ?? null,
+          responseText: error?.responseText ?? null
+        }
+      });
+    }
+  }
+
+  /**
+   * Executes the plan and records the outcome on the given phase.
+   * A failing command marks the phase as failed but is returned to the caller so it can decide whether to repair.
+   * @param {TaskPhaseTracker} tracker
+   * @param {string} phaseId
+   * @param {CommandPlan} plan
+   * @param {CommandExecutionOptions & {dryRun: boolean}} executionOptions
+   * @param {{rawPlan: any, debugInfo: Record<string, any>|undefined}} context
+   * @returns {Promise<CommandExecutionResult>}
+   */
+  async runExecutePhase(tracker, phaseId, plan, executionOptions, context) {
+    const { dryRun } = executionOptions;
+    tracker.start(phaseId, { dryRun });
+    let result;
+    try {
+      if (dryRun) {
+        tracker.log(phaseId, 'Dry-run mode enabled; skipping command execution.');
+      }
+      result = await this.executor.execute(plan, executionOptions);
+    } catch (error) {
+      tracker.fail(phaseId, error);
+      throw new MediaAgentTaskError('Execution phase failed', tracker.getPhases(), {
+        cause: error,
+        context: { plan, rawPlan: context.rawPlan ?? plan, debug: context.debugInfo }
+      });
+    }
+
+    const executeMeta = {
+      exitCode: result.exitCode,
+      timedOut: result.timedOut,
+      dryRun: dryRun || result?.dryRun || false,
+      steps: result.steps.map((step) => ({
+        command: step.command,
+        status: step.status,
+        exitCode: step.exitCode,
+        timedOut: step.timedOut,
+        skipReason: step.skipReason ?? null,
+        failureReason: step.failureReason ?? null
+      }))
     };
+    if (hasExecutionFailure(result)) {
+      const failureError = new Error(describeExecutionFailure(result));
+      failureError.name = 'CommandExecutionError';
+      tracker.fail(phaseId, failureError, executeMeta);
+    } else {
+      tracker.complete(phaseId, executeMeta);
+    }
+    return result;
   }
 
   /**
@@ -145,7 +571,7 @@ function hasExecutionFailure(result) {
     if (!step || step.status !== 'executed') {
       return false;
     }
-    if (step.timedOut) {
+    if (step.timedOut || step.failureReason) {
       return true;
     }
     return typeof step.exitCode === 'number' && step.exitCode !== 0;
@@ -170,12 +596,15 @@ function describeExecutionFailure(result) {
       (step) =>
         step &&
         step.status === 'executed' &&
-        (step.timedOut || (typeof step.exitCode === 'number' && step.exitCode !== 0))
+        (step.timedOut || step.failureReason || (typeof step.exitCode === 'number' && step.exitCode !== 0))
     );
   if (failedStep) {
     if (failedStep.timedOut) {
       return `Command "${failedStep.command}" timed out.`;
     }
+    if (failedStep.failureMessage) {
+      return `Command "${failedStep.command}": ${failedStep.failureMessage}`;
+    }
     const exitCode = typeof failedStep.exitCode === 'number' ? failedStep.exitCode : 'unknown';
     return `Command "${failedStep.command}" exited with code ${exitCode}.`;
   }
@@ -185,21 +614,208 @@ function describeExecutionFailure(result) {
   return 'Command execution failed.';
 }
 
+/**
+ * Phase meta for the chosen planning model; empty when no model was chosen for the run.
+ * @param {{model: string|null, reason: string|null}} choice
+ * @returns {{selectedModel?: string|null, modelReason?: string}}
+ */
+function describeModelChoice(choice) {
+  return choice.reason ? { selectedModel: choice.model, modelReason: choice.reason } : {};
+}
+
+/**
+ * Phase meta for the network policy decision on a validated plan.
+ * @param {{policy: string, steps: Array<{step: number, hosts: string[]}>}} access
+ * @returns {{networkPolicy: string, networkDecision: 'local'|'allowed', networkSteps?: number[], networkHosts?: string[]}}
+ */
+function describeNetworkDecision(access) {
+  if (access.steps.length === 0) {
+    return { networkPolicy: access.policy, networkDecision: 'local' };
+  }
+  return {
+    networkPolicy: access.policy,
+    networkDecision: 'allowed',
+    networkSteps: access.steps.map(({ step }) => step),
+    networkHosts: [...new Set(access.steps.flatMap(({ hosts }) => hosts))]
+  };
+}
+
+/**
+ * Logs every LLM call made for the phase and returns the phase meta naming the model that answered.
+ * Calls that reported token usage add their token counts and cost (unpriced models count as 0 USD).
+ * Planners that do not call a model report no attempts and add nothing.
+ * @param {TaskPhaseTracker} tracker
+ * @param {string} phaseId
+ * @param {ModelAttempt[]|undefined} attempts
+ * @param {ModelPriceTable} prices
+ * @returns {{model?: string|null, modelAttempts?: number} & Partial<UsageSummary>}
+ */
+function recordModelAttempts(tracker, phaseId, attempts, prices) {
+  if (!Array.isArray(attempts) || attempts.length === 0) {
+    return {};
+  }
+  /** @type {UsageSummary|null} */
+  let usage = null;
+  attempts.forEach((attempt) => {
+    const outcome = attempt.status === 'success' ? 'succeeded' : `failed (${attempt.error})`;
+    const tokens = attempt.usage
+      ? ` (${attempt.usage.inputTokens} input / ${attempt.usage.outputTokens} output tokens)`
+      : '';
+    tracker.log(phaseId, `LLM attempt ${attempt.attempt}: ${attempt.model} ${outcome} after ${attempt.durationMs} ms${tokens}`);
+    if (attempt.usage) {
+      const costUsd = calculateCost(attempt.usage, attempt.model, prices);
+      if (costUsd === null) {
+        tracker.log(phaseId, `No price is configured for ${attempt.model}; its tokens are counted as 0 USD.`);
+      }
+      usage = addUsage(usage, { ...attempt.usage, costUsd: costUsd ?? 0 });
+    }
+  });
+  const succeeded = attempts.find((attempt) => attempt.status === 'success');
+  return { model: succeeded ? succeeded.model : null, modelAttempts: attempts.length, ...(usage || {}) };
+}
+
+/**
+ * Logs instruction-like content the planner found in file names or metadata and returns the phase meta counting it.
+ * @param {TaskPhaseTracker} tracker
+ * @param {string} phaseId
+ * @param {string[]|undefined} warnings
+ * @returns {{promptWarnings?: number}}
+ */
+function recordPromptWarnings(tracker, phaseId, warnings) {
+  if (!Array.isArray(warnings) || warnings.length === 0) {
+    return {};
+  }
+  warnings.forEach((warning) => {
+    tracker.log(phaseId, `Warning: ${warning}. It was passed to the planner as data only.`);
+  });
+  return { promptWarnings: warnings.length };
+}
+
+/**
+ * Build the task result returned when the planner is waiting for the user's answer.
+ * @param {TaskPhaseTracker} tracker
+ * @param {string} planPhaseId
+ * @param {{rawPlan: any, debugInfo: Record<string, any>|undefined, clarification: Clarification|null, responseId: string|null}} planned
+ * @returns {TaskRunResult}
+ */
+function createClarificationResult(tracker, planPhaseId, planned) {
+  tracker.log(planPhaseId, 'The planner needs an answer from the user before it can continue.');
+  return {
+    plan: null,
+    rawPlan: planned.rawPlan,
+    result: null,
+    phases: tracker.getPhases(),
+    debug: planned.debugInfo,
+    clarification: planned.clarification,
+    responseId: planned.responseId
+  };
+}
+
+/**
+ * Collect the failing step details the planner needs to produce a repaired plan.
+ * @param {CommandPlan} plan
+ * @param {CommandExecutionResult} result
+ * @param {number} attempt
+ * @returns {RepairContext}
+ */
+function buildRepairContext(plan, result, attempt) {
+  const failedStep =
+    (Array.isArray(result.steps) &&
+      result.steps.find(
+        (step) =>
+          step &&
+          step.status === 'executed' &&
+          (step.timedOut || step.failureReason || (typeof step.exitCode === 'number' && step.exitCode !== 0))
+      )) ||
+    null;
+  const stderr = failedStep ? failedStep.stderr : result.stderr;
+  return {
+    attempt,
+    commandLine: failedStep ? [failedStep.command, ...failedStep.arguments].join(' ').trim() : '',
+    exitCode: failedStep ? failedStep.exitCode : result.exitCode,
+    timedOut: Boolean(failedStep ? failedStep.timedOut : result.timedOut),
+    failureMessage: failedStep?.failureMessage ?? null,
+    stderrTail: String(stderr || '').slice(-REPAIR_STDERR_TAIL_LENGTH),
+    previousPlan: plan
+  };
+}
+
 /**
  * Factory helper to create a fully wired MediaAgent.
- * @param {OpenAI} client
- * @param {{toolRegistry?: ToolRegistry, executorOptions?: {timeoutMs?: number}, model?: string}} [options]
+ * `plannerMode` selects the planner: `openai` (LLM only), `rules` (offline rule-based planner)
+ * or `hybrid` (rules first, LLM as fallback). Without a client the rule-based planner is used.
+ * `provider` picks the LLM backend (`responses` or `chat`) or accepts a provider instance.
+ * `maxRepairAttempts` limits how many times a failed execution is re-planned (0 disables self-repair).
+ * When a client is available (and the mode is not `rules`), successful runs are summarised by the same provider.
+ * `llmTimeoutMs`, `llmMaxRetries` and `fallbackModels` control how planner calls time out, retry and fall back to other models.
+ * `modelPrices` (USD per 1M tokens) is used to convert token usage to cost.
+ * `routing` names the light and strong models for automatic model routing; without either, every run uses `model`.
+ * @param {OpenAI|null} client
+ * @param {{toolRegistry?: ToolRegistry, executorOptions?: {timeoutMs?: number, overwritePolicy?: string, readOnlyInputs?: boolean}, model?: string, plannerMode?: 'openai'|'rules'|'hybrid', provider?: string|LLMProvider, structuredOutput?: string, maxRepairAttempts?: number, llmTimeoutMs?: number, llmMaxRetries?: number, llmRetryDelayMs?: number, fallbackModels?: string[], modelPrices?: ModelPriceTable, routing?: {lightModel?: string, strongModel?: string}}} [options]
  * @returns {MediaAgent}
  */
 export function createMediaAgent(client, options = {}) {
   const toolRegistry = options.toolRegistry || ToolRegistry.createDefault();
-  const planner = new OpenAIPlanner(client, toolRegistry, { model: options.model });
+  const planner = createPlanner(client, toolRegistry, options);
   const executor = new CommandExecutor(options.executorOptions);
+  const summarizer =
+    client && options.plannerMode !== 'rules'
+      ? new ResultSummarizer(resolveProvider(client, options), { model: options.model })
+      : null;
 
   return new MediaAgent({
     planner,
     executor,
-    toolRegistry
+    toolRegistry,
+    maxRepairAttempts: options.maxRepairAttempts,
+    summarizer,
+    modelPrices: options.modelPrices,
+    modelRouter:
+      client && (options.routing?.lightModel || options.routing?.strongModel)
+        ? new ModelRouter({ ...options.routing, defaultModel: options.model || DEFAULT_MODEL })
+        : null
   });
 }
 
+/**
+ * Builds the planner for the requested planner mode.
+ * @param {OpenAI|null} client
+ * @param {ToolRegistry} toolRegistry
+ * @param {{model?: string, plannerMode?: string, provider?: string|LLMProvider, structuredOutput?: string, llmTimeoutMs?: number, llmMaxRetries?: number, llmRetryDelayMs?: number, fallbackModels?: string[]}} options
+ * @returns {CommandPlanner}
+ */
+function createPlanner(client, toolRegistry, options) {
+  const mode = client ? options.plannerMode || 'openai' : 'rules';
+  if (!PLANNER_MODES.includes(mode)) {
+    throw new Error(`Unknown planner mode: ${mode}`);
+  }
+
+  const rulePlanner = new RuleBasedPlanner(toolRegistry);
+  if (mode === 'rules') {
+    return rulePlanner;
+  }
+  const llmPlanner = new OpenAIPlanner(client, toolRegistry, {
+    model: options.model,
+    provider: resolveProvider(client, options),
+    timeoutMs: options.llmTimeoutMs,
+    maxRetries: options.llmMaxRetries,
+    retryDelayMs: options.llmRetryDelayMs,
+    fallbackModels: options.fallbackModels
+  });
+  if (mode === 'hybrid') {
+    return new PlannerChain([rulePlanner, llmPlanner]);
+  }
+  return llmPlanner;
+}
+
+/**
+ * Uses the given provider instance or creates one for the configured provider id.
+ * @param {OpenAI} client
+ * @param {{provider?: string|LLMProvider, structuredOutput?: string}} options
+ * @returns {LLMProvider}
+ */
+function resolveProvider(client, options) {
+  return options.provider && typeof options.provider === 'object'
+    ? options.provider
+    : createLLMProvider(client, { provider: options.provider, structuredOutput: options.structuredOutput });
+}
@@ -13,16 +13,26 @@ export class TaskPhaseTracker {
    * @param {Array<{id: string, title: string}>} [phases]
    */
   constructor(phases = DEFAULT_PHASES) {
-    this._phases = phases.map((phase) => ({
-      id: phase.id,
-      title: phase.title,
-      status: 'pending',
-      startedAt: null,
-      finishedAt: null,
-      error: null,
-      meta: {},
-      logs: []
-    }));
+    this._phases = phases.map((phase) => createPhaseState(phase));
+  }
+
+  /**
+   * フェーズを追加します。`before` を指定するとそのフェーズの直前に挿入し、未指定時は末尾に追加します。
+   * 同じIDのフェーズが既に存在する場合は何もしません。
+   * @param {{id: string, title: string}} phase
+   * @param {{before?: string}} [options]
+   */
+  addPhase(phase, options = {}) {
+    if (this._findPhase(phase.id)) {
+      return;
+    }
+    const state = createPhaseState(phase);
+    const index = options.before ? this._phases.findIndex((entry) => entry.id === options.before) : -1;
+    if (index === -1) {
+      this._phases.push(state);
+    } else {
+      this._phases.splice(index, 0, state);
+    }
   }
 
   /**
@@ -117,4 +127,22 @@ export class TaskPhaseTracker {
   }
 }
 
+/**
+ * フェーズ定義から初期状態のフェーズ情報を生成します。
+ * @param {{id: string, title: string}} phase
+ * @returns {any}
+ */
+function createPhaseState(phase) {
+  return {
+    id: phase.id,
+    title: phase.title,
+    status: 'pending',
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    meta: {},
+    logs: []
+  };
+}
+
 export { DEFAULT_PHASES as DEFAULT_TASK_PHASES };
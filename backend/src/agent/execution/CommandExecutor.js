@@ -1,8 +1,14 @@
 import fs from 'node:fs/promises';
 import { existsSync } from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 import { spawn } from 'node:child_process';
 
+import { listPlaceholders, resolvePlaceholders } from '../shared/PathPlaceholders.js';
+import { backupInputs, findModifiedInputs, fingerprintInputs, makeInputsReadOnly } from './InputIntegrity.js';
+import { detectInteractivePrompt } from './InteractivePrompts.js';
+import { applyOverwriteFlag, nextVersionedPath, resolveOverwritePolicy } from './OutputOverwrite.js';
+
 /** @typedef {import('../index.js').CommandPlan} CommandPlan */
 /** @typedef {import('../index.js').CommandStepPlan} CommandStepPlan */
 /** @typedef {import('../index.js').CommandExecutionOptions} CommandExecutionOptions */
@@ -10,16 +16,28 @@ import { spawn } from 'node:child_process';
 /** @typedef {import('../index.js').CommandOutputPlan} CommandOutputPlan */
 /** @typedef {import('../index.js').DescribedOutput} DescribedOutput */
 /** @typedef {import('../index.js').CommandStepResult} CommandStepResult */
+/** @typedef {import('./OutputOverwrite.js').OverwritePolicy} OverwritePolicy */
 
 /**
  * Executes command plans step by step and reports consolidated results.
+ * With `captureJson`, the stdout of each executed step is also parsed as JSON (probe output).
+ * Path placeholders in arguments are replaced with real paths before anything is spawned;
+ * step results and callbacks report the resolved arguments.
+ * Commands run with stdin closed, and one that stops at a known interactive prompt is ended at once
+ * with the failure reason `interactive_prompt`. `overwritePolicy` decides what happens to output files
+ * that exist before the plan runs (see `OutputOverwrite.js`); ffmpeg always gets the matching `-y`/`-n`.
+ * Input files are hashed and copied aside before the first step and checked after every step; a step that
+ * changes or deletes one fails with `inputs_modified`, and the file is restored from its copy so a repaired plan
+ * starts from the original. `readOnlyInputs` (on by default) also removes their write permission while the plan runs.
  */
 export class CommandExecutor {
   /**
-   * @param {{timeoutMs?: number}} [options]
+   * @param {{timeoutMs?: number, overwritePolicy?: OverwritePolicy|string, readOnlyInputs?: boolean}} [options]
    */
   constructor(options = {}) {
     this.timeoutMs = options.timeoutMs ?? 5 * 60 * 1000;
+    this.overwritePolicy = resolveOverwritePolicy(options.overwritePolicy);
+    this.readOnlyInputs = options.readOnlyInputs ?? true;
   }
 
   /**
@@ -36,9 +54,73 @@ export class CommandExecutor {
     const onCommandOutput = typeof options.onCommandOutput === 'function' ? options.onCommandOutput : null;
     const onCommandEnd = typeof options.onCommandEnd === 'function' ? options.onCommandEnd : null;
     const onCommandSkip = typeof options.onCommandSkip === 'function' ? options.onCommandSkip : null;
+    const captureJson = Boolean(options.captureJson);
+
+    const existingOutputs = dryRun ? new Set() : this.findExistingOutputs(plan.steps);
+    const { steps: plannedSteps, renamed } =
+      this.overwritePolicy === 'version'
+        ? this.versionOutputs(plan.steps, existingOutputs)
+        : { steps: plan.steps, renamed: new Map() };
+    const allOutputs = this.collectOutputs(plannedSteps);
+    const inputFingerprints = dryRun ? [] : await fingerprintInputs(options.inputs || []);
+    const inputBackup = inputFingerprints.length > 0 ? await backupInputs(inputFingerprints) : null;
+    const restoreInputModes =
+      this.readOnlyInputs && inputFingerprints.length > 0 ? await makeInputsReadOnly(inputFingerprints) : null;
+    const scratch = await this.prepareScratchDirectory(plannedSteps, options.scratchDir, dryRun);
+    try {
+      const steps = this.resolveStepArguments(plannedSteps, {
+        inputs: options.inputs || [],
+        outputs: allOutputs,
+        scratchDir: scratch.path
+      }).map((step) => this.applyOverwritePolicy(step, renamed, cwd));
+      await this.ensureOutputDirectories(allOutputs);
+      return await this.executeSteps(steps, allOutputs, {
+        cwd,
+        publicRoot,
+        dryRun,
+        captureJson,
+        existingOutputs,
+        inputFingerprints,
+        inputBackup,
+        onCommandStart,
+        onCommandOutput,
+        onCommandEnd,
+        onCommandSkip
+      });
+    } finally {
+      if (restoreInputModes) {
+        await restoreInputModes();
+      }
+      if (inputBackup) {
+        await inputBackup.dispose();
+      }
+      if (scratch.created) {
+        await fs.rm(scratch.path, { recursive: true, force: true });
+      }
+    }
+  }
 
-    const allOutputs = this.collectOutputs(plan.steps);
-    await this.ensureOutputDirectories(allOutputs);
+  /**
+   * Runs the resolved steps in order, skipping the rest after a failure.
+   * @param {CommandStepPlan[]} steps
+   * @param {CommandOutputPlan[]} allOutputs
+   * @param {{cwd: string, publicRoot: string|null, dryRun: boolean, captureJson: boolean, existingOutputs: Set<string>, inputFingerprints: import('./InputIntegrity.js').InputFingerprint[], inputBackup: {restore: Function}|null, onCommandStart: Function|null, onCommandOutput: Function|null, onCommandEnd: Function|null, onCommandSkip: Function|null}} context
+   * @returns {Promise<CommandExecutionResult>}
+   */
+  async executeSteps(steps, allOutputs, context) {
+    const {
+      cwd,
+      publicRoot,
+      dryRun,
+      captureJson,
+      existingOutputs,
+      inputFingerprints,
+      inputBackup,
+      onCommandStart,
+      onCommandOutput,
+      onCommandEnd,
+      onCommandSkip
+    } = context;
 
     const stepResults = [];
     let aggregatedStdout = '';
@@ -47,12 +129,15 @@ export class CommandExecutor {
     let anyTimedOut = false;
     let encounteredFailure = false;
 
-    for (let index = 0; index < plan.steps.length; index += 1) {
-      const step = plan.steps[index];
+    for (let index = 0; index < steps.length; index += 1) {
+      const step = steps[index];
       const skipReason = this.resolveSkipReason({
         dryRun,
         encounteredFailure,
-        command: step.command
+        command: step.command,
+        outputExists:
+          this.overwritePolicy === 'keep' &&
+          (step.outputs || []).some((output) => existingOutputs.has(path.resolve(output.path)))
       });
 
       if (skipReason) {
@@ -67,7 +152,7 @@ export class CommandExecutor {
         onCommandStart({ index, step });
       }
 
-      const { exitCode, stdout, stderr, timedOut } = await this.spawnProcess(step.command, step.arguments, cwd, {
+      const { exitCode, stdout, stderr, timedOut, prompt } = await this.spawnProcess(step.command, step.arguments, cwd, {
         onStdout: onCommandOutput
           ? (chunk) => {
               onCommandOutput({ index, step, stream: 'stdout', text: chunk });
@@ -81,6 +166,24 @@ export class CommandExecutor {
       });
 
       const executedResult = this.createExecutedResult(step, exitCode, stdout, stderr, timedOut);
+      if (prompt) {
+        executedResult.failureReason = 'interactive_prompt';
+        executedResult.failureMessage =
+          `Stopped at an interactive prompt (${prompt.kind}): "${prompt.text}". ` +
+          'Commands run without a terminal, so the prompt cannot be answered.';
+      }
+      const modifiedInputs = inputFingerprints.length > 0 ? await findModifiedInputs(inputFingerprints) : [];
+      if (modifiedInputs.length > 0) {
+        await inputBackup.restore(modifiedInputs);
+        executedResult.failureReason = 'inputs_modified';
+        executedResult.failureMessage =
+          `Modified input files: ${modifiedInputs.map((input) => `${input.name} (${input.change})`).join(', ')}. ` +
+          'They were restored from copies taken before the plan ran. ' +
+          'Inputs must stay unchanged, so write edited copies to the output directory instead.';
+      }
+      if (captureJson) {
+        executedResult.json = parseJsonOutput(stdout);
+      }
       stepResults.push(executedResult);
 
       lastExitCode = exitCode;
@@ -90,10 +193,10 @@ export class CommandExecutor {
       aggregatedStderr = this.appendSectionOutput(aggregatedStderr, index, step, stderr);
 
       if (onCommandEnd) {
-        onCommandEnd({ index, step, exitCode, timedOut });
+        onCommandEnd({ index, step, exitCode, timedOut, failureReason: executedResult.failureReason });
       }
 
-      if (timedOut || (exitCode !== null && exitCode !== 0)) {
+      if (timedOut || executedResult.failureReason || (exitCode !== null && exitCode !== 0)) {
         encounteredFailure = true;
       }
     }
@@ -122,6 +225,106 @@ export class CommandExecutor {
     };
   }
 
+  /**
+   * Replaces the path placeholders in every step's arguments.
+   * @param {CommandStepPlan[]} steps
+   * @param {import('../shared/PathPlaceholders.js').PlaceholderContext} context
+   * @returns {CommandStepPlan[]}
+   */
+  resolveStepArguments(steps, context) {
+    return steps.map((step, index) => {
+      try {
+        return { ...step, arguments: step.arguments.map((arg) => resolvePlaceholders(arg, context)) };
+      } catch (error) {
+        throw new Error(`Step (${index + 1}): ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Lists the planned output files that already exist, as absolute paths.
+   * @param {CommandStepPlan[]} steps
+   * @returns {Set<string>}
+   */
+  findExistingOutputs(steps) {
+    return new Set(
+      this.collectOutputs(steps)
+        .map((output) => path.resolve(output.path))
+        .filter((absolutePath) => existsSync(absolutePath))
+    );
+  }
+
+  /**
+   * Moves planned outputs that already exist to the next free versioned name (`out (2).mp4`)
+   * without touching the plan itself. `renamed` maps each original absolute path to its new one.
+   * @param {CommandStepPlan[]} steps
+   * @param {Set<string>} existingOutputs
+   * @returns {{steps: CommandStepPlan[], renamed: Map<string, string>}}
+   */
+  versionOutputs(steps, existingOutputs) {
+    const renamed = new Map();
+    const taken = new Set(this.collectOutputs(steps).map((output) => path.resolve(output.path)));
+    const versioned = steps.map((step) => {
+      if (!Array.isArray(step.outputs)) {
+        return step;
+      }
+      const outputs = step.outputs.map((output) => {
+        const absolutePath = path.resolve(output.path);
+        if (!existingOutputs.has(absolutePath)) {
+          return output;
+        }
+        if (!renamed.has(absolutePath)) {
+          const next = nextVersionedPath(absolutePath, taken);
+          taken.add(next);
+          renamed.set(absolutePath, next);
+        }
+        return { ...output, path: renamed.get(absolutePath) };
+      });
+      return { ...step, outputs };
+    });
+    return { steps: versioned, renamed };
+  }
+
+  /**
+   * Points arguments that name a renamed output at its versioned path and sets ffmpeg's overwrite flag.
+   * @param {CommandStepPlan} step
+   * @param {Map<string, string>} renamed
+   * @param {string} cwd
+   * @returns {CommandStepPlan}
+   */
+  applyOverwritePolicy(step, renamed, cwd) {
+    const args =
+      renamed.size > 0 ? step.arguments.map((arg) => renamed.get(path.resolve(cwd, arg)) ?? arg) : step.arguments;
+    return { ...step, arguments: applyOverwriteFlag(step.command, args, this.overwritePolicy) };
+  }
+
+  /**
+   * Picks the directory for `{{scratch}}`. Without an explicit directory, a temporary one is created
+   * when a step uses it (and not for dry runs); `created` tells the caller to remove it afterwards.
+   * @param {CommandStepPlan[]} steps
+   * @param {string|undefined} scratchDir
+   * @param {boolean} dryRun
+   * @returns {Promise<{path: string|null, created: boolean}>}
+   */
+  async prepareScratchDirectory(steps, scratchDir, dryRun) {
+    const usesScratch = steps.some((step) =>
+      step.arguments.some((arg) => listPlaceholders(arg).some((placeholder) => placeholder.kind === 'scratch'))
+    );
+    if (!usesScratch) {
+      return { path: scratchDir || null, created: false };
+    }
+    if (scratchDir) {
+      if (!dryRun) {
+        await fs.mkdir(scratchDir, { recursive: true });
+      }
+      return { path: path.resolve(scratchDir), created: false };
+    }
+    if (dryRun) {
+      return { path: path.join(os.tmpdir(), 'media-agent-scratch'), created: false };
+    }
+    return { path: await fs.mkdtemp(path.join(os.tmpdir(), 'media-agent-scratch-')), created: true };
+  }
+
   /**
    * Collects every output description from the plan.
    * @param {CommandStepPlan[]} steps
@@ -178,10 +381,10 @@ export class CommandExecutor {
 
   /**
    * Determines if the current step should be skipped and why.
-   * @param {{dryRun: boolean, encounteredFailure: boolean, command: string}} options
+   * @param {{dryRun: boolean, encounteredFailure: boolean, command: string, outputExists?: boolean}} options
    * @returns {string|undefined}
    */
-  resolveSkipReason({ dryRun, encounteredFailure, command }) {
+  resolveSkipReason({ dryRun, encounteredFailure, command, outputExists }) {
     if (dryRun) {
       return 'dry_run';
     }
@@ -191,6 +394,9 @@ export class CommandExecutor {
     if (command === 'none') {
       return 'no_op_command';
     }
+    if (outputExists) {
+      return 'output_exists';
+    }
     return undefined;
   }
 
@@ -260,11 +466,12 @@ export class CommandExecutor {
   }
 
   /**
-   * Spawns a child process for the given command.
+   * Spawns a child process for the given command with stdin closed.
+   * The process is ended as soon as its output stops at a known interactive prompt; `prompt` describes it.
    * @param {string} command
    * @param {string[]} args
    * @param {string} cwd
-   * @returns {Promise<{exitCode: number|null, stdout: string, stderr: string, timedOut: boolean}>}
+   * @returns {Promise<{exitCode: number|null, stdout: string, stderr: string, timedOut: boolean, prompt: import('./InteractivePrompts.js').InteractivePrompt|null}>}
    */
   spawnProcess(command, args, cwd, hooks = {}) {
     return new Promise((resolve, reject) => {
@@ -272,6 +479,7 @@ export class CommandExecutor {
         cwd,
         env: process.env,
         shell: false,
+        stdio: ['ignore', 'pipe', 'pipe'],
         windowsHide: true
       });
 
@@ -279,6 +487,16 @@ export class CommandExecutor {
       let stderr = '';
       let finished = false;
       let timedOut = false;
+      let prompt = null;
+
+      const watchForPrompt = (output) => {
+        if (!prompt) {
+          prompt = detectInteractivePrompt(output);
+          if (prompt) {
+            child.kill();
+          }
+        }
+      };
 
       const timeoutId = setTimeout(() => {
         timedOut = true;
@@ -291,6 +509,7 @@ export class CommandExecutor {
         if (typeof hooks.onStdout === 'function') {
           hooks.onStdout(text);
         }
+        watchForPrompt(stdout);
       });
 
       child.stderr.on('data', (chunk) => {
@@ -299,6 +518,7 @@ export class CommandExecutor {
         if (typeof hooks.onStderr === 'function') {
           hooks.onStderr(text);
         }
+        watchForPrompt(stderr);
       });
 
       child.on('error', (error) => {
@@ -317,7 +537,8 @@ export class CommandExecutor {
             exitCode: timedOut ? null : code,
             stdout,
             stderr,
-            timedOut
+            timedOut,
+            prompt
           });
         }
       });
@@ -325,3 +546,19 @@ export class CommandExecutor {
   }
 }
 
+/**
+ * Parses probe output as JSON, returning null when the output is not JSON.
+ * @param {string} stdout
+ * @returns {any}
+ */
+function parseJsonOutput(stdout) {
+  const text = String(stdout || '').trim();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
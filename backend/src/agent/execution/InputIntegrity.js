@@ -0,0 +1,163 @@
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+
+/**
+ * @typedef {Object} InputFingerprint
+ * @property {string} path Absolute path of the input file.
+ * @property {string} name Name shown in failure messages.
+ * @property {string} signature Size, inode and timestamps; a changed signature triggers a new hash.
+ * @property {string} sha256
+ */
+
+/**
+ * @typedef {Object} ModifiedInput
+ * @property {string} path
+ * @property {string} name
+ * @property {'changed'|'deleted'} change
+ */
+
+/**
+ * Hashes every existing input file so later changes can be detected. Missing files are ignored.
+ * @param {Array<{absolutePath: string, originalName?: string}>} inputs
+ * @returns {Promise<InputFingerprint[]>}
+ */
+export async function fingerprintInputs(inputs) {
+  const paths = new Map();
+  inputs.forEach((input) => {
+    if (input && input.absolutePath && !paths.has(path.resolve(input.absolutePath))) {
+      paths.set(path.resolve(input.absolutePath), input.originalName || path.basename(input.absolutePath));
+    }
+  });
+  const fingerprints = [];
+  for (const [filePath, name] of paths) {
+    const stat = await statFile(filePath);
+    if (stat && stat.isFile()) {
+      fingerprints.push({ path: filePath, name, signature: describeStat(stat), sha256: await hashFile(filePath) });
+    }
+  }
+  return fingerprints;
+}
+
+/**
+ * Compares the input files with their fingerprints. Files whose size, inode or timestamps moved are
+ * hashed again, so touching a file without changing its content is not reported.
+ * Fingerprints of unchanged content are refreshed to skip the hash next time.
+ * @param {InputFingerprint[]} fingerprints
+ * @returns {Promise<ModifiedInput[]>}
+ */
+export async function findModifiedInputs(fingerprints) {
+  const modified = [];
+  for (const fingerprint of fingerprints) {
+    const stat = await statFile(fingerprint.path);
+    if (!stat) {
+      modified.push({ path: fingerprint.path, name: fingerprint.name, change: 'deleted' });
+      continue;
+    }
+    const signature = describeStat(stat);
+    if (signature === fingerprint.signature) {
+      continue;
+    }
+    if ((await hashFile(fingerprint.path)) !== fingerprint.sha256) {
+      modified.push({ path: fingerprint.path, name: fingerprint.name, change: 'changed' });
+    } else {
+      fingerprint.signature = signature;
+    }
+  }
+  return modified;
+}
+
+/**
+ * Removes write permission from the input files and returns a function that restores their modes.
+ * Call it right after `fingerprintInputs`, before anything runs.
+ * This stops in-place writes by unprivileged processes; the fingerprints still catch the rest.
+ * @param {InputFingerprint[]} fingerprints
+ * @returns {Promise<() => Promise<void>>}
+ */
+export async function makeInputsReadOnly(fingerprints) {
+  const modes = [];
+  for (const fingerprint of fingerprints) {
+    const stat = await statFile(fingerprint.path);
+    if (stat) {
+      await fs.chmod(fingerprint.path, stat.mode & ~0o222);
+      modes.push([fingerprint.path, stat.mode]);
+      // chmod moves the ctime; the content is the same, so the fingerprint stays valid.
+      fingerprint.signature = describeStat(await fs.stat(fingerprint.path));
+    }
+  }
+  return async () => {
+    await Promise.all(modes.map(([filePath, mode]) => fs.chmod(filePath, mode).catch(() => {})));
+  };
+}
+
+/**
+ * Copies the input files to a temporary directory so they can be put back after a step changes them.
+ * Copies are cloned where the file system supports it. Call `dispose` once the plan has finished.
+ * @param {InputFingerprint[]} fingerprints
+ * @returns {Promise<{restore: (inputs: ModifiedInput[]) => Promise<void>, dispose: () => Promise<void>}>}
+ */
+export async function backupInputs(fingerprints) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'media-agent-inputs-'));
+  const copies = new Map();
+  try {
+    for (const [index, fingerprint] of fingerprints.entries()) {
+      const copyPath = path.join(directory, String(index));
+      await fs.copyFile(fingerprint.path, copyPath, fs.constants.COPYFILE_FICLONE);
+      copies.set(fingerprint.path, copyPath);
+    }
+  } catch (error) {
+    await fs.rm(directory, { recursive: true, force: true });
+    throw error;
+  }
+  return {
+    async restore(inputs) {
+      for (const input of inputs) {
+        const copyPath = copies.get(input.path);
+        if (copyPath) {
+          // Remove first: the input may be read-only, or the step may have replaced it with a link.
+          await fs.rm(input.path, { force: true });
+          await fs.copyFile(copyPath, input.path, fs.constants.COPYFILE_FICLONE);
+        }
+      }
+    },
+    async dispose() {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<import('node:fs').Stats|null>}
+ */
+async function statFile(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * @param {import('node:fs').Stats} stat
+ * @returns {string}
+ */
+function describeStat(stat) {
+  return [stat.size, stat.ino, stat.mtimeMs, stat.ctimeMs].join(':');
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
@@ -0,0 +1,29 @@
+/**
+ * @typedef {Object} InteractivePrompt
+ * @property {string} kind What the command asked for, e.g. `overwrite confirmation`.
+ * @property {string} text The last line of output, which holds the question.
+ */
+
+// Prompts wait for an answer at the end of the output, so every pattern is anchored to the end.
+const KNOWN_PROMPTS = [
+  { kind: 'overwrite confirmation', pattern: /(?:overwrite|replace)[^\n]*\?\s*\[y\/n\]\s*$/i },
+  { kind: 'yes/no confirmation', pattern: /(?:\[(?:y\/n|yes\/no)\]|\((?:y\/n|yes\/no)\))\s*[:?]?\s*$/i },
+  { kind: 'password prompt', pattern: /(?:password|passphrase)(?: for [^\n]*)?:\s*$/i }
+];
+const TAIL_LENGTH = 512;
+
+/**
+ * Detects a known interactive prompt at the end of a command's output.
+ * Commands run without a terminal and with stdin closed, so such prompts can never be answered.
+ * @param {string} output
+ * @returns {InteractivePrompt|null}
+ */
+export function detectInteractivePrompt(output) {
+  const tail = String(output || '').slice(-TAIL_LENGTH);
+  const match = KNOWN_PROMPTS.find(({ pattern }) => pattern.test(tail));
+  if (!match) {
+    return null;
+  }
+  const lines = tail.trimEnd().split(/\r?\n|\r/);
+  return { kind: match.kind, text: lines[lines.length - 1].trim() };
+}
@@ -0,0 +1,60 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * How existing output files are treated.
+ * `overwrite` replaces them, `keep` skips steps that would replace them,
+ * and `version` writes to the next free name such as `out (2).mp4` instead.
+ * @typedef {'overwrite'|'keep'|'version'} OverwritePolicy
+ */
+
+/** @type {OverwritePolicy[]} */
+export const OVERWRITE_POLICIES = ['overwrite', 'keep', 'version'];
+
+const FFMPEG_OVERWRITE_FLAGS = ['-y', '-n'];
+
+/**
+ * Validates an overwrite policy name, falling back to `overwrite` when none is given.
+ * @param {string|undefined|null} value
+ * @returns {OverwritePolicy}
+ */
+export function resolveOverwritePolicy(value) {
+  const policy = (value || 'overwrite').trim().toLowerCase();
+  if (!OVERWRITE_POLICIES.includes(/** @type {OverwritePolicy} */ (policy))) {
+    throw new Error(`The overwrite policy must be one of ${OVERWRITE_POLICIES.join(', ')}, got "${value}".`);
+  }
+  return /** @type {OverwritePolicy} */ (policy);
+}
+
+/**
+ * Replaces the overwrite flag of an ffmpeg step with the one the policy requires
+ * (`-n` for `keep`, otherwise `-y`), so ffmpeg never stops to ask. Other commands are returned unchanged.
+ * @param {string} command
+ * @param {string[]} args
+ * @param {OverwritePolicy} policy
+ * @returns {string[]}
+ */
+export function applyOverwriteFlag(command, args, policy) {
+  if (path.basename(command).replace(/\.exe$/i, '').toLowerCase() !== 'ffmpeg') {
+    return args;
+  }
+  return [policy === 'keep' ? '-n' : '-y', ...args.filter((arg) => !FFMPEG_OVERWRITE_FLAGS.includes(arg))];
+}
+
+/**
+ * Finds the first free versioned name for a file: `out.mp4` becomes `out (2).mp4`, then `out (3).mp4`.
+ * Names in `taken` count as used even if they do not exist yet.
+ * @param {string} filePath
+ * @param {Set<string>} [taken]
+ * @returns {string}
+ */
+export function nextVersionedPath(filePath, taken = new Set()) {
+  const { dir, name, ext } = path.parse(filePath);
+  const base = name.replace(/ \(\d+\)$/, '');
+  for (let version = 2; ; version += 1) {
+    const candidate = path.join(dir, `${base} (${version})${ext}`);
+    if (!taken.has(candidate) && !existsSync(candidate)) {
+      return candidate;
+    }
+  }
+}
@@ -1,12 +1,55 @@
-export { DEFAULT_TOOL_DEFINITIONS, DEFAULT_MODEL } from './config/constants.js';
+export {
+  DEFAULT_TOOL_DEFINITIONS,
+  DEFAULT_MODEL,
+  DEFAULT_MODEL_PRICES,
+  DEFAULT_MODEL_TAGS,
+  PLANNER_MODES,
+  LLM_PROVIDERS,
+  DEFAULT_MAX_REPAIR_ATTEMPTS,
+  PLAN_SCHEMA_VERSION
+} from './config/constants.js';
+export { describeModelCatalog, resolveLLMConfig } from './config/llmConfig.js';
 export { ToolRegistry } from './registry/ToolRegistry.js';
+export { probeToolCapabilities } from './registry/ToolCapabilities.js';
+export { RecipeLibrary } from './registry/RecipeLibrary.js';
+export { PlanningPolicy } from './registry/PlanningPolicy.js';
+export { ArgumentPolicy } from './registry/ArgumentPolicy.js';
+export { NetworkPolicy } from './registry/NetworkPolicy.js';
 export { PromptBuilder } from './planning/PromptBuilder.js';
 export { PlanValidator } from './planning/PlanValidator.js';
+export { listFileOperands } from './planning/ArgumentPaths.js';
+export { PlanValidationError } from './planning/PlanValidationError.js';
+export { PlanStreamParser } from './planning/PlanStreamParser.js';
 export { ResponseParser } from './planning/ResponseParser.js';
 export { OpenAIPlanner } from './planning/OpenAIPlanner.js';
+export { RuleBasedPlanner } from './planning/RuleBasedPlanner.js';
+export { PlannerChain } from './planning/PlannerChain.js';
+export { ResultSummarizer } from './planning/ResultSummarizer.js';
+export { ModelRouter } from './planning/ModelRouter.js';
 export { CommandExecutor } from './execution/CommandExecutor.js';
+export { OVERWRITE_POLICIES, nextVersionedPath } from './execution/OutputOverwrite.js';
+export { detectInteractivePrompt } from './execution/InteractivePrompts.js';
 export { createOpenAIClient } from './integrations/OpenAIClientFactory.js';
+export { createLLMProvider } from './integrations/LLMProviderFactory.js';
+export { generateWithRetries, isTransientError } from './integrations/ModelCallRetry.js';
+export { ResponsesProvider } from './integrations/providers/ResponsesProvider.js';
+export { ChatCompletionsProvider, STRUCTURED_OUTPUT_MODES } from './integrations/providers/ChatCompletionsProvider.js';
+export {
+  CASSETTE_MODES,
+  CassetteStore,
+  createRecordingClient,
+  createReplayClient
+} from './integrations/PlannerCassette.js';
 export { MediaAgent, createMediaAgent } from './core/MediaAgent.js';
+export { fenceUntrusted, detectInstructionLikeContent } from './shared/UntrustedContent.js';
+export { upgradePlan } from './shared/PlanSchema.js';
+export {
+  addUsage,
+  calculateCost,
+  createEmptyUsage,
+  normalizeUsage,
+  summarizePhaseUsage
+} from './shared/TokenUsage.js';
 export { TaskPhaseTracker, DEFAULT_TASK_PHASES } from './core/TaskPhaseTracker.js';
 export { MediaAgentTaskError } from './core/MediaAgentTaskError.js';
 
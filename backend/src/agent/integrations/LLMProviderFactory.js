@@ -0,0 +1,22 @@
+import { LLM_PROVIDERS } from '../config/constants.js';
+import { ChatCompletionsProvider } from './providers/ChatCompletionsProvider.js';
+import { ResponsesProvider } from './providers/ResponsesProvider.js';
+
+/** @typedef {import('../shared/types.js').LLMProvider} LLMProvider */
+
+/**
+ * プロバイダーIDに応じたLLMプロバイダーを生成するファクトリー関数です。
+ * @param {any} client OpenAI互換クライアント
+ * @param {{provider?: string, structuredOutput?: string, reasoningEffort?: string|null}} [options]
+ * @returns {LLMProvider}
+ */
+export function createLLMProvider(client, options = {}) {
+  const providerId = options.provider || 'responses';
+  if (!LLM_PROVIDERS.includes(providerId)) {
+    throw new Error(`Unknown LLM provider: ${providerId}`);
+  }
+  if (providerId === 'chat') {
+    return new ChatCompletionsProvider(client, { structuredOutput: options.structuredOutput });
+  }
+  return new ResponsesProvider(client, { reasoningEffort: options.reasoningEffort });
+}
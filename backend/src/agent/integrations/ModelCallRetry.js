@@ -0,0 +1,191 @@
+import { setTimeout as delay } from 'node:timers/promises';
+
+import {
+  DEFAULT_LLM_MAX_RETRIES,
+  DEFAULT_LLM_RETRY_DELAY_MS,
+  DEFAULT_LLM_TIMEOUT_MS
+} from '../config/constants.js';
+
+/** @typedef {import('../shared/types.js').LLMProvider} LLMProvider */
+/** @typedef {import('../shared/types.js').LLMGenerateRequest} LLMGenerateRequest */
+/** @typedef {import('../shared/types.js').LLMGenerateResult} LLMGenerateResult */
+/** @typedef {import('../shared/types.js').ModelAttempt} ModelAttempt */
+
+/**
+ * @typedef {Object} ModelCallPolicy
+ * @property {number} [timeoutMs] 1回の呼び出しのタイムアウト
+ * @property {number} [maxRetries] 一時的なエラー時にモデルごとに再試行する回数
+ * @property {number} [retryDelayMs] 指数バックオフの初回待ち時間
+ * @property {string[]} [fallbackModels] 主モデルが使えない場合に順に試すモデル
+ */
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const TRANSIENT_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+/**
+ * タイムアウト・再試行・フォールバックモデルを適用してプロバイダーを呼び出します。
+ * 429 / 5xx / 接続エラー / タイムアウトは指数バックオフで再試行し、再試行し尽くした場合や
+ * モデルが存在しない（404）場合は次のフォールバックモデルへ進みます。それ以外のエラーは即座に送出します。
+ * すべての試行は `attempts`（成功した試行はトークン使用量付き）に記録され、失敗時は送出するエラーにも `attempts` が付与されます。
+ * @param {LLMProvider} provider
+ * @param {LLMGenerateRequest} request `model` は主モデルとして扱います
+ * @param {ModelCallPolicy & {signal?: AbortSignal}} [policy]
+ * @returns {Promise<LLMGenerateResult & {model: string, attempts: ModelAttempt[]}>}
+ */
+export async function generateWithRetries(provider, request, policy = {}) {
+  const timeoutMs = policy.timeoutMs ?? DEFAULT_LLM_TIMEOUT_MS;
+  const maxRetries = Math.max(0, policy.maxRetries ?? DEFAULT_LLM_MAX_RETRIES);
+  const retryDelayMs = policy.retryDelayMs ?? DEFAULT_LLM_RETRY_DELAY_MS;
+  const { signal } = policy;
+  const models = [request.model, ...(policy.fallbackModels || [])].filter(
+    (model, index, list) => typeof model === 'string' && model && list.indexOf(model) === index
+  );
+
+  /** @type {ModelAttempt[]} */
+  const attempts = [];
+  let lastError;
+  for (const model of models) {
+    for (let retry = 0; retry <= maxRetries; retry += 1) {
+      if (signal?.aborted) {
+        throw attachAttempts(signal.reason, attempts);
+      }
+      const timeout = createTimeoutSignal(timeoutMs);
+      const timeoutSignal = timeout.signal;
+      const callSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+      const startedAt = Date.now();
+      try {
+        const generated = await raceWithSignal(
+          provider.generate({ ...request, model }, { signal: callSignal, maxRetries: 0 }),
+          callSignal
+        );
+        attempts.push({
+          attempt: attempts.length + 1,
+          model,
+          status: 'success',
+          durationMs: Date.now() - startedAt,
+          usage: generated.usage ?? null
+        });
+        return { ...generated, model, attempts };
+      } catch (rawError) {
+        const error = timeoutSignal.aborted && !signal?.aborted ? createTimeoutError(timeoutMs, rawError) : rawError;
+        attempts.push({
+          attempt: attempts.length + 1,
+          model,
+          status: 'failed',
+          durationMs: Date.now() - startedAt,
+          error: describeError(error)
+        });
+        lastError = error;
+        if (signal?.aborted) {
+          throw attachAttempts(error, attempts);
+        }
+        if (isModelUnavailableError(error)) {
+          break;
+        }
+        if (!isTransientError(error)) {
+          throw attachAttempts(error, attempts);
+        }
+        if (retry < maxRetries) {
+          await delay(retryDelayMs * 2 ** retry, undefined, { signal }).catch((abortError) => {
+            throw attachAttempts(abortError, attempts);
+          });
+        }
+      } finally {
+        timeout.clear();
+      }
+    }
+  }
+  throw attachAttempts(lastError ?? new Error('No model is configured.'), attempts);
+}
+
+/**
+ * 再試行で回復が見込めるエラーか判定します。
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  const status = typeof error?.status === 'number' ? error.status : null;
+  if (status !== null) {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+  if (error?.name === 'TimeoutError' || TRANSIENT_ERROR_NAMES.includes(error?.name)) {
+    return true;
+  }
+  const code = error?.code ?? error?.cause?.code;
+  return TRANSIENT_ERROR_CODES.includes(code);
+}
+
+/**
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isModelUnavailableError(error) {
+  return error?.status === 404;
+}
+
+/**
+ * シグナルが中断されたら、プロバイダーが応答しなくても即座に失敗させます。
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise<T>}
+ */
+function raceWithSignal(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * 指定時間後に中断されるシグナルを生成します。
+ * `AbortSignal.timeout` と異なりタイマーを参照したままにするため、応答待ちの間にプロセスが終了しません。
+ * @param {number} timeoutMs
+ * @returns {{signal: AbortSignal, clear: () => void}}
+ */
+function createTimeoutSignal(timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException('The operation timed out.', 'TimeoutError'));
+  }, timeoutMs);
+  return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * @param {number} timeoutMs
+ * @param {any} cause
+ * @returns {Error}
+ */
+function createTimeoutError(timeoutMs, cause) {
+  const error = new Error(`LLM call timed out after ${timeoutMs} ms.`, { cause });
+  error.name = 'TimeoutError';
+  return error;
+}
+
+/**
+ * ログ向けにエラーを1行で表します。
+ * @param {any} error
+ * @returns {string}
+ */
+function describeError(error) {
+  const message = error?.message || String(error);
+  const status = typeof error?.status === 'number' ? String(error.status) : '';
+  return status && !message.startsWith(status) ? `${status} ${message}` : message;
+}
+
+/**
+ * @param {any} error
+ * @param {ModelAttempt[]} attempts
+ * @returns {any}
+ */
+function attachAttempts(error, attempts) {
+  if (error && typeof error === 'object') {
+    error.attempts = attempts;
+  }
+  return error;
+}
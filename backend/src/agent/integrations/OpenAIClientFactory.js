@@ -1,12 +1,59 @@
 import OpenAI from 'openai';
 
+import {
+  CASSETTE_MODES,
+  CassetteStore,
+  createRecordingClient,
+  createReplayClient
+} from './PlannerCassette.js';
+
 /**
  * OpenAIクライアントを生成するファクトリー関数です。
+ * `cassetteMode` が `record` の場合は応答をカセットへ記録し、`replay` の場合は記録済みカセットのみで応答します。
+ * 未指定時は環境変数 `PLANNER_CASSETTE_MODE` / `PLANNER_CASSETTE_DIR` を参照します。
+ * `baseURL` を指定するとOpenAI互換のセルフホストサーバーへ接続します（APIキーは任意）。
  * @param {string|undefined} apiKey
+ * @param {typeof OpenAI} [OpenAIClass]
+ * @param {{cassetteMode?: string, cassetteDir?: string, rootDir?: string, baseURL?: string}} [options]
  * @returns {OpenAI}
  */
-export function createOpenAIClient(apiKey, OpenAIClass = OpenAI) {
-  return new OpenAIClass({
+export function createOpenAIClient(apiKey, OpenAIClass = OpenAI, options = {}) {
+  const cassetteMode = resolveCassetteMode(options.cassetteMode ?? process.env.PLANNER_CASSETTE_MODE);
+  const cassetteStore =
+    cassetteMode === 'off'
+      ? null
+      : new CassetteStore(options.cassetteDir || process.env.PLANNER_CASSETTE_DIR || 'cassettes', {
+        rootDir: options.rootDir
+      });
+
+  if (cassetteMode === 'replay') {
+    return createReplayClient(cassetteStore);
+  }
+
+  /** @type {Record<string, any>} */
+  const clientOptions = {
     apiKey: apiKey || process.env.OPENAI_API_KEY
-  });
+  };
+  if (options.baseURL) {
+    clientOptions.baseURL = options.baseURL;
+    clientOptions.apiKey = clientOptions.apiKey || 'not-required';
+  }
+  const client = new OpenAIClass(clientOptions);
+  if (cassetteMode === 'record') {
+    return createRecordingClient(client, cassetteStore);
+  }
+  return client;
+}
+
+/**
+ * カセットモードの指定値を検証して正規化します。
+ * @param {string|undefined} value
+ * @returns {'off'|'record'|'replay'}
+ */
+function resolveCassetteMode(value) {
+  const normalized = typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : 'off';
+  if (!CASSETTE_MODES.includes(normalized)) {
+    throw new Error(`Unknown planner cassette mode: ${value}`);
+  }
+  return /** @type {'off'|'record'|'replay'} */ (normalized);
 }
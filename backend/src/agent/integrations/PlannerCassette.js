@@ -0,0 +1,283 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ResponseParser } from '../planning/ResponseParser.js';
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+const SESSION_ID_PATTERN = /session-\d+-[a-z0-9]+/g;
+
+/**
+ * プランナーの入出力（カセット）をJSONファイルとして保存・読み込みするストアです。
+ * キーは開発者プロンプトとタスク文のハッシュで、セッションIDやルートパスの違いは正規化して無視します。
+ */
+export class CassetteStore {
+  /**
+   * 保存先ディレクトリとパス正規化の基準となるルートを受け取ります。
+   * @param {string} directory
+   * @param {{rootDir?: string}} [options]
+   */
+  constructor(directory, options = {}) {
+    this.directory = path.resolve(directory);
+    this.rootDir = path.resolve(options.rootDir || process.cwd());
+  }
+
+  /**
+   * リクエストペイロードからカセットのキーを算出します。
+   * @param {Record<string, any>} payload
+   * @returns {string}
+   */
+  createKey(payload) {
+    const { developerPrompt, task } = extractPromptParts(payload);
+    const normalized = `${this.normalize(developerPrompt)}\n---\n${this.normalize(task)}`;
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * 実行環境ごとに変わる値（ルートパス・セッションID）をプレースホルダーに置き換えます。
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return String(text || '')
+      .split(this.rootDir)
+      .join('<root>')
+      .replace(SESSION_ID_PATTERN, '<session>');
+  }
+
+  /**
+   * カセットを読み込みます。存在しない場合はnullを返します。
+   * @param {string} key
+   * @returns {Promise<Record<string, any>|null>}
+   */
+  async read(key) {
+    try {
+      const content = await fs.readFile(this.getPath(key), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * カセットを書き込みます。
+   * @param {string} key
+   * @param {Record<string, any>} entry
+   * @returns {Promise<void>}
+   */
+  async write(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.getPath(key), JSON.stringify(entry, null, 2), 'utf8');
+  }
+
+  /**
+   * カセットファイルのパスを返します。
+   * @param {string} key
+   * @returns {string}
+   */
+  getPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
+
+/**
+ * 実クライアントへの呼び出しを中継し、応答をカセットとして記録するクライアントを生成します。
+ * Responses API と Chat Completions API の両方に対応します。
+ * 記録には完成した応答が必要なため、ストリーミングの指定は外して呼び出します。
+ * `create` 以外のプロパティとメソッド（プロトタイプのものを含む）は元のクライアントのものをそのまま使います。
+ * @param {any} client
+ * @param {CassetteStore} store
+ * @returns {any}
+ */
+export function createRecordingClient(client, store) {
+  const overrides = {
+    responses: overrideProperties(client.responses ?? {}, {
+      create: async ({ stream, ...payload }, requestOptions) => {
+        const response = await client.responses.create(payload, requestOptions);
+        await recordCassette(store, payload, response);
+        return response;
+      }
+    })
+  };
+  if (client.chat?.completions) {
+    overrides.chat = overrideProperties(client.chat, {
+      completions: overrideProperties(client.chat.completions, {
+        create: async (payload, requestOptions) => {
+          const response = await client.chat.completions.create(payload, requestOptions);
+          await recordCassette(store, payload, response);
+          return response;
+        }
+      })
+    });
+  }
+  return overrideProperties(client, overrides);
+}
+
+/**
+ * 一部のプロパティだけを差し替えたラッパーを返します。
+ * 残りのメソッドは元のオブジェクトに束縛して返すため、プライベートフィールドを使うクラスでも動作します。
+ * @param {any} target
+ * @param {Record<string, any>} overrides
+ * @returns {any}
+ */
+function overrideProperties(target, overrides) {
+  return new Proxy(target, {
+    get(object, property) {
+      if (Object.hasOwn(overrides, property)) {
+        return overrides[property];
+      }
+      const value = Reflect.get(object, property, object);
+      return typeof value === 'function' ? value.bind(object) : value;
+    }
+  });
+}
+
+/**
+ * 記録済みカセットだけを使って応答する、ネットワーク不要のクライアントを生成します。
+ * @param {CassetteStore} store
+ * @returns {any}
+ */
+export function createReplayClient(store) {
+  return {
+    responses: {
+      create: async (payload) => {
+        const { entry, text } = await replayCassette(store, payload);
+        return {
+          id: entry.responseId ?? `replay-${entry.key}`,
+          output_text: text,
+          replayed: true
+        };
+      }
+    },
+    chat: {
+      completions: {
+        create: async (payload) => {
+          const { entry, text } = await replayCassette(store, payload);
+          return {
+            id: entry.responseId ?? `replay-${entry.key}`,
+            choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+            replayed: true
+          };
+        }
+      }
+    }
+  };
+}
+
+/**
+ * ペイロードに対応するカセットを読み込み、現在の環境向けに書き換えた応答テキストを返します。
+ * @param {CassetteStore} store
+ * @param {Record<string, any>} payload
+ * @returns {Promise<{entry: Record<string, any>, text: string}>}
+ */
+async function replayCassette(store, payload) {
+  const key = store.createKey(payload);
+  const entry = await store.read(key);
+  if (!entry) {
+    throw new Error(`No planner cassette recorded for this prompt (key: ${key}, dir: ${store.directory}).`);
+  }
+  const { developerPrompt } = extractPromptParts(payload);
+  return {
+    entry: { ...entry, key },
+    text: rewriteRecordedText(entry.responseText, entry, developerPrompt, store.rootDir)
+  };
+}
+
+/**
+ * 応答を記録します。
+ * @param {CassetteStore} store
+ * @param {Record<string, any>} payload
+ * @param {any} response
+ * @returns {Promise<void>}
+ */
+async function recordCassette(store, payload, response) {
+  const { developerPrompt, task } = extractPromptParts(payload);
+  const key = store.createKey(payload);
+  await store.write(key, {
+    key,
+    recordedAt: new Date().toISOString(),
+    rootDir: store.rootDir,
+    model: payload?.model ?? null,
+    developerPrompt,
+    task,
+    requestPayload: JSON.parse(JSON.stringify(payload)),
+    responseId: typeof response?.id === 'string' ? response.id : null,
+    responseText: ResponseParser.extractText(response)
+  });
+}
+
+/**
+ * 記録時のルートパス・セッションIDを現在の値に置き換えます。
+ * @param {string} text
+ * @param {Record<string, any>} entry
+ * @param {string} currentPrompt
+ * @param {string} currentRoot
+ * @returns {string}
+ */
+function rewriteRecordedText(text, entry, currentPrompt, currentRoot) {
+  let rewritten = String(text || '');
+  if (entry.rootDir && entry.rootDir !== currentRoot) {
+    rewritten = rewritten.split(entry.rootDir).join(currentRoot);
+  }
+  const recordedSessions = uniqueMatches(entry.developerPrompt, SESSION_ID_PATTERN);
+  const currentSessions = uniqueMatches(currentPrompt, SESSION_ID_PATTERN);
+  recordedSessions.forEach((recordedId, index) => {
+    const currentId = currentSessions[index];
+    if (currentId && currentId !== recordedId) {
+      rewritten = rewritten.split(recordedId).join(currentId);
+    }
+  });
+  return rewritten;
+}
+
+/**
+ * @param {string} text
+ * @param {RegExp} pattern
+ * @returns {string[]}
+ */
+function uniqueMatches(text, pattern) {
+  return Array.from(new Set(String(text || '').match(pattern) || []));
+}
+
+/**
+ * Responses API / Chat Completions API 形式のペイロードから開発者プロンプトとタスク文を取り出します。
+ * @param {Record<string, any>} payload
+ * @returns {{developerPrompt: string, task: string}}
+ */
+export function extractPromptParts(payload) {
+  const messages = Array.isArray(payload?.input)
+    ? payload.input
+    : Array.isArray(payload?.messages)
+      ? payload.messages
+      : [];
+  const collect = (roles) =>
+    messages
+      .filter((message) => roles.includes(message?.role))
+      .map((message) => flattenContent(message.content))
+      .join('\n');
+  return {
+    developerPrompt: collect(['developer', 'system']),
+    task: collect(['user'])
+  };
+}
+
+/**
+ * @param {any} content
+ * @returns {string}
+ */
+function flattenContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .map((part) => (typeof part?.text === 'string' ? part.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
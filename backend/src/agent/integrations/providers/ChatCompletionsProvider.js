@@ -0,0 +1,104 @@
+import { ResponseParser } from '../../planning/ResponseParser.js';
+import { normalizeUsage } from '../../shared/TokenUsage.js';
+
+/** @typedef {import('../../shared/types.js').LLMGenerateRequest} LLMGenerateRequest */
+/** @typedef {import('../../shared/types.js').LLMGenerateResult} LLMGenerateResult */
+/** @typedef {import('../../shared/types.js').LLMRequestOptions} LLMRequestOptions */
+
+export const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'prompt'];
+
+/**
+ * OpenAI互換の Chat Completions API を利用するLLMプロバイダーです。
+ * セルフホストのモデルサーバーは JSON Schema 対応がまちまちなため、構造化出力の方式を切り替えられます。
+ * - `json_schema`: `response_format.json_schema` で厳密なスキーマを指定
+ * - `json_object`: JSONモードのみ指定し、スキーマはシステムプロンプトで伝える
+ * - `prompt`: `response_format` を送らず、スキーマをシステムプロンプトで伝える
+ */
+export class ChatCompletionsProvider {
+  /**
+   * @param {any} client `chat.completions.create` を持つクライアント
+   * @param {{structuredOutput?: string, temperature?: number}} [options]
+   */
+  constructor(client, options = {}) {
+    const structuredOutput = options.structuredOutput || 'json_schema';
+    if (!STRUCTURED_OUTPUT_MODES.includes(structuredOutput)) {
+      throw new Error(`Unknown structured output mode: ${structuredOutput}`);
+    }
+    this.id = 'chat';
+    this.client = client;
+    // Chat Completions は会話をサーバーに保存しないため、毎回すべての文脈を送る必要がある
+    this.supportsStoredState = false;
+    this.structuredOutput = structuredOutput;
+    this.temperature = options.temperature;
+  }
+
+  /**
+   * 生成リクエストを Chat Completions API のペイロードへ変換します。
+   * @param {LLMGenerateRequest} request
+   * @returns {Record<string, any>}
+   */
+  buildPayload(request) {
+    const schema = request.jsonSchema;
+    const inlineSchema = schema && this.structuredOutput !== 'json_schema';
+    const systemPrompt = inlineSchema
+      ? [
+        request.instructions,
+        'Respond with a single JSON object that conforms to this JSON Schema (no prose, no code fences):',
+        JSON.stringify(schema.schema)
+      ].join('\n\n')
+      : request.instructions;
+
+    /** @type {Record<string, any>} */
+    const payload = {
+      model: request.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: request.input }
+      ]
+    };
+    if (schema && this.structuredOutput === 'json_schema') {
+      payload.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: schema.name,
+          strict: schema.strict !== false,
+          schema: schema.schema
+        }
+      };
+    } else if (schema && this.structuredOutput === 'json_object') {
+      payload.response_format = { type: 'json_object' };
+    }
+    if (typeof this.temperature === 'number') {
+      payload.temperature = this.temperature;
+    }
+    return payload;
+  }
+
+  /**
+   * モデルを呼び出し、応答テキストとトークン使用量を返します。
+   * `requestOptions`（`signal` / `maxRetries` など）はそのままSDKのリクエストオプションとして渡します。
+   * @param {LLMGenerateRequest} request
+   * @param {LLMRequestOptions} [requestOptions]
+   * @returns {Promise<LLMGenerateResult>}
+   */
+  async generate(request, requestOptions) {
+    const requestPayload = this.buildPayload(request);
+    const response = await this.client.chat.completions.create(requestPayload, requestOptions);
+    return {
+      text: stripCodeFence(ResponseParser.extractText(response)),
+      response,
+      requestPayload,
+      usage: normalizeUsage(response?.usage)
+    };
+  }
+}
+
+/**
+ * 一部のモデルが付与する ```json フェンスを取り除きます。
+ * @param {string} text
+ * @returns {string}
+ */
+function stripCodeFence(text) {
+  const match = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return match ? match[1] : text;
+}
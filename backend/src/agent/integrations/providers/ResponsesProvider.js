@@ -0,0 +1,135 @@
+import { ResponseParser } from '../../planning/ResponseParser.js';
+import { normalizeUsage } from '../../shared/TokenUsage.js';
+
+/** @typedef {import('../../shared/types.js').LLMGenerateRequest} LLMGenerateRequest */
+/** @typedef {import('../../shared/types.js').LLMGenerateResult} LLMGenerateResult */
+/** @typedef {import('../../shared/types.js').LLMRequestOptions} LLMRequestOptions */
+
+/**
+ * OpenAI Responses API を利用するLLMプロバイダーです。
+ * 構造化出力は `text.format` の JSON Schema として送信します。
+ * 応答はサーバー側に保存される（`store: true`）ため、`previousResponseId` を指定すると前回の会話の続きとして呼び出せます。
+ */
+export class ResponsesProvider {
+  /**
+   * @param {any} client `responses.create` を持つクライアント
+   * @param {{reasoningEffort?: string|null, verbosity?: string|null}} [options]
+   */
+  constructor(client, options = {}) {
+    this.id = 'responses';
+    this.client = client;
+    this.supportsStoredState = true;
+    this.reasoningEffort = options.reasoningEffort === undefined ? 'low' : options.reasoningEffort;
+    this.verbosity = options.verbosity === undefined ? 'medium' : options.verbosity;
+  }
+
+  /**
+   * 生成リクエストを Responses API のペイロードへ変換します。
+   * @param {LLMGenerateRequest} request
+   * @returns {Record<string, any>}
+   */
+  buildPayload(request) {
+    /** @type {Record<string, any>} */
+    const text = {};
+    if (request.jsonSchema) {
+      text.format = {
+        type: 'json_schema',
+        name: request.jsonSchema.name,
+        strict: request.jsonSchema.strict !== false,
+        schema: request.jsonSchema.schema
+      };
+    }
+    if (this.verbosity) {
+      text.verbosity = this.verbosity;
+    }
+
+    /** @type {Record<string, any>} */
+    const payload = {
+      model: request.model,
+      input: [
+        {
+          role: 'developer',
+          content: [
+            {
+              type: 'input_text',
+              text: request.instructions
+            }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'input_text',
+              text: request.input
+            }
+          ]
+        }
+      ],
+      text,
+      tools: [],
+      store: true,
+      include: ['reasoning.encrypted_content', 'web_search_call.action.sources']
+    };
+    if (request.previousResponseId) {
+      payload.previous_response_id = request.previousResponseId;
+    }
+    if (this.reasoningEffort) {
+      payload.reasoning = { effort: this.reasoningEffort };
+    }
+    return payload;
+  }
+
+  /**
+   * モデルを呼び出し、応答テキストとトークン使用量を返します。
+   * `requestOptions`（`signal` / `maxRetries` など）はそのままSDKのリクエストオプションとして渡します。
+   * `request.onTextDelta` がある場合はストリーミングで呼び出し、テキストの断片を受け取るたびに通知します。
+   * @param {LLMGenerateRequest} request
+   * @param {LLMRequestOptions} [requestOptions]
+   * @returns {Promise<LLMGenerateResult>}
+   */
+  async generate(request, requestOptions) {
+    const requestPayload = this.buildPayload(request);
+    if (request.onTextDelta) {
+      requestPayload.stream = true;
+    }
+    const created = await this.client.responses.create(requestPayload, requestOptions);
+    const streamed = Boolean(request.onTextDelta) && typeof created?.[Symbol.asyncIterator] === 'function';
+    const response = streamed ? await this.readStream(created, request.onTextDelta) : created;
+    const text = ResponseParser.extractText(response);
+    if (request.onTextDelta && !streamed) {
+      // ストリーミングに対応しないクライアント（カセット再生など）は応答全体を1つの断片として通知する
+      request.onTextDelta(text, text);
+    }
+    return {
+      text,
+      response,
+      requestPayload,
+      usage: normalizeUsage(response?.usage),
+      responseId: typeof response?.id === 'string' && response.id ? response.id : null
+    };
+  }
+
+  /**
+   * ストリーミングのイベントを読み、`response.completed` の最終レスポンスを返します。
+   * 完了イベントが届かなかった場合は受け取ったテキストだけを持つレスポンスを返します。
+   * @param {AsyncIterable<any>} stream
+   * @param {(delta: string, text: string) => void} onTextDelta
+   * @returns {Promise<any>}
+   */
+  async readStream(stream, onTextDelta) {
+    let text = '';
+    for await (const event of stream) {
+      if (event?.type === 'response.output_text.delta' && typeof event.delta === 'string') {
+        text += event.delta;
+        onTextDelta(event.delta, text);
+      } else if (event?.type === 'response.completed') {
+        return event.response;
+      } else if (event?.type === 'response.failed' || event?.type === 'error') {
+        const message = event.response?.error?.message || event.message || 'unknown error';
+        throw new Error(`Streaming response failed: ${message}`);
+      }
+    }
+    return { output_text: text };
+  }
+}
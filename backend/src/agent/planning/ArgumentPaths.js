@@ -0,0 +1,707 @@
+// @ts-check
+
+/**
+ * @typedef {Object} FileOperand
+ * @property {string} path The file path as the tool will open it, with protocol, coder prefixes and frame suffixes removed.
+ * @property {'read'|'write'} access
+ * @property {number} argIndex Index of the argument the path was found in.
+ * @property {string} via How the path was found, e.g. `-i`, `output operand`, `msl: coder` or `subtitles filter`.
+ */
+
+const FFMPEG_BOOLEAN_FLAGS = new Set([
+  '-y',
+  '-n',
+  '-nostdin',
+  '-stdin',
+  '-hide_banner',
+  '-shortest',
+  '-an',
+  '-vn',
+  '-sn',
+  '-dn',
+  '-re',
+  '-stats',
+  '-nostats',
+  '-copyts',
+  '-start_at_zero',
+  '-accurate_seek',
+  '-noaccurate_seek',
+  '-autorotate',
+  '-noautorotate',
+  '-autoscale',
+  '-noautoscale',
+  '-ignore_unknown',
+  '-copy_unknown',
+  '-fix_sub_duration',
+  '-ignore_chapters',
+  '-benchmark',
+  '-benchmark_all',
+  '-debug_ts',
+  '-xerror',
+  '-dump',
+  '-hex',
+  '-vstats',
+  '-bitexact',
+  '-report',
+  '-psnr',
+  '-qphist'
+]);
+// Options known to take a value that is not a file name. The value of any other option is checked as a file,
+// since ffmpeg reads the argument after an unknown switch as an output file.
+const FFMPEG_VALUE_FLAGS = new Set([
+  '-f',
+  '-c',
+  '-codec',
+  '-vcodec',
+  '-acodec',
+  '-scodec',
+  '-dcodec',
+  '-b',
+  '-ab',
+  '-vb',
+  '-crf',
+  '-cq',
+  '-qp',
+  '-q',
+  '-qscale',
+  '-aq',
+  '-qmin',
+  '-qmax',
+  '-preset',
+  '-tune',
+  '-profile',
+  '-level',
+  '-pix_fmt',
+  '-pixel_format',
+  '-sample_fmt',
+  '-r',
+  '-framerate',
+  '-fpsmax',
+  '-s',
+  '-video_size',
+  '-aspect',
+  '-ss',
+  '-sseof',
+  '-t',
+  '-to',
+  '-itsoffset',
+  '-itsscale',
+  '-ar',
+  '-sample_rate',
+  '-ac',
+  '-channels',
+  '-channel_layout',
+  '-ch_layout',
+  '-map',
+  '-map_metadata',
+  '-map_chapters',
+  '-metadata',
+  '-disposition',
+  '-frames',
+  '-vframes',
+  '-aframes',
+  '-dframes',
+  '-movflags',
+  '-g',
+  '-keyint_min',
+  '-sc_threshold',
+  '-force_key_frames',
+  '-bf',
+  '-refs',
+  '-maxrate',
+  '-minrate',
+  '-bufsize',
+  '-threads',
+  '-filter_threads',
+  '-filter_complex_threads',
+  '-loglevel',
+  '-v',
+  '-loop',
+  '-stream_loop',
+  '-vsync',
+  '-fps_mode',
+  '-async',
+  '-tag',
+  '-vtag',
+  '-atag',
+  '-strict',
+  '-max_muxing_queue_size',
+  '-max_interleave_delta',
+  '-muxdelay',
+  '-muxpreload',
+  '-bsf',
+  '-absf',
+  '-vbsf',
+  '-x264-params',
+  '-x265-params',
+  '-x264opts',
+  '-svtav1-params',
+  '-pass',
+  '-hls_time',
+  '-hls_list_size',
+  '-hls_playlist_type',
+  '-hls_flags',
+  '-segment_time',
+  '-segment_format',
+  '-reset_timestamps',
+  '-start_number',
+  '-update',
+  '-pattern_type',
+  '-fflags',
+  '-flags',
+  '-avoid_negative_ts',
+  '-analyzeduration',
+  '-probesize',
+  '-hwaccel',
+  '-hwaccel_device',
+  '-hwaccel_output_format',
+  '-lossless',
+  '-compression_level',
+  '-quality',
+  '-speed',
+  '-deadline',
+  '-cpu-used',
+  '-row-mt',
+  '-tile-columns',
+  '-auto-alt-ref',
+  '-lag-in-frames',
+  '-crf_max',
+  '-rc',
+  '-timecode',
+  '-display_rotation',
+  '-id3v2_version',
+  '-write_id3v1',
+  '-fs',
+  '-timelimit',
+  '-stats_period',
+  '-enc_time_base',
+  '-copytb',
+  '-top',
+  '-seek_timestamp',
+  '-dump_attachment'
+]);
+const FFMPEG_READ_FLAGS = ['-i', '-attach', '-filter_script', '-filter_complex_script', '-hls_key_info_file'];
+const FFMPEG_WRITE_FLAGS = [
+  '-passlogfile',
+  '-vstats_file',
+  '-progress',
+  '-sdp_file',
+  '-hls_segment_filename',
+  '-segment_list',
+  '-hls_fmp4_init_filename'
+];
+const FFMPEG_FILTER_FLAG = /^-(?:vf|af|filter(?::[a-z0-9:]*)?|filter_complex|lavfi)$/;
+// Protocols that wrap another file name after their own prefix.
+const FFMPEG_WRAPPER_PROTOCOLS = ['async', 'cache', 'crypto'];
+const NULL_DEVICES = ['/dev/null', 'NUL'];
+// Filters that open files, with the option names holding the path; `positional` filters take the path as their first value.
+const FFMPEG_FILE_FILTERS = {
+  subtitles: { positional: true, keys: ['filename', 'f'] },
+  ass: { positional: true, keys: ['filename', 'f'] },
+  movie: { positional: true, keys: ['filename'] },
+  amovie: { positional: true, keys: ['filename'] },
+  lut3d: { positional: true, keys: ['file'] },
+  lut1d: { positional: true, keys: ['file'] },
+  sendcmd: { positional: false, keys: ['filename', 'f'] },
+  asendcmd: { positional: false, keys: ['filename', 'f'] },
+  drawtext: { positional: false, keys: ['fontfile', 'textfile'] }
+};
+
+const FFPROBE_VALUE_FLAGS = [
+  '-v',
+  '-loglevel',
+  '-of',
+  '-print_format',
+  '-output_format',
+  '-select_streams',
+  '-show_entries',
+  '-read_intervals',
+  '-f',
+  '-analyzeduration',
+  '-probesize',
+  '-threads'
+];
+
+// ImageMagick coders that generate an image instead of reading a file. `label:@file` and `caption:@file` still read one.
+const MAGICK_BUILTIN_CODERS = [
+  'xc',
+  'canvas',
+  'gradient',
+  'radial-gradient',
+  'pattern',
+  'plasma',
+  'fractal',
+  'label',
+  'caption',
+  'rose',
+  'logo',
+  'wizard',
+  'granite',
+  'netscape',
+  'hald',
+  'null'
+];
+const MAGICK_WRITE_FLAGS = ['-write', '+write'];
+// Options whose values are free text rather than file names. A value starting with `@` is still read from a file,
+// and `-draw` primitives such as `image over 0,0 0,0 'logo.png'` open images.
+const MAGICK_TEXT_FLAGS = { '-annotate': 2, '-draw': 1, '-format': 1, '-comment': 1, '-label': 1, '-set': 2, '-define': 1, '-fx': 1 };
+
+const EXIFTOOL_VALUE_FLAGS = [
+  '-ext',
+  '-extension',
+  '-if',
+  '-p',
+  '-printformat',
+  '-d',
+  '-dateformat',
+  '-charset',
+  '-lang',
+  '-api',
+  '-fileorder',
+  '-x',
+  '-exclude',
+  '-userparam',
+  '-sep',
+  '-separator',
+  '-c',
+  '-coordformat',
+  '-i',
+  '-ignore'
+];
+// Options naming files through a format such as `%d%f.txt`; `!` and `+` suffixes (`-w!`) only change how they write.
+const EXIFTOOL_FORMAT_FLAGS = { '-w': 'write', '-textout': 'write', '-srcfile': 'read' };
+
+const YTDLP_FILE_FLAGS = {
+  '-o': 'write',
+  '--output': 'write',
+  '-P': 'write',
+  '--paths': 'write',
+  '--download-archive': 'write',
+  '-a': 'read',
+  '--batch-file': 'read',
+  '--cookies': 'read',
+  '--load-info-json': 'read',
+  '--config-location': 'read',
+  '--config-locations': 'read'
+};
+
+/** @type {Record<string, (args: string[]) => FileOperand[]>} */
+const PARSERS = {
+  ffmpeg: listFfmpegOperands,
+  ffprobe: listFfprobeOperands,
+  magick: listMagickOperands,
+  exiftool: listExiftoolOperands,
+  'yt-dlp': listYtDlpOperands
+};
+
+/**
+ * Finds the files a command will read or write, from its options, operands, protocol and coder prefixes
+ * and file-opening filters. Network URLs, pipes and generated inputs (`-f lavfi`, `xc:`) are not files.
+ * Commands without a parser yield nothing.
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {FileOperand[]}
+ */
+export function listFileOperands(command, args) {
+  const parser = PARSERS[command];
+  return parser ? parser(args) : [];
+}
+
+/**
+ * Splits an ffmpeg filtergraph into filter segments (name and options), skipping link labels and quoted option values.
+ * @param {string} graph
+ * @returns {string[]}
+ */
+export function splitFilterGraph(graph) {
+  const segments = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < graph.length; index += 1) {
+    const char = graph[index];
+    if (char === '\\') {
+      current += char + (graph[index + 1] ?? '');
+      index += 1;
+    } else if (char === "'") {
+      quoted = !quoted;
+      current += char;
+    } else if (!quoted && (char === ',' || char === ';')) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current);
+  return segments.map((segment) => segment.trim().replace(/^(\[[^\]]*\]\s*)+/, ''));
+}
+
+/**
+ * Lists the unescaped option values of every filter in a filtergraph,
+ * e.g. `http://host:8080/x.mp4` for `movie=http\://host\:8080/x.mp4`.
+ * @param {string} graph
+ * @returns {string[]}
+ */
+export function listFilterOptionValues(graph) {
+  return splitFilterGraph(graph).flatMap((segment) => {
+    const name = segment.match(/^[A-Za-z0-9_]+/)?.[0];
+    if (!name || segment[name.length] !== '=') {
+      return [];
+    }
+    return splitFilterOptions(segment.slice(name.length + 1)).map((option) => unquote(option.replace(/^[A-Za-z0-9_]+=/, '')));
+  });
+}
+
+/**
+ * @param {string[]} args
+ * @returns {FileOperand[]}
+ */
+function listFfmpegOperands(args) {
+  /** @type {FileOperand[]} */
+  const operands = [];
+  let format = null;
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (!arg.startsWith('-') || arg === '-') {
+      operands.push(...ffmpegUrlOperands(arg, 'write', index, 'output operand'));
+      format = null;
+      continue;
+    }
+    // Stream specifiers such as `-c:v` or `-metadata:s:a:0` do not change what the option takes.
+    const flag = FFMPEG_FILTER_FLAG.test(arg) ? arg : arg.replace(/^(-[^:]+):.*$/s, '$1');
+    if (FFMPEG_BOOLEAN_FLAGS.has(flag)) {
+      continue;
+    }
+    const value = args[index + 1];
+    index += 1;
+    if (typeof value !== 'string') {
+      break;
+    }
+    if (arg === '-f') {
+      format = value;
+    } else if (arg === '-i' && format === 'lavfi') {
+      operands.push(...filterGraphOperands(value, index));
+      format = null;
+    } else if (FFMPEG_READ_FLAGS.includes(arg)) {
+      operands.push(...ffmpegUrlOperands(value, 'read', index, arg));
+      if (arg === '-i') {
+        format = null;
+      }
+    } else if (FFMPEG_WRITE_FLAGS.includes(arg)) {
+      operands.push(...ffmpegUrlOperands(value, 'write', index, arg));
+    } else if (FFMPEG_FILTER_FLAG.test(arg)) {
+      operands.push(...filterGraphOperands(value, index));
+    } else if (!FFMPEG_VALUE_FLAGS.has(flag)) {
+      operands.push(...ffmpegUrlOperands(value, 'write', index, `value of ${arg}, an option not known to take a value`));
+    }
+  }
+  return operands;
+}
+
+/**
+ * Reads the file names out of an ffmpeg input or output URL.
+ * @param {string} value
+ * @param {'read'|'write'} access
+ * @param {number} argIndex
+ * @param {string} via
+ * @returns {FileOperand[]}
+ */
+function ffmpegUrlOperands(value, access, argIndex, via) {
+  if (value === '-' || NULL_DEVICES.includes(value)) {
+    return [];
+  }
+  const match = value.match(/^([A-Za-z][A-Za-z0-9+.-]+):(.*)$/s);
+  if (!match) {
+    return [{ path: value, access, argIndex, via }];
+  }
+  const [, scheme, rest] = match;
+  const protocol = scheme.toLowerCase();
+  if (rest.startsWith('//') || protocol === 'pipe' || protocol === 'fd' || protocol === 'data') {
+    return [];
+  }
+  if (protocol === 'file') {
+    return [{ path: rest, access, argIndex, via: `${via} (file:)` }];
+  }
+  if (protocol === 'concat') {
+    return rest.split('|').flatMap((part) => ffmpegUrlOperands(part, access, argIndex, `${via} (concat:)`));
+  }
+  if (protocol === 'concatf') {
+    return [{ path: rest, access: 'read', argIndex, via: `${via} (concatf:)` }];
+  }
+  if (protocol === 'subfile') {
+    const separator = rest.lastIndexOf(',:');
+    return ffmpegUrlOperands(separator === -1 ? rest : rest.slice(separator + 2), access, argIndex, `${via} (subfile:)`);
+  }
+  if (FFMPEG_WRAPPER_PROTOCOLS.includes(protocol)) {
+    return ffmpegUrlOperands(rest, access, argIndex, `${via} (${protocol}:)`);
+  }
+  // ffmpeg treats any other prefix as a protocol it does not know, so the whole value is checked as a path.
+  return [{ path: value, access, argIndex, via }];
+}
+
+/**
+ * Finds the files opened by filters such as `subtitles=subs.srt` or `movie=logo.png`.
+ * @param {string} graph
+ * @param {number} argIndex
+ * @returns {FileOperand[]}
+ */
+function filterGraphOperands(graph, argIndex) {
+  /** @type {FileOperand[]} */
+  const operands = [];
+  splitFilterGraph(graph).forEach((segment) => {
+    const name = segment.match(/^[A-Za-z0-9_]+/)?.[0];
+    const spec = name ? FFMPEG_FILE_FILTERS[name] : undefined;
+    if (!name || !spec || segment[name.length] !== '=') {
+      return;
+    }
+    splitFilterOptions(segment.slice(name.length + 1)).forEach((option, position) => {
+      const separator = option.indexOf('=');
+      const key = separator === -1 ? null : option.slice(0, separator);
+      const value = separator === -1 ? option : option.slice(separator + 1);
+      if ((key === null && position === 0 && spec.positional) || (key !== null && spec.keys.includes(key))) {
+        // Filters such as `movie` also open URLs; those are left to the network policy.
+        operands.push(...ffmpegUrlOperands(unquote(value), 'read', argIndex, `${name} filter`));
+      }
+    });
+  });
+  return operands;
+}
+
+/**
+ * @param {string} options
+ * @returns {string[]}
+ */
+function splitFilterOptions(options) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < options.length; index += 1) {
+    const char = options[index];
+    if (char === '\\') {
+      current += options[index + 1] ?? '';
+      index += 1;
+    } else if (char === "'") {
+      quoted = !quoted;
+    } else if (!quoted && char === ':') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/s, '$2');
+}
+
+/**
+ * @param {string[]} args
+ * @returns {FileOperand[]}
+ */
+function listFfprobeOperands(args) {
+  /** @type {FileOperand[]} */
+  const operands = [];
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (arg === '-i' || arg === '-o') {
+      index += 1;
+      if (typeof args[index] === 'string') {
+        operands.push(...ffmpegUrlOperands(args[index], arg === '-o' ? 'write' : 'read', index, arg));
+      }
+    } else if (FFPROBE_VALUE_FLAGS.includes(arg)) {
+      index += 1;
+    } else if (!arg.startsWith('-') || arg === '-') {
+      operands.push(...ffmpegUrlOperands(arg, 'read', index, 'input operand'));
+    }
+  }
+  return operands;
+}
+
+/**
+ * @param {string[]} args
+ * @returns {FileOperand[]}
+ */
+function listMagickOperands(args) {
+  /** @type {FileOperand[]} */
+  const operands = [];
+  const identify = args[0] === 'identify';
+  const positional = [];
+  for (let index = identify ? 1 : 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (MAGICK_WRITE_FLAGS.includes(arg)) {
+      index += 1;
+      if (typeof args[index] === 'string') {
+        operands.push(...magickFileOperands(args[index], 'write', index, arg));
+      }
+    } else if (MAGICK_TEXT_FLAGS[arg]) {
+      const last = index + MAGICK_TEXT_FLAGS[arg];
+      for (index += 1; index <= last && index < args.length; index += 1) {
+        operands.push(...magickTextOperands(arg, args[index], index));
+      }
+      index -= 1;
+    } else if (!/^[-+]./.test(arg)) {
+      positional.push(index);
+    }
+  }
+  // The last operand of a conversion is the file it writes.
+  const outputIndex = identify ? -1 : positional[positional.length - 1];
+  positional.forEach((index) => {
+    const output = index === outputIndex;
+    operands.push(...magickFileOperands(args[index], output ? 'write' : 'read', index, output ? 'output operand' : 'operand'));
+  });
+  operands.sort((a, b) => a.argIndex - b.argIndex);
+  return operands;
+}
+
+/**
+ * Reads the file name from a magick file argument: `@list.txt`, `FORMAT:file`, `msl:script.msl`, `text:notes.txt`,
+ * `ephemeral:file` or a plain name with an optional `[frame]` or `[geometry]` suffix.
+ * @param {string} value
+ * @param {'read'|'write'} access
+ * @param {number} argIndex
+ * @param {string} via
+ * @returns {FileOperand[]}
+ */
+function magickFileOperands(value, access, argIndex, via) {
+  if (value === '-' || value === '') {
+    return [];
+  }
+  if (value.startsWith('@')) {
+    return [{ path: value.slice(1), access: 'read', argIndex, via: `${via} (@ file list)` }];
+  }
+  const coder = value.match(/^([A-Za-z0-9-]{2,}):(?!\/\/)(.*)$/s);
+  if (coder) {
+    const [, name, rest] = coder;
+    const lowered = name.toLowerCase();
+    if (MAGICK_BUILTIN_CODERS.includes(lowered)) {
+      return rest.startsWith('@') ? [{ path: rest.slice(1), access: 'read', argIndex, via: `${lowered}:@ text file` }] : [];
+    }
+    if (lowered === 'fd') {
+      return [];
+    }
+    return magickFileOperands(rest, access, argIndex, `${lowered}: coder`);
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return [];
+  }
+  return [{ path: value.replace(/\[[^\]]*\]$/, ''), access, argIndex, via }];
+}
+
+/**
+ * Finds the files read through a text option: `@file` values and the `image` and `text '@file'` primitives of `-draw`.
+ * @param {string} flag
+ * @param {string} value
+ * @param {number} argIndex
+ * @returns {FileOperand[]}
+ */
+function magickTextOperands(flag, value, argIndex) {
+  if (value.startsWith('@')) {
+    return [{ path: value.slice(1), access: 'read', argIndex, via: `${flag} @ text file` }];
+  }
+  if (flag !== '-draw') {
+    return [];
+  }
+  /** @type {FileOperand[]} */
+  const operands = [];
+  for (const match of value.matchAll(/\bimage\s+\S+\s+\S+\s+\S+\s+(?:'([^']*)'|"([^"]*)"|(\S+))/gi)) {
+    operands.push(...magickFileOperands(match[1] ?? match[2] ?? match[3] ?? '', 'read', argIndex, '-draw image'));
+  }
+  for (const match of value.matchAll(/\btext\s+\S+\s+['"]?@([^'"\s]+)/gi)) {
+    operands.push({ path: match[1], access: 'read', argIndex, via: '-draw text @ file' });
+  }
+  return operands;
+}
+
+/**
+ * @param {string[]} args
+ * @returns {FileOperand[]}
+ */
+function listExiftoolOperands(args) {
+  /** @type {FileOperand[]} */
+  const operands = [];
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    const lowered = arg.toLowerCase();
+    if (lowered === '-o' || lowered === '-out') {
+      index += 1;
+      if (typeof args[index] === 'string' && args[index] !== '-') {
+        operands.push({ path: args[index], access: 'write', argIndex: index, via: arg });
+      }
+    } else if (lowered === '-tagsfromfile' || lowered === '-@' || lowered === '-geotag') {
+      index += 1;
+      const value = args[index];
+      if (typeof value === 'string' && value !== '@' && value !== '-' && !value.includes('%')) {
+        operands.push({ path: value, access: 'read', argIndex: index, via: arg });
+      }
+    } else if (EXIFTOOL_FORMAT_FLAGS[lowered.replace(/[!+]+$/, '')]) {
+      index += 1;
+      if (typeof args[index] === 'string' && args[index] !== '-') {
+        const access = EXIFTOOL_FORMAT_FLAGS[lowered.replace(/[!+]+$/, '')] === 'read' ? 'read' : 'write';
+        operands.push({ path: exiftoolFormatDirectory(args[index]), access, argIndex: index, via: arg });
+      }
+    } else if (EXIFTOOL_VALUE_FLAGS.includes(lowered)) {
+      index += 1;
+    } else if (arg.startsWith('-')) {
+      const imported = arg.match(/^-(?:csv|json)=(.+)$/i) || arg.match(/^-[^=<]+<=(.+)$/);
+      if (imported && !imported[1].includes('%')) {
+        operands.push({ path: imported[1], access: 'read', argIndex: index, via: arg.split(/<?=/)[0] });
+      }
+    } else {
+      operands.push({ path: arg, access: 'read', argIndex: index, via: 'operand' });
+    }
+  }
+  return operands;
+}
+
+/**
+ * Reads the part of an exiftool `-w` / `-srcfile` format that can be checked: the fixed directory before the first
+ * `%` escape. A bare extension (`txt`) or a format starting with an escape (`%d%f.txt`) names files next to each
+ * source file, so the value is returned as is and resolves against the command's directory.
+ * @param {string} format
+ * @returns {string}
+ */
+function exiftoolFormatDirectory(format) {
+  const escape = format.indexOf('%');
+  if (escape === -1) {
+    return format;
+  }
+  const fixed = format.slice(0, escape);
+  const slash = fixed.lastIndexOf('/');
+  return slash === -1 ? format : fixed.slice(0, slash + 1);
+}
+
+/**
+ * yt-dlp operands are URLs; only the options that name files or directories are checked.
+ * @param {string[]} args
+ * @returns {FileOperand[]}
+ */
+function listYtDlpOperands(args) {
+  /** @type {FileOperand[]} */
+  const operands = [];
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    const separator = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = separator === -1 ? arg : arg.slice(0, separator);
+    const access = YTDLP_FILE_FLAGS[flag];
+    if (!access) {
+      continue;
+    }
+    let value = separator === -1 ? args[index + 1] : arg.slice(separator + 1);
+    if (separator === -1) {
+      index += 1;
+    }
+    if (typeof value !== 'string' || value === '-') {
+      continue;
+    }
+    // Output templates and paths may be limited to one kind of file, e.g. `thumbnail:%(title)s.%(ext)s` or `temp:tmp`.
+    value = value.replace(/^[a-z_]+:(?!\/\/|\\)/, '');
+    operands.push({ path: value, access, argIndex: index, via: flag });
+  }
+  return operands;
+}
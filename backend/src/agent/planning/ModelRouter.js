@@ -0,0 +1,68 @@
+// @ts-check
+
+/** @typedef {import('../index.js').AgentRequest} AgentRequest */
+/** @typedef {{model: string|null, reason: string}} ModelChoice */
+
+// Words that chain several operations in one request ("trim it, then add a fade").
+const MULTI_STEP_PATTERN =
+  /\b(then|after that|afterwards|followed by|next|finally|and also)\b|その後|そのあと|それから|次に|てから|さらに|最後に|続けて/i;
+const LIGHT_TASK_MAX_LENGTH = 200;
+
+/**
+ * Picks the planning model for a request.
+ * Single-file, single-step requests go to the cheaper `lightModel`; requests with several inputs,
+ * re-plans after a failed execution and retries of a failed task go to the stronger `strongModel`.
+ * Everything else, and any tier without a configured model, uses `defaultModel`.
+ * The returned `reason` is a short sentence for the plan phase meta.
+ */
+export class ModelRouter {
+  /**
+   * @param {{defaultModel?: string|null, lightModel?: string|null, strongModel?: string|null}} [options]
+   */
+  constructor(options = {}) {
+    this.defaultModel = options.defaultModel || null;
+    this.lightModel = options.lightModel || null;
+    this.strongModel = options.strongModel || null;
+  }
+
+  /**
+   * @param {AgentRequest} request
+   * @param {{repair?: boolean, retry?: boolean}} [options] `repair` for re-plans after a failed execution, `retry` for a new request about a task that failed before.
+   * @returns {ModelChoice}
+   */
+  route(request, options = {}) {
+    const fileCount = Array.isArray(request.files) ? request.files.length : 0;
+    if (options.repair) {
+      return this.choose(this.strongModel, 'Re-planning after a failed execution.');
+    }
+    if (options.retry) {
+      return this.choose(this.strongModel, 'Retrying a task that failed before.');
+    }
+    if (fileCount > 1) {
+      return this.choose(this.strongModel, `The task works with ${fileCount} input files.`);
+    }
+    if (isSingleStepIntent(request.task)) {
+      return this.choose(this.lightModel, fileCount === 0 ? 'Single-step task without input files.' : 'Single-file, single-step task.');
+    }
+    return { model: this.defaultModel, reason: 'The task may need several steps.' };
+  }
+
+  /**
+   * @param {string|null} model
+   * @param {string} reason
+   * @returns {ModelChoice}
+   */
+  choose(model, reason) {
+    return model ? { model, reason } : { model: this.defaultModel, reason: `${reason} No routing model is configured for it.` };
+  }
+}
+
+/**
+ * Short requests that do not chain operations are treated as a single step.
+ * @param {string} task
+ * @returns {boolean}
+ */
+function isSingleStepIntent(task) {
+  const text = String(task || '').trim();
+  return text.length > 0 && text.length <= LIGHT_TASK_MAX_LENGTH && !MULTI_STEP_PATTERN.test(text);
+}
@@ -0,0 +1,51 @@
+// @ts-check
+
+import { listFilterOptionValues } from './ArgumentPaths.js';
+
+/** @typedef {import('../registry/NetworkPolicy.js').NetworkTarget} NetworkTarget */
+
+const URL_PATTERN = /([A-Za-z][A-Za-z0-9+.-]*):\/\/[^\s'"|,;]+/g;
+// Options whose values are metadata or drawn text, where a URL is not something the tool opens.
+const TEXT_VALUE_FLAG = /^-(?:metadata(?::\S*)?|annotate|draw|comment|label|set|define|format)$/;
+const LOCAL_PROTOCOLS = ['file'];
+
+/**
+ * Finds the URLs a step may open: inputs and outputs such as `http://`, `rtmp://` or `tcp://`,
+ * including ones inside `concat:` lists and filter options. Filter option values are unescaped first,
+ * so `movie=http\://host\:8080/x.mp4` is found too. Values of metadata and text options are skipped.
+ * @param {string[]} args
+ * @returns {NetworkTarget[]}
+ */
+export function listNetworkTargets(args) {
+  /** @type {NetworkTarget[]} */
+  const targets = [];
+  args.forEach((arg, index) => {
+    if (index > 0 && TEXT_VALUE_FLAG.test(args[index - 1])) {
+      return;
+    }
+    const found = new Set();
+    [arg, arg.replace(/\\(.)/gs, '$1'), ...listFilterOptionValues(arg)].forEach((candidate) => {
+      for (const match of candidate.matchAll(URL_PATTERN)) {
+        const protocol = match[1].toLowerCase().split('+').pop() || '';
+        if (!LOCAL_PROTOCOLS.includes(protocol) && !found.has(match[0])) {
+          found.add(match[0]);
+          targets.push({ url: match[0], protocol, host: readHost(match[0]) });
+        }
+      }
+    });
+  });
+  return targets;
+}
+
+/**
+ * @param {string} url
+ * @returns {string|null}
+ */
+function readHost(url) {
+  try {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return host || null;
+  } catch {
+    return null;
+  }
+}
@@ -1,250 +1,547 @@
 // @ts-check
 
 import OpenAI from 'openai';
-import { DEFAULT_MODEL } from '../config/constants.js';
+import { DEFAULT_MAX_VALIDATION_RETRIES, DEFAULT_MODEL } from '../config/constants.js';
+import { generateWithRetries } from '../integrations/ModelCallRetry.js';
+import { ResponsesProvider } from '../integrations/providers/ResponsesProvider.js';
+import { PlanStreamParser } from './PlanStreamParser.js';
 import { PromptBuilder } from './PromptBuilder.js';
 import { PlanValidator } from './PlanValidator.js';
-import { ResponseParser } from './ResponseParser.js';
+import { PlanValidationError } from './PlanValidationError.js';
+import { upgradePlan } from '../shared/PlanSchema.js';
 
 /** @typedef {import('../index.js').ToolRegistry} ToolRegistry */
 /** @typedef {import('../index.js').AgentRequest} AgentRequest */
 /** @typedef {import('../index.js').CommandPlan} CommandPlan */
+/** @typedef {import('../index.js').LLMProvider} LLMProvider */
+/** @typedef {import('../index.js').RepairContext} RepairContext */
+/** @typedef {import('../index.js').Clarification} Clarification */
+/** @typedef {import('../index.js').PlanAlternative} PlanAlternative */
+/** @typedef {import('../index.js').ModelAttempt} ModelAttempt */
 
 /**
- * Generates executable command plans with the OpenAI Responses API.
+ * Generates executable command plans with an LLM provider
+ * (the OpenAI Responses API unless another provider is supplied).
+ * Each model call has a timeout; transient failures are retried with exponential backoff
+ * and `fallbackModels` are tried in order once the primary model gives up.
+ * Plans rejected with a `PlanValidationError` are sent back to the model with the reason up to `maxValidationRetries` times.
+ * When the provider keeps responses server-side (`supportsStoredState`), a request with `previousResponseId`
+ * continues that conversation with a short prompt instead of describing everything again.
  */
 export class OpenAIPlanner {
   /**
-   * @param {OpenAI} client
+   * @param {OpenAI|null} client
    * @param {ToolRegistry} toolRegistry
-   * @param {{model?: string, promptBuilder?: PromptBuilder, planValidator?: PlanValidator}} [options]
+   * @param {{model?: string, provider?: LLMProvider, promptBuilder?: PromptBuilder, planValidator?: PlanValidator, timeoutMs?: number, maxRetries?: number, retryDelayMs?: number, fallbackModels?: string[], maxValidationRetries?: number}} [options]
    */
   constructor(client, toolRegistry, options = {}) {
+    this.id = 'openai';
     this.client = client;
     this.toolRegistry = toolRegistry;
     this.model = options.model || DEFAULT_MODEL;
+    this.provider = options.provider || new ResponsesProvider(client);
+    this.supportsStoredState = Boolean(this.provider.supportsStoredState);
     this.promptBuilder = options.promptBuilder || new PromptBuilder(toolRegistry);
     this.planValidator = options.planValidator || new PlanValidator(toolRegistry);
+    this.callPolicy = {
+      timeoutMs: options.timeoutMs,
+      maxRetries: options.maxRetries,
+      retryDelayMs: options.retryDelayMs,
+      fallbackModels: Array.isArray(options.fallbackModels) ? [...options.fallbackModels] : []
+    };
+    this.maxValidationRetries = options.maxValidationRetries ?? DEFAULT_MAX_VALIDATION_RETRIES;
   }
 
   /**
    * Plans a multi-step command workflow for the given request.
+   * Returns `plan: null` together with a `clarification` when the model needs the user to answer a question first.
+   * With `inquiry`, the plan may only contain read-only probes.
+   * `model` reports which model produced the plan, `attempts` every call made to get there
+   * and `validationRejections` the reasons of plans that were sent back for correction.
+   * `promptWarnings` lists instruction-like content found in file names or metadata.
+   * `model` overrides the configured model for this call (fallback models still apply).
+   * `onPlanDelta` is called with each step while the response streams in (providers without streaming never call it);
+   * the indexes start again from 0 whenever the model is asked again (retry, fallback model or validation feedback).
+   * `responseId` identifies the stored response behind the returned plan so a later request can continue from it.
    * @param {AgentRequest} request
-   * @param {{debug?: boolean, includeRawResponse?: boolean}} [options]
-   * @returns {Promise<{plan: CommandPlan, rawPlan: any, debug?: Record<string, any>}>}
+   * @param {{debug?: boolean, includeRawResponse?: boolean, repair?: RepairContext, inquiry?: boolean, signal?: AbortSignal, model?: string, onPlanDelta?: (delta: {index: number, step: Record<string, any>}) => void}} [options]
+   * @returns {Promise<{plan: CommandPlan|null, rawPlan: any, planner: string, model: string, attempts: ModelAttempt[], validationRejections: string[], promptWarnings: string[], responseId: string|null, clarification?: Clarification, debug?: Record<string, any>}>}
    */
   async plan(request, options = {}) {
-    const developerPrompt = await this.promptBuilder.build(request);
-    /** @type {OpenAI.Responses.ResponseCreateParamsNonStreaming} */
-    const responsePayload = {
-      model: this.model,
-      input: [
-        {
-          role: 'developer',
-          content: [
-            {
-              type: 'input_text',
-              text: developerPrompt
-            }
-          ]
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'input_text',
-              text: request.task
-            }
-          ]
+    /** @type {ModelAttempt[]} */
+    const attempts = [];
+    /** @type {string[]} */
+    const validationRejections = [];
+    /** @type {string[]} */
+    const promptWarnings = [];
+    let validationFeedback;
+
+    for (;;) {
+      const promptOptions = {
+        repair: options.repair,
+        inquiry: options.inquiry,
+        validationFeedback,
+        warnings: validationFeedback ? undefined : promptWarnings
+      };
+      const developerPrompt = this.continuesConversation(request)
+        ? await this.promptBuilder.buildContinuation(request, promptOptions)
+        : await this.promptBuilder.build(request, promptOptions);
+      let generated;
+      try {
+        generated = await this.generateStructured(request, developerPrompt, this.buildResponseFormat(), {
+          signal: options.signal,
+          model: options.model,
+          onStep: options.onPlanDelta ? (step, index) => options.onPlanDelta({ index, step }) : undefined
+        });
+      } catch (error) {
+        appendAttempts(attempts, error?.attempts);
+        if (error && typeof error === 'object') {
+          error.attempts = attempts;
         }
-      ],
-      text: {
-        format: this.buildResponseFormat(),
-        verbosity: 'medium'
-      },
-      reasoning: {
-        effort: 'low'
-      },
-      tools: [],
-      store: true,
-      include: ['reasoning.encrypted_content', 'web_search_call.action.sources']
+        throw error;
+      }
+      appendAttempts(attempts, generated.attempts);
+      const normalized = this.normalizePlanStructure(generated.parsed);
+      const clarification = normalizeClarification(generated.parsed?.clarification);
+      const debug = this.buildDebugInfo(options, developerPrompt, generated, normalized);
+      const result = {
+        rawPlan: normalized,
+        planner: this.id,
+        model: generated.model,
+        attempts,
+        validationRejections,
+        promptWarnings,
+        responseId: generated.responseId ?? null,
+        debug
+      };
+
+      if (clarification) {
+        return { plan: null, ...result, clarification };
+      }
+
+      try {
+        const validationOptions = { files: request.files, inputDir: request.inputDir };
+        const plan = options.inquiry
+          ? this.planValidator.validateInquiry(normalized, request.outputDir, validationOptions)
+          : this.planValidator.validate(normalized, request.outputDir, validationOptions);
+        return { plan, ...result };
+      } catch (error) {
+        if (error instanceof PlanValidationError && validationRejections.length < this.maxValidationRetries) {
+          validationRejections.push(error.message);
+          validationFeedback = { message: error.message, previousPlan: normalized };
+          continue;
+        }
+        throw attachPlanContext(error, normalized, { responseText: generated.responseText, attempts }, debug);
+      }
+    }
+  }
+
+  /**
+   * Asks the model for two or three alternative plans with their trade-offs.
+   * Every candidate is validated on its own; invalid candidates are reported in `discarded`.
+   * @param {AgentRequest} request
+   * @param {{debug?: boolean, includeRawResponse?: boolean, signal?: AbortSignal, model?: string}} [options]
+   * @returns {Promise<{alternatives: PlanAlternative[], discarded: Array<{label: string, reason: string}>, rawPlan: any, planner: string, model: string, attempts: ModelAttempt[], promptWarnings: string[], debug?: Record<string, any>}>}
+   */
+  async planAlternatives(request, options = {}) {
+    /** @type {string[]} */
+    const promptWarnings = [];
+    const developerPrompt = await this.promptBuilder.build(request, { alternatives: true, warnings: promptWarnings });
+    const generated = await this.generateStructured(
+      request,
+      developerPrompt,
+      this.buildAlternativesResponseFormat(),
+      { signal: options.signal, model: options.model }
+    );
+    const candidates = Array.isArray(generated.parsed?.alternatives) ? generated.parsed.alternatives : [];
+    const debug = this.buildDebugInfo(options, developerPrompt, generated, candidates);
+
+    /** @type {PlanAlternative[]} */
+    const alternatives = [];
+    /** @type {Array<{label: string, reason: string}>} */
+    const discarded = [];
+    let firstError = null;
+    candidates.forEach((candidate, index) => {
+      const label = typeof candidate?.label === 'string' && candidate.label.trim() ? candidate.label.trim() : `Option ${index + 1}`;
+      try {
+        const plan = this.planValidator.validate(this.normalizePlanStructure(candidate), request.outputDir, {
+          files: request.files,
+          inputDir: request.inputDir
+        });
+        alternatives.push({
+          id: `alt-${alternatives.length + 1}`,
+          label,
+          tradeoff: typeof candidate?.tradeoff === 'string' ? candidate.tradeoff : '',
+          estimate: normalizeEstimate(candidate?.estimate),
+          plan
+        });
+      } catch (error) {
+        firstError = firstError || error;
+        discarded.push({ label, reason: error?.message || String(error) });
+      }
+    });
+
+    if (alternatives.length === 0) {
+      throw attachPlanContext(
+        firstError || new Error('The model did not return any alternative plans.'),
+        candidates,
+        generated,
+        debug
+      );
+    }
+    return {
+      alternatives,
+      discarded,
+      rawPlan: candidates,
+      planner: this.id,
+      model: generated.model,
+      attempts: generated.attempts,
+      promptWarnings,
+      debug
     };
+  }
 
-    console.log('[planner request]', JSON.stringify(responsePayload, null, 2));
+  /**
+   * Whether the request continues a stored conversation this planner's provider can resume.
+   * Without stored state `previousResponseId` is ignored and the request is planned from scratch.
+   * @param {AgentRequest} request
+   * @returns {boolean}
+   */
+  continuesConversation(request) {
+    return this.supportsStoredState && typeof request.previousResponseId === 'string' && request.previousResponseId !== '';
+  }
 
-    const response = await this.client.responses.create(responsePayload);
+  /**
+   * Sends the prompt through the provider (with timeout, retries and fallback models) and parses the JSON response.
+   * Errors carry the `attempts` made so far.
+   * With `onStep`, the response is streamed and each entry of its `steps` array is reported as soon as it is complete.
+   * @param {AgentRequest} request
+   * @param {string} developerPrompt
+   * @param {{name: string, schema: Record<string, any>, strict?: boolean}} responseFormat
+   * @param {{signal?: AbortSignal, model?: string, onStep?: (step: Record<string, any>, index: number) => void}} [callOptions]
+   * @returns {Promise<{parsed: any, responseText: string, response: any, requestPayload: any, model: string, attempts: ModelAttempt[], responseId: string|null}>}
+   */
+  async generateStructured(request, developerPrompt, responseFormat, callOptions = {}) {
+    /** @type {import('../index.js').LLMGenerateRequest} */
+    const generateRequest = {
+      model: callOptions.model || this.model,
+      instructions: developerPrompt,
+      input: request.task,
+      jsonSchema: {
+        name: responseFormat.name,
+        schema: responseFormat.schema,
+        strict: responseFormat.strict
+      }
+    };
+    if (this.continuesConversation(request)) {
+      generateRequest.previousResponseId = request.previousResponseId;
+    }
+    if (callOptions.onStep) {
+      const parser = new PlanStreamParser(callOptions.onStep);
+      generateRequest.onTextDelta = (delta, text) => {
+        if (text.length === delta.length) {
+          parser.reset();
+        }
+        parser.push(delta);
+      };
+    }
+    const generated = await generateWithRetries(this.provider, generateRequest, {
+      ...this.callPolicy,
+      signal: callOptions.signal
+    });
+    const { text: responseText, response, requestPayload, model, attempts } = generated;
+    const responseId = generated.responseId ?? null;
 
-    const responseText = ResponseParser.extractText(response);
     let parsed;
     try {
       parsed = JSON.parse(responseText);
     } catch (error) {
-      throw new Error(`Failed to parse OpenAI response as JSON: ${error.message}`);
+      const parseError = new Error(`Failed to parse OpenAI response as JSON: ${error.message}`);
+      throw Object.assign(parseError, { attempts });
     }
+    return { parsed, responseText, response, requestPayload, model, attempts, responseId };
+  }
 
-    const normalized = this.normalizePlanStructure(parsed);
+  /**
+   * Collects debug details for the caller when debug mode is enabled.
+   * @param {{debug?: boolean, includeRawResponse?: boolean}} options
+   * @param {string} developerPrompt
+   * @param {{responseText: string, response: any, requestPayload: any, model: string}} generated
+   * @param {any} parsed
+   * @returns {Record<string, any>|undefined}
+   */
+  buildDebugInfo(options, developerPrompt, generated, parsed) {
+    if (!options.debug) {
+      return undefined;
+    }
+    return {
+      model: generated.model,
+      provider: this.provider.id,
+      developerPrompt,
+      requestPayload: safeSerialize(generated.requestPayload),
+      responseText: generated.responseText,
+      parsed,
+      rawResponse: options.includeRawResponse ? safeSerialize(generated.response) : undefined
+    };
+  }
 
-    const debug = options.debug
-      ? {
-        model: this.model,
-        developerPrompt,
-        requestPayload: safeSerialize(responsePayload),
-        responseText,
-        parsed: normalized,
-        rawResponse: options.includeRawResponse ? safeSerialize(response) : undefined
+  /**
+   * Builds a JSON schema describing the multi-step command plan.
+   * Strict structured outputs require every property to be listed in `required`,
+   * so optional fields are declared as nullable instead of being left out.
+   * Strict mode cannot tie `steps` to `clarification`, so the schema allows no steps and
+   * PlanValidator rejects an empty plan that comes without a question.
+   * @returns {OpenAI.Responses.ResponseFormatTextJSONSchemaConfig}
+   */
+  buildResponseFormat() {
+    return {
+      type: 'json_schema',
+      name: 'command_plan',
+      strict: true,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['clarification', 'overview', 'followUp', 'steps'],
+        properties: {
+          clarification: {
+            type: ['object', 'null'],
+            description: 'Question for the user when the task is too ambiguous to plan; null otherwise.',
+            additionalProperties: false,
+            required: ['question', 'choices'],
+            properties: {
+              question: {
+                type: 'string',
+                description: 'A single, concise question for the user.'
+              },
+              choices: {
+                type: 'array',
+                description: 'Suggested answers; empty when the answer is free-form.',
+                items: {
+                  type: 'string'
+                }
+              }
+            }
+          },
+          overview: {
+            type: ['string', 'null'],
+            description: 'High level summary of the approach; null when not needed.'
+          },
+          followUp: {
+            type: ['string', 'null'],
+            description: 'Follow-up guidance for the operator; null when not needed.'
+          },
+          steps: this.buildStepsSchema({ allowEmpty: true })
+        }
       }
-      : undefined;
+    };
+  }
 
-    try {
-      const plan = this.planValidator.validate(normalized, request.outputDir);
-      return { plan, rawPlan: normalized, debug };
-    } catch (error) {
-      if (error && typeof error === 'object') {
-        /** @type {Record<string, any>} */
-        const errorObj = error;
-        errorObj.rawPlan = normalized;
-        if (debug) {
-          errorObj.debug = debug;
+  /**
+   * Builds the JSON schema for the ordered command steps shared by every plan format.
+   * @param {{allowEmpty?: boolean}} [options] `allowEmpty` lets a plan that only asks a clarification question omit its steps.
+   * @returns {Record<string, any>}
+   */
+  buildStepsSchema(options = {}) {
+    return {
+      type: 'array',
+      ...(options.allowEmpty ? {} : { minItems: 1 }),
+      description: options.allowEmpty
+        ? 'Ordered command steps to execute; empty when clarification is set.'
+        : 'Ordered command steps to execute.',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['command', 'arguments', 'reasoning', 'outputs', 'id', 'title', 'note'],
+        properties: {
+          command: {
+            type: 'string',
+            description: 'Command name to execute.',
+            enum: this.toolRegistry.listCommandIds()
+          },
+          arguments: {
+            type: 'array',
+            description: 'Ordered command arguments.',
+            items: {
+              type: 'string'
+            }
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Why this step is needed.'
+          },
+          outputs: {
+            type: 'array',
+            description: 'Planned output files.',
+            items: {
+              type: 'object',
+              required: ['path', 'description', 'id'],
+              additionalProperties: false,
+              properties: {
+                path: {
+                  type: 'string'
+                },
+                description: {
+                  type: 'string'
+                },
+                id: {
+                  type: ['string', 'null'],
+                  description: 'Name that arguments use as {{output:ID}}; null when not referenced.'
+                }
+              }
+            }
+          },
+          id: {
+            type: ['string', 'null'],
+            description: 'Identifier for the step; null when not needed.'
+          },
+          title: {
+            type: ['string', 'null'],
+            description: 'Short label for the step; null when not needed.'
+          },
+          note: {
+            type: ['string', 'null'],
+            description: 'Additional explanation or caution; null when not needed.'
+          }
         }
-        errorObj.responseText = responseText;
       }
-      throw error;
-    }
+    };
   }
 
   /**
-   * Builds a JSON schema describing the multi-step command plan.
+   * Builds a JSON schema for two or three alternative plans with their trade-offs.
    * @returns {OpenAI.Responses.ResponseFormatTextJSONSchemaConfig}
    */
-  buildResponseFormat() {
+  buildAlternativesResponseFormat() {
     return {
       type: 'json_schema',
-      name: 'command_plan',
+      name: 'command_plan_alternatives',
       strict: true,
       schema: {
         type: 'object',
         additionalProperties: false,
-        required: ['steps'],
+        required: ['alternatives'],
         properties: {
-          steps: {
+          alternatives: {
             type: 'array',
-            minItems: 1,
-            description: 'Ordered command steps to execute.',
+            minItems: 2,
+            maxItems: 3,
+            description: 'Candidate plans that trade quality, size and speed differently.',
             items: {
               type: 'object',
               additionalProperties: false,
-              required: ['command', 'arguments', 'reasoning', 'outputs'],
+              required: ['label', 'tradeoff', 'estimate', 'overview', 'steps'],
               properties: {
-                command: {
+                label: {
                   type: 'string',
-                  description: 'Command name to execute.',
-                  enum: this.toolRegistry.listCommandIds()
-                },
-                arguments: {
-                  type: 'array',
-                  description: 'Ordered command arguments.',
-                  items: {
-                    type: 'string'
-                  }
+                  description: 'Short name such as "High quality" or "Smallest file".'
                 },
-                reasoning: {
+                tradeoff: {
                   type: 'string',
-                  description: 'Why this step is needed.'
+                  description: 'What this option gains and gives up compared with the others.'
                 },
-                outputs: {
-                  type: 'array',
-                  description: 'Planned output files.',
-                  items: {
-                    type: 'object',
-                    required: ['path', 'description'],
-                    additionalProperties: false,
-                    properties: {
-                      path: {
-                        type: 'string'
-                      },
-                      description: {
-                        type: 'string'
-                      }
+                estimate: {
+                  type: 'object',
+                  additionalProperties: false,
+                  required: ['size', 'time'],
+                  properties: {
+                    size: {
+                      type: 'string',
+                      description: 'Rough output size, e.g. "~5 MB".'
+                    },
+                    time: {
+                      type: 'string',
+                      description: 'Rough processing time, e.g. "~30 s".'
                     }
                   }
-                }
-              }
-            },
-            optionalProperties: {
-              id: {
-                type: 'string',
-                description: 'Optional identifier for the step.'
-              },
-              title: {
-                type: 'string',
-                description: 'Short label for the step.'
-              },
-              note: {
-                type: 'string',
-                description: 'Additional explanation or caution.'
+                },
+                overview: {
+                  type: 'string',
+                  description: 'High level summary of the approach.'
+                },
+                steps: this.buildStepsSchema()
               }
             }
           }
-        },
-        optionalProperties: {
-          overview: {
-            type: 'string',
-            description: 'High level summary of the approach.'
-          },
-          followUp: {
-            type: 'string',
-            description: 'Optional follow-up guidance for the operator.'
-          }
         }
       }
     };
   }
 
   /**
-   * Normalises legacy single-command structures into the multi-step format.
+   * Normalises the model output (including legacy single-command structures) into the current plan schema.
    * @param {any} value
    * @returns {any}
    */
   normalizePlanStructure(value) {
-    if (!value || typeof value !== 'object') {
-      return value;
-    }
+    return upgradePlan(value);
+  }
+}
 
-    if (Array.isArray(value.steps)) {
-      return {
-        overview: typeof value.overview === 'string' ? value.overview : '',
-        followUp: typeof value.followUp === 'string' ? value.followUp : '',
-        steps: value.steps.map((step) => ({
-          command: step?.command,
-          arguments: Array.isArray(step?.arguments) ? [...step.arguments] : [],
-          reasoning: typeof step?.reasoning === 'string' ? step.reasoning : '',
-          outputs: Array.isArray(step?.outputs) ? [...step.outputs] : [],
-          id: typeof step?.id === 'string' ? step.id : undefined,
-          title: typeof step?.title === 'string' ? step.title : undefined,
-          note: typeof step?.note === 'string' ? step.note : undefined
-        }))
-      };
+/**
+ * Attaches the parsed plan, response text and model attempts to a planning error for diagnostics.
+ * @param {any} error
+ * @param {any} rawPlan
+ * @param {{responseText: string, attempts: ModelAttempt[]}} generated
+ * @param {Record<string, any>|undefined} debug
+ * @returns {any}
+ */
+function attachPlanContext(error, rawPlan, generated, debug) {
+  if (error && typeof error === 'object') {
+    /** @type {Record<string, any>} */
+    const errorObj = error;
+    errorObj.rawPlan = rawPlan;
+    if (debug) {
+      errorObj.debug = debug;
     }
+    errorObj.responseText = generated.responseText;
+    errorObj.attempts = generated.attempts;
+  }
+  return error;
+}
 
-    const legacyCommand = typeof value.command === 'string' ? value.command : 'none';
-    const legacyArguments = Array.isArray(value.arguments) ? [...value.arguments] : [];
-    const legacyOutputs = Array.isArray(value.outputs) ? [...value.outputs] : [];
-    const legacyReasoning = typeof value.reasoning === 'string' ? value.reasoning : '';
-    const legacyFollowUp = typeof value.followUp === 'string' ? value.followUp : '';
+/**
+ * Appends the attempts of another model call, numbering them after the ones already made.
+ * @param {ModelAttempt[]} attempts
+ * @param {ModelAttempt[]|undefined} added
+ */
+function appendAttempts(attempts, added) {
+  (Array.isArray(added) ? added : []).forEach((attempt) => {
+    attempts.push({ ...attempt, attempt: attempts.length + 1 });
+  });
+}
 
-    return {
-      overview: legacyReasoning,
-      followUp: legacyFollowUp,
-      steps: [
-        {
-          command: legacyCommand,
-          arguments: legacyArguments,
-          reasoning: legacyReasoning,
-          outputs: legacyOutputs
-        }
-      ]
-    };
+/**
+ * Normalises the rough size/time estimate of an alternative plan.
+ * @param {any} value
+ * @returns {{size: string, time: string}|null}
+ */
+function normalizeEstimate(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  return {
+    size: typeof value.size === 'string' ? value.size : '',
+    time: typeof value.time === 'string' ? value.time : ''
+  };
+}
+
+/**
+ * Extracts a usable clarification request from the model output.
+ * @param {any} value
+ * @returns {Clarification|null}
+ */
+function normalizeClarification(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const question = typeof value.question === 'string' ? value.question.trim() : '';
+  if (!question) {
+    return null;
   }
+  const choices = Array.isArray(value.choices)
+    ? value.choices.filter((choice) => typeof choice === 'string' && choice.trim()).map((choice) => choice.trim())
+    : [];
+  return { question, choices };
 }
 
 /**
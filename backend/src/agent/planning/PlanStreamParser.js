@@ -0,0 +1,120 @@
+// @ts-check
+
+/**
+ * Scans the JSON text of a plan as it streams in and reports each entry of the top-level `steps` array
+ * as soon as its closing brace arrives. Only the new part of the text is scanned on each `push`.
+ * Steps are reported as the model wrote them; they are not validated.
+ */
+export class PlanStreamParser {
+  /**
+   * @param {(step: Record<string, any>, index: number) => void} onStep
+   */
+  constructor(onStep) {
+    this.onStep = onStep;
+    this.reset();
+  }
+
+  /**
+   * Forgets everything scanned so far, e.g. when the model call is retried from the start.
+   */
+  reset() {
+    this.buffer = '';
+    this.position = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = -1;
+    /** @type {string|null} */
+    this.pendingKey = null;
+    /** @type {string|null} */
+    this.currentKey = null;
+    /** @type {'waiting'|'open'|'closed'} */
+    this.stepsState = 'waiting';
+    this.stepStart = -1;
+    this.stepCount = 0;
+  }
+
+  /**
+   * @param {string} delta
+   */
+  push(delta) {
+    this.buffer += delta;
+    for (; this.position < this.buffer.length && this.stepsState !== 'closed'; this.position += 1) {
+      this.scan(this.buffer[this.position], this.position);
+    }
+  }
+
+  /**
+   * @param {string} char
+   * @param {number} index
+   */
+  scan(char, index) {
+    if (this.inString) {
+      if (this.escaped) {
+        this.escaped = false;
+      } else if (char === '\\') {
+        this.escaped = true;
+      } else if (char === '"') {
+        this.inString = false;
+        if (this.depth === 1) {
+          this.pendingKey = this.buffer.slice(this.stringStart + 1, index);
+        }
+      }
+      return;
+    }
+
+    switch (char) {
+      case '"':
+        this.inString = true;
+        this.stringStart = index;
+        break;
+      case ':':
+        if (this.depth === 1) {
+          this.currentKey = this.pendingKey;
+        }
+        break;
+      case ',':
+        if (this.depth === 1) {
+          this.currentKey = null;
+        }
+        break;
+      case '{':
+      case '[':
+        this.depth += 1;
+        if (char === '[' && this.depth === 2 && this.currentKey === 'steps' && this.stepsState === 'waiting') {
+          this.stepsState = 'open';
+        } else if (char === '{' && this.stepsState === 'open' && this.depth === 3) {
+          this.stepStart = index;
+        }
+        break;
+      case '}':
+      case ']':
+        if (char === '}' && this.stepsState === 'open' && this.depth === 3 && this.stepStart !== -1) {
+          this.emit(this.buffer.slice(this.stepStart, index + 1));
+          this.stepStart = -1;
+        } else if (char === ']' && this.stepsState === 'open' && this.depth === 2) {
+          this.stepsState = 'closed';
+        }
+        this.depth -= 1;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * @param {string} text
+   */
+  emit(text) {
+    let step;
+    try {
+      step = JSON.parse(text);
+    } catch {
+      return;
+    }
+    if (step && typeof step === 'object' && !Array.isArray(step)) {
+      this.onStep(step, this.stepCount);
+      this.stepCount += 1;
+    }
+  }
+}
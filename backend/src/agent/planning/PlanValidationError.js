@@ -0,0 +1,16 @@
+/**
+ * Validation failure that the planner can fix when it is asked again with the message,
+ * such as a step that uses an encoder, filter or image format this server does not have.
+ */
+export class PlanValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {{stepIndex?: number, code?: string}} [options]
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'PlanValidationError';
+    this.stepIndex = options.stepIndex ?? null;
+    this.code = options.code || 'invalid_plan';
+  }
+}
@@ -1,10 +1,49 @@
 import path from 'node:path';
 
+import { NOTABLE_CAPABILITIES, PLAN_SCHEMA_VERSION } from '../config/constants.js';
+import { listPlaceholders, lookupPlaceholder, resolvePlaceholders } from '../shared/PathPlaceholders.js';
+import { listFileOperands, splitFilterGraph } from './ArgumentPaths.js';
+import { listNetworkTargets } from './NetworkTargets.js';
+import { PlanValidationError } from './PlanValidationError.js';
+
 /** @typedef {import('../registry/ToolRegistry.js').ToolRegistry} ToolRegistry */
 /** @typedef {import('../shared/types.js').CommandPlan} CommandPlan */
+/** @typedef {import('../shared/types.js').CommandStepPlan} CommandStepPlan */
+/** @typedef {import('../shared/types.js').AgentFile} AgentFile */
+
+const JSON_FORMAT_FLAGS = ['-of', '-print_format', '-output_format'];
+const EXIFTOOL_JSON_FLAGS = ['-j', '-json'];
+const EXIFTOOL_WRITE_FLAGS = [
+  '-o',
+  '-out',
+  '-w',
+  '-textout',
+  '-tagsfromfile',
+  '-geotag',
+  '-delete_original',
+  '-restore_original',
+  '-overwrite_original',
+  '-overwrite_original_in_place',
+  '-srcfile'
+];
+const FFMPEG_CODEC_FLAG = /^-(?:c|codec|vcodec|acodec|scodec)(?::[a-z0-9:]*)?$/;
+const FFMPEG_FILTER_FLAG = /^-(?:vf|af|filter(?::[a-z0-9:]*)?|filter_complex|lavfi)$/;
+const IMAGE_FORMAT_ALIASES = { JPG: 'JPEG', TIF: 'TIFF', HEIF: 'HEIC' };
+const FFMPEG_SIZE_FLAG = /^-s(?::v(?::\d+)?)?$/;
+const MAGICK_GEOMETRY_FLAGS = ['-resize', '-adaptive-resize', '-scale', '-sample', '-thumbnail', '-extent'];
+// Stands in for the scratch directory while validating, so `{{scratch}}/...` paths can be checked before it exists.
+const SCRATCH_ROOT = path.resolve(path.sep, '{{scratch}}');
 
 /**
  * Validates command plans produced by the planner before execution.
+ * When the tool registry knows the installed capabilities, steps using an unavailable
+ * encoder, filter or image format are rejected with a `PlanValidationError` the planner can act on.
+ * When a planning policy is configured, output names, forbidden codecs and explicit sizes are checked against it the same way.
+ * Path placeholders in arguments (`{{input:1}}`, `{{output:thumb}}`, `{{scratch}}`) must refer to a known input or declared output.
+ * Files named in arguments must stay inside the session: reads come from the input directory, the request files,
+ * the output directory or scratch; writes go to the output directory or scratch.
+ * Each tool's argument policy from the registry (denied flags, allowed values, required flags) is enforced as well.
+ * Steps that reach the network (yt-dlp, or a tool opening a URL) must be allowed by the deployment's network policy.
  */
 export class PlanValidator {
   /**
@@ -16,11 +55,15 @@ export class PlanValidator {
 
   /**
    * Validates the structure of a command plan and normalises file paths.
+   * Relative output paths are resolved against the output directory; placeholders in arguments are kept.
+   * The returned plan is stamped with the current `schemaVersion`; unset optional step and output fields become null.
    * @param {CommandPlan} plan
    * @param {string} outputDir
+   * @param {{files?: AgentFile[], inputDir?: string}} [options] `files` are the request inputs that `{{input:...}}` placeholders and `{original}` in the naming pattern refer to.
+   * `inputDir` is the session input directory, which relative argument paths resolve against (the output directory without it).
    * @returns {CommandPlan}
    */
-  validate(plan, outputDir) {
+  validate(plan, outputDir, options = {}) {
     if (!plan || typeof plan !== 'object') {
       throw new Error('Command plan is invalid.');
     }
@@ -42,11 +85,62 @@ export class PlanValidator {
     }
 
     const normalizedOutputDir = path.resolve(outputDir);
+    const files = options.files || [];
+    const inputNames = files.map((file) => file.originalName).filter(Boolean);
     plan.steps = plan.steps.map((rawStep, index) => this.validateStep(rawStep, index, normalizedOutputDir));
 
+    const outputs = plan.steps.flatMap((step) => step.outputs);
+    assertUniqueOutputIds(outputs);
+    const placeholderContext = { inputs: files, outputs, scratchDir: SCRATCH_ROOT };
+    const sandbox = describeSandbox(normalizedOutputDir, options.inputDir, files);
+    plan.steps.forEach((step, index) => {
+      const args = this.resolveReferences(step.arguments, index, placeholderContext);
+      this.validateArgumentPaths(step.command, args, index, sandbox);
+      this.validateArgumentPolicy(step.command, args, index, sandbox);
+      this.validateNetworkAccess(step.command, args, index);
+      this.validateCapabilities(step.command, args, index);
+      this.validatePolicy(step.command, args, step.outputs, index, inputNames);
+    });
+    plan.schemaVersion = PLAN_SCHEMA_VERSION;
+
     return plan;
   }
 
+  /**
+   * Classifies the steps of a validated plan as network or local under the current network policy.
+   * `steps` lists only the network steps, numbered from 1, with the hosts they reach.
+   * @param {CommandPlan} plan
+   * @returns {{policy: 'open'|'restricted'|'disabled', steps: Array<{step: number, command: string, hosts: string[]}>}}
+   */
+  describeNetworkAccess(plan) {
+    const steps = plan.steps.flatMap((step, index) => {
+      const access = this.classifyNetworkAccess(step.command, step.arguments);
+      if (!access.network) {
+        return [];
+      }
+      const hosts = [...new Set(access.targets.map((target) => target.host).filter(Boolean))];
+      return [{ step: index + 1, command: step.command, hosts }];
+    });
+    return { policy: this.toolRegistry.getNetworkPolicy().mode, steps };
+  }
+
+  /**
+   * Validates a plan for an informational question: every step must be a read-only probe
+   * (`ffprobe` with JSON output, `exiftool -j` or `magick identify`) and no outputs may be planned.
+   * @param {CommandPlan} plan
+   * @param {string} outputDir
+   * @param {{files?: AgentFile[], inputDir?: string}} [options]
+   * @returns {CommandPlan}
+   */
+  validateInquiry(plan, outputDir, options = {}) {
+    const validated = this.validate(plan, outputDir, options);
+    validated.steps.forEach((step, index) => assertReadOnlyProbe(step, index));
+    if (validated.steps.every((step) => step.command === 'none')) {
+      throw new PlanValidationError('Inquiry plans need at least one probe step.', { code: 'probe_missing' });
+    }
+    return validated;
+  }
+
   /**
    * @param {any} rawStep
    * @param {number} index
@@ -75,9 +169,9 @@ export class PlanValidator {
       this.validateOutput(item, index, outputIndex, normalizedOutputDir)
     );
 
-    const id = typeof rawStep.id === 'string' && rawStep.id.trim() ? rawStep.id.trim() : undefined;
-    const title = typeof rawStep.title === 'string' && rawStep.title.trim() ? rawStep.title.trim() : undefined;
-    const note = typeof rawStep.note === 'string' && rawStep.note.trim() ? rawStep.note.trim() : undefined;
+    const id = typeof rawStep.id === 'string' && rawStep.id.trim() ? rawStep.id.trim() : null;
+    const title = typeof rawStep.title === 'string' && rawStep.title.trim() ? rawStep.title.trim() : null;
+    const note = typeof rawStep.note === 'string' && rawStep.note.trim() ? rawStep.note.trim() : null;
 
     return {
       command,
@@ -90,6 +184,312 @@ export class PlanValidator {
     };
   }
 
+  /**
+   * Checks that every path placeholder in the arguments refers to a known input or declared output,
+   * and returns the arguments with inputs, outputs and scratch substituted so the remaining checks see real file names.
+   * @param {string[]} args
+   * @param {number} index
+   * @param {import('../shared/PathPlaceholders.js').PlaceholderContext} context
+   * @returns {string[]}
+   */
+  resolveReferences(args, index, context) {
+    args.forEach((arg) => {
+      listPlaceholders(arg).forEach((placeholder) => {
+        const { problem } = lookupPlaceholder(placeholder, context);
+        if (problem) {
+          throw new PlanValidationError(`Step (${index + 1}) uses ${placeholder.token}, but ${problem}.`, {
+            stepIndex: index,
+            code: 'unknown_placeholder'
+          });
+        }
+      });
+    });
+    return args.map((arg) => resolvePlaceholders(arg, context));
+  }
+
+  /**
+   * Rejects arguments that read or write files outside the session. Relative paths resolve against the input directory
+   * the step runs in; `..` segments and absolute paths are followed before the check.
+   * @param {string} command
+   * @param {string[]} args
+   * @param {number} index
+   * @param {Sandbox} sandbox
+   */
+  validateArgumentPaths(command, args, index, sandbox) {
+    listFileOperands(command, args).forEach((operand) => {
+      if (!operand.path) {
+        return;
+      }
+      const absolutePath = path.resolve(sandbox.baseDir, operand.path);
+      const inside = (root) => isWithin(root, absolutePath);
+      const allowed =
+        operand.access === 'write'
+          ? sandbox.writeRoots.some(inside)
+          : sandbox.readRoots.some(inside) || sandbox.readFiles.includes(absolutePath);
+      if (allowed) {
+        return;
+      }
+      const where = operand.access === 'write' ? sandbox.writeHint : sandbox.readHint;
+      throw new PlanValidationError(
+        `Step (${index + 1}) ${operand.access === 'write' ? 'writes' : 'reads'} "${operand.path}" (${command} ${operand.via}, argument ${operand.argIndex + 1}), which resolves to ${displayPath(absolutePath)} outside the session. ${where}`,
+        { stepIndex: index, code: 'path_outside_session' }
+      );
+    });
+  }
+
+  /**
+   * Rejects flags the tool's argument policy denies, values outside its allowed patterns and missing required flags.
+   * Flags denied only for uploaded inputs count when the step names an input file or a file in the input directory.
+   * @param {string} command
+   * @param {string[]} args
+   * @param {number} index
+   * @param {Sandbox} sandbox
+   */
+  validateArgumentPolicy(command, args, index, sandbox) {
+    const policy = this.toolRegistry.getArgumentPolicy(command);
+    if (!policy || policy.isEmpty()) {
+      return;
+    }
+    const touchesInputs = listFileOperands(command, args).some(({ path: filePath }) => {
+      const absolutePath = path.resolve(sandbox.baseDir, filePath);
+      const inInputDir =
+        sandbox.inputDir !== null &&
+        isWithin(sandbox.inputDir, absolutePath) &&
+        !sandbox.writeRoots.some((root) => isWithin(root, absolutePath));
+      return sandbox.readFiles.includes(absolutePath) || inInputDir;
+    });
+    const violations = policy.findViolations(args, { touchesInputs });
+    if (violations.length > 0) {
+      throw new PlanValidationError(
+        `Step (${index + 1}) breaks the ${command} argument policy of this server: ${violations.map(({ message }) => message).join('; ')}.`,
+        { stepIndex: index, code: 'argument_policy_violation' }
+      );
+    }
+  }
+
+  /**
+   * Tells whether a step reaches the network and which URLs it opens.
+   * Tools declared with `networkAccess: 'always'` are network steps even without a URL argument.
+   * @param {string} command
+   * @param {string[]} args
+   * @returns {{network: boolean, targets: import('../registry/NetworkPolicy.js').NetworkTarget[]}}
+   */
+  classifyNetworkAccess(command, args) {
+    const access = this.toolRegistry.getNetworkAccess(command);
+    const targets = access ? listNetworkTargets(args) : [];
+    return { network: access === 'always' || targets.length > 0, targets };
+  }
+
+  /**
+   * Rejects network steps the deployment's network policy does not allow: every network step when networking is
+   * disabled, and URLs outside the allowed protocols and domains when it is restricted.
+   * @param {string} command
+   * @param {string[]} args
+   * @param {number} index
+   */
+  validateNetworkAccess(command, args, index) {
+    const policy = this.toolRegistry.getNetworkPolicy();
+    const { network, targets } = this.classifyNetworkAccess(command, args);
+    if (!network || policy.mode === 'open') {
+      return;
+    }
+    const label = `Step (${index + 1}) reaches the network with ${command}`;
+    if (targets.length === 0) {
+      const reason = policy.enabled
+        ? 'it names no URL that can be checked against the allowed domains and protocols'
+        : 'network steps are disabled on this server';
+      throw new PlanValidationError(`${label}, but ${reason}.`, { stepIndex: index, code: 'network_not_allowed' });
+    }
+    targets.forEach((target) => {
+      const reason = policy.findViolation(target);
+      if (reason) {
+        throw new PlanValidationError(`${label} (${target.url}), but ${reason}.`, { stepIndex: index, code: 'network_not_allowed' });
+      }
+    });
+  }
+
+  /**
+   * Rejects encoders, decoders, filters and image formats that the installed tools do not support.
+   * Nothing is checked for tools whose capabilities were not probed.
+   * @param {string} command
+   * @param {string[]} args
+   * @param {number} index
+   */
+  validateCapabilities(command, args, index) {
+    const label = `Step (${index + 1})`;
+    if (command === 'ffmpeg') {
+      args.forEach((arg, argIndex) => {
+        const value = args[argIndex + 1];
+        if (typeof value !== 'string') {
+          return;
+        }
+        if (FFMPEG_CODEC_FLAG.test(arg) && value !== 'copy') {
+          const forInput = args.indexOf('-i', argIndex + 2) !== -1;
+          const available = forInput ? this.toolRegistry.hasDecoder(value) : this.toolRegistry.hasEncoder(value);
+          if (!available) {
+            const kind = forInput ? 'decoder' : 'encoder';
+            throw new PlanValidationError(
+              `${label} uses the ffmpeg ${kind} "${value}", which is not available on this server.${this.suggestAlternatives('encoders')}`,
+              { stepIndex: index, code: 'unavailable_capability' }
+            );
+          }
+        }
+        if (FFMPEG_FILTER_FLAG.test(arg)) {
+          const missing = listFilterNames(value).find((name) => !this.toolRegistry.hasFilter(name));
+          if (missing) {
+            throw new PlanValidationError(
+              `${label} uses the ffmpeg filter "${missing}", which is not available on this server.${this.suggestAlternatives('filters')}`,
+              { stepIndex: index, code: 'unavailable_capability' }
+            );
+          }
+        }
+      });
+      return;
+    }
+
+    if (command === 'magick') {
+      const identify = args[0] === 'identify';
+      args.forEach((arg, argIndex) => {
+        if (arg.startsWith('-') || arg.startsWith('+')) {
+          return;
+        }
+        const format = detectImageFormat(arg);
+        if (!format) {
+          return;
+        }
+        const isOutput = !identify && (argIndex === args.length - 1 || args[argIndex - 1] === '-write');
+        if (!this.supportsImageFormat(format, isOutput)) {
+          throw new PlanValidationError(
+            `${label} ${isOutput ? 'writes' : 'reads'} ${format} images, which ImageMagick on this server cannot ${isOutput ? 'write' : 'read'}.${this.suggestAlternatives('imageFormats')}`,
+            { stepIndex: index, code: 'unavailable_capability' }
+          );
+        }
+      });
+    }
+  }
+
+  /**
+   * Rejects output names, encoders and explicit sizes that break the operator's planning policy.
+   * Sizes are only checked where they are written as plain pixel values (`-s WxH`, `scale=W:H`, magick geometries);
+   * expressions, percentages and shrink-only geometries are left to the house rules in the prompt.
+   * @param {string} command
+   * @param {string[]} args
+   * @param {import('../shared/types.js').CommandOutputPlan[]} outputs
+   * @param {number} index
+   * @param {string[]} inputNames
+   */
+  validatePolicy(command, args, outputs, index, inputNames) {
+    const policy = this.toolRegistry.getPolicy();
+    if (!policy) {
+      return;
+    }
+    const label = `Step (${index + 1})`;
+    outputs.forEach((output) => {
+      const fileName = path.basename(output.path);
+      if (!policy.matchesOutputName(fileName, inputNames)) {
+        throw new PlanValidationError(
+          `${label} output "${fileName}" does not follow the naming pattern ${policy.outputNamePattern} required by the planning policy.`,
+          { stepIndex: index, code: 'policy_violation' }
+        );
+      }
+    });
+
+    const sizes = [];
+    if (command === 'ffmpeg') {
+      args.forEach((arg, argIndex) => {
+        const value = args[argIndex + 1];
+        if (typeof value !== 'string' || args.indexOf('-i', argIndex + 2) !== -1) {
+          return;
+        }
+        if (FFMPEG_CODEC_FLAG.test(arg) && policy.forbidsCodec(value)) {
+          throw new PlanValidationError(`${label} encodes with "${value}", which the planning policy forbids.`, {
+            stepIndex: index,
+            code: 'policy_violation'
+          });
+        }
+        if (FFMPEG_SIZE_FLAG.test(arg)) {
+          sizes.push(parseGeometry(value));
+        }
+        if (FFMPEG_FILTER_FLAG.test(arg)) {
+          sizes.push(...listScaleSizes(value));
+        }
+      });
+    } else if (command === 'magick') {
+      args.forEach((arg, argIndex) => {
+        const value = args[argIndex + 1];
+        if (MAGICK_GEOMETRY_FLAGS.includes(arg) && typeof value === 'string') {
+          sizes.push(parseGeometry(value));
+        }
+      });
+    }
+
+    const limit = policy.maxResolution;
+    if (!limit) {
+      return;
+    }
+    sizes.filter(Boolean).forEach(({ width, height }) => {
+      const exceeded =
+        limit.width !== null && width !== null && width > limit.width
+          ? `width of ${width} px, above the maximum of ${limit.width} px`
+          : limit.height !== null && height !== null && height > limit.height
+            ? `height of ${height} px, above the maximum of ${limit.height} px`
+            : null;
+      if (exceeded) {
+        throw new PlanValidationError(`${label} sets an output ${exceeded} allowed by the planning policy.`, {
+          stepIndex: index,
+          code: 'policy_violation'
+        });
+      }
+    });
+  }
+
+  /**
+   * Formats missing from ImageMagick's list only count as unsupported when they are well-known image formats,
+   * so that unrelated file names (fonts, profiles, scripts) are not rejected.
+   * @param {string} format
+   * @param {boolean} isOutput
+   * @returns {boolean}
+   */
+  supportsImageFormat(format, isOutput) {
+    const mode = this.lookupImageFormatMode(format);
+    if (mode === undefined) {
+      return true;
+    }
+    if (mode === null) {
+      return !NOTABLE_CAPABILITIES.imageFormats.includes(IMAGE_FORMAT_ALIASES[format] || format);
+    }
+    return mode[isOutput ? 1 : 0] !== '-';
+  }
+
+  /**
+   * @param {string} format
+   * @returns {string|null|undefined}
+   */
+  lookupImageFormatMode(format) {
+    const mode = this.toolRegistry.getImageFormatMode(format);
+    const alias = IMAGE_FORMAT_ALIASES[format];
+    return mode === null && alias ? this.toolRegistry.getImageFormatMode(alias) : mode;
+  }
+
+  /**
+   * Lists the well-known capabilities of the given kind that are installed, as a hint for the retry.
+   * @param {'encoders'|'filters'|'imageFormats'} kind
+   * @returns {string}
+   */
+  suggestAlternatives(kind) {
+    const available = NOTABLE_CAPABILITIES[kind].filter((name) => {
+      if (kind === 'encoders') {
+        return this.toolRegistry.hasEncoder(name);
+      }
+      if (kind === 'filters') {
+        return this.toolRegistry.hasFilter(name);
+      }
+      const mode = this.lookupImageFormatMode(name);
+      return typeof mode === 'string' && mode.startsWith('rw');
+    });
+    return available.length > 0 ? ` Available ${kind === 'imageFormats' ? 'formats' : kind}: ${available.join(', ')}.` : '';
+  }
+
   /**
    * @param {any} rawOutput
    * @param {number} stepIndex
@@ -107,18 +507,217 @@ export class PlanValidator {
       throw new Error(`Step (${stepIndex + 1}) output path is missing.`);
     }
 
-    const absolutePath = path.resolve(rawPath);
+    const absolutePath = path.resolve(normalizedOutputDir, rawPath);
     const relative = path.relative(normalizedOutputDir, absolutePath);
     if (relative.startsWith('..') || path.isAbsolute(relative)) {
       throw new Error(`Output path lies outside of the output directory: ${rawOutput.path}`);
     }
 
     const description = typeof rawOutput.description === 'string' ? rawOutput.description : '';
+    const id = typeof rawOutput.id === 'string' && rawOutput.id.trim() ? rawOutput.id.trim() : null;
+    if (id !== null && !/^[A-Za-z0-9_.-]+$/.test(id)) {
+      throw new Error(`Step (${stepIndex + 1}) output id "${id}" may only contain letters, digits, "_", "." and "-".`);
+    }
 
     return {
       path: absolutePath,
-      description
+      description,
+      id
     };
   }
 }
 
+/**
+ * Output ids are how arguments refer to outputs, so each id may be declared only once per plan.
+ * @param {import('../shared/types.js').CommandOutputPlan[]} outputs
+ */
+function assertUniqueOutputIds(outputs) {
+  const seen = new Set();
+  outputs.forEach(({ id }) => {
+    if (id === null) {
+      return;
+    }
+    if (seen.has(id)) {
+      throw new PlanValidationError(`The output id "${id}" is declared more than once.`, { code: 'duplicate_output_id' });
+    }
+    seen.add(id);
+  });
+}
+
+/**
+ * @typedef {Object} Sandbox
+ * @property {string} baseDir Directory relative paths resolve against.
+ * @property {string|null} inputDir
+ * @property {string[]} readRoots
+ * @property {string[]} readFiles
+ * @property {string[]} writeRoots
+ * @property {string} readHint Where reads are allowed, for error messages.
+ * @property {string} writeHint Where writes are allowed, for error messages.
+ */
+
+/**
+ * @param {string} outputDir
+ * @param {string|undefined} inputDir
+ * @param {AgentFile[]} files
+ * @returns {Sandbox}
+ */
+function describeSandbox(outputDir, inputDir, files) {
+  const normalizedInputDir = typeof inputDir === 'string' && inputDir.trim() ? path.resolve(inputDir) : null;
+  const readFiles = files.map((file) => file.absolutePath).filter(Boolean).map((filePath) => path.resolve(filePath));
+  const writeRoots = [outputDir, SCRATCH_ROOT];
+  return {
+    baseDir: normalizedInputDir || outputDir,
+    inputDir: normalizedInputDir,
+    readRoots: normalizedInputDir ? [normalizedInputDir, ...writeRoots] : writeRoots,
+    readFiles,
+    writeRoots,
+    readHint: `Read only ${normalizedInputDir ? `files in the input directory ${normalizedInputDir}, ` : ''}the request files ({{input:...}}), the output directory ${outputDir} or {{scratch}}.`,
+    writeHint: `Write only to the output directory ${outputDir} or {{scratch}}.`
+  };
+}
+
+/**
+ * @param {string} root
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isWithin(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Shows scratch paths with the placeholder rather than the stand-in directory.
+ * @param {string} absolutePath
+ * @returns {string}
+ */
+function displayPath(absolutePath) {
+  return isWithin(SCRATCH_ROOT, absolutePath)
+    ? path.join('{{scratch}}', path.relative(SCRATCH_ROOT, absolutePath))
+    : absolutePath;
+}
+
+/**
+ * Extracts the filter names from an ffmpeg filtergraph, skipping link labels and quoted option values.
+ * @param {string} graph
+ * @returns {string[]}
+ */
+function listFilterNames(graph) {
+  return splitFilterGraph(graph)
+    .map((segment) => segment.match(/^[A-Za-z0-9_]+/)?.[0])
+    .filter(Boolean);
+}
+
+/**
+ * Reads the plain pixel sizes of the `scale` filters in an ffmpeg filtergraph
+ * (`scale=W:H`, `scale=w=W:h=H` or `scale=size=WxH`). Expressions and `-1` / `-2` count as unset.
+ * @param {string} graph
+ * @returns {Array<{width: number|null, height: number|null}>}
+ */
+function listScaleSizes(graph) {
+  return splitFilterGraph(graph)
+    .filter((segment) => segment.startsWith('scale='))
+    .map((segment) => {
+      let width = null;
+      let height = null;
+      segment
+        .slice('scale='.length)
+        .split(':')
+        .forEach((option, position) => {
+          const [key, value] = option.includes('=') ? option.split('=', 2) : [['w', 'h'][position], option];
+          if (key === 's' || key === 'size') {
+            ({ width, height } = parseGeometry(value) || { width, height });
+          } else if (key === 'w' || key === 'width') {
+            width = parsePixels(value);
+          } else if (key === 'h' || key === 'height') {
+            height = parsePixels(value);
+          }
+        });
+      return { width, height };
+    });
+}
+
+/**
+ * Reads a `WxH` size or a magick geometry (`800x`, `x600`, `800x600!`).
+ * Percentages, area (`@`) and shrink-only (`>`) geometries cannot exceed a limit on their own and yield null.
+ * @param {string} value
+ * @returns {{width: number|null, height: number|null}|null}
+ */
+function parseGeometry(value) {
+  if (/[%@>]/.test(value)) {
+    return null;
+  }
+  const match = value.trim().match(/^(\d+)?(?:x(\d+))?/i);
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  return { width: match[1] ? Number(match[1]) : null, height: match[2] ? Number(match[2]) : null };
+}
+
+/**
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function parsePixels(value) {
+  return typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value.trim()) : null;
+}
+
+/**
+ * Detects the image format of a magick file operand from a `FORMAT:` prefix or the file extension.
+ * @param {string} arg
+ * @returns {string|null}
+ */
+function detectImageFormat(arg) {
+  const prefix = arg.match(/^([A-Za-z0-9]{2,}):(?!\/\/)/);
+  if (prefix) {
+    return prefix[1].toUpperCase();
+  }
+  const extension = arg.match(/\.([A-Za-z][A-Za-z0-9]*)$/);
+  return extension ? extension[1].toUpperCase() : null;
+}
+
+/**
+ * Rejects steps that could modify files or do not produce machine-readable probe output.
+ * @param {CommandStepPlan} step
+ * @param {number} index
+ */
+function assertReadOnlyProbe(step, index) {
+  const label = `Step (${index + 1})`;
+  if (step.outputs.length > 0) {
+    throw new PlanValidationError(`${label} must not plan output files in an inquiry.`, { stepIndex: index, code: 'probe_not_read_only' });
+  }
+  const lowered = step.arguments.map((arg) => arg.toLowerCase());
+  switch (step.command) {
+    case 'none':
+      return;
+    case 'ffprobe': {
+      if (lowered.includes('-o')) {
+        throw new PlanValidationError(`${label} ffprobe must not write to a file.`, { stepIndex: index, code: 'probe_not_read_only' });
+      }
+      const formatIndex = lowered.findIndex((arg) => JSON_FORMAT_FLAGS.includes(arg));
+      if (formatIndex === -1 || !String(lowered[formatIndex + 1] || '').startsWith('json')) {
+        throw new PlanValidationError(`${label} ffprobe must request JSON output (-of json).`, { stepIndex: index, code: 'probe_not_read_only' });
+      }
+      return;
+    }
+    case 'exiftool': {
+      if (!lowered.some((arg) => EXIFTOOL_JSON_FLAGS.includes(arg))) {
+        throw new PlanValidationError(`${label} exiftool must request JSON output (-j).`, { stepIndex: index, code: 'probe_not_read_only' });
+      }
+      const writeArg = lowered.find(
+        (arg) => EXIFTOOL_WRITE_FLAGS.includes(arg) || (arg.startsWith('-') && arg.includes('='))
+      );
+      if (writeArg) {
+        throw new PlanValidationError(`${label} exiftool argument ${writeArg} would modify files.`, { stepIndex: index, code: 'probe_not_read_only' });
+      }
+      return;
+    }
+    case 'magick':
+      if (lowered[0] !== 'identify' || lowered.some((arg) => arg === '-write' || arg === '+write')) {
+        throw new PlanValidationError(`${label} magick may only run identify in an inquiry.`, { stepIndex: index, code: 'probe_not_read_only' });
+      }
+      return;
+    default:
+      throw new PlanValidationError(`${label} ${step.command} is not a read-only probe.`, { stepIndex: index, code: 'probe_not_read_only' });
+  }
+}
@@ -0,0 +1,127 @@
+/** @typedef {import('../index.js').AgentRequest} AgentRequest */
+/** @typedef {import('../index.js').CommandPlanner} CommandPlanner */
+/** @typedef {import('../index.js').PlannerResult} PlannerResult */
+/** @typedef {import('../index.js').PlanAlternative} PlanAlternative */
+/** @typedef {{alternatives: PlanAlternative[], discarded?: Array<{label: string, reason: string}>, rawPlan: any, planner: string|undefined, debug?: Record<string, any>}} AlternativesResult */
+
+/**
+ * Tries several planners in order and returns the first plan produced.
+ * Planners exposing `canPlan` are skipped when they decline the request; a planner
+ * that fails hands over to the next one, so a later LLM planner acts as the fallback.
+ */
+export class PlannerChain {
+  /**
+   * @param {CommandPlanner[]} planners
+   */
+  constructor(planners) {
+    if (!Array.isArray(planners) || planners.length === 0) {
+      throw new Error('PlannerChain requires at least one planner.');
+    }
+    this.id = 'chain';
+    this.planners = planners;
+  }
+
+  /**
+   * Whether one of the chained planners can continue a stored model conversation.
+   * @returns {boolean}
+   */
+  get supportsStoredState() {
+    return this.planners.some((planner) => Boolean(planner.supportsStoredState));
+  }
+
+  /**
+   * @param {AgentRequest} request
+   * @param {Record<string, any>} [options]
+   * @returns {boolean}
+   */
+  canPlan(request, options = {}) {
+    return this.planners.some((planner) => isCandidate(planner, request, options));
+  }
+
+  /**
+   * @param {AgentRequest} request
+   * @param {Record<string, any>} [options]
+   * @returns {Promise<PlannerResult>}
+   */
+  async plan(request, options = {}) {
+    const candidates = this.planners.filter((planner) => isCandidate(planner, request, options));
+    if (candidates.length === 0) {
+      throw new Error('No planner is able to handle the task.');
+    }
+    return tryInOrder(candidates, (planner) => planner.plan(request, options));
+  }
+
+  /**
+   * Asks the first capable planner for alternative plans, falling back like `plan`.
+   * When no planner can propose alternatives, the single chained plan is returned as the only alternative.
+   * @param {AgentRequest} request
+   * @param {Record<string, any>} [options]
+   * @returns {Promise<AlternativesResult>}
+   */
+  async planAlternatives(request, options = {}) {
+    const candidates = this.planners.filter(
+      (planner) => typeof planner.planAlternatives === 'function' && isCandidate(planner, request, options)
+    );
+    if (candidates.length === 0) {
+      return singlePlanAsAlternatives(await this.plan(request, options));
+    }
+    return tryInOrder(candidates, (planner) => planner.planAlternatives(request, options));
+  }
+}
+
+/**
+ * Wraps a single planner result so it can be offered through the alternatives flow.
+ * @param {PlannerResult} result
+ * @returns {AlternativesResult}
+ */
+export function singlePlanAsAlternatives(result) {
+  if (!result.plan) {
+    const question = result.clarification?.question;
+    throw new Error(question ? `The planner needs more information: ${question}` : 'The planner did not return a plan.');
+  }
+  return {
+    alternatives: [{ id: 'alt-1', label: 'Default', tradeoff: '', estimate: null, plan: result.plan }],
+    rawPlan: result.rawPlan,
+    planner: result.planner,
+    debug: result.debug
+  };
+}
+
+/**
+ * Calls `attempt` with each planner in order and returns the first result.
+ * A failing planner is logged and hands over to the next one; the last planner's error is thrown.
+ * @template T
+ * @param {CommandPlanner[]} candidates
+ * @param {(planner: CommandPlanner) => Promise<T>} attempt
+ * @returns {Promise<T>}
+ */
+async function tryInOrder(candidates, attempt) {
+  let lastError;
+  for (let index = 0; index < candidates.length; index += 1) {
+    const planner = candidates[index];
+    try {
+      return await attempt(planner);
+    } catch (error) {
+      lastError = error;
+      if (index === candidates.length - 1) {
+        break;
+      }
+      // eslint-disable-next-line no-console
+      console.warn(`[planner chain] ${planner.id || 'planner'} failed, falling back:`, error?.message);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * @param {CommandPlanner} planner
+ * @param {AgentRequest} request
+ * @param {Record<string, any>} options
+ * @returns {boolean}
+ */
+function isCandidate(planner, request, options) {
+  if (typeof planner.canPlan !== 'function') {
+    return true;
+  }
+  return planner.canPlan(request, options);
+}
@@ -0,0 +1,278 @@
+// @ts-check
+
+import path from 'node:path';
+
+import { DEFAULT_MODEL } from '../config/constants.js';
+import { formatMediaMetadataLines } from '../shared/MediaMetadata.js';
+
+/** @typedef {import('../index.js').AgentRequest} AgentRequest */
+/** @typedef {import('../index.js').CommandPlan} CommandPlan */
+/** @typedef {import('../index.js').CommandExecutionResult} CommandExecutionResult */
+/** @typedef {import('../index.js').LLMProvider} LLMProvider */
+/** @typedef {import('../index.js').ResultSummary} ResultSummary */
+/** @typedef {import('../index.js').InquiryAnswer} InquiryAnswer */
+/** @typedef {import('../index.js').LLMGenerateRequest} LLMGenerateRequest */
+/** @typedef {import('../index.js').ModelAttempt} ModelAttempt */
+/** @typedef {{model?: string, attempts?: ModelAttempt[]}} SummarizeOptions */
+
+const STDERR_EXCERPT_LENGTH = 600;
+const PROBE_OUTPUT_LENGTH = 8000;
+const MAX_LIST_ITEMS = 5;
+
+/**
+ * Asks the model to explain an executed plan in plain language:
+ * what was produced, caveats worth knowing, and suggested next actions.
+ * For informational questions it turns the probe output into an answer instead.
+ * Each model call is appended to `options.attempts` (with its token usage) when given.
+ */
+export class ResultSummarizer {
+  /**
+   * @param {LLMProvider} provider
+   * @param {{model?: string}} [options]
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.model = options.model || DEFAULT_MODEL;
+  }
+
+  /**
+   * Summarises the execution result. Throws when the model response is unusable.
+   * @param {AgentRequest} request
+   * @param {CommandPlan} plan
+   * @param {CommandExecutionResult} result
+   * @param {SummarizeOptions} [options]
+   * @returns {Promise<ResultSummary>}
+   */
+  async summarize(request, plan, result, options = {}) {
+    const input = await this.buildInput(request, plan, result);
+    const text = await this.generate(
+      {
+        model: options.model || this.model,
+        instructions: this.buildInstructions(),
+        input,
+        jsonSchema: this.buildResponseFormat()
+      },
+      options.attempts
+    );
+
+    return normalizeSummary(parseJson(text, 'result summary'));
+  }
+
+  /**
+   * Answers the user's question from the output of read-only probes. Throws when the model response is unusable.
+   * @param {AgentRequest} request
+   * @param {CommandExecutionResult} result
+   * @param {SummarizeOptions} [options]
+   * @returns {Promise<InquiryAnswer>}
+   */
+  async answerInquiry(request, result, options = {}) {
+    const text = await this.generate(
+      {
+        model: options.model || this.model,
+        instructions: [
+          'You answer a question about media files using the output of read-only probes (ffprobe, exiftool, ImageMagick identify).',
+          'Rules:',
+          '- Output must be JSON only.',
+          '- answer: a direct, concise answer to the question, citing the relevant values.',
+          '- If the probe output does not contain the information, say so instead of guessing.',
+          '- Write in the same language as the question.'
+        ].join('\n'),
+        input: this.buildInquiryInput(request, result),
+        jsonSchema: {
+          name: 'inquiry_answer',
+          strict: true,
+          schema: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['answer'],
+            properties: {
+              answer: { type: 'string' }
+            }
+          }
+        }
+      },
+      options.attempts
+    );
+
+    const parsed = parseJson(text, 'inquiry answer');
+    const answer = typeof parsed?.answer === 'string' ? parsed.answer.trim() : '';
+    if (!answer) {
+      throw new Error('The inquiry answer is empty.');
+    }
+    return { answer };
+  }
+
+  /**
+   * Calls the provider once and records the call in `attempts`.
+   * @param {LLMGenerateRequest} request
+   * @param {ModelAttempt[]} [attempts]
+   * @returns {Promise<string>}
+   */
+  async generate(request, attempts) {
+    const startedAt = Date.now();
+    try {
+      const { text, usage } = await this.provider.generate(request);
+      attempts?.push({
+        attempt: attempts.length + 1,
+        model: request.model,
+        status: 'success',
+        durationMs: Date.now() - startedAt,
+        usage: usage ?? null
+      });
+      return text;
+    } catch (error) {
+      attempts?.push({
+        attempt: attempts.length + 1,
+        model: request.model,
+        status: 'failed',
+        durationMs: Date.now() - startedAt,
+        error: error?.message || String(error)
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the question and each probe's output (JSON when it could be parsed).
+   * @param {AgentRequest} request
+   * @param {CommandExecutionResult} result
+   * @returns {string}
+   */
+  buildInquiryInput(request, result) {
+    const sections = [`Question: ${request.task}`, 'Probe results:'];
+    const stepResults = Array.isArray(result.steps) ? result.steps : [];
+    stepResults
+      .filter((step) => step.status === 'executed')
+      .forEach((step, index) => {
+        const output = step.json !== undefined && step.json !== null ? JSON.stringify(step.json) : step.stdout || '';
+        const lines = [
+          `${index + 1}. ${[step.command, ...(step.arguments || [])].join(' ')} (exit code: ${step.exitCode ?? 'n/a'})`,
+          output ? output.slice(0, PROBE_OUTPUT_LENGTH) : '(no output)'
+        ];
+        if (step.exitCode !== 0 && step.stderr) {
+          lines.push(`stderr: ${step.stderr.trim().slice(-STDERR_EXCERPT_LENGTH)}`);
+        }
+        sections.push(lines.join('\n'));
+      });
+    return sections.join('\n\n');
+  }
+
+  /**
+   * @returns {string}
+   */
+  buildInstructions() {
+    return [
+      'You explain the outcome of a multimedia conversion to the user who requested it.',
+      'You receive the task, the executed command plan, step statuses, stderr excerpts and ffprobe metadata of the produced files.',
+      'Rules:',
+      '- Output must be JSON only.',
+      '- summary: two or three sentences describing what was produced.',
+      '- caveats: notable side effects the user may not expect (e.g. audio downmixed to stereo, frame rate changed, quality loss); empty if none.',
+      '- nextActions: short suggestions for useful follow-up tasks; empty if none.',
+      '- Base every statement on the given data; do not invent properties of the files.',
+      '- Write in the same language as the task.'
+    ].join('\n');
+  }
+
+  /**
+   * Describes the executed plan and its outputs for the model.
+   * @param {AgentRequest} request
+   * @param {CommandPlan} plan
+   * @param {CommandExecutionResult} result
+   * @returns {Promise<string>}
+   */
+  async buildInput(request, plan, result) {
+    const sections = [`Task: ${request.task}`];
+    if (plan.overview) {
+      sections.push(`Plan overview: ${plan.overview}`);
+    }
+
+    sections.push('Steps:');
+    const stepResults = Array.isArray(result.steps) ? result.steps : [];
+    stepResults.forEach((step, index) => {
+      const commandLine = [step.command, ...(step.arguments || [])].join(' ');
+      const status = step.status === 'skipped' && step.skipReason ? `skipped (${step.skipReason})` : step.status;
+      const lines = [`${index + 1}. ${commandLine}`, `   status: ${status}, exit code: ${step.exitCode ?? 'n/a'}`];
+      const stderr = typeof step.stderr === 'string' ? step.stderr.trim() : '';
+      if (stderr) {
+        lines.push(`   stderr (last ${STDERR_EXCERPT_LENGTH} chars): ${stderr.slice(-STDERR_EXCERPT_LENGTH)}`);
+      }
+      sections.push(lines.join('\n'));
+    });
+
+    sections.push('Outputs:');
+    const outputs = Array.isArray(result.resolvedOutputs) ? result.resolvedOutputs : [];
+    if (outputs.length === 0) {
+      sections.push('(none)');
+    }
+    for (const output of outputs) {
+      const name = path.basename(output.path || output.absolutePath || '');
+      if (!output.exists) {
+        sections.push(`- ${name}: missing (${output.description})`);
+        continue;
+      }
+      const metadata = await formatMediaMetadataLines(/** @type {any} */ (output));
+      const details = [output.description, typeof output.size === 'number' ? `${output.size} bytes` : null, ...(metadata || [])]
+        .filter(Boolean)
+        .join('; ');
+      sections.push(`- ${name}: ${details}`);
+    }
+
+    return sections.join('\n');
+  }
+
+  /**
+   * @returns {{name: string, schema: Record<string, any>, strict: boolean}}
+   */
+  buildResponseFormat() {
+    return {
+      name: 'result_summary',
+      strict: true,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['summary', 'caveats', 'nextActions'],
+        properties: {
+          summary: { type: 'string' },
+          caveats: { type: 'array', items: { type: 'string' } },
+          nextActions: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    };
+  }
+}
+
+/**
+ * @param {string} text
+ * @param {string} label
+ * @returns {any}
+ */
+function parseJson(text, label) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse ${label} as JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Validates the model output and trims list sizes.
+ * @param {any} value
+ * @returns {ResultSummary}
+ */
+function normalizeSummary(value) {
+  const summary = typeof value?.summary === 'string' ? value.summary.trim() : '';
+  if (!summary) {
+    throw new Error('The result summary is empty.');
+  }
+  const toList = (items) =>
+    (Array.isArray(items) ? items : [])
+      .filter((item) => typeof item === 'string' && item.trim())
+      .map((item) => item.trim())
+      .slice(0, MAX_LIST_ITEMS);
+  return {
+    summary,
+    caveats: toList(value.caveats),
+    nextActions: toList(value.nextActions)
+  };
+}
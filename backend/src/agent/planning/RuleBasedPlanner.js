@@ -0,0 +1,399 @@
+import path from 'node:path';
+
+import { PlanValidator } from './PlanValidator.js';
+
+/** @typedef {import('../index.js').ToolRegistry} ToolRegistry */
+/** @typedef {import('../index.js').AgentRequest} AgentRequest */
+/** @typedef {import('../index.js').AgentFile} AgentFile */
+/** @typedef {import('../index.js').CommandPlan} CommandPlan */
+/** @typedef {import('../index.js').CommandStepPlan} CommandStepPlan */
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.bmp', '.tif', '.tiff', '.avif', '.heic'];
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.mkv', '.webm', '.avi'];
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.flac', '.ogg', '.opus'];
+
+const IMAGE_TARGET_FORMATS = {
+  webp: '.webp',
+  png: '.png',
+  jpg: '.jpg',
+  jpeg: '.jpg',
+  gif: '.gif',
+  avif: '.avif'
+};
+
+const FORMAT_KEYWORDS = Object.keys(IMAGE_TARGET_FORMATS).join('|');
+const FORMAT_PATTERN = new RegExp(`\\b(?:${FORMAT_KEYWORDS})\\b`, 'i');
+const CONVERT_PATTERN = new RegExp(`convert|変換|(?:\\bto|\\binto)\\s+(?:${FORMAT_KEYWORDS})\\b|→|->|に(?:して|する|変え)`, 'i');
+const RESIZE_PATTERN = /resize|scale|リサイズ|縮小|拡大|サイズ/i;
+const DIMENSION_PATTERN = /(\d{1,5})\s*[x×*]\s*(\d{1,5})/i;
+const EXIF_PATTERN = /exif|metadata|メタデータ|位置情報|gps/i;
+const REMOVE_PATTERN = /strip|remove|delete|clear|削除|除去|消/i;
+const AUDIO_PATTERN = /audio|sound|音声|音/i;
+const EXTRACT_PATTERN = /extract|rip|抽出|取り出|抜き出/i;
+const METADATA_WORDS_PATTERN = /\b(?:data|info|information|tags?|embedded)\b|情報|データ|タグ/i;
+const RESIZE_WORDS_PATTERN = /\b(?:px|pixels?|fit|within)\b|ピクセル/i;
+const AUDIO_WORDS_PATTERN = /mp3|\btrack\b/i;
+
+// Words that carry no instruction of their own. Whatever remains once these and a rule's vocabulary
+// are removed from the task is something the rule does not handle.
+const FILLER_PATTERNS = [
+  /\b(?:please|can|could|would|you|i|want|need|like|to|into|as|the|a|an|this|that|these|those|it|them|my|our|all|each|every|of|from|in|for|me|and|file|files|image|images|photo|photos|picture|pictures|video|videos|clip|clips|uploaded|format)\b/i,
+  /ください|下さい|お願いします|お願い|したい|して|する|ほしい|欲しい|この|その|これ|それら|それ|全部|すべて|全て|画像|写真|ファイル|動画|形式|フォーマット|から|を|に|で|へ|の|は|も|と/
+];
+
+const DEFAULT_MAX_TASK_LENGTH = 160;
+
+/**
+ * Plans common, unambiguous media tasks locally without calling a model.
+ * Implements the same `plan(request, options)` contract as OpenAIPlanner.
+ */
+export class RuleBasedPlanner {
+  /**
+   * @param {ToolRegistry} toolRegistry
+   * @param {{planValidator?: PlanValidator, maxTaskLength?: number}} [options]
+   */
+  constructor(toolRegistry, options = {}) {
+    this.id = 'rules';
+    this.toolRegistry = toolRegistry;
+    this.planValidator = options.planValidator || new PlanValidator(toolRegistry);
+    this.maxTaskLength = options.maxTaskLength ?? DEFAULT_MAX_TASK_LENGTH;
+    this.rules = [
+      {
+        id: 'strip_exif',
+        vocabulary: [EXIF_PATTERN, REMOVE_PATTERN, METADATA_WORDS_PATTERN],
+        build: (request) => this.buildStripExifPlan(request)
+      },
+      {
+        id: 'extract_audio_mp3',
+        vocabulary: [AUDIO_WORDS_PATTERN, AUDIO_PATTERN, EXTRACT_PATTERN, CONVERT_PATTERN],
+        build: (request) => this.buildExtractAudioPlan(request)
+      },
+      {
+        id: 'resize',
+        vocabulary: [DIMENSION_PATTERN, RESIZE_PATTERN, RESIZE_WORDS_PATTERN, CONVERT_PATTERN, FORMAT_PATTERN],
+        build: (request) => this.buildResizePlan(request)
+      },
+      {
+        id: 'convert_image',
+        vocabulary: [CONVERT_PATTERN, FORMAT_PATTERN],
+        build: (request) => this.buildImageConversionPlan(request)
+      }
+    ];
+  }
+
+  /**
+   * Reports whether one of the built-in rules recognises the request.
+   * Repair requests are declined: the rules would only reproduce the plan that just failed.
+   * Questions are declined as well because every rule produces a conversion.
+   * Continuations of a stored conversation only carry the follow-up message, which the rules cannot read in context.
+   * @param {AgentRequest} request
+   * @param {{repair?: Record<string, any>, inquiry?: boolean}} [options]
+   * @returns {boolean}
+   */
+  canPlan(request, options = {}) {
+    if (options.repair || options.inquiry || request.previousResponseId) {
+      return false;
+    }
+    return Boolean(this.match(request));
+  }
+
+  /**
+   * Plans the request with the first matching rule.
+   * @param {AgentRequest} request
+   * @param {{debug?: boolean, inquiry?: boolean}} [options]
+   * @returns {Promise<{plan: CommandPlan, rawPlan: any, planner: string, debug?: Record<string, any>}>}
+   */
+  async plan(request, options = {}) {
+    if (options.inquiry) {
+      throw new Error('The rule-based planner cannot answer questions.');
+    }
+    const matched = this.match(request);
+    if (!matched) {
+      throw new Error('No planning rule matched the task.');
+    }
+
+    const rawPlan = structuredClone(matched.plan);
+    const plan = this.planValidator.validate(matched.plan, request.outputDir, {
+      files: request.files,
+      inputDir: request.inputDir
+    });
+    const debug = options.debug
+      ? {
+        planner: this.id,
+        rule: matched.ruleId,
+        parsed: rawPlan
+      }
+      : undefined;
+
+    return { plan, rawPlan, planner: this.id, debug };
+  }
+
+  /**
+   * Finds the first rule that produces a plan for the request and accounts for the whole task.
+   * A task that asks for more than the rule does, such as "convert to webp and add a watermark"
+   * or "don't resize, just convert", is declined so the next planner in the chain can handle it.
+   * @param {AgentRequest} request
+   * @returns {{ruleId: string, plan: CommandPlan}|null}
+   */
+  match(request) {
+    const task = typeof request?.task === 'string' ? request.task.trim() : '';
+    if (!task || task.length > this.maxTaskLength) {
+      return null;
+    }
+    if (!Array.isArray(request.files) || request.files.length === 0) {
+      return null;
+    }
+
+    for (const rule of this.rules) {
+      if (!coversTask(task, rule.vocabulary)) {
+        continue;
+      }
+      const plan = rule.build({ ...request, task });
+      if (plan && plan.steps.length > 0 && plan.steps.every((step) => this.toolRegistry.hasCommand(step.command))) {
+        return { ruleId: rule.id, plan };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {AgentRequest} request
+   * @returns {CommandPlan|null}
+   */
+  buildStripExifPlan(request) {
+    if (!EXIF_PATTERN.test(request.task) || !REMOVE_PATTERN.test(request.task)) {
+      return null;
+    }
+    const images = request.files.filter((file) => hasExtension(file, IMAGE_EXTENSIONS));
+    if (images.length === 0) {
+      return null;
+    }
+
+    const outputNames = new Set();
+    return createPlan(
+      'Remove embedded metadata with ExifTool.',
+      images.map((file) => {
+        const outputPath = buildOutputPath(request.outputDir, file, '_noexif', undefined, outputNames);
+        return {
+          command: 'exiftool',
+          arguments: ['-all=', '-o', outputPath, file.absolutePath],
+          reasoning: `Write a copy of ${file.originalName} without EXIF/XMP/IPTC metadata.`,
+          outputs: [{ path: outputPath, description: `${file.originalName} without metadata` }]
+        };
+      })
+    );
+  }
+
+  /**
+   * @param {AgentRequest} request
+   * @returns {CommandPlan|null}
+   */
+  buildExtractAudioPlan(request) {
+    if (!/mp3/i.test(request.task) || !(AUDIO_PATTERN.test(request.task) || EXTRACT_PATTERN.test(request.task))) {
+      return null;
+    }
+    const sources = request.files.filter(
+      (file) => hasExtension(file, VIDEO_EXTENSIONS) || (hasExtension(file, AUDIO_EXTENSIONS) && !hasExtension(file, ['.mp3']))
+    );
+    if (sources.length === 0) {
+      return null;
+    }
+
+    const outputNames = new Set();
+    return createPlan(
+      'Extract the audio track to MP3 with FFmpeg.',
+      sources.map((file) => {
+        const outputPath = buildOutputPath(request.outputDir, file, '', '.mp3', outputNames);
+        return {
+          command: 'ffmpeg',
+          arguments: ['-i', file.absolutePath, '-vn', '-codec:a', 'libmp3lame', '-q:a', '2', outputPath],
+          reasoning: `Drop the video stream of ${file.originalName} and encode its audio as VBR MP3.`,
+          outputs: [{ path: outputPath, description: `Audio of ${file.originalName} (MP3)` }]
+        };
+      })
+    );
+  }
+
+  /**
+   * @param {AgentRequest} request
+   * @returns {CommandPlan|null}
+   */
+  buildResizePlan(request) {
+    const dimensions = request.task.match(DIMENSION_PATTERN);
+    if (!dimensions || !RESIZE_PATTERN.test(request.task)) {
+      return null;
+    }
+    const width = Number(dimensions[1]);
+    const height = Number(dimensions[2]);
+    if (!width || !height) {
+      return null;
+    }
+
+    const targetExtension = findTargetImageExtension(request.task, request.files);
+    const outputNames = new Set();
+    const steps = [];
+    for (const file of request.files) {
+      if (hasExtension(file, IMAGE_EXTENSIONS)) {
+        const outputPath = buildOutputPath(request.outputDir, file, `_${width}x${height}`, targetExtension, outputNames);
+        steps.push({
+          command: 'magick',
+          arguments: [file.absolutePath, '-resize', `${width}x${height}`, outputPath],
+          reasoning: `Resize ${file.originalName} to fit within ${width}x${height}.`,
+          outputs: [{ path: outputPath, description: `${file.originalName} resized to ${width}x${height}` }]
+        });
+      } else if (hasExtension(file, VIDEO_EXTENSIONS)) {
+        const outputPath = buildOutputPath(request.outputDir, file, `_${width}x${height}`, undefined, outputNames);
+        steps.push({
+          command: 'ffmpeg',
+          arguments: [
+            '-i',
+            file.absolutePath,
+            '-vf',
+            `scale=${width}:${height}:force_original_aspect_ratio=decrease,scale=trunc(iw/2)*2:trunc(ih/2)*2`,
+            '-c:a',
+            'copy',
+            outputPath
+          ],
+          reasoning: `Scale ${file.originalName} to fit within ${width}x${height}, keeping its aspect ratio and even frame sizes, and keep the original audio.`,
+          outputs: [{ path: outputPath, description: `${file.originalName} scaled to fit within ${width}x${height}` }]
+        });
+      }
+    }
+    if (steps.length === 0) {
+      return null;
+    }
+
+    return createPlan(`Resize inputs to ${width}x${height}.`, steps);
+  }
+
+  /**
+   * @param {AgentRequest} request
+   * @returns {CommandPlan|null}
+   */
+  buildImageConversionPlan(request) {
+    const targetExtension = findTargetImageExtension(request.task, request.files);
+    if (!targetExtension || !CONVERT_PATTERN.test(request.task)) {
+      return null;
+    }
+    const images = request.files.filter(
+      (file) => hasExtension(file, IMAGE_EXTENSIONS) && !hasExtension(file, sameFormatExtensions(targetExtension))
+    );
+    if (images.length === 0) {
+      return null;
+    }
+
+    const formatLabel = targetExtension.slice(1).toUpperCase();
+    const outputNames = new Set();
+    return createPlan(
+      `Convert images to ${formatLabel} with ImageMagick.`,
+      images.map((file) => {
+        const outputPath = buildOutputPath(request.outputDir, file, '', targetExtension, outputNames);
+        return {
+          command: 'magick',
+          arguments: [file.absolutePath, outputPath],
+          reasoning: `Re-encode ${file.originalName} as ${formatLabel}.`,
+          outputs: [{ path: outputPath, description: `${file.originalName} converted to ${formatLabel}` }]
+        };
+      })
+    );
+  }
+}
+
+/**
+ * @param {string} overview
+ * @param {CommandStepPlan[]} steps
+ * @returns {CommandPlan}
+ */
+function createPlan(overview, steps) {
+  return { overview, followUp: '', steps };
+}
+
+/**
+ * Reports whether the task says nothing beyond the given vocabulary and filler words.
+ * Any word left over, including a negation such as "not" or "ない", means the task asks for something else.
+ * @param {string} task
+ * @param {RegExp[]} vocabulary
+ * @returns {boolean}
+ */
+function coversTask(task, vocabulary) {
+  const rest = [...vocabulary, ...FILLER_PATTERNS].reduce(
+    (text, pattern) => text.replace(new RegExp(pattern.source, 'gi'), ' '),
+    task
+  );
+  return !/[\p{L}\p{N}]/u.test(rest);
+}
+
+/**
+ * @param {AgentFile} file
+ * @param {string[]} extensions
+ * @returns {boolean}
+ */
+function hasExtension(file, extensions) {
+  const name = file?.originalName || file?.absolutePath || '';
+  return extensions.includes(path.extname(name).toLowerCase());
+}
+
+/**
+ * Names the output for one input. Names already in `taken` get a numbered variant such as
+ * `logo (2).webp`, so inputs that share a stem (`logo.png`, `logo.jpg`) never write to the same file.
+ * @param {string} outputDir
+ * @param {AgentFile} file
+ * @param {string} suffix
+ * @param {string|undefined} extension
+ * @param {Set<string>} taken Output names already used by the plan; the returned name is added.
+ * @returns {string}
+ */
+function buildOutputPath(outputDir, file, suffix, extension, taken) {
+  const sourceName = file.originalName || path.basename(file.absolutePath);
+  const sourceExtension = path.extname(sourceName);
+  const stem = `${path.basename(sourceName, sourceExtension) || 'output'}${suffix}`;
+  const outputExtension = extension || sourceExtension.toLowerCase();
+  let name = `${stem}${outputExtension}`;
+  for (let version = 2; taken.has(name.toLowerCase()); version += 1) {
+    name = `${stem} (${version})${outputExtension}`;
+  }
+  taken.add(name.toLowerCase());
+  return path.join(path.resolve(outputDir), name);
+}
+
+/**
+ * Resolves the image format the task asks for. An explicit "to webp" / "webpに" wins;
+ * otherwise a single mentioned format that differs from the inputs is used.
+ * @param {string} task
+ * @param {AgentFile[]} files
+ * @returns {string|undefined}
+ */
+function findTargetImageExtension(task, files) {
+  const explicit =
+    task.match(new RegExp(`(?:\\bto|\\binto|→|->)\\s*(${FORMAT_KEYWORDS})\\b`, 'i')) ||
+    task.match(new RegExp(`\\b(${FORMAT_KEYWORDS})\\s*(?:に|へ|形式)`, 'i'));
+  if (explicit) {
+    return IMAGE_TARGET_FORMATS[explicit[1].toLowerCase()];
+  }
+
+  const mentioned = new Set();
+  for (const [keyword, extension] of Object.entries(IMAGE_TARGET_FORMATS)) {
+    if (new RegExp(`\\b${keyword}\\b`, 'i').test(task)) {
+      mentioned.add(extension);
+    }
+  }
+  const inputExtensions = new Set(
+    files.map((file) => {
+      const extension = path.extname(file?.originalName || file?.absolutePath || '').toLowerCase();
+      return extension === '.jpeg' ? '.jpg' : extension;
+    })
+  );
+  const candidates = Array.from(mentioned).filter((extension) => !inputExtensions.has(extension));
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+  return mentioned.size === 1 ? Array.from(mentioned)[0] : undefined;
+}
+
+/**
+ * @param {string} extension
+ * @returns {string[]}
+ */
+function sameFormatExtensions(extension) {
+  return extension === '.jpg' ? ['.jpg', '.jpeg'] : [extension];
+}
@@ -0,0 +1,235 @@
+import fs from 'node:fs/promises';
+
+/**
+ * @typedef {Object} DeniedFlag
+ * @property {string} flag 禁止するオプション（`--exec` など）。`--exec=...` や `-dump_attachment:t` のような書き方にも一致します
+ * @property {string|null} reason プランナーに返す理由
+ * @property {boolean} inputsOnly `true` の場合、アップロードされた入力ファイルを扱うステップでのみ禁止します
+ */
+
+/**
+ * @typedef {Object} ArgumentPolicyData
+ * @property {Array<string|Partial<DeniedFlag>>} [deniedFlags] 使ってはいけないオプション
+ * @property {Record<string, string[]>} [allowedValues] オプションごとに許可する値の正規表現（値全体に一致する必要があります）
+ * @property {string[]} [requiredFlags] 必ず指定するオプション
+ * @property {boolean} [ignoreCase] オプション名の大文字・小文字を区別しない場合は `true`（exiftool など）
+ */
+
+/**
+ * @typedef {Object} ArgumentPolicyViolation
+ * @property {number|null} argIndex 違反した引数の位置（必須オプションが無い場合は `null`）
+ * @property {string} message
+ */
+
+/**
+ * ツールごとの引数ポリシー（禁止オプション・値の許可パターン・必須オプション）です。
+ * 既定のポリシーはツール定義に含まれ、運用者はデプロイごとのファイルで上書きできます。
+ */
+export class ArgumentPolicy {
+  /**
+   * ポリシーの内容を検証して初期化します。不正な値がある場合は例外を投げます。
+   * @param {ArgumentPolicyData} [data]
+   */
+  constructor(data = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Argument policy must be an object.');
+    }
+    this.ignoreCase = Boolean(data.ignoreCase);
+    /** @type {DeniedFlag[]} */
+    this.deniedFlags = normalizeDeniedFlags(data.deniedFlags);
+    /** @type {Record<string, string[]>} */
+    this.allowedValues = normalizeAllowedValues(data.allowedValues);
+    this.requiredFlags = normalizeFlagList(data.requiredFlags, 'requiredFlags');
+    this.valuePatterns = Object.fromEntries(
+      Object.entries(this.allowedValues).map(([flag, patterns]) => [flag, patterns.map((pattern) => new RegExp(`^(?:${pattern})$`))])
+    );
+  }
+
+  /**
+   * ツールIDごとのポリシーを記したJSONファイルを読み込みます。ファイルが存在しない場合は `null` を返します。
+   * 値が `null` のツールはポリシーを解除する指定として、そのまま返します。
+   * @param {string} filePath
+   * @returns {Promise<Record<string, ArgumentPolicyData|null>|null>}
+   */
+  static async loadOverrides(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    try {
+      const overrides = JSON.parse(content);
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('The file must contain an object keyed by tool id.');
+      }
+      Object.values(overrides).forEach((data) => data === null || new ArgumentPolicy(data));
+      return overrides;
+    } catch (error) {
+      throw new Error(`Failed to load argument policies ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 既定のポリシーに上書き内容を重ねた新しいポリシーを返します。指定した項目だけが置き換わります。
+   * @param {ArgumentPolicyData} overrides
+   * @returns {ArgumentPolicy}
+   */
+  merge(overrides) {
+    return new ArgumentPolicy({ ...this.toJSON(), ...overrides });
+  }
+
+  /**
+   * 引数がポリシーに反する箇所をすべて返します。
+   * @param {string[]} args
+   * @param {{touchesInputs?: boolean}} [context] `touchesInputs` はステップがアップロードされた入力ファイルを扱うかどうか
+   * @returns {ArgumentPolicyViolation[]}
+   */
+  findViolations(args, context = {}) {
+    /** @type {ArgumentPolicyViolation[]} */
+    const violations = [];
+    args.forEach((arg, argIndex) => {
+      const denied = this.deniedFlags.find(
+        ({ flag, inputsOnly }) => (!inputsOnly || context.touchesInputs) && this.matchesFlag(arg, flag)
+      );
+      if (denied) {
+        const scope = denied.inputsOnly ? ' on uploaded input files' : '';
+        violations.push({
+          argIndex,
+          message: `"${arg}" is not allowed${scope}${denied.reason ? ` (${denied.reason})` : ''}`
+        });
+        return;
+      }
+      const flag = Object.keys(this.valuePatterns).find((candidate) => this.matchesFlag(arg, candidate));
+      if (!flag) {
+        return;
+      }
+      const inline = arg.length > flag.length && arg[flag.length] === '=';
+      const value = inline ? arg.slice(flag.length + 1) : args[argIndex + 1];
+      if (typeof value === 'string' && !this.valuePatterns[flag].some((pattern) => pattern.test(value))) {
+        violations.push({
+          argIndex,
+          message: `"${flag} ${value}" is not allowed; the value must match ${this.allowedValues[flag].join(' or ')}`
+        });
+      }
+    });
+    this.requiredFlags
+      .filter((flag) => !args.some((arg) => this.matchesFlag(arg, flag)))
+      .forEach((flag) => violations.push({ argIndex: null, message: `"${flag}" is required` }));
+    return violations;
+  }
+
+  /**
+   * 引数がオプションに一致するか判定します。`--flag=value` とストリーム指定付きの `-flag:v` も一致として扱います。
+   * @param {string} arg
+   * @param {string} flag
+   * @returns {boolean}
+   */
+  matchesFlag(arg, flag) {
+    const [candidate, expected] = this.ignoreCase ? [arg.toLowerCase(), flag.toLowerCase()] : [arg, flag];
+    return (
+      candidate === expected ||
+      (candidate.startsWith(expected) && (candidate[expected.length] === '=' || candidate[expected.length] === ':'))
+    );
+  }
+
+  /**
+   * 禁止オプション・値の許可パターン・必須オプションのいずれも無い場合に `true` を返します。
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.deniedFlags.length === 0 && Object.keys(this.allowedValues).length === 0 && this.requiredFlags.length === 0;
+  }
+
+  /**
+   * 設定ファイルと同じ形のプレーンなオブジェクトを返します。
+   * @returns {Required<ArgumentPolicyData>}
+   */
+  toJSON() {
+    return {
+      deniedFlags: this.deniedFlags.map((entry) => ({ ...entry })),
+      allowedValues: Object.fromEntries(Object.entries(this.allowedValues).map(([flag, patterns]) => [flag, [...patterns]])),
+      requiredFlags: [...this.requiredFlags],
+      ignoreCase: this.ignoreCase
+    };
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {DeniedFlag[]}
+ */
+function normalizeDeniedFlags(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    throw new Error('deniedFlags must be an array.');
+  }
+  return value.map((entry) => {
+    const { flag, reason = null, inputsOnly = false } = typeof entry === 'string' ? { flag: entry } : entry || {};
+    if (!isFlag(flag)) {
+      throw new Error('deniedFlags entries must be option names starting with "-" or objects with such a flag.');
+    }
+    if (reason !== null && typeof reason !== 'string') {
+      throw new Error(`The reason for ${flag} must be a string.`);
+    }
+    return { flag: flag.trim(), reason: reason?.trim() || null, inputsOnly: Boolean(inputsOnly) };
+  });
+}
+
+/**
+ * @param {unknown} value
+ * @returns {Record<string, string[]>}
+ */
+function normalizeAllowedValues(value) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('allowedValues must be an object mapping options to patterns.');
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([flag, patterns]) => {
+      if (!isFlag(flag)) {
+        throw new Error(`allowedValues key "${flag}" must be an option name starting with "-".`);
+      }
+      const list = normalizeFlagList(patterns, `allowedValues for ${flag}`, false);
+      list.forEach((pattern) => {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          throw new Error(`allowedValues for ${flag} has an invalid pattern ${pattern}: ${error.message}`);
+        }
+      });
+      return [flag, list];
+    })
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} field
+ * @param {boolean} [flags] 要素がオプション名である必要がある場合は `true`
+ * @returns {string[]}
+ */
+function normalizeFlagList(value, field, flags = true) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || !value.every((item) => typeof item === 'string' && (!flags || isFlag(item)))) {
+    throw new Error(`${field} must be an array of ${flags ? 'option names starting with "-"' : 'strings'}.`);
+  }
+  return value.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+function isFlag(value) {
+  return typeof value === 'string' && /^-{1,2}[^-\s]/.test(value.trim());
+}
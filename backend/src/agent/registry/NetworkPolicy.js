@@ -0,0 +1,117 @@
+/**
+ * @typedef {Object} NetworkTarget
+ * @property {string} url 引数に書かれたURL
+ * @property {string} protocol 小文字のプロトコル名（`hls+https` のような複合指定は最後の要素）
+ * @property {string|null} host 小文字のホスト名。読み取れない場合は `null`
+ */
+
+/**
+ * @typedef {Object} NetworkPolicyData
+ * @property {boolean} [enabled] `false` の場合はネットワークを使うステップをすべて拒否します
+ * @property {string[]} [allowedDomains] 接続を許可するドメイン（サブドメインも含む）。空の場合は制限しません
+ * @property {string[]} [allowedProtocols] 接続を許可するプロトコル（`https` など）。空の場合は制限しません
+ */
+
+/**
+ * ネットワークに接続するステップ（yt-dlp や URL を開く ffmpeg など）の許可範囲を表すデプロイ設定です。
+ * 既定ではすべて許可し、無効化またはドメイン・プロトコルの許可リストで制限できます。
+ */
+export class NetworkPolicy {
+  /**
+   * 設定値を検証して初期化します。不正な値がある場合は例外を投げます。
+   * @param {NetworkPolicyData} [data]
+   */
+  constructor(data = {}) {
+    this.enabled = data.enabled !== false;
+    this.allowedDomains = normalizeList(data.allowedDomains, 'allowedDomains').map((domain) => domain.replace(/^\*\./, ''));
+    this.allowedProtocols = normalizeList(data.allowedProtocols, 'allowedProtocols');
+  }
+
+  /**
+   * 環境変数からポリシーを作成します。
+   * `NETWORK_ACCESS=off` で無効化し、`NETWORK_ALLOWED_DOMAINS` / `NETWORK_ALLOWED_PROTOCOLS`（カンマ区切り）で制限します。
+   * @param {NodeJS.ProcessEnv} [env]
+   * @returns {NetworkPolicy}
+   */
+  static fromEnv(env = process.env) {
+    const access = (env.NETWORK_ACCESS || 'on').trim().toLowerCase();
+    if (!['on', 'off'].includes(access)) {
+      throw new Error(`NETWORK_ACCESS must be "on" or "off", got "${env.NETWORK_ACCESS}".`);
+    }
+    return new NetworkPolicy({
+      enabled: access === 'on',
+      allowedDomains: splitList(env.NETWORK_ALLOWED_DOMAINS),
+      allowedProtocols: splitList(env.NETWORK_ALLOWED_PROTOCOLS)
+    });
+  }
+
+  /**
+   * ポリシーの種類を返します。無効化されている場合は `disabled`、許可リストがある場合は `restricted`、それ以外は `open` です。
+   * @returns {'open'|'restricted'|'disabled'}
+   */
+  get mode() {
+    if (!this.enabled) {
+      return 'disabled';
+    }
+    return this.allowedDomains.length > 0 || this.allowedProtocols.length > 0 ? 'restricted' : 'open';
+  }
+
+  /**
+   * 接続先が許可されない理由を返します。許可される場合は `null` です。
+   * @param {NetworkTarget} target
+   * @returns {string|null}
+   */
+  findViolation(target) {
+    if (!this.enabled) {
+      return 'network steps are disabled on this server';
+    }
+    if (this.allowedProtocols.length > 0 && !this.allowedProtocols.includes(target.protocol)) {
+      return `the protocol ${target.protocol} is not allowed (allowed: ${this.allowedProtocols.join(', ')})`;
+    }
+    if (this.allowedDomains.length > 0 && !this.allowsHost(target.host)) {
+      const host = target.host ? `the host ${target.host} is` : 'a URL without a host is';
+      return `${host} not in the allowed domains (${this.allowedDomains.join(', ')})`;
+    }
+    return null;
+  }
+
+  /**
+   * ホストが許可ドメインそのものか、そのサブドメインの場合に `true` を返します。
+   * @param {string|null} host
+   * @returns {boolean}
+   */
+  allowsHost(host) {
+    return Boolean(host) && this.allowedDomains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  /**
+   * APIレスポンスやフェーズ情報向けのプレーンなオブジェクトを返します。
+   * @returns {{mode: 'open'|'restricted'|'disabled', allowedDomains: string[], allowedProtocols: string[]}}
+   */
+  toJSON() {
+    return { mode: this.mode, allowedDomains: [...this.allowedDomains], allowedProtocols: [...this.allowedProtocols] };
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} field
+ * @returns {string[]}
+ */
+function normalizeList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || !value.every((item) => typeof item === 'string')) {
+    throw new Error(`${field} must be an array of strings.`);
+  }
+  return [...new Set(value.map((item) => item.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
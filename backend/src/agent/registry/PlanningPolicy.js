@@ -0,0 +1,182 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const NAME_PLACEHOLDER = /\{([^{}]*)\}/g;
+const NAME_PLACEHOLDER_PATTERNS = {
+  original: null,
+  operation: '[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*',
+  ext: '[A-Za-z0-9]+'
+};
+
+/**
+ * @typedef {Object} PlanningPolicyData
+ * @property {string[]} rules プロンプトにそのまま渡すハウスルール
+ * @property {string|null} outputNamePattern 出力ファイル名の命名規則（例: `{original}_{operation}.{ext}`）
+ * @property {string[]} forbiddenCodecs 出力に使ってはいけないffmpegのコーデック
+ * @property {{width: number|null, height: number|null}|null} maxResolution 明示的に指定できる解像度の上限
+ */
+
+/**
+ * 運用者が定めるプランニングのハウスルール（既定のコーデック・命名規則・品質の下限など）です。
+ * `rules` はプロンプトに追加するだけですが、命名規則・禁止コーデック・最大解像度はプラン検証でも確認します。
+ */
+export class PlanningPolicy {
+  /**
+   * ポリシーファイルの内容を検証して初期化します。不正な値がある場合は例外を投げます。
+   * @param {Partial<PlanningPolicyData>} [data]
+   */
+  constructor(data = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Planning policy must be an object.');
+    }
+    this.rules = normalizeStringList(data.rules, 'rules');
+    this.outputNamePattern = normalizeNamePattern(data.outputNamePattern);
+    this.forbiddenCodecs = normalizeStringList(data.forbiddenCodecs, 'forbiddenCodecs').map((codec) => codec.toLowerCase());
+    this.maxResolution = normalizeResolution(data.maxResolution);
+  }
+
+  /**
+   * JSONのポリシーファイルを読み込みます。ファイルが存在しない場合は `null` を返します。
+   * @param {string} filePath
+   * @returns {Promise<PlanningPolicy|null>}
+   */
+  static async load(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    try {
+      return new PlanningPolicy(JSON.parse(content));
+    } catch (error) {
+      throw new Error(`Failed to load planning policy ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 出力ファイル名が命名規則に合っているか判定します。命名規則が無い場合は常に `true` です。
+   * `{original}` は入力ファイル名（拡張子を除く）のいずれか（入力が無い場合は任意の名前）、
+   * `{operation}` は英数字とハイフンの語、`{ext}` は拡張子に一致します。
+   * @param {string} fileName 出力ファイルのベース名
+   * @param {string[]} [inputNames] 入力ファイルの元の名前
+   * @returns {boolean}
+   */
+  matchesOutputName(fileName, inputNames = []) {
+    if (!this.outputNamePattern) {
+      return true;
+    }
+    const originals = inputNames.map((name) => escapeRegExp(path.parse(name).name)).filter(Boolean);
+    const source = this.outputNamePattern
+      .split(NAME_PLACEHOLDER)
+      .map((part, index) => {
+        if (index % 2 === 0) {
+          return escapeRegExp(part);
+        }
+        if (part === 'original') {
+          return originals.length > 0 ? `(?:${originals.join('|')})` : '.+';
+        }
+        return NAME_PLACEHOLDER_PATTERNS[part];
+      })
+      .join('');
+    return new RegExp(`^${source}$`).test(fileName);
+  }
+
+  /**
+   * 指定のコーデックが禁止されているか判定します。
+   * @param {string} codec
+   * @returns {boolean}
+   */
+  forbidsCodec(codec) {
+    return this.forbiddenCodecs.includes(codec.toLowerCase());
+  }
+
+  /**
+   * ルール・命名規則・禁止コーデック・最大解像度のいずれも無い場合に `true` を返します。
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.rules.length === 0 && !this.outputNamePattern && this.forbiddenCodecs.length === 0 && !this.maxResolution;
+  }
+
+  /**
+   * APIレスポンス向けのプレーンなオブジェクトを返します。
+   * @returns {PlanningPolicyData}
+   */
+  toJSON() {
+    return {
+      rules: [...this.rules],
+      outputNamePattern: this.outputNamePattern,
+      forbiddenCodecs: [...this.forbiddenCodecs],
+      maxResolution: this.maxResolution ? { ...this.maxResolution } : null
+    };
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} field
+ * @returns {string[]}
+ */
+function normalizeStringList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || !value.every((item) => typeof item === 'string')) {
+    throw new Error(`${field} must be an array of strings.`);
+  }
+  return value.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string|null}
+ */
+function normalizeNamePattern(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new Error('outputNamePattern must be a string.');
+  }
+  for (const [, name] of value.matchAll(NAME_PLACEHOLDER)) {
+    if (!(name in NAME_PLACEHOLDER_PATTERNS)) {
+      throw new Error(`outputNamePattern uses an unknown placeholder {${name}}.`);
+    }
+  }
+  return value.trim();
+}
+
+/**
+ * @param {unknown} value
+ * @returns {{width: number|null, height: number|null}|null}
+ */
+function normalizeResolution(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('maxResolution must be an object with width and/or height.');
+  }
+  const { width = null, height = null } = /** @type {Record<string, unknown>} */ (value);
+  [width, height].forEach((size) => {
+    if (size !== null && (!Number.isInteger(size) || Number(size) <= 0)) {
+      throw new Error('maxResolution width and height must be positive integers.');
+    }
+  });
+  if (width === null && height === null) {
+    return null;
+  }
+  return { width: /** @type {number|null} */ (width), height: /** @type {number|null} */ (height) };
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
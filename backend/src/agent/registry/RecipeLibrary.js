@@ -0,0 +1,269 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { DEFAULT_RECIPES } from '../config/recipes.js';
+
+/** @typedef {import('../shared/types.js').ToolRecipe} ToolRecipe */
+/** @typedef {import('../shared/types.js').AgentRequest} AgentRequest */
+
+const KEYWORD_SCORE = 0.5;
+const FILE_TYPE_SCORE = 0.2;
+const MIN_SCORE = 0.15;
+const EXTENSION_FILE_TYPES = {
+  video: ['mp4', 'mov', 'mkv', 'webm', 'avi', 'm4v', 'wmv', 'flv', 'mts', 'ts'],
+  audio: ['mp3', 'wav', 'm4a', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff'],
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif', 'avif', 'tif', 'tiff', 'bmp', 'svg']
+};
+
+/**
+ * ツールの使い方の定石（タスク例・正しい引数・落とし穴）をまとめたローカルのレシピ集です。
+ * タスク文と入力ファイルの種類に近いレシピをキーワードとトライグラムの類似度で選びます。
+ */
+export class RecipeLibrary {
+  /**
+   * @param {ToolRecipe[]} [recipes]
+   */
+  constructor(recipes = []) {
+    /** @type {ToolRecipe[]} */
+    this.recipes = [];
+    recipes.forEach((recipe) => this.add(recipe));
+  }
+
+  /**
+   * 同梱のレシピで初期化したライブラリを生成します。
+   * @returns {RecipeLibrary}
+   */
+  static createDefault() {
+    return new RecipeLibrary(DEFAULT_RECIPES);
+  }
+
+  /**
+   * レシピを追加します。同じIDのレシピは置き換えます。
+   * @param {any} recipe
+   */
+  add(recipe) {
+    const normalized = normalizeRecipe(recipe);
+    const index = this.recipes.findIndex((entry) => entry.id === normalized.id);
+    if (index === -1) {
+      this.recipes.push(normalized);
+    } else {
+      this.recipes[index] = normalized;
+    }
+  }
+
+  /**
+   * @returns {ToolRecipe[]}
+   */
+  list() {
+    return [...this.recipes];
+  }
+
+  /**
+   * ディレクトリ内の `*.json`（レシピ1件または配列）と `*.md`（フロントマター付き）を読み込みます。
+   * `id` を省略したレシピはファイル名（配列の場合は連番付き）をIDにします。
+   * ディレクトリが存在しない場合は何もしません。読み込んだ件数を返します。
+   * @param {string} directory
+   * @returns {Promise<number>}
+   */
+  async loadDirectory(directory) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory);
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let loaded = 0;
+    for (const entry of entries.sort()) {
+      const extension = path.extname(entry).toLowerCase();
+      if (extension !== '.json' && extension !== '.md') {
+        continue;
+      }
+      const filePath = path.join(directory, entry);
+      const content = await fs.readFile(filePath, 'utf8');
+      try {
+        const recipes = extension === '.json' ? [JSON.parse(content)].flat() : [parseMarkdownRecipe(content)];
+        const baseId = path.basename(entry, extension);
+        recipes.forEach((recipe, index) => {
+          this.add({ id: recipes.length > 1 ? `${baseId}-${index + 1}` : baseId, ...recipe });
+        });
+        loaded += recipes.length;
+      } catch (error) {
+        throw new Error(`Failed to load recipe ${filePath}: ${error.message}`);
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * タスク文と入力ファイルに関連するレシピをスコアの高い順に返します。
+   * 入力ファイルがある場合、対応するファイルの種類が一致しないレシピは除きます。
+   * @param {AgentRequest} request
+   * @param {{limit?: number, commands?: string[]}} [options] `commands` を指定するとそのツールのレシピに絞ります
+   * @returns {ToolRecipe[]}
+   */
+  findRelevant(request, options = {}) {
+    const limit = options.limit ?? 3;
+    const task = String(request.task || '').toLowerCase();
+    const taskTrigrams = toTrigrams(task);
+    const fileTypes = new Set((request.files || []).map(detectFileType).filter(Boolean));
+
+    return this.recipes
+      .filter((recipe) => !options.commands || options.commands.includes(recipe.tool))
+      .filter((recipe) => isApplicableToFiles(recipe, fileTypes))
+      .map((recipe) => {
+        const keywordHits = recipe.keywords.filter((keyword) => task.includes(keyword.toLowerCase())).length;
+        const textScore = jaccard(taskTrigrams, toTrigrams(recipe.task.toLowerCase())) + keywordHits * KEYWORD_SCORE;
+        const fileTypeMatch = recipe.fileTypes.some((type) => fileTypes.has(type)) ? FILE_TYPE_SCORE : 0;
+        return { recipe, textScore, score: textScore + fileTypeMatch };
+      })
+      .filter((entry) => entry.textScore >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((entry) => entry.recipe);
+  }
+}
+
+/**
+ * フロントマター（`key: value`、リストはカンマ区切り）・最初のコードブロック（引数）・箇条書き（落とし穴）からレシピを組み立てます。
+ * @param {string} content
+ * @returns {Record<string, any>}
+ */
+export function parseMarkdownRecipe(content) {
+  const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!frontMatter) {
+    throw new Error('Markdown recipes need a front matter block.');
+  }
+  /** @type {Record<string, any>} */
+  const recipe = {};
+  frontMatter[1].split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*([A-Za-z]+)\s*:\s*(.*)$/);
+    if (!match) {
+      return;
+    }
+    const [, key, value] = match;
+    recipe[key] = key === 'keywords' || key === 'fileTypes' ? splitList(value) : value.trim();
+  });
+
+  const body = content.slice(frontMatter[0].length);
+  const codeBlock = body.match(/```[^\n]*\n([\s\S]*?)```/);
+  if (codeBlock) {
+    const tokens = splitArguments(codeBlock[1].trim());
+    recipe.arguments = tokens[0] === recipe.tool ? tokens.slice(1) : tokens;
+  }
+  recipe.pitfalls = body
+    .replace(/```[\s\S]*?```/g, '')
+    .split(/\r?\n/)
+    .map((line) => line.match(/^\s*[-*]\s+(.*)$/)?.[1]?.trim())
+    .filter(Boolean);
+  return recipe;
+}
+
+/**
+ * @param {any} recipe
+ * @returns {ToolRecipe}
+ */
+function normalizeRecipe(recipe) {
+  if (!recipe || typeof recipe !== 'object') {
+    throw new Error('Recipe must be an object.');
+  }
+  const id = typeof recipe.id === 'string' ? recipe.id.trim() : '';
+  const tool = typeof recipe.tool === 'string' ? recipe.tool.trim() : '';
+  const task = typeof recipe.task === 'string' ? recipe.task.trim() : '';
+  if (!id || !tool || !task) {
+    throw new Error('Recipe needs id, tool and task.');
+  }
+  const toStrings = (value) =>
+    (Array.isArray(value) ? value : []).filter((item) => typeof item === 'string' && item.trim()).map((item) => item.trim());
+  return {
+    id,
+    tool,
+    task,
+    arguments: Array.isArray(recipe.arguments) ? recipe.arguments.map(String) : [],
+    pitfalls: toStrings(recipe.pitfalls),
+    keywords: toStrings(recipe.keywords),
+    fileTypes: toStrings(recipe.fileTypes)
+  };
+}
+
+/**
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return value
+    .replace(/^\[|\]$/g, '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * コマンドラインを空白で分割します。引用符で囲んだ部分は1つの引数として扱います。
+ * @param {string} commandLine
+ * @returns {string[]}
+ */
+function splitArguments(commandLine) {
+  return [...commandLine.replace(/\\\r?\n/g, ' ').matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(
+    (match) => match[1] ?? match[2] ?? match[3]
+  );
+}
+
+/**
+ * @param {ToolRecipe} recipe
+ * @param {Set<string>} fileTypes
+ * @returns {boolean}
+ */
+function isApplicableToFiles(recipe, fileTypes) {
+  if (fileTypes.size === 0 || recipe.fileTypes.length === 0) {
+    return true;
+  }
+  return recipe.fileTypes.some((type) => fileTypes.has(type));
+}
+
+/**
+ * @param {{mimeType?: string, originalName?: string}} file
+ * @returns {string|null}
+ */
+function detectFileType(file) {
+  const major = typeof file.mimeType === 'string' ? file.mimeType.split('/')[0] : '';
+  if (major === 'video' || major === 'audio' || major === 'image') {
+    return major;
+  }
+  const extension = path.extname(file.originalName || '').slice(1).toLowerCase();
+  return Object.keys(EXTENSION_FILE_TYPES).find((type) => EXTENSION_FILE_TYPES[type].includes(extension)) || null;
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function toTrigrams(text) {
+  const normalized = ` ${text.replace(/\s+/g, ' ').trim()} `;
+  const trigrams = new Set();
+  for (let index = 0; index + 3 <= normalized.length; index += 1) {
+    trigrams.add(normalized.slice(index, index + 3));
+  }
+  return trigrams;
+}
+
+/**
+ * @param {Set<string>} left
+ * @param {Set<string>} right
+ * @returns {number}
+ */
+function jaccard(left, right) {
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  left.forEach((gram) => {
+    if (right.has(gram)) {
+      shared += 1;
+    }
+  });
+  return shared / (left.size + right.size - shared);
+}
@@ -0,0 +1,117 @@
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+const PROBE_TIMEOUT_MS = 10_000;
+const PROBE_MAX_BUFFER = 4 * 1024 * 1024;
+
+/**
+ * @typedef {Object} FfmpegCapabilities
+ * @property {string[]} encoders
+ * @property {string[]} decoders
+ * @property {string[]} filters
+ */
+
+/**
+ * @typedef {Object} ToolCapabilities
+ * @property {FfmpegCapabilities|null} ffmpeg 調査できなかった場合は `null`
+ * @property {{formats: Record<string, string>}|null} magick フォーマット名と `rw+` 形式のモードの対応。調査できなかった場合は `null`
+ */
+
+/**
+ * `ffmpeg -encoders/-decoders/-filters` と `magick -list format` を実行し、利用可能なエンコーダー・フィルター・画像フォーマットを調べます。
+ * コマンドが無い・出力を解釈できないツールは `null`（制約なし）として扱います。
+ * @param {{ffmpegPath?: string, magickPath?: string, run?: (command: string, args: string[]) => Promise<string>}} [options]
+ * @returns {Promise<ToolCapabilities>}
+ */
+export async function probeToolCapabilities(options = {}) {
+  const run = options.run || runProbeCommand;
+  const ffmpegPath = options.ffmpegPath || 'ffmpeg';
+  const magickPath = options.magickPath || 'magick';
+
+  const [encoders, decoders, filters, formats] = await Promise.all([
+    tryRun(run, ffmpegPath, ['-hide_banner', '-encoders']).then(parseFfmpegCodecList),
+    tryRun(run, ffmpegPath, ['-hide_banner', '-decoders']).then(parseFfmpegCodecList),
+    tryRun(run, ffmpegPath, ['-hide_banner', '-filters']).then(parseFfmpegFilterList),
+    tryRun(run, magickPath, ['-list', 'format']).then(parseMagickFormatList)
+  ]);
+
+  return {
+    ffmpeg: encoders.length > 0 ? { encoders, decoders, filters } : null,
+    magick: Object.keys(formats).length > 0 ? { formats } : null
+  };
+}
+
+/**
+ * `ffmpeg -encoders` / `-decoders` の一覧からコーデック名を抽出します。
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseFfmpegCodecList(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const start = lines.findIndex((line) => /^\s*-{6,}\s*$/.test(line));
+  return lines
+    .slice(start + 1)
+    .map((line) => line.match(/^\s*[VAS][A-Z.]{5}\s+(\S+)/)?.[1])
+    .filter(Boolean);
+}
+
+/**
+ * `ffmpeg -filters` の一覧からフィルター名を抽出します。
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseFfmpegFilterList(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.match(/^\s*[T.][S.][C.]\s+(\S+)\s+\S*->\S*/)?.[1])
+    .filter(Boolean);
+}
+
+/**
+ * `magick -list format` の一覧からフォーマット名とモード（`rw+` など）を抽出します。
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+export function parseMagickFormatList(text) {
+  /** @type {Record<string, string>} */
+  const formats = {};
+  String(text || '')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const match = line.match(/^\s*([A-Za-z0-9_-]+)\*?\s+([r-][w-][+-])\s/);
+      if (match) {
+        formats[match[1].toUpperCase()] = match[2];
+      }
+    });
+  return formats;
+}
+
+/**
+ * @param {(command: string, args: string[]) => Promise<string>} run
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<string>}
+ */
+async function tryRun(run, command, args) {
+  try {
+    return await run(command, args);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<string>}
+ */
+async function runProbeCommand(command, args) {
+  const { stdout } = await execFileAsync(command, args, {
+    timeout: PROBE_TIMEOUT_MS,
+    maxBuffer: PROBE_MAX_BUFFER,
+    windowsHide: true
+  });
+  return stdout;
+}
@@ -1,4 +1,22 @@
 import { DEFAULT_TOOL_DEFINITIONS } from '../config/constants.js';
+import { ArgumentPolicy } from './ArgumentPolicy.js';
+import { NetworkPolicy } from './NetworkPolicy.js';
+import { PlanningPolicy } from './PlanningPolicy.js';
+import { RecipeLibrary } from './RecipeLibrary.js';
+import { probeToolCapabilities } from './ToolCapabilities.js';
+
+/** @typedef {import('./ToolCapabilities.js').ToolCapabilities} ToolCapabilities */
+/** @typedef {import('../shared/types.js').ToolRecipe} ToolRecipe */
+/** @typedef {import('../shared/types.js').AgentRequest} AgentRequest */
+/** @typedef {import('./ArgumentPolicy.js').ArgumentPolicyData} ArgumentPolicyData */
+
+/**
+ * @typedef {Object} ToolDefinition
+ * @property {string} title
+ * @property {string} description
+ * @property {ArgumentPolicyData} [argumentPolicy] 禁止オプション・値の許可パターン・必須オプション
+ * @property {'always'|'urls'} [networkAccess] 常にネットワークに接続する場合は `always`、URLの引数がある場合のみなら `urls`
+ */
 
 /**
  * 利用可能なCLIコマンドとそのメタ情報を管理するレジストリです。
@@ -6,10 +24,27 @@ import { DEFAULT_TOOL_DEFINITIONS } from '../config/constants.js';
 export class ToolRegistry {
   /**
    * 既定の定義に任意の追加定義をマージして初期化します。
-   * @param {Record<string, {title: string, description: string}>} [definitions]
+   * レシピ集を省略した場合は同梱のレシピを使います。
+   * ツール定義の `argumentPolicy` は引数ポリシーとしてプラン検証に使います。
+   * @param {Record<string, ToolDefinition>} [definitions]
+   * ネットワークポリシーを省略した場合はすべての接続を許可します。
+   * @param {{recipes?: RecipeLibrary, policy?: PlanningPolicy|null, networkPolicy?: NetworkPolicy}} [options]
    */
-  constructor(definitions) {
+  constructor(definitions, options = {}) {
+    /** @type {Record<string, ToolDefinition>} */
     this.definitions = { ...DEFAULT_TOOL_DEFINITIONS, ...definitions };
+    /** @type {Record<string, ArgumentPolicy>} */
+    this.argumentPolicies = Object.fromEntries(
+      Object.entries(this.definitions)
+        .filter(([, definition]) => definition.argumentPolicy)
+        .map(([id, definition]) => [id, new ArgumentPolicy(definition.argumentPolicy)])
+    );
+    this.recipes = options.recipes || RecipeLibrary.createDefault();
+    /** @type {PlanningPolicy|null} */
+    this.policy = options.policy || null;
+    this.networkPolicy = options.networkPolicy || new NetworkPolicy();
+    /** @type {ToolCapabilities|null} */
+    this.capabilities = null;
   }
 
   /**
@@ -56,4 +91,185 @@ export class ToolRegistry {
       description: this.definitions[id].description
     }));
   }
+
+  /**
+   * ディレクトリ内のJSON / Markdownのレシピをレシピ集に追加します。読み込んだ件数を返します。
+   * @param {string} directory
+   * @returns {Promise<number>}
+   */
+  async loadRecipes(directory) {
+    return this.recipes.loadDirectory(directory);
+  }
+
+  /**
+   * 依頼に関連するレシピのうち、登録済みのコマンドで実行できるものを返します。
+   * @param {AgentRequest} request
+   * @param {{limit?: number}} [options]
+   * @returns {ToolRecipe[]}
+   */
+  findRecipes(request, options = {}) {
+    return this.recipes.findRelevant(request, { ...options, commands: this.listExecutableCommandIds() });
+  }
+
+  /**
+   * プランニングポリシーのファイルを読み込んで設定します。ファイルが存在しない場合は何もせず `null` を返します。
+   * @param {string} filePath
+   * @returns {Promise<PlanningPolicy|null>}
+   */
+  async loadPolicy(filePath) {
+    const policy = await PlanningPolicy.load(filePath);
+    if (policy) {
+      this.policy = policy;
+    }
+    return policy;
+  }
+
+  /**
+   * プランニングポリシーを設定します。`null` で解除します。
+   * @param {PlanningPolicy|null} policy
+   */
+  setPolicy(policy) {
+    this.policy = policy;
+  }
+
+  /**
+   * 有効なプランニングポリシーを返します。未設定の場合は `null` です。
+   * @returns {PlanningPolicy|null}
+   */
+  getPolicy() {
+    return this.policy;
+  }
+
+  /**
+   * 運用者の引数ポリシーファイルを読み込み、ツールごとに既定のポリシーへ重ねます。
+   * 指定した項目だけが置き換わり、`null` を指定したツールはポリシーを解除します。ファイルが存在しない場合は `false` を返します。
+   * @param {string} filePath
+   * @returns {Promise<boolean>}
+   */
+  async loadArgumentPolicies(filePath) {
+    const overrides = await ArgumentPolicy.loadOverrides(filePath);
+    if (!overrides) {
+      return false;
+    }
+    Object.entries(overrides).forEach(([command, data]) => this.setArgumentPolicy(command, data, { merge: true }));
+    return true;
+  }
+
+  /**
+   * コマンドの引数ポリシーを設定します。`merge` を指定すると現在のポリシーに重ね、`null` で解除します。
+   * @param {string} command
+   * @param {ArgumentPolicyData|null} data
+   * @param {{merge?: boolean}} [options]
+   */
+  setArgumentPolicy(command, data, options = {}) {
+    if (data === null) {
+      delete this.argumentPolicies[command];
+      return;
+    }
+    const current = this.argumentPolicies[command];
+    this.argumentPolicies[command] = options.merge && current ? current.merge(data) : new ArgumentPolicy(data);
+  }
+
+  /**
+   * コマンドの引数ポリシーを返します。未設定の場合は `null` です。
+   * @param {string} command
+   * @returns {ArgumentPolicy|null}
+   */
+  getArgumentPolicy(command) {
+    return this.argumentPolicies[command] || null;
+  }
+
+  /**
+   * ネットワークに接続するステップの許可範囲を設定します。
+   * @param {NetworkPolicy} networkPolicy
+   */
+  setNetworkPolicy(networkPolicy) {
+    this.networkPolicy = networkPolicy;
+  }
+
+  /**
+   * 有効なネットワークポリシーを返します。
+   * @returns {NetworkPolicy}
+   */
+  getNetworkPolicy() {
+    return this.networkPolicy;
+  }
+
+  /**
+   * コマンドがネットワークに接続するかどうかの定義を返します。ローカルのみのコマンドは `null` です。
+   * @param {string} command
+   * @returns {'always'|'urls'|null}
+   */
+  getNetworkAccess(command) {
+    return this.definitions[command]?.networkAccess || null;
+  }
+
+  /**
+   * インストール済みのffmpeg / ImageMagickが対応するエンコーダー・フィルター・画像フォーマットを調べてキャッシュします。
+   * @param {Parameters<typeof probeToolCapabilities>[0]} [options]
+   * @returns {Promise<ToolCapabilities>}
+   */
+  async probeCapabilities(options) {
+    this.capabilities = await probeToolCapabilities(options);
+    return this.capabilities;
+  }
+
+  /**
+   * 調査済みの対応状況を設定します（テストや事前に調査した結果の再利用向け）。
+   * @param {ToolCapabilities|null} capabilities
+   */
+  setCapabilities(capabilities) {
+    this.capabilities = capabilities;
+  }
+
+  /**
+   * キャッシュ済みの対応状況を返します。未調査の場合は `null` です。
+   * @returns {ToolCapabilities|null}
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
+
+  /**
+   * ffmpegのエンコーダーが利用できるか判定します。未調査の場合は利用できるものとして扱います。
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasEncoder(name) {
+    const ffmpeg = this.capabilities?.ffmpeg;
+    return !ffmpeg || ffmpeg.encoders.includes(name);
+  }
+
+  /**
+   * ffmpegのデコーダーが利用できるか判定します。未調査の場合は利用できるものとして扱います。
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasDecoder(name) {
+    const ffmpeg = this.capabilities?.ffmpeg;
+    return !ffmpeg || ffmpeg.decoders.includes(name);
+  }
+
+  /**
+   * ffmpegのフィルターが利用できるか判定します。未調査の場合は利用できるものとして扱います。
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasFilter(name) {
+    const ffmpeg = this.capabilities?.ffmpeg;
+    return !ffmpeg || ffmpeg.filters.includes(name);
+  }
+
+  /**
+   * ImageMagickの画像フォーマットのモード（`rw+` など）を返します。未調査の場合は `undefined`、一覧に無い場合は `null` です。
+   * @param {string} format
+   * @returns {string|null|undefined}
+   */
+  getImageFormatMode(format) {
+    const magick = this.capabilities?.magick;
+    if (!magick) {
+      return undefined;
+    }
+    return magick.formats[format.toUpperCase()] ?? null;
+  }
 }
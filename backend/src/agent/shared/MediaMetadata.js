@@ -3,6 +3,9 @@ import { promisify } from 'node:util';
 
 const execFileAsync = promisify(execFile);
 
+const METADATA_TAGS = ['title', 'comment', 'description', 'artist', 'album', 'genre'];
+const MAX_TAG_LENGTH = 200;
+
 /**
  * @param {string} filePath
  * @returns {Promise<import('./types.js').AgentFileMetadata|null>}
@@ -17,6 +20,8 @@ export async function collectMediaMetadata(filePath) {
         '-show_entries',
         'format=duration,bit_rate',
         '-show_entries',
+        `format_tags=${METADATA_TAGS.join(',')}`,
+        '-show_entries',
         'stream=index,codec_type,codec_name,width,height,channels,sample_rate,bit_rate,avg_frame_rate,pix_fmt,bits_per_raw_sample,bits_per_sample',
         '-of',
         'json',
@@ -42,6 +47,7 @@ export async function collectMediaMetadata(filePath) {
       formatName: typeof format.format_name === 'string' ? format.format_name : undefined,
       durationSeconds: parseDuration(format.duration),
       bitRate: parseBitRate(format.bit_rate),
+      tags: summarizeTags(format.tags),
       primaryStream: primaryStream ? summarizeStream(primaryStream) : null,
       otherStreams: streamSummaries.filter((summary, index) => streams[index] !== primaryStream),
       raw: payload
@@ -103,6 +109,10 @@ export async function formatMediaMetadataLines(file) {
     lines.push(`bitrate: ${Math.round(metadata.bitRate / 1000)} kbps`);
   }
 
+  Object.entries(metadata.tags || {}).forEach(([key, value]) => {
+    lines.push(`tag ${key}: ${value}`);
+  });
+
   if (metadata.otherStreams.length > 0) {
     const others = metadata.otherStreams
       .map((stream) => {
@@ -150,6 +160,20 @@ function summarizeStream(stream) {
   };
 }
 
+function summarizeTags(tags) {
+  const summary = {};
+  if (!tags || typeof tags !== 'object') {
+    return summary;
+  }
+  Object.entries(tags).forEach(([key, value]) => {
+    const normalizedKey = key.toLowerCase();
+    if (METADATA_TAGS.includes(normalizedKey) && typeof value === 'string' && value.trim()) {
+      summary[normalizedKey] = value.replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+    }
+  });
+  return summary;
+}
+
 function parseDuration(value) {
   const numeric = parseFloat(value);
   return Number.isFinite(numeric) ? numeric : undefined;
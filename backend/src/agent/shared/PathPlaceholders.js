@@ -0,0 +1,108 @@
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]+)\s*(?::\s*([^{}]*?)\s*)?\}\}/g;
+
+/**
+ * @typedef {Object} PathPlaceholder
+ * @property {string} token The placeholder as written, e.g. `{{input:1}}`.
+ * @property {string} kind `input`, `output`, `scratch` or an unknown word.
+ * @property {string|null} key The part after the colon, if any.
+ */
+
+/**
+ * @typedef {Object} PlaceholderContext
+ * @property {Array<{originalName?: string, absolutePath: string}>} inputs Input files in request order.
+ * @property {Array<{path: string, id?: string|null}>} outputs Every output declared by the plan.
+ * @property {string|null} [scratchDir] Directory for intermediate files; scratch placeholders are kept as they are without it.
+ */
+
+/**
+ * Lists the `{{...}}` path placeholders in a plan argument.
+ * @param {string} value
+ * @returns {PathPlaceholder[]}
+ */
+export function listPlaceholders(value) {
+  return Array.from(String(value).matchAll(PLACEHOLDER_PATTERN), ([token, kind, key]) => ({
+    token,
+    kind,
+    key: key ? key : null
+  }));
+}
+
+/**
+ * Finds the path a placeholder stands for.
+ * `{{input:N}}` is the N-th input file (from 1) and `{{input:NAME}}` the input whose original name,
+ * with or without its extension, is NAME. `{{output:ID}}` is the declared output with that `id`,
+ * and `{{scratch}}` the scratch directory for intermediate files.
+ * `problem` explains why the placeholder cannot be resolved; `path` is null for scratch without a directory.
+ * @param {PathPlaceholder} placeholder
+ * @param {PlaceholderContext} context
+ * @returns {{path: string|null, problem: string|null}}
+ */
+export function lookupPlaceholder(placeholder, context) {
+  const { kind, key } = placeholder;
+  if (kind === 'scratch') {
+    return key === null
+      ? { path: context.scratchDir ?? null, problem: null }
+      : { path: null, problem: '{{scratch}} takes no name; write files as {{scratch}}/name.ext' };
+  }
+  if (kind === 'input') {
+    return lookupInput(key, context.inputs);
+  }
+  if (kind === 'output') {
+    if (key === null) {
+      return { path: null, problem: 'name the output, e.g. {{output:thumb}}, and give that output the same id' };
+    }
+    const output = context.outputs.find((item) => item.id === key);
+    return output
+      ? { path: output.path, problem: null }
+      : { path: null, problem: `no planned output has the id "${key}"` };
+  }
+  return { path: null, problem: 'only {{input:...}}, {{output:...}} and {{scratch}} are supported' };
+}
+
+/**
+ * Replaces the path placeholders in a plan argument with real paths.
+ * Throws when a placeholder cannot be resolved.
+ * @param {string} value
+ * @param {PlaceholderContext} context
+ * @returns {string}
+ */
+export function resolvePlaceholders(value, context) {
+  return value.replace(PLACEHOLDER_PATTERN, (token, kind, key) => {
+    const { path, problem } = lookupPlaceholder({ token, kind, key: key ? key : null }, context);
+    if (problem) {
+      throw new Error(`Cannot resolve ${token}: ${problem}.`);
+    }
+    return path ?? token;
+  });
+}
+
+/**
+ * @param {string|null} key
+ * @param {PlaceholderContext['inputs']} inputs
+ * @returns {{path: string|null, problem: string|null}}
+ */
+function lookupInput(key, inputs) {
+  if (inputs.length === 0) {
+    return { path: null, problem: 'no input files were provided' };
+  }
+  if (key === null) {
+    return { path: null, problem: 'give the input number or name, e.g. {{input:1}}' };
+  }
+  if (/^\d+$/.test(key)) {
+    const input = inputs[Number(key) - 1];
+    return input
+      ? { path: input.absolutePath, problem: null }
+      : { path: null, problem: `input files are numbered 1 to ${inputs.length}` };
+  }
+  const matches = inputs.filter((input) => {
+    const name = input.originalName || '';
+    return name === key || name.replace(/\.[^.]*$/, '') === key;
+  });
+  if (matches.length === 1) {
+    return { path: matches[0].absolutePath, problem: null };
+  }
+  return {
+    path: null,
+    problem: matches.length === 0 ? `no input file is named "${key}"` : `several input files are named "${key}"; use the number instead`
+  };
+}
@@ -0,0 +1,73 @@
+import { PLAN_SCHEMA_VERSION } from '../config/constants.js';
+
+/** @typedef {import('./types.js').CommandPlan} CommandPlan */
+
+/**
+ * Brings a plan of any earlier shape up to the current plan schema without validating it.
+ * Legacy single-command plans (`{command, arguments, reasoning}`) become a one-step plan,
+ * missing or non-string optional fields (including output ids) are filled in, and `schemaVersion` is stamped.
+ * Required step fields are copied as they are so the validator can still reject them.
+ * Returns null for anything that is not an object.
+ * @param {any} value
+ * @returns {CommandPlan|null}
+ */
+export function upgradePlan(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  if (Array.isArray(value.steps)) {
+    return {
+      schemaVersion: PLAN_SCHEMA_VERSION,
+      overview: optionalText(value.overview) ?? '',
+      followUp: optionalText(value.followUp) ?? '',
+      steps: value.steps.map((step) => ({
+        command: step?.command,
+        arguments: Array.isArray(step?.arguments) ? [...step.arguments] : [],
+        reasoning: typeof step?.reasoning === 'string' ? step.reasoning : '',
+        outputs: upgradeOutputs(step?.outputs),
+        id: optionalText(step?.id),
+        title: optionalText(step?.title),
+        note: optionalText(step?.note)
+      }))
+    };
+  }
+
+  const reasoning = typeof value.reasoning === 'string' ? value.reasoning : '';
+  return {
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    overview: reasoning,
+    followUp: optionalText(value.followUp) ?? '',
+    steps: [
+      {
+        command: typeof value.command === 'string' ? value.command : 'none',
+        arguments: Array.isArray(value.arguments) ? [...value.arguments] : [],
+        reasoning,
+        outputs: upgradeOutputs(value.outputs),
+        id: null,
+        title: null,
+        note: null
+      }
+    ]
+  };
+}
+
+/**
+ * Gives every output object an `id`; anything else is kept for the validator to reject.
+ * @param {any} outputs
+ * @returns {any[]}
+ */
+function upgradeOutputs(outputs) {
+  if (!Array.isArray(outputs)) {
+    return [];
+  }
+  return outputs.map((output) => (output && typeof output === 'object' ? { ...output, id: optionalText(output.id) } : output));
+}
+
+/**
+ * @param {any} value
+ * @returns {string|null}
+ */
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
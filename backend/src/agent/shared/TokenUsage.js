@@ -0,0 +1,138 @@
+/** @typedef {import('./types.js').TokenUsage} TokenUsage */
+/** @typedef {import('./types.js').UsageSummary} UsageSummary */
+/** @typedef {Record<string, {input: number, output: number}>} ModelPriceTable */
+
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+/**
+ * Reads the `usage` block of a Responses API or Chat Completions response.
+ * Returns null when the response carries no token counts.
+ * @param {any} raw
+ * @returns {TokenUsage|null}
+ */
+export function normalizeUsage(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const inputTokens = toCount(raw.input_tokens ?? raw.prompt_tokens);
+  const outputTokens = toCount(raw.output_tokens ?? raw.completion_tokens);
+  const reasoningTokens = toCount(
+    raw.output_tokens_details?.reasoning_tokens ?? raw.completion_tokens_details?.reasoning_tokens
+  );
+  if (inputTokens === 0 && outputTokens === 0) {
+    return null;
+  }
+  return { inputTokens, outputTokens, reasoningTokens };
+}
+
+/**
+ * Finds the entry of a model in a per-model table, falling back to the longest listed prefix
+ * so dated snapshots match their base model.
+ * @template T
+ * @param {string} model
+ * @param {Record<string, T>|null|undefined} table
+ * @returns {T|null}
+ */
+export function findModelEntry(model, table) {
+  if (!model || !table) {
+    return null;
+  }
+  if (table[model]) {
+    return table[model];
+  }
+  const prefix = Object.keys(table)
+    .filter((key) => model.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Finds the price of a model; see `findModelEntry` for how snapshots are matched.
+ * @param {string} model
+ * @param {ModelPriceTable} prices
+ * @returns {{input: number, output: number}|null}
+ */
+export function findModelPrice(model, prices) {
+  return findModelEntry(model, prices);
+}
+
+/**
+ * Converts token counts to USD. Reasoning tokens are billed as part of the output tokens.
+ * Returns null when the model has no price.
+ * @param {TokenUsage} usage
+ * @param {string} model
+ * @param {ModelPriceTable} prices
+ * @returns {number|null}
+ */
+export function calculateCost(usage, model, prices) {
+  const price = findModelPrice(model, prices);
+  if (!price) {
+    return null;
+  }
+  return roundCost((usage.inputTokens * price.input + usage.outputTokens * price.output) / TOKENS_PER_PRICE_UNIT);
+}
+
+/**
+ * Adds two usage summaries; either side may be null.
+ * @param {UsageSummary|null|undefined} left
+ * @param {UsageSummary|null|undefined} right
+ * @returns {UsageSummary|null}
+ */
+export function addUsage(left, right) {
+  if (!left && !right) {
+    return null;
+  }
+  const a = left || createEmptyUsage();
+  const b = right || createEmptyUsage();
+  return {
+    inputTokens: a.inputTokens + b.inputTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    reasoningTokens: a.reasoningTokens + b.reasoningTokens,
+    costUsd: roundCost(a.costUsd + b.costUsd)
+  };
+}
+
+/**
+ * Sums the token counts and cost recorded in the `meta` of each phase.
+ * Returns null when no phase called a model.
+ * @param {Array<{meta?: Record<string, any>}>} phases
+ * @returns {UsageSummary|null}
+ */
+export function summarizePhaseUsage(phases) {
+  return (Array.isArray(phases) ? phases : []).reduce((total, phase) => {
+    const meta = phase?.meta;
+    if (!meta || typeof meta.inputTokens !== 'number') {
+      return total;
+    }
+    return addUsage(total, {
+      inputTokens: meta.inputTokens,
+      outputTokens: toCount(meta.outputTokens),
+      reasoningTokens: toCount(meta.reasoningTokens),
+      costUsd: typeof meta.costUsd === 'number' ? meta.costUsd : 0
+    });
+  }, /** @type {UsageSummary|null} */ (null));
+}
+
+/**
+ * @returns {UsageSummary}
+ */
+export function createEmptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, reasoningTokens: 0, costUsd: 0 };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+function toCount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? Math.round(value) : 0;
+}
+
+/**
+ * Rounds to a millionth of a dollar to keep floating point noise out of stored totals.
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,62 @@
+const MAX_EXCERPT_LENGTH = 80;
+
+/**
+ * Patterns that look like instructions aimed at the model rather than data about a file.
+ * File names are matched after `_`, `-` and `.` are turned into spaces.
+ */
+const INSTRUCTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(instructions?|rules|prompts?|directions)\b/i,
+  /\b(you are now|act as|pretend to be|from now on|new instructions?)\b/i,
+  /(^|\n)\s*(system|assistant|developer)\s*:/i,
+  /\b(system|developer) (prompt|message)\b/i,
+  /<<<|>>>|<\/?(system|instructions?|prompt)>/i,
+  /\brm\s+-?(rf|fr|r|f)\b|\b(curl|wget)\s+\S|\$\(|;\s*(sh|bash)\b/i,
+  /(以前|前|上記|これまで|すべて|全て)の(指示|命令|ルール|プロンプト)を(無視|忘れ)/,
+  /(あなたは今から|今後は|システムプロンプト|新しい指示)/
+];
+
+/**
+ * Wraps untrusted text (file names, media tags, complaints, logs) in a labelled data block.
+ * Runs of `<` or `>` inside the text are broken up so the content cannot close the block early.
+ * @param {string} label
+ * @param {unknown} content
+ * @returns {string}
+ */
+export function fenceUntrusted(label, content) {
+  const name = escapeDelimiters(sanitizeText(label)).replace(/\s+/g, ' ').trim();
+  return [`<<<DATA ${name}>>>`, escapeDelimiters(sanitizeText(content)), `<<<END DATA ${name}>>>`].join('\n');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeDelimiters(text) {
+  return String(text).replace(/<{3,}|>{3,}/g, (run) => run.split('').join(' '));
+}
+
+/**
+ * Returns the instruction-like fragments found in untrusted text, or an empty array when nothing looks suspicious.
+ * @param {unknown} text
+ * @returns {string[]}
+ */
+export function detectInstructionLikeContent(text) {
+  const normalized = sanitizeText(text).replace(/[_.-]+/g, ' ');
+  const excerpts = [];
+  INSTRUCTION_PATTERNS.forEach((pattern) => {
+    const match = normalized.match(pattern);
+    if (match) {
+      excerpts.push(match[0].trim().slice(0, MAX_EXCERPT_LENGTH));
+    }
+  });
+  return excerpts;
+}
+
+/**
+ * Removes control and bidirectional override characters; newlines and tabs are kept.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function sanitizeText(value) {
+  return String(value ?? '').replace(/[\u0000-\u0008\u000b-\u001f\u007f\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '');
+}
@@ -25,6 +25,7 @@
  * @property {string|undefined} formatName
  * @property {number|undefined} durationSeconds
  * @property {number|undefined} bitRate
+ * @property {Record<string, string>} tags
  * @property {AgentFileStreamMetadata|null} primaryStream
  * @property {AgentFileStreamMetadata[]} otherStreams
  * @property {Record<string, any>} raw
@@ -35,12 +36,15 @@
  * @property {string} task
  * @property {AgentFile[]} files
  * @property {string} outputDir
+ * @property {string} [inputDir] Session directory holding the uploaded files; relative paths in arguments resolve against it
+ * @property {string} [previousResponseId] Stored model response this request continues; `task` then holds only the new message
  */
 
 /**
  * @typedef {Object} CommandOutputPlan
  * @property {string} path
  * @property {string} description
+ * @property {string|null} id Name that arguments use to refer to this output as `{{output:ID}}`.
  */
 
 /**
@@ -49,16 +53,157 @@
  * @property {string[]} arguments
  * @property {string} reasoning
  * @property {CommandOutputPlan[]} outputs
- * @property {string|undefined} id
- * @property {string|undefined} title
- * @property {string|undefined} note
+ * @property {string|null} id
+ * @property {string|null} title
+ * @property {string|null} note
  */
 
 /**
+ * Command plan in the current schema (`PLAN_SCHEMA_VERSION`); older shapes are brought up to date with `upgradePlan`.
  * @typedef {Object} CommandPlan
+ * @property {number} [schemaVersion]
  * @property {CommandStepPlan[]} steps
- * @property {string|undefined} overview
- * @property {string|undefined} followUp
+ * @property {string} overview
+ * @property {string} followUp
+ */
+
+/**
+ * @typedef {Object} Clarification
+ * @property {string} question
+ * @property {string[]} choices
+ */
+
+/**
+ * @typedef {Object} PlannerResult
+ * @property {CommandPlan|null} plan
+ * @property {any} rawPlan
+ * @property {string|undefined} planner
+ * @property {string} [model]
+ * @property {ModelAttempt[]} [attempts]
+ * @property {string[]} [validationRejections]
+ * @property {string[]} [promptWarnings]
+ * @property {Clarification} [clarification]
+ * @property {string|null} [responseId] Id of the stored model response that produced the plan, if the provider keeps one
+ * @property {Record<string, any>|undefined} debug
+ */
+
+/**
+ * @typedef {Object} PlanAlternative
+ * @property {string} id
+ * @property {string} label
+ * @property {string} tradeoff
+ * @property {{size: string, time: string}|null} estimate
+ * @property {CommandPlan} plan
+ */
+
+/**
+ * @typedef {Object} ResultSummary
+ * @property {string} summary
+ * @property {string[]} caveats
+ * @property {string[]} nextActions
+ */
+
+/**
+ * @typedef {Object} InquiryAnswer
+ * @property {string} answer
+ */
+
+/**
+ * @typedef {Object} RepairContext
+ * @property {number} attempt
+ * @property {string} commandLine
+ * @property {number|null} exitCode
+ * @property {boolean} timedOut
+ * @property {string|null} [failureMessage] Why the command was stopped, e.g. at an interactive prompt.
+ * @property {string} stderrTail
+ * @property {CommandPlan} previousPlan
+ */
+
+/**
+ * @typedef {Object} CommandPlanner
+ * @property {string} [id]
+ * @property {(request: AgentRequest, options?: Record<string, any>) => Promise<PlannerResult>} plan
+ * @property {(request: AgentRequest, options?: Record<string, any>) => boolean} [canPlan]
+ * @property {(request: AgentRequest, options?: Record<string, any>) => Promise<{alternatives: PlanAlternative[], discarded?: Array<{label: string, reason: string}>, rawPlan: any, planner: string|undefined, debug?: Record<string, any>}>} [planAlternatives]
+ * @property {boolean} [supportsStoredState] Whether requests with `previousResponseId` continue a stored model conversation
+ */
+
+/**
+ * @typedef {Object} LLMGenerateRequest
+ * @property {string} model
+ * @property {string} instructions
+ * @property {string} input
+ * @property {{name: string, schema: Record<string, any>, strict?: boolean}} [jsonSchema]
+ * @property {(delta: string, text: string) => void} [onTextDelta] Asks for a streamed response; receives each text fragment and the text so far
+ * @property {string} [previousResponseId] Continues the stored conversation of this response; only providers with `supportsStoredState` honour it
+ */
+
+/**
+ * A plan step reported while the planner's response is still streaming in.
+ * `index` starts again from 0 whenever the model is asked again.
+ * @typedef {Object} PlanDelta
+ * @property {string} phase
+ * @property {number} index
+ * @property {Record<string, any>} step
+ */
+
+/**
+ * @typedef {Object} LLMGenerateResult
+ * @property {string} text
+ * @property {any} response
+ * @property {Record<string, any>} requestPayload
+ * @property {TokenUsage|null} [usage]
+ * @property {string|null} [responseId]
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} reasoningTokens
+ */
+
+/**
+ * @typedef {Object} UsageSummary
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} reasoningTokens
+ * @property {number} costUsd
+ */
+
+/**
+ * @typedef {Object} LLMRequestOptions
+ * @property {AbortSignal} [signal]
+ * @property {number} [maxRetries]
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} id
+ * @property {boolean} [supportsStoredState] Whether earlier responses are kept server-side and can be continued with `previousResponseId`
+ * @property {(request: LLMGenerateRequest) => Record<string, any>} buildPayload
+ * @property {(request: LLMGenerateRequest, requestOptions?: LLMRequestOptions) => Promise<LLMGenerateResult>} generate
+ */
+
+/**
+ * @typedef {Object} ToolRecipe
+ * @property {string} id
+ * @property {string} tool
+ * @property {string} task
+ * @property {string[]} arguments
+ * @property {string[]} pitfalls
+ * @property {string[]} keywords
+ * @property {string[]} fileTypes
+ */
+
+/**
+ * @typedef {Object} ModelAttempt
+ * @property {number} attempt
+ * @property {string} model
+ * @property {'success'|'failed'} status
+ * @property {number} durationMs
+ * @property {string} [error]
+ * @property {TokenUsage|null} [usage]
  */
 
 /**
@@ -67,6 +212,9 @@
  * @property {number} [timeoutMs]
  * @property {string} [publicRoot]
  * @property {boolean} [dryRun]
+ * @property {boolean} [captureJson]
+ * @property {AgentFile[]} [inputs] Input files that `{{input:...}}` placeholders refer to.
+ * @property {string} [scratchDir] Directory for `{{scratch}}`; a temporary directory is created and removed when omitted.
  */
 
 /**
@@ -94,6 +242,9 @@
  * @property {string} stdout
  * @property {string} stderr
  * @property {string|undefined} skipReason
+ * @property {string} [failureReason] Why an executed step failed without a usable exit code, e.g. `interactive_prompt`.
+ * @property {string} [failureMessage] Human-readable explanation of `failureReason`.
+ * @property {any} [json]
  */
 
 /**
@@ -1,8 +1,15 @@
 import path from 'node:path';
 import dotenv from 'dotenv';
 
-import { createOpenAIClient, createMediaAgent, ToolRegistry } from './agent/index.js';
-import { MediaAgentServer } from './server/MediaAgentServer.js';
+import {
+  createOpenAIClient,
+  createMediaAgent,
+  describeModelCatalog,
+  NetworkPolicy,
+  resolveLLMConfig,
+  ToolRegistry
+} from './agent/index.js';
+import { MediaAgentServer, parseBoolean } from './server/MediaAgentServer.js';
 
 const ROOT_DIR = process.cwd();
 dotenv.config({ path: path.join(ROOT_DIR, '.env.local') });
@@ -14,11 +21,55 @@ const GENERATED_ROOT = path.join(PUBLIC_ROOT, 'generated');
 const STORAGE_ROOT = path.join(ROOT_DIR, 'storage');
 const SESSION_INPUT_ROOT = path.join(STORAGE_ROOT, 'inputs');
 
+const RECIPES_DIR = path.resolve(ROOT_DIR, process.env.RECIPES_DIR || 'recipes');
+const PLANNING_POLICY_FILE = path.resolve(ROOT_DIR, process.env.PLANNING_POLICY_FILE || 'planning-policy.json');
+const TOOL_ARGUMENT_POLICY_FILE = path.resolve(ROOT_DIR, process.env.TOOL_ARGUMENT_POLICY_FILE || 'tool-argument-policies.json');
+
 const toolRegistry = ToolRegistry.createDefault();
-const openAIClient = createOpenAIClient();
+// 同梱レシピに加えて、RECIPES_DIR の JSON / Markdown レシピを読み込む（コード変更なしで追加できる）
+await toolRegistry.loadRecipes(RECIPES_DIR);
+// 運用者のハウスルール（命名規則・禁止コーデック・最大解像度など）をプロンプトとプラン検証に反映する（ファイルが無ければ適用しない）
+await toolRegistry.loadPolicy(PLANNING_POLICY_FILE);
+// ツールごとの引数ポリシー（禁止オプション・値の許可パターン・必須オプション）を運用者の設定で上書きする（ファイルが無ければ既定のまま）
+await toolRegistry.loadArgumentPolicies(TOOL_ARGUMENT_POLICY_FILE);
+// ネットワークに接続するステップ（yt-dlp や URL を開く ffmpeg など）を NETWORK_ACCESS / NETWORK_ALLOWED_* の設定で制限する
+toolRegistry.setNetworkPolicy(NetworkPolicy.fromEnv());
+// インストール済みのエンコーダー・フィルター・画像フォーマットを調べ、プロンプトとプラン検証で利用する
+const capabilities = await toolRegistry.probeCapabilities();
+if (!capabilities.ffmpeg || !capabilities.magick) {
+  // eslint-disable-next-line no-console
+  console.warn('ffmpeg / ImageMagick の対応状況を取得できなかったため、該当ツールのコーデック・フォーマット検証を省略します。');
+}
+const llmConfig = resolveLLMConfig();
+// APIキーもベースURLも無い場合はルールベースのプランナーのみでオフライン動作させる（カセット再生時はキー不要）
+const cassetteReplay = (process.env.PLANNER_CASSETTE_MODE || '').trim().toLowerCase() === 'replay';
+const openAIClient =
+  llmConfig.apiKey || llmConfig.baseURL || cassetteReplay
+    ? createOpenAIClient(llmConfig.apiKey, undefined, { baseURL: llmConfig.baseURL })
+    : null;
+if (!openAIClient) {
+  // eslint-disable-next-line no-console
+  console.warn('OPENAI_API_KEY が設定されていないため、ルールベースのプランナーで起動します。');
+}
 const agent = createMediaAgent(openAIClient, {
   toolRegistry,
-  model: process.env.OPENAI_MODEL
+  model: llmConfig.model,
+  provider: llmConfig.provider,
+  structuredOutput: llmConfig.structuredOutput,
+  llmTimeoutMs: llmConfig.timeoutMs,
+  llmMaxRetries: llmConfig.maxRetries,
+  fallbackModels: llmConfig.fallbackModels,
+  modelPrices: llmConfig.prices,
+  // 入力1件・単一ステップの依頼は安価なモデル、複数入力や失敗後のやり直しは高性能なモデルで計画する
+  routing: llmConfig.routing,
+  plannerMode: process.env.PLANNER_MODE,
+  // 既存の出力ファイルの扱い（overwrite: 上書き / keep: そのステップをスキップ / version: "out (2).mp4" のように別名で保存）
+  // 実行中は入力ファイルから書き込み権限を外す（READ_ONLY_INPUTS=false で無効。変更の検出と復元は常に行う）
+  executorOptions: {
+    overwritePolicy: process.env.OUTPUT_OVERWRITE_POLICY,
+    readOnlyInputs: process.env.READ_ONLY_INPUTS === undefined ? undefined : parseBoolean(process.env.READ_ONLY_INPUTS)
+  },
+  maxRepairAttempts: process.env.MAX_REPAIR_ATTEMPTS ? Number(process.env.MAX_REPAIR_ATTEMPTS) : undefined
 });
 
 const server = new MediaAgentServer({
@@ -27,7 +78,9 @@ const server = new MediaAgentServer({
   publicRoot: PUBLIC_ROOT,
   generatedRoot: GENERATED_ROOT,
   storageRoot: STORAGE_ROOT,
-  sessionInputRoot: SESSION_INPUT_ROOT
+  sessionInputRoot: SESSION_INPUT_ROOT,
+  budget: llmConfig.budget,
+  models: describeModelCatalog(llmConfig)
 });
 
 server.start(PORT).catch((error) => {
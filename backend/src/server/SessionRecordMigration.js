@@ -0,0 +1,44 @@
+import { PLAN_SCHEMA_VERSION, upgradePlan } from '../agent/index.js';
+
+/**
+ * 保存済みセッション記録の移行処理。キーは移行元のバージョンで、1 つ新しいバージョンの記録を返す。
+ * `schemaVersion` を持たない記録はバージョン 1 として扱う。
+ * @type {Record<number, (record: Record<string, any>) => Record<string, any>>}
+ */
+const SESSION_RECORD_MIGRATIONS = {
+  // 1 → 2: プランの任意項目（overview / followUp / ステップの id・title・note）を必ず持つ形にそろえる
+  1: upgradeRecordPlans,
+  // 2 → 3: 出力ファイルに id（未設定は null）を持たせる
+  2: upgradeRecordPlans
+};
+
+/**
+ * 記録中のプラン（採用したプランと候補プラン）を `upgradePlan` で現在の形にそろえる。
+ * 候補プランを持たない記録に `alternatives` は足さない。
+ * @param {Record<string, any>} record
+ * @returns {Record<string, any>}
+ */
+function upgradeRecordPlans(record) {
+  const upgraded = { ...record, plan: upgradePlan(record.plan) };
+  if (Array.isArray(record.alternatives)) {
+    upgraded.alternatives = record.alternatives.map((alternative) => ({ ...alternative, plan: upgradePlan(alternative?.plan) }));
+  }
+  return upgraded;
+}
+
+/**
+ * 読み込んだセッション記録を現在のスキーマ（`PLAN_SCHEMA_VERSION`）まで順に移行する。
+ * ファイルは書き換えず、次に保存されるときに新しい形で書き出される。
+ * このサーバーより新しいバージョンの記録はそのまま返す。
+ * @param {Record<string, any>} record 読み込んだセッション記録
+ * @returns {Record<string, any>}
+ */
+export function migrateSessionRecord(record) {
+  let version = Number.isInteger(record.schemaVersion) ? record.schemaVersion : 1;
+  let migrated = record;
+  while (version < PLAN_SCHEMA_VERSION && SESSION_RECORD_MIGRATIONS[version]) {
+    migrated = SESSION_RECORD_MIGRATIONS[version](migrated);
+    version += 1;
+  }
+  return { ...migrated, schemaVersion: version };
+}
@@ -4,10 +4,34 @@ import {
 } from './helpers/testEnvironment.js';
 import runAgentParsingTests from './agent/parsing.test.js';
 import runAgentValidationTests from './agent/validation.test.js';
+import runToolCapabilitiesTests from './agent/toolCapabilities.test.js';
+import runRecipeLibraryTests from './agent/recipeLibrary.test.js';
+import runPlanningPolicyTests from './agent/planningPolicy.test.js';
+import runPromptInjectionTests from './agent/promptInjection.test.js';
 import runCommandExecutionTests from './agent/commandExecution.test.js';
+import runPathPlaceholderTests from './agent/pathPlaceholders.test.js';
+import runArgumentPathTests from './agent/argumentPaths.test.js';
+import runArgumentPolicyTests from './agent/argumentPolicy.test.js';
+import runNetworkPolicyTests from './agent/networkPolicy.test.js';
 import runPlannerTests from './agent/planner.test.js';
+import runRuleBasedPlannerTests from './agent/ruleBasedPlanner.test.js';
+import runPlannerCassetteTests from './agent/plannerCassette.test.js';
+import runLLMProviderTests from './agent/llmProviders.test.js';
+import runModelRetryTests from './agent/modelRetry.test.js';
+import runPlanStreamingTests from './agent/planStreaming.test.js';
+import runStoredConversationTests from './agent/storedConversation.test.js';
+import runSelfRepairTests from './agent/selfRepair.test.js';
+import runPlanAlternativesTests from './agent/planAlternatives.test.js';
+import runResultSummaryTests from './agent/resultSummary.test.js';
+import runInquiryTests from './agent/inquiry.test.js';
+import runTokenUsageTests from './agent/tokenUsage.test.js';
+import runModelRoutingTests from './agent/modelRouting.test.js';
 import runServerHelperTests from './server/serverHelpers.test.js';
 import runServerHandleTaskRequestTests from './server/handleTaskRequest.test.js';
+import runServerClarificationTests from './server/clarification.test.js';
+import runServerAlternativesTests from './server/alternatives.test.js';
+import runServerPlanApprovalTests from './server/planApproval.test.js';
+import runServerRevisionTests from './server/revision.test.js';
 import runIndexExportTests from './agent/indexExports.test.js';
 import runCliAvailabilityTests from './system/cliAvailability.test.js';
 
@@ -18,10 +42,34 @@ async function runTests() {
     await runCliAvailabilityTests();
     await runAgentParsingTests();
     await runAgentValidationTests();
+    await runToolCapabilitiesTests();
+    await runRecipeLibraryTests();
+    await runPlanningPolicyTests();
+    await runPromptInjectionTests();
     await runCommandExecutionTests();
+    await runPathPlaceholderTests();
+    await runArgumentPathTests();
+    await runArgumentPolicyTests();
+    await runNetworkPolicyTests();
     await runPlannerTests();
+    await runRuleBasedPlannerTests();
+    await runPlannerCassetteTests();
+    await runLLMProviderTests();
+    await runModelRetryTests();
+    await runPlanStreamingTests();
+    await runStoredConversationTests();
+    await runSelfRepairTests();
+    await runPlanAlternativesTests();
+    await runResultSummaryTests();
+    await runInquiryTests();
+    await runTokenUsageTests();
+    await runModelRoutingTests();
     await runServerHelperTests();
     await runServerHandleTaskRequestTests();
+    await runServerClarificationTests();
+    await runServerAlternativesTests();
+    await runServerPlanApprovalTests();
+    await runServerRevisionTests();
     await runIndexExportTests();
     // eslint-disable-next-line no-console
     console.log('All tests passed');
@@ -0,0 +1,205 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { PlanValidationError, PlanValidator, listFileOperands } from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runArgumentPathTests() {
+  await testListsFfmpegOperands();
+  await testListsMagickOperands();
+  await testListsExiftoolAndYtDlpOperands();
+  await testValidatorAcceptsSessionPaths();
+  await testValidatorRejectsReadsOutsideSession();
+  await testValidatorRejectsWritesOutsideOutputDir();
+}
+
+const SESSION_ROOT = path.join(TMP_ROOT, 'argument-paths');
+const INPUT_DIR = path.join(SESSION_ROOT, 'input');
+const OUTPUT_DIR = path.join(SESSION_ROOT, 'output');
+const EARLIER_OUTPUT = path.join(TMP_ROOT, 'argument-paths-earlier', 'clip_trim.mp4');
+const FILES = [
+  { id: 'f1', originalName: 'clip.mov', absolutePath: path.join(INPUT_DIR, 'clip.mov'), size: 1, mimeType: 'video/quicktime' },
+  { id: 'f2', originalName: 'clip_trim.mp4', absolutePath: EARLIER_OUTPUT, size: 1, mimeType: 'video/mp4' }
+];
+
+/**
+ * @param {string} command
+ * @param {string[]} args
+ */
+function describeOperands(command, args) {
+  return listFileOperands(command, args).map(({ path: filePath, access, via }) => `${access} ${filePath} (${via})`);
+}
+
+/**
+ * @param {string} command
+ * @param {string[]} args
+ */
+function validate(command, args) {
+  return new PlanValidator(sharedToolRegistry).validate(
+    { steps: [{ command, arguments: args, reasoning: 'Convert.', outputs: [] }] },
+    OUTPUT_DIR,
+    { files: FILES, inputDir: INPUT_DIR }
+  );
+}
+
+/**
+ * @param {string} command
+ * @param {string[]} args
+ * @param {RegExp} pattern
+ */
+function assertOutsideSession(command, args, pattern) {
+  assert.throws(
+    () => validate(command, args),
+    (error) => {
+      assert.ok(error instanceof PlanValidationError, error.message);
+      assert.equal(error.code, 'path_outside_session');
+      assert.equal(error.stepIndex, 0);
+      assert.match(error.message, pattern);
+      return true;
+    },
+    args.join(' ')
+  );
+}
+
+async function testListsFfmpegOperands() {
+  assert.deepEqual(
+    describeOperands('ffmpeg', [
+      '-y',
+      '-f',
+      'lavfi',
+      '-i',
+      'color=c=black:s=640x360',
+      '-i',
+      'file:clip.mov',
+      '-i',
+      'https://example.com/live.m3u8',
+      '-vf',
+      "subtitles='subs/en.srt':force_style='Fontsize=20',drawtext=fontfile=font.ttf:text='hi'",
+      '-c:v',
+      'libx264',
+      'out.mp4',
+      '-f',
+      'null',
+      '-'
+    ]),
+    [
+      'read clip.mov (-i (file:))',
+      'read subs/en.srt (subtitles filter)',
+      'read font.ttf (drawtext filter)',
+      'write out.mp4 (output operand)'
+    ]
+  );
+  assert.deepEqual(describeOperands('ffmpeg', ['-i', 'concat:a.ts|/tmp/b.ts', '-passlogfile', 'pass', 'NUL']), [
+    'read a.ts (-i (concat:))',
+    'read /tmp/b.ts (-i (concat:))',
+    'write pass (-passlogfile)'
+  ]);
+  assert.deepEqual(describeOperands('ffprobe', ['-v', 'error', '-of', 'json', '-show_format', 'clip.mov']), [
+    'read clip.mov (input operand)'
+  ]);
+  assert.deepEqual(describeOperands('node', ['-e', 'code', '/etc/passwd']), [], 'Commands without a parser are not analysed.');
+}
+
+async function testListsMagickOperands() {
+  assert.deepEqual(
+    describeOperands('magick', [
+      'photo.jpg[0]',
+      'xc:white',
+      'label:@/home/user/secret.txt',
+      '-annotate',
+      '+10+10',
+      '/not/a/file',
+      '-write',
+      'PNG:preview.png',
+      '@list.txt',
+      'msl:script.msl',
+      'text:notes.txt',
+      'ephemeral:frame.png',
+      'JPEG:result.jpg'
+    ]),
+    [
+      'read photo.jpg (operand)',
+      'read /home/user/secret.txt (label:@ text file)',
+      'write preview.png (png: coder)',
+      'read list.txt (operand (@ file list))',
+      'read script.msl (msl: coder)',
+      'read notes.txt (text: coder)',
+      'read frame.png (ephemeral: coder)',
+      'write result.jpg (jpeg: coder)'
+    ]
+  );
+  assert.deepEqual(describeOperands('magick', ['identify', '-format', '%w', 'photo.jpg']), ['read photo.jpg (operand)']);
+}
+
+async function testListsExiftoolAndYtDlpOperands() {
+  assert.deepEqual(
+    describeOperands('exiftool', ['-j', '-tagsFromFile', 'source.jpg', '-Comment<=notes.txt', '-o', 'tagged.jpg', 'photo.jpg']),
+    ['read source.jpg (-tagsFromFile)', 'read notes.txt (-Comment)', 'write tagged.jpg (-o)', 'read photo.jpg (operand)']
+  );
+  assert.deepEqual(
+    describeOperands('yt-dlp', [
+      '-f',
+      'bestaudio',
+      '-o',
+      '%(title)s.%(ext)s',
+      '--paths=temp:work',
+      '--cookies',
+      'cookies.txt',
+      'https://example.com/watch?v=1'
+    ]),
+    ['write %(title)s.%(ext)s (-o)', 'write work (--paths)', 'read cookies.txt (--cookies)']
+  );
+}
+
+async function testValidatorAcceptsSessionPaths() {
+  [
+    ['ffmpeg', ['-i', 'clip.mov', '-i', '{{input:2}}', '-filter_complex', 'concat=n=2:v=1:a=0', path.join(OUTPUT_DIR, 'joined.mp4')]],
+    ['ffmpeg', ['-i', '{{input:1}}', '-an', '{{scratch}}/silent.mp4']],
+    ['ffmpeg', ['-i', '{{scratch}}/silent.mp4', '-vf', 'subtitles=subs.srt', path.join(OUTPUT_DIR, 'subbed.mp4')]],
+    ['ffmpeg', ['-i', 'clip.mov', '-f', 'null', '/dev/null']],
+    ['ffmpeg', ['-i', 'clip.mov', '-c:v', 'libx264', '-b:a', '128k', '-metadata:s:a:0', 'language=jpn', path.join(OUTPUT_DIR, 'enc.mp4')]],
+    ['magick', ['clip_frame.png', '-resize', '50%', `PNG:${path.join(OUTPUT_DIR, 'half.png')}`]],
+    ['magick', ['clip_frame.png', '-draw', "image over 10,10 0,0 'logo.png'", '-annotate', '+5+5', 'Hello', path.join(OUTPUT_DIR, 'marked.png')]],
+    ['exiftool', ['-j', EARLIER_OUTPUT]]
+  ].forEach(([command, args]) => {
+    assert.doesNotThrow(() => validate(command, args), args.join(' '));
+  });
+}
+
+async function testValidatorRejectsReadsOutsideSession() {
+  assertOutsideSession(
+    'ffmpeg',
+    ['-i', '/etc/passwd', 'out.mp4'],
+    /^Step \(1\) reads "\/etc\/passwd" \(ffmpeg -i, argument 2\), which resolves to \/etc\/passwd outside the session\. Read only files in the input directory .+, the request files/
+  );
+  assertOutsideSession('magick', ['@/home/user/secret.txt', 'out.png'], /reads "\/home\/user\/secret\.txt" \(magick operand \(@ file list\), argument 1\)/);
+  assertOutsideSession('magick', ['msl:../../script.msl', 'out.png'], /reads "\.\.\/\.\.\/script\.msl" \(magick msl: coder, argument 1\)/);
+  assertOutsideSession('magick', ['in.png', '-annotate', '+0+0', '@/etc/passwd', 'out.png'], /reads "\/etc\/passwd" \(magick -annotate @ text file, argument 4\)/);
+  assertOutsideSession('magick', ['in.png', '-draw', "image over 0,0 0,0 '/etc/hostname'", 'out.png'], /reads "\/etc\/hostname" \(magick -draw image, argument 3\)/);
+  assertOutsideSession('magick', ['in.png', '-draw', 'text 10,10 "@/etc/hostname"', 'out.png'], /magick -draw text @ file/);
+  assertOutsideSession('magick', ['in.png', '-set', 'comment', '@/etc/hostname', 'out.png'], /magick -set @ text file/);
+  assertOutsideSession('ffmpeg', ['-i', 'clip.mov', '-vf', "movie='/etc/logo.png'[l];[0][l]overlay", 'out.mp4'], /movie filter/);
+  assertOutsideSession('ffprobe', ['-of', 'json', path.join(path.dirname(EARLIER_OUTPUT), 'other.mp4')], /ffprobe input operand/);
+}
+
+async function testValidatorRejectsWritesOutsideOutputDir() {
+  assertOutsideSession(
+    'ffmpeg',
+    ['-i', 'clip.mov', '/tmp/copy.mp4'],
+    /writes "\/tmp\/copy\.mp4" \(ffmpeg output operand, argument 3\), which resolves to \/tmp\/copy\.mp4 outside the session\. Write only to the output directory .+ or \{\{scratch\}\}\./
+  );
+  assertOutsideSession('ffmpeg', ['-i', 'clip.mov', 'copy.mp4'], /writes "copy\.mp4"/);
+  assertOutsideSession('ffmpeg', ['-i', 'clip.mov', '{{scratch}}/../../escape.mp4'], /resolves to \/escape\.mp4 outside the session/);
+  assertOutsideSession('exiftool', ['-o', '/tmp/tagged.jpg', 'clip.mov'], /writes "\/tmp\/tagged\.jpg" \(exiftool -o, argument 2\)/);
+  assertOutsideSession(
+    'ffmpeg',
+    ['-i', 'clip.mov', '-copyinkf', '/tmp/escape.mp4'],
+    /writes "\/tmp\/escape\.mp4" \(ffmpeg value of -copyinkf, an option not known to take a value, argument 4\)/
+  );
+  assertOutsideSession('ffmpeg', ['-i', 'clip.mov', '-hls_segment_filename', '/tmp/seg%03d.ts', 'out.m3u8'], /ffmpeg -hls_segment_filename/);
+  assertOutsideSession('yt-dlp', ['-o', '/tmp/%(title)s.%(ext)s', 'https://example.com/v'], /yt-dlp -o/);
+  assertOutsideSession('exiftool', ['-w', '/tmp/evil/%f.txt', 'clip.mov'], /writes "\/tmp\/evil\/" \(exiftool -w, argument 2\)/);
+  assertOutsideSession('exiftool', ['-W!', '%d%f_%t.txt', 'clip.mov'], /writes "%d%f_%t\.txt" \(exiftool -W!, argument 2\)/);
+  assertOutsideSession('exiftool', ['-textout', 'txt', 'clip.mov'], /writes "txt" \(exiftool -textout/);
+  assertOutsideSession('exiftool', ['-srcfile', '/etc/%f.xmp', '-j', 'clip.mov'], /reads "\/etc\/" \(exiftool -srcfile/);
+}
@@ -0,0 +1,181 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ArgumentPolicy, PlanValidationError, PlanValidator, PromptBuilder, ToolRegistry } from '../../src/agent/index.js';
+import { TMP_ROOT } from '../helpers/testEnvironment.js';
+
+export default async function runArgumentPolicyTests() {
+  await testDefaultPoliciesRejectDangerousFlags();
+  await testInputOnlyFlagsAllowOutputFiles();
+  await testAllowedValuePatterns();
+  await testOperatorOverrides();
+  await testPolicyFileValidation();
+  await testPromptListsArgumentPolicies();
+}
+
+const SESSION_ROOT = path.join(TMP_ROOT, 'argument-policy');
+const INPUT_DIR = path.join(SESSION_ROOT, 'input');
+const OUTPUT_DIR = path.join(SESSION_ROOT, 'output');
+const PHOTO = path.join(INPUT_DIR, 'photo.jpg');
+const FILES = [{ id: 'f1', originalName: 'photo.jpg', absolutePath: PHOTO, size: 1, mimeType: 'image/jpeg' }];
+
+/**
+ * @param {ToolRegistry} registry
+ * @param {Array<[string, string[]]>} steps
+ */
+function validate(registry, steps) {
+  return new PlanValidator(registry).validate(
+    { steps: steps.map(([command, args]) => ({ command, arguments: args, reasoning: 'Run.', outputs: [] })) },
+    OUTPUT_DIR,
+    { files: FILES, inputDir: INPUT_DIR }
+  );
+}
+
+/**
+ * @param {ToolRegistry} registry
+ * @param {Array<[string, string[]]>} steps
+ * @param {RegExp} pattern
+ * @param {number} [stepIndex]
+ */
+function assertPolicyViolation(registry, steps, pattern, stepIndex = 0) {
+  assert.throws(
+    () => validate(registry, steps),
+    (error) => {
+      assert.ok(error instanceof PlanValidationError, error.message);
+      assert.equal(error.code, 'argument_policy_violation');
+      assert.equal(error.stepIndex, stepIndex);
+      assert.match(error.message, pattern);
+      return true;
+    }
+  );
+}
+
+async function testDefaultPoliciesRejectDangerousFlags() {
+  const registry = new ToolRegistry();
+  assertPolicyViolation(
+    registry,
+    [
+      ['exiftool', ['-j', '{{input:1}}']],
+      ['yt-dlp', ['--exec', 'rm -rf ~', '--batch-file', 'urls.txt', 'https://example.com/v']]
+    ],
+    /^Step \(2\) breaks the yt-dlp argument policy of this server: "--exec" is not allowed \(runs shell commands\); "--batch-file" is not allowed \(reads URLs from a file\)\.$/,
+    1
+  );
+  assertPolicyViolation(registry, [['yt-dlp', ['--config-location=yt.conf', 'https://example.com/v']]], /"--config-location=yt\.conf" is not allowed/);
+  assertPolicyViolation(registry, [['exiftool', ['-@', 'args.txt']]], /"-@" is not allowed \(reads more arguments from a file\)/);
+  assertPolicyViolation(
+    registry,
+    [
+      [
+        'exiftool',
+        ['-w', path.join(OUTPUT_DIR, '%f.json'), '-W!', path.join(OUTPUT_DIR, '%f_%t.txt'), '-TextOut+', path.join(OUTPUT_DIR, '%f.txt'), '{{input:1}}']
+      ]
+    ],
+    /"-w" is not allowed \(writes files named after the inputs.*\); "-W!" is not allowed .*; "-TextOut\+" is not allowed/
+  );
+  assertPolicyViolation(registry, [['exiftool', ['-srcfile', '%d%f.xmp', '-j', '{{input:1}}']]], /"-srcfile" is not allowed/);
+  assertPolicyViolation(
+    registry,
+    [['yt-dlp', ['--print-to-file', 'title', 'titles.txt', '--ffmpeg-location', '/tmp/ff', '--cache-dir=/tmp/c', 'https://example.com/v']]],
+    /"--print-to-file" is not allowed \(writes to a file outside the -o template\); "--ffmpeg-location" is not allowed \(runs an ffmpeg binary of its choice\); "--cache-dir=\/tmp\/c" is not allowed/
+  );
+  assertPolicyViolation(
+    registry,
+    [['ffmpeg', ['-dump_attachment:t', '', '-i', '{{input:1}}']]],
+    /"-dump_attachment:t" is not allowed/
+  );
+  const template = path.join(OUTPUT_DIR, '%(title)s.%(ext)s');
+  assert.doesNotThrow(() => validate(registry, [['yt-dlp', ['-x', '--audio-format', 'mp3', '-o', template, 'https://example.com/v']]]));
+}
+
+async function testInputOnlyFlagsAllowOutputFiles() {
+  const registry = new ToolRegistry();
+  ['{{input:1}}', 'photo.jpg'].forEach((target) => {
+    assertPolicyViolation(
+      registry,
+      [['exiftool', ['-Overwrite_Original', '-all=', target]]],
+      /"-Overwrite_Original" is not allowed on uploaded input files \(write the edited copy to the output directory with -o\)/
+    );
+  });
+  assert.doesNotThrow(() =>
+    validate(registry, [
+      ['exiftool', ['-all=', '-o', path.join(OUTPUT_DIR, 'clean.jpg'), '{{input:1}}']],
+      ['exiftool', ['-overwrite_original', '-Comment=done', path.join(OUTPUT_DIR, 'clean.jpg')]]
+    ])
+  );
+}
+
+async function testAllowedValuePatterns() {
+  const registry = new ToolRegistry();
+  assertPolicyViolation(
+    registry,
+    [['yt-dlp', ['--downloader', 'aria2c', 'https://example.com/v']]],
+    /"--downloader aria2c" is not allowed; the value must match \(\?:\[a-z0-9_\+,-\]\+:\)\?\(\?:native\|ffmpeg\)/
+  );
+  assert.doesNotThrow(() => validate(registry, [['yt-dlp', ['--downloader=m3u8:native', 'https://example.com/v']]]));
+  assert.doesNotThrow(() => validate(registry, [['yt-dlp', ['--downloader', 'ffmpeg', 'https://example.com/v']]]));
+}
+
+async function testOperatorOverrides() {
+  await fs.mkdir(SESSION_ROOT, { recursive: true });
+  const filePath = path.join(SESSION_ROOT, 'tool-argument-policies.json');
+  await fs.writeFile(
+    filePath,
+    JSON.stringify({
+      'yt-dlp': { deniedFlags: [{ flag: '--exec', reason: 'runs shell commands' }] },
+      ffmpeg: { requiredFlags: ['-nostdin'], allowedValues: { '-f': ['mp4|null'] } },
+      exiftool: null
+    })
+  );
+  const registry = new ToolRegistry();
+  assert.equal(await registry.loadArgumentPolicies(filePath), true);
+  assert.equal(await registry.loadArgumentPolicies(path.join(SESSION_ROOT, 'missing.json')), false);
+
+  assert.doesNotThrow(() => validate(registry, [['yt-dlp', ['--batch-file', 'urls.txt']]]), 'Replaced deny lists drop the defaults.');
+  assertPolicyViolation(registry, [['yt-dlp', ['--exec', 'echo']]], /"--exec" is not allowed/);
+  assert.deepEqual(
+    registry.getArgumentPolicy('yt-dlp').allowedValues['--downloader'],
+    ['(?:[a-z0-9_+,-]+:)?(?:native|ffmpeg)'],
+    'Fields missing from the override keep their defaults.'
+  );
+  assert.equal(registry.getArgumentPolicy('exiftool'), null);
+  assert.doesNotThrow(() => validate(registry, [['exiftool', ['-@', 'args.txt']]]));
+
+  assertPolicyViolation(
+    registry,
+    [['ffmpeg', ['-i', '{{input:1}}', '-f', 'webm', path.join(OUTPUT_DIR, 'out.webm')]]],
+    /"-f webm" is not allowed; the value must match mp4\|null; "-nostdin" is required\.$/
+  );
+  assert.doesNotThrow(() =>
+    validate(registry, [['ffmpeg', ['-nostdin', '-i', '{{input:1}}', '-f', 'mp4', path.join(OUTPUT_DIR, 'out.mp4')]]])
+  );
+  assertPolicyViolation(
+    registry,
+    [['ffmpeg', ['-nostdin', '-dump_attachment:t', '', '-i', '{{input:1}}']]],
+    /"-dump_attachment:t" is not allowed/
+  );
+}
+
+async function testPolicyFileValidation() {
+  assert.throws(() => new ArgumentPolicy({ deniedFlags: ['exec'] }), /deniedFlags entries must be option names/);
+  assert.throws(() => new ArgumentPolicy({ allowedValues: { '-f': ['(mp4'] } }), /invalid pattern \(mp4/);
+  assert.throws(() => new ArgumentPolicy({ requiredFlags: '-nostdin' }), /requiredFlags must be an array/);
+
+  const filePath = path.join(SESSION_ROOT, 'broken-policies.json');
+  await fs.writeFile(filePath, JSON.stringify({ ffmpeg: { deniedFlags: 'all' } }));
+  await assert.rejects(new ToolRegistry().loadArgumentPolicies(filePath), /Failed to load argument policies .*deniedFlags must be an array/);
+}
+
+async function testPromptListsArgumentPolicies() {
+  const prompt = await new PromptBuilder(new ToolRegistry()).build({ task: 'Download', files: [], outputDir: OUTPUT_DIR });
+  assert.ok(prompt.includes('Argument policy of this server (steps that break it are rejected):'));
+  assert.ok(prompt.includes('- yt-dlp: never use --exec, --exec-before-download, --netrc-cmd, -a, --batch-file,'));
+  assert.ok(prompt.includes('- exiftool: never use -overwrite_original, -overwrite_original_in_place, -delete_original, -restore_original on input files.'));
+  assert.ok(prompt.includes('- yt-dlp: --downloader only accepts values matching (?:[a-z0-9_+,-]+:)?(?:native|ffmpeg).'));
+
+  const registry = new ToolRegistry();
+  ['ffmpeg', 'exiftool', 'yt-dlp'].forEach((command) => registry.setArgumentPolicy(command, null));
+  const withoutPolicies = await new PromptBuilder(registry).build({ task: 'Download', files: [], outputDir: OUTPUT_DIR });
+  assert.ok(!withoutPolicies.includes('Argument policy of this server'));
+}
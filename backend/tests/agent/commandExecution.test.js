@@ -4,6 +4,7 @@ import path from 'node:path';
 
 import {
   CommandExecutor,
+  detectInteractivePrompt,
   MediaAgentTaskError,
   PlanValidator,
   ToolRegistry
@@ -13,6 +14,10 @@ import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
 export default async function runCommandExecutionTests() {
   await testCommandExecutorWithNone();
   await testCommandExecutorExecutionPaths();
+  await testCommandsRunWithoutStdin();
+  await testInteractivePromptFailsFast();
+  await testOverwritePolicies();
+  await testInputsMustStayUnchanged();
   await testToolRegistry();
   await testMediaAgentTaskError();
 }
@@ -89,6 +94,173 @@ async function testCommandExecutorExecutionPaths() {
   assert.ok(result.stdout.includes('[step 1]'), 'Aggregated stdout should label steps.');
 }
 
+async function testCommandsRunWithoutStdin() {
+  const executor = new CommandExecutor({ timeoutMs: 10_000 });
+  const result = await executor.execute({
+    steps: [
+      {
+        command: process.execPath,
+        arguments: ['-e', "process.stdin.on('data', () => {}).on('end', () => process.stdout.write('stdin closed'))"],
+        reasoning: 'Read stdin until it ends.',
+        outputs: []
+      }
+    ]
+  });
+  assert.equal(result.exitCode, 0);
+  assert.equal(result.steps[0].stdout, 'stdin closed');
+}
+
+async function testInteractivePromptFailsFast() {
+  const executor = new CommandExecutor({ timeoutMs: 60_000 });
+  const startedAt = Date.now();
+  const ended = [];
+  const result = await executor.execute(
+    {
+      steps: [
+        {
+          command: process.execPath,
+          arguments: [
+            '-e',
+            "process.stderr.write(\"File 'out.mp4' already exists. Overwrite? [y/N] \"); setInterval(() => {}, 1000)"
+          ],
+          reasoning: 'Ask before overwriting.',
+          outputs: []
+        },
+        {
+          command: process.execPath,
+          arguments: ['-e', "process.stdout.write('never')"],
+          reasoning: 'Follow-up.',
+          outputs: []
+        }
+      ]
+    },
+    { onCommandEnd: (event) => ended.push(event.failureReason) }
+  );
+  assert.ok(Date.now() - startedAt < 30_000, 'The prompt should not wait for the timeout.');
+  assert.equal(result.timedOut, false);
+  assert.equal(result.steps[0].status, 'executed');
+  assert.equal(result.steps[0].failureReason, 'interactive_prompt');
+  assert.match(
+    result.steps[0].failureMessage,
+    /^Stopped at an interactive prompt \(overwrite confirmation\): "File 'out\.mp4' already exists\. Overwrite\? \[y\/N\]"/
+  );
+  assert.deepEqual(ended, ['interactive_prompt']);
+  assert.equal(result.steps[1].skipReason, 'previous_step_failed');
+
+  assert.deepEqual(detectInteractivePrompt('Enter the password for video.zip: '), {
+    kind: 'password prompt',
+    text: 'Enter the password for video.zip:'
+  });
+  assert.equal(detectInteractivePrompt('Press [q] to stop, [?] for help\nframe=  10'), null);
+}
+
+async function testOverwritePolicies() {
+  const tmpDir = path.join(TMP_ROOT, 'executor-overwrite');
+  await fs.rm(tmpDir, { recursive: true, force: true });
+  await fs.mkdir(tmpDir, { recursive: true });
+  const existing = path.join(tmpDir, 'out.txt');
+  const literal = path.join(tmpDir, 'notes.txt');
+  const writeScript = "require('fs').writeFileSync(process.argv[1], 'new')";
+  const createPlan = () => ({
+    steps: [
+      {
+        command: process.execPath,
+        arguments: ['-e', writeScript, '{{output:out}}'],
+        reasoning: 'Write the output.',
+        outputs: [{ id: 'out', path: existing, description: 'output' }]
+      },
+      {
+        command: process.execPath,
+        arguments: ['-e', writeScript, literal],
+        reasoning: 'Write notes.',
+        outputs: [{ id: null, path: literal, description: 'notes' }]
+      }
+    ]
+  });
+
+  await fs.writeFile(existing, 'old');
+  await fs.writeFile(literal, 'old');
+  await fs.writeFile(path.join(tmpDir, 'out (2).txt'), 'old');
+  const versioned = await new CommandExecutor({ timeoutMs: 10_000, overwritePolicy: 'version' }).execute(createPlan());
+  assert.equal(versioned.exitCode, 0);
+  assert.equal(await fs.readFile(existing, 'utf8'), 'old');
+  assert.equal(await fs.readFile(path.join(tmpDir, 'out (3).txt'), 'utf8'), 'new');
+  assert.equal(await fs.readFile(path.join(tmpDir, 'notes (2).txt'), 'utf8'), 'new', 'Literal paths follow the rename.');
+  assert.deepEqual(
+    versioned.resolvedOutputs.map((output) => path.basename(output.path)),
+    ['out (3).txt', 'notes (2).txt']
+  );
+
+  await fs.rm(path.join(tmpDir, 'notes (2).txt'));
+  await fs.rm(literal);
+  const kept = await new CommandExecutor({ timeoutMs: 10_000, overwritePolicy: 'keep' }).execute(createPlan());
+  assert.equal(kept.steps[0].status, 'skipped');
+  assert.equal(kept.steps[0].skipReason, 'output_exists');
+  assert.equal(kept.steps[1].status, 'executed');
+  assert.equal(await fs.readFile(existing, 'utf8'), 'old');
+  assert.equal(await fs.readFile(literal, 'utf8'), 'new');
+
+  const overwritten = await new CommandExecutor({ timeoutMs: 10_000 }).execute(createPlan());
+  assert.deepEqual(overwritten.steps.map((step) => step.status), ['executed', 'executed']);
+  assert.equal(await fs.readFile(existing, 'utf8'), 'new');
+
+  const ffmpegPlan = {
+    steps: [{ command: 'ffmpeg', arguments: ['-i', 'in.mp4', '-n', 'out.mp4'], reasoning: 'Convert.', outputs: [] }]
+  };
+  const dryRun = await new CommandExecutor().execute(ffmpegPlan, { dryRun: true });
+  assert.deepEqual(dryRun.steps[0].arguments, ['-y', '-i', 'in.mp4', 'out.mp4']);
+  const keepDryRun = await new CommandExecutor({ overwritePolicy: 'keep' }).execute(ffmpegPlan, { dryRun: true });
+  assert.deepEqual(keepDryRun.steps[0].arguments, ['-n', '-i', 'in.mp4', 'out.mp4']);
+
+  assert.throws(() => new CommandExecutor({ overwritePolicy: 'ask' }), /must be one of overwrite, keep, version, got "ask"/);
+}
+
+async function testInputsMustStayUnchanged() {
+  const tmpDir = path.join(TMP_ROOT, 'executor-inputs');
+  await fs.rm(tmpDir, { recursive: true, force: true });
+  await fs.mkdir(tmpDir, { recursive: true });
+  const input = path.join(tmpDir, 'photo.jpg');
+  const inputs = [{ id: 'f1', originalName: 'photo.jpg', absolutePath: input, size: 8, mimeType: 'image/jpeg' }];
+  const runScript = (script) => ({
+    command: process.execPath,
+    arguments: ['-e', `const fs = require('fs'); ${script}`, '{{input:1}}'],
+    reasoning: 'Use the input.',
+    outputs: []
+  });
+
+  await fs.writeFile(input, 'original');
+  const writable = new CommandExecutor({ timeoutMs: 10_000, readOnlyInputs: false });
+  const modified = await writable.execute(
+    {
+      steps: [
+        runScript('fs.utimesSync(process.argv[1], new Date(0), new Date(0))'),
+        runScript("fs.writeFileSync(process.argv[1], 'rewritten')"),
+        runScript("process.stdout.write('never')")
+      ]
+    },
+    { inputs }
+  );
+  assert.equal(modified.steps[0].failureReason, undefined, 'Touching an input without changing it is allowed.');
+  assert.equal(modified.steps[1].exitCode, 0);
+  assert.equal(modified.steps[1].failureReason, 'inputs_modified');
+  assert.match(modified.steps[1].failureMessage, /^Modified input files: photo\.jpg \(changed\)\. They were restored/);
+  assert.equal(modified.steps[2].skipReason, 'previous_step_failed');
+  assert.equal(await fs.readFile(input, 'utf8'), 'original', 'A modified input is restored from its copy.');
+
+  const deleted = await writable.execute({ steps: [runScript('fs.unlinkSync(process.argv[1])')] }, { inputs });
+  assert.match(deleted.steps[0].failureMessage, /photo\.jpg \(deleted\)/);
+  assert.equal(await fs.readFile(input, 'utf8'), 'original', 'A deleted input is restored as well.');
+
+  await fs.chmod(input, 0o644);
+  const readOnly = await new CommandExecutor({ timeoutMs: 10_000 }).execute(
+    { steps: [runScript('process.stdout.write(String(fs.statSync(process.argv[1]).mode & 0o222))')] },
+    { inputs }
+  );
+  assert.equal(readOnly.steps[0].stdout, '0', 'Inputs are read-only while the plan runs.');
+  assert.equal(readOnly.steps[0].failureReason, undefined);
+  assert.equal((await fs.stat(input)).mode & 0o777, 0o644, 'The original mode is restored afterwards.');
+}
+
 async function testToolRegistry() {
   const registry = ToolRegistry.createDefault();
   assert.ok(registry.hasCommand('ffmpeg'));
@@ -0,0 +1,225 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import {
+  CommandExecutor,
+  MediaAgent,
+  OpenAIPlanner,
+  PlanValidationError,
+  PlanValidator,
+  PromptBuilder,
+  ResultSummarizer,
+  RuleBasedPlanner
+} from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runInquiryTests() {
+  await testValidatorAcceptsReadOnlyProbes();
+  await testValidatorRejectsWritingSteps();
+  await testPlannerRetriesNonReadOnlyProbe();
+  await testPromptIncludesInquirySection();
+  await testExecutorCapturesJsonOutput();
+  await testAgentAnswersInquiry();
+  await testAnswerUsesProbeJson();
+  await testRulePlannerDeclinesInquiry();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'inquiry');
+const PHOTO = path.join(TMP_ROOT, 'photo.jpg');
+
+function createRequest(task = 'Does this photo have GPS data?') {
+  return { task, files: [], inputDir: TMP_ROOT, outputDir: OUTPUT_DIR };
+}
+
+function createStep(command, args, outputs = []) {
+  return { command, arguments: args, reasoning: 'Probe.', outputs };
+}
+
+function validateInquiry(steps) {
+  return new PlanValidator(sharedToolRegistry).validateInquiry({ steps }, OUTPUT_DIR, { inputDir: TMP_ROOT });
+}
+
+async function testValidatorAcceptsReadOnlyProbes() {
+  const plan = validateInquiry([
+    createStep('ffprobe', ['-v', 'error', '-of', 'json', '-show_streams', PHOTO]),
+    createStep('exiftool', ['-j', '-GPS*', PHOTO]),
+    createStep('magick', ['identify', '-verbose', PHOTO])
+  ]);
+  assert.deepEqual(
+    plan.steps.map((step) => step.command),
+    ['ffprobe', 'exiftool', 'magick']
+  );
+}
+
+async function testValidatorRejectsWritingSteps() {
+  const cases = [
+    [createStep('ffmpeg', ['-i', PHOTO, path.join(OUTPUT_DIR, 'out.png')]), /not a read-only probe/],
+    [createStep('ffprobe', ['-show_streams', PHOTO]), /JSON output/],
+    [createStep('ffprobe', ['-of', 'json', '-o', path.join(OUTPUT_DIR, 'probe.json'), PHOTO]), /must not write/],
+    [createStep('exiftool', [PHOTO]), /JSON output/],
+    [createStep('exiftool', ['-j', '-GPSLatitude=0', PHOTO]), /would modify files/],
+    [createStep('exiftool', ['-j', '-overwrite_original', path.join(OUTPUT_DIR, 'photo.jpg')]), /would modify files/],
+    [createStep('exiftool', ['-j', '-overwrite_original', PHOTO]), /not allowed on uploaded input files/],
+    [createStep('magick', [PHOTO, path.join(OUTPUT_DIR, 'out.png')]), /only run identify/],
+    [
+      createStep('exiftool', ['-j', PHOTO], [{ path: path.join(OUTPUT_DIR, 'meta.json'), description: 'metadata' }]),
+      /must not plan output files/
+    ],
+    [createStep('none', []), /at least one probe/]
+  ];
+  for (const [step, pattern] of cases) {
+    assert.throws(() => validateInquiry([step]), pattern);
+  }
+}
+
+async function testPlannerRetriesNonReadOnlyProbe() {
+  assert.throws(
+    () => validateInquiry([createStep('exiftool', ['-j', '-GPSLatitude=0', PHOTO])]),
+    (error) => error instanceof PlanValidationError && error.code === 'probe_not_read_only' && error.stepIndex === 0
+  );
+
+  const responses = [
+    [createStep('exiftool', ['-j', '-GPSLatitude=0', PHOTO])],
+    [createStep('exiftool', ['-j', '-GPS*', PHOTO])]
+  ].map((steps) => JSON.stringify({ clarification: null, steps }));
+  const prompts = [];
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, {
+    provider: {
+      id: 'stub',
+      async generate(request) {
+        prompts.push(request.instructions);
+        return { text: responses[prompts.length - 1], response: {}, requestPayload: {} };
+      }
+    }
+  });
+
+  const { plan, validationRejections } = await planner.plan(createRequest(), { inquiry: true });
+  assert.deepEqual(plan.steps[0].arguments, ['-j', '-GPS*', PHOTO]);
+  assert.equal(prompts.length, 2);
+  assert.equal(validationRejections.length, 1);
+  assert.match(validationRejections[0], /would modify files/);
+  assert.ok(prompts[1].includes('Your previous plan was rejected before execution:'));
+}
+
+async function testPromptIncludesInquirySection() {
+  const builder = new PromptBuilder(sharedToolRegistry);
+  const prompt = await builder.build(createRequest(), { inquiry: true });
+  assert.ok(prompt.includes('Use only read-only probes'));
+  assert.ok(prompt.includes('- ffprobe:'), 'ffprobe must be offered as a tool.');
+
+  const plain = await builder.build(createRequest());
+  assert.ok(!plain.includes('Use only read-only probes'));
+}
+
+async function testExecutorCapturesJsonOutput() {
+  const executor = new CommandExecutor({ timeoutMs: 10_000 });
+  const plan = {
+    steps: [
+      createStep(process.execPath, ['-e', 'process.stdout.write(JSON.stringify([{ GPSLatitude: 35.6 }]))']),
+      createStep(process.execPath, ['-e', "process.stdout.write('Image: photo.jpg JPEG 640x480')"])
+    ]
+  };
+
+  const captured = await executor.execute(plan, { captureJson: true });
+  assert.deepEqual(captured.steps[0].json, [{ GPSLatitude: 35.6 }]);
+  assert.equal(captured.steps[1].json, null);
+
+  const plain = await executor.execute(plan, {});
+  assert.equal(plain.steps[0].json, undefined);
+}
+
+async function testAgentAnswersInquiry() {
+  const plannerCalls = [];
+  const executorCalls = [];
+  let summarized = false;
+  const plan = { steps: [createStep('exiftool', ['-j', '-GPS*', PHOTO])] };
+  const agent = new MediaAgent({
+    planner: {
+      id: 'stub',
+      async plan(request, options) {
+        plannerCalls.push(options);
+        return { plan, rawPlan: plan, planner: 'stub' };
+      }
+    },
+    executor: {
+      async execute(executedPlan, options) {
+        executorCalls.push(options);
+        return {
+          exitCode: 0,
+          timedOut: false,
+          stdout: '',
+          stderr: '',
+          resolvedOutputs: [],
+          steps: [{ status: 'executed', command: 'exiftool', arguments: [], exitCode: 0, json: [{}] }]
+        };
+      }
+    },
+    toolRegistry: sharedToolRegistry,
+    summarizer: {
+      async summarize() {
+        summarized = true;
+        return { summary: 'unused', caveats: [], nextActions: [] };
+      },
+      async answerInquiry(request, result) {
+        assert.deepEqual(result.steps[0].json, [{}]);
+        return { answer: 'No GPS data was found.' };
+      }
+    }
+  });
+
+  const { answer, summary, phases } = await agent.runTask(createRequest(), { publicRoot: OUTPUT_DIR, inquiry: true });
+  assert.equal(answer.answer, 'No GPS data was found.');
+  assert.equal(summary, undefined);
+  assert.equal(summarized, false);
+  assert.equal(plannerCalls[0].inquiry, true);
+  assert.equal(executorCalls[0].captureJson, true);
+  assert.equal(phases[0].meta.inquiry, true);
+  assert.equal(phases.find((phase) => phase.id === 'summarize').meta.answered, true);
+}
+
+async function testAnswerUsesProbeJson() {
+  const calls = [];
+  const summarizer = new ResultSummarizer({
+    id: 'stub',
+    buildPayload: (request) => request,
+    async generate(request) {
+      calls.push(request);
+      return { text: JSON.stringify({ answer: ' Yes: 35.6 N. ' }), response: {}, requestPayload: request };
+    }
+  });
+
+  const answer = await summarizer.answerInquiry(createRequest(), {
+    exitCode: 0,
+    timedOut: false,
+    stdout: '',
+    stderr: '',
+    resolvedOutputs: [],
+    steps: [
+      {
+        status: 'executed',
+        command: 'exiftool',
+        arguments: ['-j', PHOTO],
+        exitCode: 0,
+        timedOut: false,
+        stdout: '[{"GPSLatitude": 35.6}]',
+        stderr: '',
+        json: [{ GPSLatitude: 35.6 }]
+      }
+    ]
+  });
+  assert.deepEqual(answer, { answer: 'Yes: 35.6 N.' });
+  assert.equal(calls[0].jsonSchema.name, 'inquiry_answer');
+  assert.ok(calls[0].input.includes('Question: Does this photo have GPS data?'));
+  assert.ok(calls[0].input.includes('[{"GPSLatitude":35.6}]'));
+}
+
+async function testRulePlannerDeclinesInquiry() {
+  const planner = new RuleBasedPlanner(sharedToolRegistry);
+  const request = {
+    task: 'Remove EXIF data',
+    files: [{ id: 'f1', originalName: 'photo.jpg', absolutePath: PHOTO, size: 10, mimeType: 'image/jpeg' }],
+    outputDir: OUTPUT_DIR
+  };
+  assert.equal(planner.canPlan(request, { inquiry: true }), false);
+  await assert.rejects(planner.plan(request, { inquiry: true }), /cannot answer questions/);
+}
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  ChatCompletionsProvider,
+  ResponsesProvider,
+  createLLMProvider,
+  createMediaAgent,
+  createOpenAIClient,
+  resolveLLMConfig
+} from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runLLMProviderTests() {
+  await testProviderFactory();
+  await testChatProviderStructuredOutputModes();
+  await testMediaAgentWithChatProvider();
+  await testResolveLLMConfig();
+  await testCreateOpenAIClientWithBaseURL();
+}
+
+const NOOP_PLAN = {
+  overview: 'No action required.',
+  followUp: '',
+  steps: [{ command: 'none', arguments: [], reasoning: 'Nothing to execute.', outputs: [] }]
+};
+
+function createChatClient(calls, content) {
+  return {
+    chat: {
+      completions: {
+        create: async (payload) => {
+          calls.push(payload);
+          return { choices: [{ message: { role: 'assistant', content } }] };
+        }
+      }
+    }
+  };
+}
+
+async function testProviderFactory() {
+  const client = {};
+  assert.ok(createLLMProvider(client) instanceof ResponsesProvider);
+  assert.ok(createLLMProvider(client, { provider: 'chat' }) instanceof ChatCompletionsProvider);
+  assert.throws(() => createLLMProvider(client, { provider: 'gemini' }), /Unknown LLM provider/);
+  assert.throws(() => new ChatCompletionsProvider(client, { structuredOutput: 'xml' }), /structured output/);
+}
+
+async function testChatProviderStructuredOutputModes() {
+  const request = {
+    model: 'local-model',
+    instructions: 'Plan commands.',
+    input: 'Convert the file',
+    jsonSchema: { name: 'plan', schema: { type: 'object' }, strict: true }
+  };
+
+  const schemaPayload = new ChatCompletionsProvider({}).buildPayload(request);
+  assert.equal(schemaPayload.response_format.type, 'json_schema');
+  assert.equal(schemaPayload.response_format.json_schema.name, 'plan');
+  assert.equal(schemaPayload.messages[0].content, 'Plan commands.');
+
+  const objectPayload = new ChatCompletionsProvider({}, { structuredOutput: 'json_object' }).buildPayload(request);
+  assert.deepEqual(objectPayload.response_format, { type: 'json_object' });
+  assert.ok(objectPayload.messages[0].content.includes('JSON Schema'));
+
+  const promptPayload = new ChatCompletionsProvider({}, { structuredOutput: 'prompt' }).buildPayload(request);
+  assert.equal(promptPayload.response_format, undefined);
+  assert.ok(promptPayload.messages[0].content.includes('{"type":"object"}'));
+
+  const calls = [];
+  const fenced = new ChatCompletionsProvider(createChatClient(calls, '```json\n{"ok":true}\n```'));
+  const result = await fenced.generate(request);
+  assert.equal(result.text, '{"ok":true}');
+  assert.equal(calls.length, 1);
+}
+
+async function testMediaAgentWithChatProvider() {
+  const tmpDir = path.join(TMP_ROOT, 'chat-agent');
+  await fs.mkdir(tmpDir, { recursive: true });
+
+  const calls = [];
+  const agent = createMediaAgent(createChatClient(calls, JSON.stringify(NOOP_PLAN)), {
+    toolRegistry: sharedToolRegistry,
+    model: 'local-model',
+    provider: 'chat'
+  });
+  const { plan, debug } = await agent.runTask(
+    { task: 'No additional processing required', files: [], outputDir: tmpDir },
+    { publicRoot: tmpDir, dryRun: true, debug: true }
+  );
+
+  assert.equal(plan.steps[0].command, 'none');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].model, 'local-model');
+  assert.equal(calls[0].messages[0].role, 'system');
+  assert.equal(calls[0].response_format.type, 'json_schema');
+  assert.equal(debug.provider, 'chat');
+}
+
+async function testResolveLLMConfig() {
+  const defaults = resolveLLMConfig({});
+  assert.equal(defaults.provider, 'responses');
+  assert.equal(typeof defaults.model, 'string');
+  assert.equal(defaults.baseURL, undefined);
+  assert.equal(defaults.timeoutMs, undefined);
+  assert.deepEqual(defaults.fallbackModels, []);
+
+  const custom = resolveLLMConfig({
+    LLM_PROVIDER: 'Chat',
+    LLM_MODEL: 'qwen2.5',
+    OPENAI_MODEL: 'ignored',
+    LLM_BASE_URL: 'http://localhost:8000/v1',
+    OPENAI_API_KEY: 'env-key',
+    LLM_STRUCTURED_OUTPUT: 'json_object',
+    LLM_TIMEOUT_MS: '30000',
+    LLM_MAX_RETRIES: '0',
+    LLM_FALLBACK_MODELS: 'gpt-4o-mini, llama3 ,'
+  });
+  assert.equal(custom.provider, 'chat');
+  assert.equal(custom.model, 'qwen2.5');
+  assert.equal(custom.baseURL, 'http://localhost:8000/v1');
+  assert.equal(custom.apiKey, 'env-key');
+  assert.equal(custom.structuredOutput, 'json_object');
+  assert.equal(custom.timeoutMs, 30_000);
+  assert.equal(custom.maxRetries, 0);
+  assert.deepEqual(custom.fallbackModels, ['gpt-4o-mini', 'llama3']);
+}
+
+async function testCreateOpenAIClientWithBaseURL() {
+  class StubOpenAI {
+    constructor(options) {
+      this.options = options;
+    }
+  }
+
+  const original = process.env.OPENAI_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+  try {
+    const client = createOpenAIClient(undefined, StubOpenAI, { baseURL: 'http://localhost:8000/v1' });
+    assert.equal(client.options.baseURL, 'http://localhost:8000/v1');
+    assert.ok(client.options.apiKey, 'A placeholder key is required by the SDK even for keyless servers.');
+  } finally {
+    if (original !== undefined) {
+      process.env.OPENAI_API_KEY = original;
+    }
+  }
+}
@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import {
+  MediaAgent,
+  MediaAgentTaskError,
+  OpenAIPlanner,
+  generateWithRetries,
+  isTransientError
+} from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runModelRetryTests() {
+  await testTransientErrorClassification();
+  await testRetriesRateLimitedCall();
+  await testTimesOutSlowCall();
+  await testFallsBackToNextModel();
+  await testNonTransientErrorIsNotRetried();
+  await testCallerSignalAbortsRetries();
+  await testPlanPhaseRecordsAttempts();
+  await testPlanPhaseFailureRecordsAttempts();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'model-retry');
+const FAST_POLICY = { timeoutMs: 200, maxRetries: 2, retryDelayMs: 1 };
+const PLAN_TEXT = JSON.stringify({
+  clarification: null,
+  steps: [{ command: 'none', arguments: [], reasoning: 'Nothing to do.', outputs: [] }]
+});
+
+function createHttpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Stub provider answering each call with the next scripted outcome:
+ * an Error is thrown, 'hang' never resolves, anything else is returned as the response text.
+ */
+function createScriptedProvider(outcomes) {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      id: 'stub',
+      async generate(request, requestOptions) {
+        calls.push({ model: request.model, requestOptions });
+        const outcome = outcomes[Math.min(calls.length - 1, outcomes.length - 1)];
+        if (outcome instanceof Error) {
+          throw outcome;
+        }
+        if (outcome === 'hang') {
+          return new Promise(() => {});
+        }
+        return { text: outcome, response: {}, requestPayload: { model: request.model } };
+      }
+    }
+  };
+}
+
+function createRequest() {
+  return { model: 'primary', instructions: 'Plan.', input: 'Do nothing' };
+}
+
+async function testTransientErrorClassification() {
+  assert.equal(isTransientError(createHttpError(429, 'Rate limited')), true);
+  assert.equal(isTransientError(createHttpError(503, 'Unavailable')), true);
+  assert.equal(isTransientError(createHttpError(400, 'Bad request')), false);
+  assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransientError(new Error('Invalid schema')), false);
+}
+
+async function testRetriesRateLimitedCall() {
+  const { provider, calls } = createScriptedProvider([
+    createHttpError(429, '429 Rate limit reached'),
+    createHttpError(500, 'Internal error'),
+    PLAN_TEXT
+  ]);
+
+  const generated = await generateWithRetries(provider, createRequest(), FAST_POLICY);
+  assert.equal(generated.text, PLAN_TEXT);
+  assert.equal(generated.model, 'primary');
+  assert.deepEqual(
+    generated.attempts.map((attempt) => [attempt.model, attempt.status]),
+    [
+      ['primary', 'failed'],
+      ['primary', 'failed'],
+      ['primary', 'success']
+    ]
+  );
+  assert.equal(generated.attempts[0].error, '429 Rate limit reached');
+  assert.equal(generated.attempts[1].error, '500 Internal error');
+  assert.ok(calls[0].requestOptions.signal instanceof AbortSignal);
+  assert.equal(calls[0].requestOptions.maxRetries, 0, 'SDK retries must be disabled.');
+}
+
+async function testTimesOutSlowCall() {
+  const { provider } = createScriptedProvider(['hang', PLAN_TEXT]);
+
+  const generated = await generateWithRetries(provider, createRequest(), { ...FAST_POLICY, timeoutMs: 50 });
+  assert.equal(generated.attempts.length, 2);
+  assert.equal(generated.attempts[0].error, 'LLM call timed out after 50 ms.');
+  assert.equal(generated.attempts[1].status, 'success');
+}
+
+async function testFallsBackToNextModel() {
+  const { provider, calls } = createScriptedProvider([
+    createHttpError(404, 'The model does not exist'),
+    createHttpError(503, 'Overloaded'),
+    createHttpError(503, 'Overloaded'),
+    PLAN_TEXT
+  ]);
+
+  const generated = await generateWithRetries(provider, createRequest(), {
+    ...FAST_POLICY,
+    maxRetries: 1,
+    fallbackModels: ['secondary', 'primary', 'tertiary']
+  });
+  assert.deepEqual(
+    calls.map((call) => call.model),
+    ['primary', 'secondary', 'secondary', 'tertiary']
+  );
+  assert.equal(generated.model, 'tertiary');
+  assert.equal(generated.attempts.length, 4);
+}
+
+async function testNonTransientErrorIsNotRetried() {
+  const { provider, calls } = createScriptedProvider([createHttpError(400, 'Invalid schema'), PLAN_TEXT]);
+
+  await assert.rejects(
+    generateWithRetries(provider, createRequest(), { ...FAST_POLICY, fallbackModels: ['secondary'] }),
+    (error) => {
+      assert.equal(error.status, 400);
+      assert.equal(error.attempts.length, 1);
+      return true;
+    }
+  );
+  assert.equal(calls.length, 1);
+}
+
+async function testCallerSignalAbortsRetries() {
+  const { provider, calls } = createScriptedProvider(['hang']);
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error('Request cancelled')), 20);
+
+  await assert.rejects(
+    generateWithRetries(provider, createRequest(), { ...FAST_POLICY, signal: controller.signal }),
+    (error) => {
+      assert.equal(error.message, 'Request cancelled');
+      assert.equal(error.attempts.length, 1);
+      return true;
+    }
+  );
+  assert.equal(calls.length, 1);
+}
+
+function createAgent(provider) {
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, {
+    provider,
+    model: 'primary',
+    fallbackModels: ['secondary'],
+    ...FAST_POLICY,
+    maxRetries: 0
+  });
+  return new MediaAgent({ planner, executor: { execute: async () => null }, toolRegistry: sharedToolRegistry });
+}
+
+async function testPlanPhaseRecordsAttempts() {
+  const { provider } = createScriptedProvider([createHttpError(429, 'Rate limited'), PLAN_TEXT]);
+
+  const { phases } = await createAgent(provider).planTask({ task: 'Do nothing', files: [], outputDir: OUTPUT_DIR });
+  const planPhase = phases.find((phase) => phase.id === 'plan');
+  assert.equal(planPhase.meta.model, 'secondary');
+  assert.equal(planPhase.meta.modelAttempts, 2);
+  assert.match(planPhase.logs[0].message, /^LLM attempt 1: primary failed \(429 Rate limited\) after \d+ ms$/);
+  assert.match(planPhase.logs[1].message, /^LLM attempt 2: secondary succeeded after \d+ ms$/);
+}
+
+async function testPlanPhaseFailureRecordsAttempts() {
+  const { provider } = createScriptedProvider([createHttpError(503, 'Overloaded')]);
+
+  await assert.rejects(
+    createAgent(provider).planTask({ task: 'Do nothing', files: [], outputDir: OUTPUT_DIR }),
+    (error) => {
+      assert.ok(error instanceof MediaAgentTaskError);
+      const planPhase = error.phases.find((phase) => phase.id === 'plan');
+      assert.equal(planPhase.status, 'failed');
+      assert.equal(planPhase.meta.model, null);
+      assert.equal(planPhase.meta.modelAttempts, 2);
+      assert.equal(planPhase.logs.length, 2);
+      return true;
+    }
+  );
+}
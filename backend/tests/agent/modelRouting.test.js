@@ -0,0 +1,282 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  MediaAgent,
+  MediaAgentTaskError,
+  ModelRouter,
+  OpenAIPlanner,
+  describeModelCatalog,
+  resolveLLMConfig
+} from '../../src/agent/index.js';
+import { TMP_ROOT, createMockResponse, createServerInstance, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runModelRoutingTests() {
+  await testRouterPicksModelTier();
+  await testResolvesModelCatalog();
+  await testPlanPhaseRecordsRoutedModel();
+  await testRepairUsesStrongModel();
+  await testServerListsModels();
+  await testServerPassesRequestedModel();
+  await testServerRoutesFailedRevisionsAsRetry();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'model-routing');
+const ROUTER = new ModelRouter({ defaultModel: 'gpt-5-mini', lightModel: 'gpt-5-nano', strongModel: 'gpt-5' });
+const CLIP = { id: 'f1', originalName: 'clip.mov', absolutePath: path.join(OUTPUT_DIR, 'clip.mov'), size: 1, mimeType: 'video/quicktime' };
+const LOGO = { id: 'f2', originalName: 'logo.png', absolutePath: path.join(OUTPUT_DIR, 'logo.png'), size: 1, mimeType: 'image/png' };
+const CATALOG = describeModelCatalog(
+  resolveLLMConfig({ LLM_MODEL: 'gpt-5-mini', LLM_ROUTING_LIGHT_MODEL: 'gpt-5-nano', LLM_ROUTING_STRONG_MODEL: 'gpt-5' })
+);
+
+const NOOP_PLAN = JSON.stringify({
+  clarification: null,
+  steps: [{ command: 'none', arguments: [], reasoning: 'Nothing to do.', outputs: [] }]
+});
+
+/**
+ * @param {string} task
+ * @param {Array<any>} [files]
+ */
+function createRequest(task, files = [CLIP]) {
+  return { task, files, outputDir: OUTPUT_DIR };
+}
+
+/**
+ * @param {Array<any>} calls
+ */
+function createPlanner(calls) {
+  return new OpenAIPlanner(null, sharedToolRegistry, {
+    model: 'gpt-5-mini',
+    provider: {
+      id: 'stub',
+      async generate(request) {
+        calls.push(request.model);
+        return { text: NOOP_PLAN, response: {}, requestPayload: {} };
+      }
+    }
+  });
+}
+
+async function testRouterPicksModelTier() {
+  assert.deepEqual(ROUTER.route(createRequest('Convert to mp4')), { model: 'gpt-5-nano', reason: 'Single-file, single-step task.' });
+  assert.equal(ROUTER.route(createRequest('mp4 に変換して')).model, 'gpt-5-nano');
+  assert.deepEqual(ROUTER.route(createRequest('Put the logo on the clip', [CLIP, LOGO])), {
+    model: 'gpt-5',
+    reason: 'The task works with 2 input files.'
+  });
+  assert.equal(ROUTER.route(createRequest('Trim the first 5 seconds, then add a fade')).model, 'gpt-5-mini');
+  assert.equal(ROUTER.route(createRequest('先頭5秒を切り取ってから、フェードを付けて')).model, 'gpt-5-mini');
+  assert.equal(ROUTER.route(createRequest('Convert to mp4'), { repair: true }).reason, 'Re-planning after a failed execution.');
+  assert.equal(ROUTER.route(createRequest('Convert to mp4'), { retry: true }).model, 'gpt-5');
+
+  const lightOnly = new ModelRouter({ defaultModel: 'gpt-5-mini', lightModel: 'gpt-5-nano' });
+  assert.deepEqual(lightOnly.route(createRequest('Merge them', [CLIP, LOGO])), {
+    model: 'gpt-5-mini',
+    reason: 'The task works with 2 input files. No routing model is configured for it.'
+  });
+}
+
+async function testResolvesModelCatalog() {
+  const defaults = resolveLLMConfig({ OPENAI_MODEL: 'gpt-4o' });
+  assert.deepEqual(defaults.models, ['gpt-4o']);
+  assert.deepEqual(defaults.routing, { lightModel: undefined, strongModel: undefined });
+
+  const config = resolveLLMConfig({
+    LLM_MODEL: 'gpt-5-mini',
+    LLM_ROUTING_LIGHT_MODEL: ' gpt-5-nano ',
+    LLM_ROUTING_STRONG_MODEL: 'gpt-5',
+    LLM_FALLBACK_MODELS: 'gpt-4o-mini-2024-07-18',
+    LLM_BUDGET_DOWNGRADE_MODEL: 'gpt-5-nano',
+    LLM_MODEL_TAGS: '{"llama3": ["local"]}'
+  });
+  assert.deepEqual(config.models, ['gpt-5-mini', 'gpt-5-nano', 'gpt-5', 'gpt-4o-mini-2024-07-18']);
+  assert.deepEqual(resolveLLMConfig({ LLM_MODEL: 'gpt-5', LLM_MODELS: 'gpt-5-mini, llama3' }).models, ['gpt-5', 'gpt-5-mini', 'llama3']);
+
+  const catalog = describeModelCatalog(config);
+  assert.equal(catalog.defaultModel, 'gpt-5-mini');
+  assert.deepEqual(catalog.routing, { lightModel: 'gpt-5-nano', strongModel: 'gpt-5' });
+  assert.deepEqual(catalog.models[0], {
+    id: 'gpt-5-mini',
+    tags: ['balanced', 'reasoning'],
+    price: { input: 0.25, output: 2 },
+    default: true
+  });
+  const snapshot = catalog.models.find((entry) => entry.id === 'gpt-4o-mini-2024-07-18');
+  assert.deepEqual(snapshot.tags, ['fast', 'low-cost'], 'Snapshots use the tags of their base model.');
+  assert.deepEqual(config.modelTags.llama3, ['local']);
+
+  assert.throws(() => resolveLLMConfig({ LLM_MODEL_TAGS: '{"m": "fast"}' }), /must be an array of strings/);
+}
+
+async function testPlanPhaseRecordsRoutedModel() {
+  const calls = [];
+  const agent = new MediaAgent({
+    planner: createPlanner(calls),
+    executor: { execute: async () => null },
+    toolRegistry: sharedToolRegistry,
+    modelRouter: ROUTER
+  });
+
+  const routed = (await agent.planTask(createRequest('Convert to mp4'))).phases[0];
+  assert.equal(calls[0], 'gpt-5-nano');
+  assert.equal(routed.meta.selectedModel, 'gpt-5-nano');
+  assert.equal(routed.meta.modelReason, 'Single-file, single-step task.');
+
+  const requested = (await agent.planTask(createRequest('Convert to mp4'), { model: 'gpt-4o', modelReason: 'Selected by the user.' })).phases[0];
+  assert.equal(calls[1], 'gpt-4o', 'An explicitly requested model wins over routing.');
+  assert.equal(requested.meta.selectedModel, 'gpt-4o');
+  assert.equal(requested.meta.modelReason, 'Selected by the user.');
+
+  const proposer = new MediaAgent({
+    planner: {
+      async plan(request, options) {
+        calls.push(options.model);
+        return { plan: { steps: [] }, rawPlan: null };
+      }
+    },
+    executor: { execute: async () => null },
+    toolRegistry: sharedToolRegistry,
+    modelRouter: ROUTER
+  });
+  const proposal = await proposer.proposeAlternatives(createRequest('Merge them', [CLIP, LOGO]));
+  assert.equal(calls[2], 'gpt-5');
+  assert.equal(proposal.phases[0].meta.selectedModel, 'gpt-5');
+
+  const unrouted = new MediaAgent({ planner: createPlanner([]), executor: { execute: async () => null }, toolRegistry: sharedToolRegistry });
+  const plain = (await unrouted.planTask(createRequest('Convert to mp4'))).phases[0];
+  assert.equal('selectedModel' in plain.meta, false, 'Without a router or a requested model nothing is recorded.');
+}
+
+async function testRepairUsesStrongModel() {
+  const calls = [];
+  let executions = 0;
+  const agent = new MediaAgent({
+    planner: createPlanner(calls),
+    executor: {
+      async execute() {
+        executions += 1;
+        const exitCode = executions === 1 ? 1 : 0;
+        return { exitCode, timedOut: false, stdout: '', stderr: 'boom', resolvedOutputs: [], dryRun: false, steps: [] };
+      }
+    },
+    toolRegistry: sharedToolRegistry,
+    modelRouter: ROUTER
+  });
+
+  const { phases } = await agent.runTask(createRequest('Convert to mp4'));
+  assert.deepEqual(calls, ['gpt-5-nano', 'gpt-5']);
+  const repairPhase = phases.find((phase) => phase.id === 'plan#2');
+  assert.equal(repairPhase.meta.selectedModel, 'gpt-5');
+  assert.equal(repairPhase.meta.modelReason, 'Re-planning after a failed execution.');
+}
+
+async function testServerListsModels() {
+  const server = createServerInstance(path.join(TMP_ROOT, 'server-models'), { models: CATALOG });
+  const res = createMockResponse();
+  server.handleGetModels({}, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.defaultModel, 'gpt-5-mini');
+  assert.deepEqual(
+    res.body.models.map((entry) => entry.id),
+    ['gpt-5-mini', 'gpt-5-nano', 'gpt-5']
+  );
+  assert.equal(res.body.routing.strongModel, 'gpt-5');
+}
+
+/**
+ * @param {string} baseDir
+ * @param {string} sessionId
+ * @param {Record<string, any>} body
+ */
+async function createTaskRequest(baseDir, sessionId, body) {
+  const agentSession = {
+    id: sessionId,
+    inputDir: path.join(baseDir, 'inputs', sessionId),
+    outputDir: path.join(baseDir, 'generated', sessionId)
+  };
+  await fs.mkdir(agentSession.inputDir, { recursive: true });
+  await fs.mkdir(agentSession.outputDir, { recursive: true });
+  return { body, query: { dryRun: 'true' }, headers: {}, files: [], agentSession };
+}
+
+function createSuccessResponse() {
+  return {
+    plan: { steps: [] },
+    rawPlan: null,
+    result: { exitCode: 0, timedOut: false, stdout: '', stderr: '', resolvedOutputs: [], dryRun: true, steps: [] },
+    phases: [{ id: 'plan', status: 'success' }]
+  };
+}
+
+async function testServerPassesRequestedModel() {
+  const baseDir = path.join(TMP_ROOT, 'server-models-request');
+  const calls = [];
+  const agent = {
+    async runTask(request, options) {
+      calls.push(options);
+      return createSuccessResponse();
+    }
+  };
+  const server = createServerInstance(baseDir, { agent, models: CATALOG });
+  await server.ensureBaseDirectories();
+
+  const res = createMockResponse();
+  await server.handleTaskRequest(await createTaskRequest(baseDir, 'session-model-1', { task: 'Convert', model: 'gpt-5' }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls[0].model, 'gpt-5');
+  assert.equal(calls[0].modelReason, 'Selected by the user.');
+  assert.equal((await server.readSessionRecord('session-model-1')).requestOptions.model, 'gpt-5');
+
+  await server.handleTaskRequest(await createTaskRequest(baseDir, 'session-model-2', { task: 'Convert', retry: 'true' }), createMockResponse());
+  assert.equal(calls[1].model, undefined, 'Without a model the agent routes the request itself.');
+  assert.equal(calls[1].retry, true, 'Retries from the error screen are routed like failed retries.');
+
+  const rejected = createMockResponse();
+  await server.handleTaskRequest(await createTaskRequest(baseDir, 'session-model-3', { task: 'Convert', model: 'gpt-9' }), rejected);
+  assert.equal(rejected.statusCode, 400);
+  assert.match(rejected.body.error, /モデル gpt-9 は選択できません/);
+  assert.equal(calls.length, 2);
+
+  const downgrading = createServerInstance(baseDir, {
+    agent,
+    models: CATALOG,
+    budget: { totalUsd: 0, action: 'downgrade', downgradeModel: 'gpt-5-nano' }
+  });
+  await downgrading.handleTaskRequest(await createTaskRequest(baseDir, 'session-model-4', { task: 'Convert', model: 'gpt-5' }), createMockResponse());
+  assert.equal(calls[2].model, 'gpt-5-nano', 'The budget downgrade overrides the requested model.');
+  assert.equal(calls[2].modelReason, 'Switched to the budget downgrade model.');
+}
+
+async function testServerRoutesFailedRevisionsAsRetry() {
+  const baseDir = path.join(TMP_ROOT, 'server-models-revision');
+  const calls = [];
+  const server = createServerInstance(baseDir, {
+    models: CATALOG,
+    agent: {
+      async runTask(request, options) {
+        calls.push(options);
+        if (calls.length === 1) {
+          throw new MediaAgentTaskError('Execution phase failed', [{ id: 'execute', status: 'failed' }], {
+            cause: new Error('ffmpeg exited with code 1')
+          });
+        }
+        return createSuccessResponse();
+      }
+    }
+  });
+  await server.ensureBaseDirectories();
+
+  await server.handleTaskRequest(await createTaskRequest(baseDir, 'session-retry-base', { task: 'Convert' }), createMockResponse());
+  assert.equal((await server.readSessionRecord('session-retry-base')).status, 'failed');
+
+  const res = createMockResponse();
+  await server.handleRevisionRequest(
+    await createTaskRequest(baseDir, 'session-retry-revision', { sessionId: 'session-retry-base', complaint: 'It failed, try again', model: 'gpt-5-mini' }),
+    res
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls[1].retry, true);
+  assert.equal(calls[1].model, 'gpt-5-mini');
+}
@@ -0,0 +1,220 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+
+import {
+  CommandExecutor,
+  MediaAgent,
+  MediaAgentTaskError,
+  NetworkPolicy,
+  OpenAIPlanner,
+  PlanValidationError,
+  PlanValidator,
+  PromptBuilder,
+  ToolRegistry
+} from '../../src/agent/index.js';
+import { TMP_ROOT } from '../helpers/testEnvironment.js';
+
+export default async function runNetworkPolicyTests() {
+  await testClassifiesNetworkSteps();
+  await testPolicyFromEnv();
+  await testValidatorEnforcesPolicy();
+  await testPromptDescribesPolicy();
+  await testLocalServerDownload();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'network-policy');
+const FETCH_SCRIPT =
+  "fetch(process.argv[1]).then((res) => res.text()).then((text) => require('fs').writeFileSync(process.argv[2], text))";
+
+/**
+ * @param {Array<[string, string[]]>} steps
+ */
+function createPlan(steps) {
+  return { steps: steps.map(([command, args]) => ({ command, arguments: args, reasoning: 'Run.', outputs: [] })) };
+}
+
+/**
+ * @param {NetworkPolicy} networkPolicy
+ * @param {Array<[string, string[]]>} steps
+ * @param {RegExp} pattern
+ */
+function assertNetworkRejected(networkPolicy, steps, pattern) {
+  const validator = new PlanValidator(new ToolRegistry(undefined, { networkPolicy }));
+  assert.throws(
+    () => validator.validate(createPlan(steps), OUTPUT_DIR),
+    (error) => {
+      assert.ok(error instanceof PlanValidationError, error.message);
+      assert.equal(error.code, 'network_not_allowed');
+      assert.match(error.message, pattern);
+      return true;
+    }
+  );
+}
+
+async function testClassifiesNetworkSteps() {
+  const validator = new PlanValidator(new ToolRegistry());
+  const plan = validator.validate(
+    createPlan([
+      ['yt-dlp', ['-x', 'ytsearch1:lofi']],
+      ['ffmpeg', ['-i', 'clip.mov', '-metadata', 'comment=https://example.com/about', 'clip.mp4']],
+      ['ffmpeg', ['-i', 'concat:https://cdn.example.com/a.ts|b.ts', '-f', 'flv', 'rtmp://live.example.org/app/key']],
+      ['exiftool', ['-Comment=See https://example.com', '-o', 'tagged.jpg', 'photo.jpg']],
+      ['ffprobe', ['-of', 'json', 'hls+https://Media.Example.com/index.m3u8']],
+      ['magick', ['https://images.example.com/logo.png', 'logo.webp']]
+    ]),
+    OUTPUT_DIR
+  );
+  assert.deepEqual(validator.describeNetworkAccess(plan), {
+    policy: 'open',
+    steps: [
+      { step: 1, command: 'yt-dlp', hosts: [] },
+      { step: 3, command: 'ffmpeg', hosts: ['cdn.example.com', 'live.example.org'] },
+      { step: 5, command: 'ffprobe', hosts: ['media.example.com'] },
+      { step: 6, command: 'magick', hosts: ['images.example.com'] }
+    ]
+  });
+}
+
+async function testPolicyFromEnv() {
+  assert.equal(NetworkPolicy.fromEnv({}).mode, 'open');
+  assert.equal(NetworkPolicy.fromEnv({ NETWORK_ACCESS: 'OFF' }).mode, 'disabled');
+  assert.deepEqual(
+    NetworkPolicy.fromEnv({ NETWORK_ALLOWED_DOMAINS: ' *.Example.com, youtube.com ', NETWORK_ALLOWED_PROTOCOLS: 'HTTPS' }).toJSON(),
+    { mode: 'restricted', allowedDomains: ['example.com', 'youtube.com'], allowedProtocols: ['https'] }
+  );
+  assert.throws(() => NetworkPolicy.fromEnv({ NETWORK_ACCESS: 'maybe' }), /NETWORK_ACCESS must be "on" or "off"/);
+}
+
+async function testValidatorEnforcesPolicy() {
+  const disabled = new NetworkPolicy({ enabled: false });
+  assertNetworkRejected(
+    disabled,
+    [['yt-dlp', ['-x', 'ytsearch1:lofi']]],
+    /^Step \(1\) reaches the network with yt-dlp, but network steps are disabled on this server\.$/
+  );
+  assertNetworkRejected(disabled, [['ffmpeg', ['-i', 'tcp://10.0.0.5:9000', 'out.mp4']]], /with ffmpeg \(tcp:\/\/10\.0\.0\.5:9000\)/);
+  assertNetworkRejected(
+    disabled,
+    [['ffmpeg', ['-f', 'lavfi', '-i', 'movie=http\\://127.0.0.1\\:8080/x.mp4', 'out.mp4']]],
+    /with ffmpeg \(http:\/\/127\.0\.0\.1:8080\/x\.mp4\), but network steps are disabled/
+  );
+  assertNetworkRejected(
+    disabled,
+    [['ffmpeg', ['-i', 'clip.mov', '-vf', "movie='http\\://127.0.0.1\\:8080/logo.png'[l];[0][l]overlay", 'out.mp4']]],
+    /with ffmpeg \(http:\/\/127\.0\.0\.1:8080\/logo\.png\)/
+  );
+  assert.doesNotThrow(() =>
+    new PlanValidator(new ToolRegistry(undefined, { networkPolicy: disabled })).validate(
+      createPlan([['ffmpeg', ['-i', 'clip.mov', 'clip.mp4']]]),
+      OUTPUT_DIR
+    )
+  );
+
+  const restricted = new NetworkPolicy({ allowedDomains: ['example.com'], allowedProtocols: ['https'] });
+  assertNetworkRejected(
+    restricted,
+    [['ffmpeg', ['-i', 'https://example.com/a.mp4', '-f', 'flv', 'rtmp://example.com/live']]],
+    /\(rtmp:\/\/example\.com\/live\), but the protocol rtmp is not allowed \(allowed: https\)\./
+  );
+  assertNetworkRejected(
+    restricted,
+    [['yt-dlp', ['https://evil.example.net/watch?v=1']]],
+    /but the host evil\.example\.net is not in the allowed domains \(example\.com\)\./
+  );
+  assertNetworkRejected(restricted, [['yt-dlp', ['ytsearch1:lofi']]], /it names no URL that can be checked/);
+  assert.doesNotThrow(() =>
+    new PlanValidator(new ToolRegistry(undefined, { networkPolicy: restricted })).validate(
+      createPlan([['yt-dlp', ['-o', path.join(OUTPUT_DIR, '%(id)s.%(ext)s'), 'https://www.example.com/watch?v=1']]]),
+      OUTPUT_DIR
+    )
+  );
+}
+
+async function testPromptDescribesPolicy() {
+  const request = { task: 'Download the video', files: [], outputDir: OUTPUT_DIR };
+  const open = await new PromptBuilder(new ToolRegistry()).build(request);
+  assert.ok(!open.includes('Network access is'));
+
+  const disabled = new ToolRegistry(undefined, { networkPolicy: new NetworkPolicy({ enabled: false }) });
+  assert.ok((await new PromptBuilder(disabled).build(request)).includes('Network access is disabled on this server'));
+
+  const restricted = new ToolRegistry(undefined, {
+    networkPolicy: new NetworkPolicy({ allowedDomains: ['example.com'], allowedProtocols: ['https'] })
+  });
+  assert.ok(
+    (await new PromptBuilder(restricted).build(request)).includes(
+      'Network access is limited on this server: every URL in the arguments must use https and point to example.com or their subdomains.'
+    )
+  );
+}
+
+async function testLocalServerDownload() {
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+  const served = [];
+  const server = http.createServer((req, res) => {
+    served.push(req.url);
+    res.end('clip bytes');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/clip.txt`;
+
+  /**
+   * @param {NetworkPolicy} networkPolicy
+   */
+  const createAgent = (networkPolicy) => {
+    const toolRegistry = new ToolRegistry(
+      { [process.execPath]: { title: 'Node.js', description: 'Downloads a URL.', networkAccess: 'urls' } },
+      { networkPolicy }
+    );
+    const plan = {
+      clarification: null,
+      steps: [
+        {
+          command: process.execPath,
+          arguments: ['-e', FETCH_SCRIPT, url, '{{output:clip}}'],
+          reasoning: 'Download the clip.',
+          outputs: [{ path: 'clip.txt', description: 'downloaded clip', id: 'clip' }]
+        }
+      ]
+    };
+    const planner = new OpenAIPlanner(null, toolRegistry, {
+      provider: {
+        id: 'stub',
+        async generate() {
+          return { text: JSON.stringify(plan), response: {}, requestPayload: {} };
+        }
+      }
+    });
+    return new MediaAgent({ planner, executor: new CommandExecutor({ timeoutMs: 10_000 }), toolRegistry });
+  };
+  const request = { task: 'Download the clip', files: [], outputDir: OUTPUT_DIR };
+
+  try {
+    const allowed = createAgent(new NetworkPolicy({ allowedDomains: ['127.0.0.1'], allowedProtocols: ['http'] }));
+    const { result, phases } = await allowed.runTask(request, { publicRoot: OUTPUT_DIR });
+    assert.equal(result.exitCode, 0);
+    assert.equal(await fs.readFile(path.join(OUTPUT_DIR, 'clip.txt'), 'utf8'), 'clip bytes');
+    assert.deepEqual(served, ['/clip.txt']);
+    const planMeta = phases.find((phase) => phase.id === 'plan').meta;
+    assert.equal(planMeta.networkPolicy, 'restricted');
+    assert.equal(planMeta.networkDecision, 'allowed');
+    assert.deepEqual(planMeta.networkSteps, [1]);
+    assert.deepEqual(planMeta.networkHosts, ['127.0.0.1']);
+
+    const blocked = createAgent(new NetworkPolicy({ allowedDomains: ['example.com'] }));
+    await assert.rejects(blocked.runTask(request, { publicRoot: OUTPUT_DIR }), (error) => {
+      assert.ok(error instanceof MediaAgentTaskError);
+      assert.equal(error.cause.code, 'network_not_allowed');
+      const planPhase = error.phases.find((phase) => phase.id === 'plan');
+      assert.equal(planPhase.status, 'failed');
+      assert.equal(planPhase.meta.networkDecision, 'blocked');
+      assert.equal(planPhase.meta.networkPolicy, 'restricted');
+      return true;
+    });
+    assert.deepEqual(served, ['/clip.txt'], 'A blocked plan never reaches the server.');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
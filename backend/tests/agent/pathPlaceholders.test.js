@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+
+import { CommandExecutor, PlanValidationError, PlanValidator, PromptBuilder, ToolRegistry } from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runPathPlaceholderTests() {
+  await testValidatorAcceptsKnownPlaceholders();
+  await testValidatorRejectsUnknownPlaceholders();
+  await testExecutorResolvesPlaceholders();
+  await testExecutorRejectsUnresolvablePlaceholders();
+  await testPromptDescribesPlaceholders();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'path-placeholders', 'output');
+const INPUT_DIR = path.join(TMP_ROOT, 'path-placeholders', 'input');
+const FILES = [
+  { id: 'f1', originalName: 'clip.mov', absolutePath: path.join(INPUT_DIR, 'clip.mov'), size: 1, mimeType: 'video/quicktime' },
+  { id: 'f2', originalName: 'logo.png', absolutePath: path.join(INPUT_DIR, 'logo.png'), size: 1, mimeType: 'image/png' }
+];
+const COPY_SCRIPT = "require('fs').copyFileSync(process.argv[1], process.argv[2])";
+
+/**
+ * @param {string[]} args
+ * @param {Array<{path: string, description: string, id?: string|null}>} [outputs]
+ */
+function createPlan(args, outputs = [{ path: 'clip_logo.mp4', description: 'branded clip', id: 'branded' }]) {
+  return { steps: [{ command: 'ffmpeg', arguments: args, reasoning: 'Overlay the logo.', outputs }] };
+}
+
+/**
+ * @param {any} plan
+ * @param {RegExp} pattern
+ * @param {string} code
+ */
+function assertRejected(plan, pattern, code) {
+  assert.throws(
+    () => new PlanValidator(sharedToolRegistry).validate(plan, OUTPUT_DIR, { files: FILES }),
+    (error) => {
+      assert.ok(error instanceof PlanValidationError, error.message);
+      assert.equal(error.code, code);
+      assert.match(error.message, pattern);
+      return true;
+    }
+  );
+}
+
+async function testValidatorAcceptsKnownPlaceholders() {
+  const args = ['-i', '{{input:1}}', '-i', '{{ input:logo }}', '-filter_complex', 'overlay=10:10', '{{output:branded}}'];
+  const plan = new PlanValidator(sharedToolRegistry).validate(createPlan(args), OUTPUT_DIR, { files: FILES });
+  assert.deepEqual(plan.steps[0].arguments, args, 'Placeholders stay in the plan so it can be reused in another session.');
+  assert.deepEqual(plan.steps[0].outputs, [
+    { path: path.join(OUTPUT_DIR, 'clip_logo.mp4'), description: 'branded clip', id: 'branded' }
+  ]);
+
+  const withScratch = new PlanValidator(sharedToolRegistry).validate(
+    {
+      steps: [
+        { command: 'ffmpeg', arguments: ['-i', '{{input:clip.mov}}', '{{scratch}}/audio.wav'], reasoning: '', outputs: [] },
+        { command: 'ffmpeg', arguments: ['-i', '{{scratch}}/audio.wav', '{{output:1}}'], reasoning: '', outputs: [{ path: 'a.mp3', description: '', id: '1' }] }
+      ]
+    },
+    OUTPUT_DIR,
+    { files: FILES }
+  );
+  assert.equal(withScratch.steps[1].outputs[0].id, '1');
+}
+
+async function testValidatorRejectsUnknownPlaceholders() {
+  assertRejected(createPlan(['-i', '{{input:3}}', '{{output:branded}}']), /uses \{\{input:3\}\}, but input files are numbered 1 to 2/, 'unknown_placeholder');
+  assertRejected(createPlan(['-i', '{{input:intro}}', '{{output:branded}}']), /no input file is named "intro"/, 'unknown_placeholder');
+  assertRejected(createPlan(['-i', '{{input:1}}', '{{output:thumb}}']), /no planned output has the id "thumb"/, 'unknown_placeholder');
+  assertRejected(createPlan(['-i', '{{input:1}}', '{{scratch:tmp}}']), /\{\{scratch\}\} takes no name/, 'unknown_placeholder');
+  assertRejected(createPlan(['-i', '{{file:1}}', '{{output:branded}}']), /only \{\{input:\.\.\.\}\}/, 'unknown_placeholder');
+  assertRejected(
+    {
+      steps: [
+        { command: 'ffmpeg', arguments: [], reasoning: '', outputs: [{ path: 'a.mp4', description: '', id: 'out' }] },
+        { command: 'ffmpeg', arguments: [], reasoning: '', outputs: [{ path: 'b.mp4', description: '', id: 'out' }] }
+      ]
+    },
+    /output id "out" is declared more than once/,
+    'duplicate_output_id'
+  );
+  assert.throws(
+    () => new PlanValidator(sharedToolRegistry).validate(createPlan([], [{ path: 'a.mp4', description: '', id: 'a:b' }]), OUTPUT_DIR),
+    /output id "a:b" may only contain/
+  );
+  assert.throws(
+    () => new PlanValidator(sharedToolRegistry).validate(createPlan(['-i', '{{input:1}}', 'out.mp4'], []), OUTPUT_DIR),
+    /uses \{\{input:1\}\}, but no input files were provided/
+  );
+}
+
+async function testExecutorResolvesPlaceholders() {
+  await fs.mkdir(INPUT_DIR, { recursive: true });
+  await fs.writeFile(FILES[1].absolutePath, 'logo bytes');
+  const registry = new ToolRegistry({ [process.execPath]: { title: 'Node.js', description: 'Test runner' } });
+  const plan = new PlanValidator(registry).validate(
+    {
+      steps: [
+        { command: process.execPath, arguments: ['-e', COPY_SCRIPT, '{{input:logo}}', '{{scratch}}/copy.png'], reasoning: '', outputs: [] },
+        {
+          command: process.execPath,
+          arguments: ['-e', COPY_SCRIPT, '{{scratch}}/copy.png', '{{output:logo}}'],
+          reasoning: '',
+          outputs: [{ path: 'logo_copy.png', description: 'copied logo', id: 'logo' }]
+        }
+      ]
+    },
+    OUTPUT_DIR,
+    { files: FILES }
+  );
+
+  const started = [];
+  const result = await new CommandExecutor({ timeoutMs: 10_000 }).execute(plan, {
+    inputs: FILES,
+    onCommandStart: ({ step }) => started.push(step.arguments)
+  });
+  assert.equal(result.exitCode, 0);
+  assert.equal(await fs.readFile(path.join(OUTPUT_DIR, 'logo_copy.png'), 'utf8'), 'logo bytes');
+
+  const [, , input, scratchFile] = result.steps[0].arguments;
+  assert.equal(input, FILES[1].absolutePath);
+  assert.ok(path.isAbsolute(scratchFile) && scratchFile.endsWith(`${path.sep}copy.png`));
+  assert.equal(result.steps[1].arguments[3], path.join(OUTPUT_DIR, 'logo_copy.png'));
+  assert.deepEqual(started[0], result.steps[0].arguments, 'Callbacks see the resolved command line.');
+  assert.equal(plan.steps[0].arguments[2], '{{input:logo}}', 'The plan itself is not modified.');
+  assert.equal(existsSync(path.dirname(scratchFile)), false, 'The temporary scratch directory is removed afterwards.');
+
+  const scratchDir = path.join(TMP_ROOT, 'path-placeholders', 'scratch');
+  const dryRun = await new CommandExecutor().execute(plan, { inputs: FILES, scratchDir, dryRun: true });
+  assert.equal(dryRun.steps[0].arguments[3], path.join(scratchDir, 'copy.png'));
+  assert.equal(existsSync(scratchDir), false, 'Dry runs do not create the scratch directory.');
+}
+
+async function testExecutorRejectsUnresolvablePlaceholders() {
+  const executor = new CommandExecutor();
+  const plan = { steps: [{ command: 'ffmpeg', arguments: ['-i', '{{input:2}}', 'out.mp4'], reasoning: '', outputs: [] }] };
+  await assert.rejects(executor.execute(plan, { dryRun: true }), /Step \(1\): Cannot resolve \{\{input:2\}\}: no input files were provided\./);
+}
+
+async function testPromptDescribesPlaceholders() {
+  const prompt = await new PromptBuilder(sharedToolRegistry).build({
+    task: 'Put the logo on the clip',
+    files: FILES,
+    outputDir: OUTPUT_DIR
+  });
+  assert.ok(prompt.includes('placeholder: {{input:1}}'));
+  assert.ok(prompt.includes('placeholder: {{input:2}}'));
+  assert.ok(prompt.includes('{{output:ID}} for the planned output with that id'));
+}
@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { MediaAgent, OpenAIPlanner, PlannerChain, PromptBuilder } from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runPlanAlternativesTests() {
+  await testAlternativesResponseFormat();
+  await testOpenAIPlannerAlternatives();
+  await testAllAlternativesInvalid();
+  await testProposeAndExecuteChosenPlan();
+  await testChainWithoutAlternativesSupport();
+  await testChainAlternativesFallback();
+  await testPromptAlternativesSection();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'plan-alternatives');
+
+function createRequest() {
+  return { task: 'Convert the clip to webm', files: [], outputDir: OUTPUT_DIR };
+}
+
+function createCandidate(label, command, argumentsList) {
+  return {
+    label,
+    tradeoff: `${label} trade-off`,
+    estimate: { size: '~5 MB', time: '~30 s' },
+    overview: `${label} overview`,
+    steps: [{ command, arguments: argumentsList, reasoning: 'Convert.', outputs: [] }]
+  };
+}
+
+function createProvider(candidates) {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      id: 'stub',
+      async generate(request) {
+        calls.push(request);
+        return { text: JSON.stringify({ alternatives: candidates }), response: {}, requestPayload: {} };
+      }
+    }
+  };
+}
+
+async function testAlternativesResponseFormat() {
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, { provider: { id: 'stub' } });
+  const format = planner.buildAlternativesResponseFormat();
+  const alternatives = format.schema.properties.alternatives;
+  assert.equal(alternatives.minItems, 2);
+  assert.equal(alternatives.maxItems, 3);
+  assert.ok(alternatives.items.required.includes('tradeoff'));
+  assert.equal(alternatives.items.properties.steps.minItems, 1);
+  assert.deepEqual(alternatives.items.properties.steps.items, planner.buildResponseFormat().schema.properties.steps.items);
+}
+
+async function testOpenAIPlannerAlternatives() {
+  const { provider, calls } = createProvider([
+    createCandidate('High quality', 'ffmpeg', ['-i', 'in.mp4', '-crf', '18', 'hq.webm']),
+    createCandidate('Unsafe', 'rm', ['-rf', '/']),
+    createCandidate('Small file', 'ffmpeg', ['-i', 'in.mp4', '-crf', '40', 'small.webm'])
+  ]);
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, { provider });
+
+  const { alternatives, discarded, planner: plannerId } = await planner.planAlternatives(createRequest());
+  assert.equal(plannerId, 'openai');
+  assert.equal(calls[0].jsonSchema.name, 'command_plan_alternatives');
+  assert.ok(calls[0].instructions.includes('alternative plans'));
+  assert.deepEqual(
+    alternatives.map((alternative) => `${alternative.id}:${alternative.label}`),
+    ['alt-1:High quality', 'alt-2:Small file']
+  );
+  assert.equal(alternatives[1].tradeoff, 'Small file trade-off');
+  assert.deepEqual(alternatives[1].estimate, { size: '~5 MB', time: '~30 s' });
+  assert.deepEqual(alternatives[1].plan.steps[0].arguments, ['-i', 'in.mp4', '-crf', '40', 'small.webm']);
+  assert.equal(discarded.length, 1);
+  assert.equal(discarded[0].label, 'Unsafe');
+}
+
+async function testAllAlternativesInvalid() {
+  const { provider } = createProvider([createCandidate('Unsafe', 'rm', ['-rf', '/'])]);
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, { provider });
+  await assert.rejects(planner.planAlternatives(createRequest()), (error) => {
+    assert.ok(Array.isArray(error.rawPlan));
+    assert.ok(error.responseText.includes('Unsafe'));
+    return true;
+  });
+}
+
+async function testProposeAndExecuteChosenPlan() {
+  const { provider } = createProvider([
+    createCandidate('High quality', 'ffmpeg', ['-i', 'in.mp4', 'hq.webm']),
+    createCandidate('Unsafe', 'rm', ['-rf', '/']),
+    createCandidate('Small file', 'ffmpeg', ['-i', 'in.mp4', 'small.webm'])
+  ]);
+  const executed = [];
+  const agent = new MediaAgent({
+    planner: new OpenAIPlanner(null, sharedToolRegistry, { provider }),
+    executor: {
+      async execute(plan) {
+        executed.push(plan);
+        return { exitCode: 0, timedOut: false, stdout: '', stderr: '', resolvedOutputs: [], steps: [] };
+      }
+    },
+    toolRegistry: sharedToolRegistry
+  });
+
+  const proposal = await agent.proposeAlternatives(createRequest());
+  assert.equal(executed.length, 0, 'Proposing alternatives must not execute anything.');
+  assert.equal(proposal.alternatives.length, 2);
+  assert.deepEqual(
+    proposal.phases.map((phase) => `${phase.id}:${phase.status}`),
+    ['plan:success'],
+    'Execution phases belong to the later executePlan call.'
+  );
+  assert.equal(proposal.phases[0].meta.discarded, 1);
+  assert.ok(proposal.phases[0].logs.some((entry) => entry.message.includes('Unsafe')));
+
+  const chosen = proposal.alternatives[1];
+  const { plan, phases } = await agent.executePlan(createRequest(), chosen.plan, { publicRoot: OUTPUT_DIR });
+  assert.equal(executed.length, 1);
+  assert.deepEqual(executed[0], chosen.plan);
+  assert.deepEqual(plan, chosen.plan);
+  assert.deepEqual(
+    phases.map((phase) => `${phase.id}:${phase.status}`),
+    ['execute:success', 'summarize:success']
+  );
+}
+
+async function testChainWithoutAlternativesSupport() {
+  const plan = { steps: [{ command: 'none', arguments: [], reasoning: 'noop', outputs: [] }] };
+  const chain = new PlannerChain([
+    {
+      id: 'single',
+      async plan() {
+        return { plan, rawPlan: plan, planner: 'single' };
+      }
+    }
+  ]);
+  const { alternatives, planner } = await chain.planAlternatives(createRequest());
+  assert.equal(planner, 'single');
+  assert.equal(alternatives.length, 1);
+  assert.equal(alternatives[0].id, 'alt-1');
+  assert.deepEqual(alternatives[0].plan, plan);
+}
+
+async function testChainAlternativesFallback() {
+  const plan = { steps: [{ command: 'none', arguments: [], reasoning: 'noop', outputs: [] }] };
+  const alternatives = [{ id: 'alt-1', label: 'Backup', tradeoff: '', estimate: null, plan }];
+  const chain = new PlannerChain([
+    {
+      id: 'broken',
+      async plan() {
+        throw new Error('plan should not be called');
+      },
+      async planAlternatives() {
+        throw new Error('model unavailable');
+      }
+    },
+    {
+      id: 'backup',
+      async plan() {
+        throw new Error('plan should not be called');
+      },
+      async planAlternatives() {
+        return { alternatives, rawPlan: null, planner: 'backup' };
+      }
+    }
+  ]);
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    const result = await chain.planAlternatives(createRequest());
+    assert.equal(result.planner, 'backup');
+    assert.deepEqual(result.alternatives, alternatives);
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepEqual(warnings, ['[planner chain] broken failed, falling back: model unavailable']);
+}
+
+async function testPromptAlternativesSection() {
+  const builder = new PromptBuilder(sharedToolRegistry);
+  const prompt = await builder.build(createRequest(), { alternatives: true });
+  assert.ok(prompt.includes('Propose 2 or 3 alternative plans'));
+  assert.ok(!prompt.includes('set clarification'));
+
+  const plain = await builder.build(createRequest());
+  assert.ok(!plain.includes('alternative plans'));
+  assert.ok(plain.includes('set clarification'));
+}
@@ -0,0 +1,187 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { MediaAgent, OpenAIPlanner, PlanStreamParser, ResponsesProvider } from '../../src/agent/index.js';
+import { TMP_ROOT, createServerInstance, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runPlanStreamingTests() {
+  await testParserReportsCompletedSteps();
+  await testResponsesProviderStreamsText();
+  await testAgentForwardsPlanDeltas();
+  await testServerSendsPlanDeltaEvents();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'plan-streaming');
+const PLAN = {
+  overview: 'Convert, then "check" {the} result',
+  clarification: null,
+  steps: [
+    {
+      command: 'ffmpeg',
+      arguments: ['-i', 'in.mp4', '-vf', 'scale=640:-2', path.join(OUTPUT_DIR, 'out.webm')],
+      reasoning: 'Resize with "scale" and keep {aspect} ] ratio; "steps": [] is not a key here.',
+      outputs: [{ path: path.join(OUTPUT_DIR, 'out.webm'), description: 'resized clip' }]
+    },
+    { command: 'none', arguments: [], reasoning: 'Nothing else \\ to do.', outputs: [] }
+  ]
+};
+
+function chunk(text, size) {
+  const chunks = [];
+  for (let index = 0; index < text.length; index += size) {
+    chunks.push(text.slice(index, index + size));
+  }
+  return chunks;
+}
+
+async function testParserReportsCompletedSteps() {
+  const text = JSON.stringify(PLAN, null, 2);
+  [1, 7, text.length].forEach((size) => {
+    const received = [];
+    const parser = new PlanStreamParser((step, index) => received.push({ index, step }));
+    const countsAfterDelta = [];
+    chunk(text, size).forEach((delta) => {
+      parser.push(delta);
+      countsAfterDelta.push(received.length);
+    });
+    assert.deepEqual(
+      received.map((entry) => entry.index),
+      [0, 1]
+    );
+    assert.deepEqual(received[0].step, PLAN.steps[0]);
+    assert.deepEqual(received[1].step, PLAN.steps[1]);
+    if (size === 1) {
+      const firstStepEnd = text.indexOf('"command": "none"');
+      assert.equal(countsAfterDelta[firstStepEnd], 1, 'The first step must be reported before the second one is written.');
+    }
+  });
+
+  const received = [];
+  const parser = new PlanStreamParser((step, index) => received.push(index));
+  parser.push('{"steps": [{"command": "ffmpeg"}, {"comm');
+  parser.reset();
+  parser.push('{"steps": [{"command": "magick"}]}');
+  assert.deepEqual(received, [0, 0], 'A reset starts counting from 0 again.');
+}
+
+function createStream(events) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const event of events) {
+        yield event;
+      }
+    }
+  };
+}
+
+async function testResponsesProviderStreamsText() {
+  const payloads = [];
+  const client = {
+    responses: {
+      create: async (payload) => {
+        payloads.push(payload);
+        return createStream([
+          { type: 'response.created' },
+          { type: 'response.output_text.delta', delta: '{"steps":' },
+          { type: 'response.output_text.delta', delta: ' []}' },
+          {
+            type: 'response.completed',
+            response: {
+              output: [{ type: 'message', content: [{ type: 'output_text', text: '{"steps": []}' }] }],
+              usage: { input_tokens: 12, output_tokens: 4 }
+            }
+          }
+        ]);
+      }
+    }
+  };
+  const deltas = [];
+  const provider = new ResponsesProvider(client);
+  const generated = await provider.generate({
+    model: 'gpt-test',
+    instructions: 'plan',
+    input: 'task',
+    onTextDelta: (delta, text) => deltas.push([delta, text])
+  });
+  assert.equal(payloads[0].stream, true);
+  assert.equal(generated.text, '{"steps": []}');
+  assert.deepEqual(generated.usage, { inputTokens: 12, outputTokens: 4, reasoningTokens: 0 });
+  assert.deepEqual(deltas, [
+    ['{"steps":', '{"steps":'],
+    [' []}', '{"steps": []}']
+  ]);
+
+  const failing = new ResponsesProvider({
+    responses: { create: async () => createStream([{ type: 'response.failed', response: { error: { message: 'overloaded' } } }]) }
+  });
+  await assert.rejects(
+    failing.generate({ model: 'gpt-test', instructions: 'plan', input: 'task', onTextDelta: () => {} }),
+    /Streaming response failed: overloaded/
+  );
+
+  const replayDeltas = [];
+  const replay = new ResponsesProvider({ responses: { create: async () => ({ output_text: '{"steps": []}' }) } });
+  await replay.generate({ model: 'gpt-test', instructions: 'plan', input: 'task', onTextDelta: (delta) => replayDeltas.push(delta) });
+  assert.deepEqual(replayDeltas, ['{"steps": []}'], 'Clients without streaming report the whole text at once.');
+}
+
+function createStreamingProvider(texts) {
+  return {
+    id: 'stub',
+    buildPayload: (request) => request,
+    async generate(request) {
+      const text = texts.shift();
+      let sent = '';
+      for (const delta of chunk(text, 5)) {
+        sent += delta;
+        request.onTextDelta?.(delta, sent);
+      }
+      if (texts.length > 0) {
+        throw Object.assign(new Error('upstream reset'), { status: 500 });
+      }
+      return { text, response: {}, requestPayload: request };
+    }
+  };
+}
+
+async function testAgentForwardsPlanDeltas() {
+  const interrupted = '{"clarification": null, "steps": [{"command": "magick", "arguments": []}, {"command": "ff';
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, {
+    provider: createStreamingProvider([interrupted, JSON.stringify(PLAN)]),
+    retryDelayMs: 0
+  });
+  const agent = new MediaAgent({ planner, executor: { execute: async () => null }, toolRegistry: sharedToolRegistry });
+
+  const deltas = [];
+  const { plan } = await agent.planTask(
+    { task: 'Resize the clip', files: [], outputDir: OUTPUT_DIR },
+    { onPlanDelta: (delta) => deltas.push(delta) }
+  );
+  assert.equal(plan.steps.length, 2);
+  assert.deepEqual(
+    deltas.map((delta) => [delta.phase, delta.index, delta.step.command]),
+    [
+      ['plan', 0, 'magick'],
+      ['plan', 0, 'ffmpeg'],
+      ['plan', 1, 'none']
+    ],
+    'The retried call starts again from index 0.'
+  );
+}
+
+async function testServerSendsPlanDeltaEvents() {
+  const server = createServerInstance(path.join(TMP_ROOT, 'server-plan-delta'));
+  const written = [];
+  server.logStreams.set('channel-1', { res: { write: (chunkText) => written.push(chunkText) }, closed: false });
+
+  const handlers = server.createCommandLogHandlers('channel-1');
+  handlers.onPlanDelta({ phase: 'plan', index: 0, step: PLAN.steps[0] });
+
+  assert.equal(written[0], 'event: plan_delta\n');
+  const payload = JSON.parse(written[1].replace(/^data: /, ''));
+  assert.equal(payload.phase, 'plan');
+  assert.equal(payload.index, 0);
+  assert.equal(payload.command, 'ffmpeg');
+  assert.equal(payload.commandLine, `ffmpeg -i in.mp4 -vf scale=640:-2 ${path.join(OUTPUT_DIR, 'out.webm')}`);
+  assert.equal(payload.reasoning, PLAN.steps[0].reasoning);
+}
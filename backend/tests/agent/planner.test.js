@@ -1,11 +1,12 @@
 import assert from 'node:assert/strict';
 
-import { OpenAIPlanner, createOpenAIClient } from '../../src/agent/index.js';
+import { MediaAgent, OpenAIPlanner, createOpenAIClient } from '../../src/agent/index.js';
 import { sharedToolRegistry } from '../helpers/testEnvironment.js';
 
 export default async function runPlannerTests() {
   await testOpenAIPlannerNormalization();
   await testOpenAIPlannerResponseFormat();
+  await testOpenAIPlannerClarification();
   await testCreateOpenAIClient();
 }
 
@@ -42,6 +43,73 @@ async function testOpenAIPlannerResponseFormat() {
   assert.equal(schema.type, 'json_schema');
   assert.ok(schema.schema.properties.steps);
   assert.ok(schema.schema.properties.steps.items.required.includes('command'));
+
+  // Strict structured outputs only accept objects whose properties are all required.
+  const assertStrict = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    assert.equal(node.optionalProperties, undefined);
+    if (node.properties) {
+      assert.deepEqual([...node.required].sort(), Object.keys(node.properties).sort());
+      assert.equal(node.additionalProperties, false);
+    }
+    Object.values(node.properties || {}).forEach(assertStrict);
+    assertStrict(node.items);
+  };
+  assertStrict(schema.schema);
+  assertStrict(planner.buildAlternativesResponseFormat().schema);
+  assert.deepEqual(schema.schema.properties.overview.type, ['string', 'null']);
+  assert.deepEqual(schema.schema.properties.steps.items.properties.note.type, ['string', 'null']);
+}
+
+async function testOpenAIPlannerClarification() {
+  const provider = {
+    id: 'stub',
+    async generate() {
+      return {
+        text: JSON.stringify({
+          clarification: { question: 'File size or resolution?', choices: ['File size', ' ', 'Resolution'] },
+          steps: []
+        }),
+        response: {},
+        requestPayload: {}
+      };
+    }
+  };
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, { provider });
+  const executor = {
+    async execute() {
+      throw new Error('Nothing must be executed while waiting for an answer.');
+    }
+  };
+  const agent = new MediaAgent({ planner, executor, toolRegistry: sharedToolRegistry });
+  const response = await agent.runTask({ task: 'Make this smaller', files: [], outputDir: '/tmp' });
+  assert.equal(response.plan, null);
+  assert.deepEqual(response.clarification, {
+    question: 'File size or resolution?',
+    choices: ['File size', 'Resolution']
+  });
+  assert.equal(response.phases[0].status, 'success');
+  assert.equal(response.phases[1].status, 'pending');
+
+  const schema = planner.buildResponseFormat().schema;
+  assert.ok(schema.required.includes('clarification'));
+  assert.deepEqual(schema.properties.clarification.type, ['object', 'null']);
+  assert.equal(schema.properties.steps.minItems, undefined, 'A clarification comes without steps.');
+
+  const emptyPlanner = new OpenAIPlanner(null, sharedToolRegistry, {
+    provider: {
+      id: 'stub',
+      async generate() {
+        return { text: JSON.stringify({ clarification: null, steps: [] }), response: {}, requestPayload: {} };
+      }
+    }
+  });
+  await assert.rejects(
+    emptyPlanner.plan({ task: 'Make this smaller', files: [], outputDir: '/tmp' }),
+    /Command steps are missing/
+  );
 }
 
 async function testCreateOpenAIClient() {
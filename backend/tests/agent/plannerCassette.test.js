@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  CassetteStore,
+  createMediaAgent,
+  createOpenAIClient,
+  createRecordingClient,
+  createReplayClient
+} from '../../src/agent/index.js';
+import {
+  TMP_ROOT,
+  createMockResponse,
+  createServerInstance,
+  sharedToolRegistry
+} from '../helpers/testEnvironment.js';
+
+export default async function runPlannerCassetteTests() {
+  await testCassetteKeyNormalization();
+  await testRecordAndReplayThroughServer();
+  await testReplayWithoutCassette();
+  await testChatCompletionsReplay();
+}
+
+const CASSETTE_ROOT = path.join(TMP_ROOT, 'cassette');
+const CASSETTE_DIR = path.join(CASSETTE_ROOT, 'cassettes');
+
+function createPayload(developerPrompt, task) {
+  return {
+    model: 'test-model',
+    input: [
+      { role: 'developer', content: [{ type: 'input_text', text: developerPrompt }] },
+      { role: 'user', content: [{ type: 'input_text', text: task }] }
+    ]
+  };
+}
+
+async function testCassetteKeyNormalization() {
+  const store = new CassetteStore(CASSETTE_DIR, { rootDir: CASSETTE_ROOT });
+  const keyA = store.createKey(
+    createPayload(`Place files in ${path.join(CASSETTE_ROOT, 'session-1700000000000-abc123')}`, 'Convert')
+  );
+  const keyB = store.createKey(
+    createPayload(`Place files in ${path.join(CASSETTE_ROOT, 'session-1800000000000-zzz999')}`, 'Convert')
+  );
+  const keyC = store.createKey(
+    createPayload(`Place files in ${path.join(CASSETTE_ROOT, 'session-1700000000000-abc123')}`, 'Resize')
+  );
+  assert.equal(keyA, keyB, 'Session ids must not affect the cassette key.');
+  assert.notEqual(keyA, keyC, 'Different tasks must produce different keys.');
+}
+
+async function runServerTask(agent, sessionId) {
+  const baseDir = path.join(CASSETTE_ROOT, 'server');
+  const server = createServerInstance(baseDir, { agent });
+  await server.ensureBaseDirectories();
+  const outputDir = path.join(baseDir, 'generated', sessionId);
+  const inputDir = path.join(baseDir, 'inputs', sessionId);
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.mkdir(inputDir, { recursive: true });
+
+  const res = createMockResponse();
+  await server.handleTaskRequest(
+    {
+      body: { task: 'Write a readme placeholder' },
+      query: { dryRun: 'true' },
+      files: [],
+      agentSession: { id: sessionId, inputDir, outputDir }
+    },
+    res
+  );
+  return { res, outputDir };
+}
+
+async function testRecordAndReplayThroughServer() {
+  let liveCalls = 0;
+  class StubOpenAI {
+    constructor() {
+      this.responses = {
+        create: async (payload) => {
+          liveCalls += 1;
+          const developerPrompt = payload.input[0].content[0].text;
+          const outputDir = developerPrompt.match(/Place any new files inside: (.+)/)[1].trim();
+          return {
+            id: 'resp_recorded',
+            output_text: JSON.stringify({
+              overview: 'Placeholder',
+              followUp: '',
+              steps: [
+                {
+                  command: 'none',
+                  arguments: [],
+                  reasoning: 'Nothing to run.',
+                  outputs: [{ path: path.join(outputDir, 'README.txt'), description: 'placeholder' }]
+                }
+              ]
+            })
+          };
+        }
+      };
+    }
+  }
+
+  const recordingClient = createOpenAIClient('test-key', StubOpenAI, {
+    cassetteMode: 'record',
+    cassetteDir: CASSETTE_DIR,
+    rootDir: CASSETTE_ROOT
+  });
+  const recordingAgent = createMediaAgent(recordingClient, { toolRegistry: sharedToolRegistry });
+  const recorded = await runServerTask(recordingAgent, 'session-1700000000000-rec001');
+  assert.equal(recorded.res.statusCode, 200);
+  assert.equal(liveCalls, 1);
+  const cassettes = await fs.readdir(CASSETTE_DIR);
+  assert.equal(cassettes.length, 1);
+  const cassette = JSON.parse(await fs.readFile(path.join(CASSETTE_DIR, cassettes[0]), 'utf8'));
+  assert.ok(cassette.developerPrompt.includes('multimedia conversion'));
+  assert.equal(cassette.task, 'Write a readme placeholder');
+  assert.equal(cassette.responseId, 'resp_recorded');
+  assert.ok(cassette.requestPayload.model);
+
+  const replayClient = createOpenAIClient(undefined, undefined, {
+    cassetteMode: 'replay',
+    cassetteDir: CASSETTE_DIR,
+    rootDir: CASSETTE_ROOT
+  });
+  const replayAgent = createMediaAgent(replayClient, { toolRegistry: sharedToolRegistry });
+  const replayed = await runServerTask(replayAgent, 'session-1800000000000-rep002');
+  assert.equal(liveCalls, 1, 'Replay must not reach the live client.');
+  assert.equal(replayed.res.statusCode, 200);
+  assert.equal(
+    replayed.res.body.plan.steps[0].outputs[0].path,
+    path.join(replayed.outputDir, 'README.txt'),
+    'Recorded session paths should be rewritten to the current session.'
+  );
+}
+
+async function testReplayWithoutCassette() {
+  const replayClient = createOpenAIClient(undefined, undefined, {
+    cassetteMode: 'replay',
+    cassetteDir: path.join(CASSETTE_ROOT, 'empty'),
+    rootDir: CASSETTE_ROOT
+  });
+  let threw = false;
+  try {
+    await replayClient.responses.create(createPayload('unknown prompt', 'unknown task'));
+  } catch (error) {
+    threw = true;
+    assert.ok(error.message.includes('No planner cassette recorded'));
+  }
+  assert.equal(threw, true);
+}
+
+async function testChatCompletionsReplay() {
+  const store = new CassetteStore(path.join(CASSETTE_ROOT, 'chat'), { rootDir: CASSETTE_ROOT });
+  const payload = {
+    model: 'local-model',
+    messages: [
+      { role: 'system', content: 'Plan commands.' },
+      { role: 'user', content: 'Convert to webp' }
+    ]
+  };
+  const stubClient = {
+    chat: {
+      completions: {
+        create: async () => ({ id: 'chat_1', choices: [{ message: { content: '{"steps":[]}' } }] })
+      }
+    }
+  };
+  await createRecordingClient(stubClient, store).chat.completions.create(payload);
+
+  class StubClient {
+    #apiKey = 'test-key';
+    constructor() {
+      this.responses = { create: async () => ({ id: 'resp_1', output_text: '{}' }), retrieve: async (id) => ({ id }) };
+    }
+    buildHeaders() {
+      return { Authorization: `Bearer ${this.#apiKey}` };
+    }
+  }
+  const wrapped = createRecordingClient(new StubClient(), store);
+  assert.deepEqual(wrapped.buildHeaders(), { Authorization: 'Bearer test-key' }, 'Prototype methods stay available.');
+  assert.deepEqual(await wrapped.responses.retrieve('resp_1'), { id: 'resp_1' });
+
+  const replayed = await createReplayClient(store).chat.completions.create(payload);
+  assert.equal(replayed.choices[0].message.content, '{"steps":[]}');
+  assert.equal(replayed.replayed, true);
+}
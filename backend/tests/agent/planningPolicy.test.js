@@ -0,0 +1,216 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+  OpenAIPlanner,
+  PlanValidationError,
+  PlanValidator,
+  PlanningPolicy,
+  PromptBuilder,
+  ToolRegistry
+} from '../../src/agent/index.js';
+import { TMP_ROOT, createMockResponse, createServerInstance } from '../helpers/testEnvironment.js';
+
+export default async function runPlanningPolicyTests() {
+  await testPolicyLoadsAndValidates();
+  await testPromptListsHouseRules();
+  await testValidatorEnforcesNamingPattern();
+  await testValidatorRejectsForbiddenCodec();
+  await testValidatorEnforcesMaxResolution();
+  await testPlannerRetriesWithPolicyFeedback();
+  await testServerExposesPolicy();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'planning-policy');
+const INPUT = path.join(TMP_ROOT, 'holiday.mov');
+const IMAGE = path.join(TMP_ROOT, 'holiday.png');
+const FILES = [
+  { id: 'f1', originalName: 'holiday.mov', absolutePath: INPUT, size: 1, mimeType: 'video/quicktime' },
+  { id: 'f2', originalName: 'holiday.png', absolutePath: IMAGE, size: 1, mimeType: 'image/png' }
+];
+const POLICY = {
+  rules: ['Default to H.264 and AAC in mp4 for video.', '  '],
+  outputNamePattern: '{original}_{operation}.{ext}',
+  forbiddenCodecs: ['libx265'],
+  maxResolution: { width: 1920, height: 1080 }
+};
+
+function createRegistry(policy = POLICY) {
+  return new ToolRegistry(undefined, { policy: new PlanningPolicy(policy) });
+}
+
+/**
+ * @param {string} command
+ * @param {string[]} args
+ * @param {string} [fileName]
+ */
+function createPlan(command, args, fileName = 'holiday_resize.mp4') {
+  const output = path.join(OUTPUT_DIR, fileName);
+  return {
+    steps: [{ command, arguments: [...args, output], reasoning: 'Convert.', outputs: [{ path: output, description: 'result' }] }]
+  };
+}
+
+/**
+ * @param {PlanValidator} validator
+ * @param {ReturnType<typeof createPlan>} plan
+ * @param {RegExp} pattern
+ */
+function assertPolicyViolation(validator, plan, pattern) {
+  assert.throws(
+    () => validator.validate(plan, OUTPUT_DIR, { files: FILES }),
+    (error) => {
+      assert.ok(error instanceof PlanValidationError);
+      assert.equal(error.code, 'policy_violation');
+      assert.equal(error.stepIndex, 0);
+      assert.match(error.message, pattern);
+      return true;
+    }
+  );
+}
+
+async function testPolicyLoadsAndValidates() {
+  const policy = new PlanningPolicy(POLICY);
+  assert.deepEqual(policy.toJSON(), { ...POLICY, rules: ['Default to H.264 and AAC in mp4 for video.'] });
+  assert.equal(policy.matchesOutputName('holiday_resize.mp4', ['holiday.mov']), true);
+  assert.equal(policy.matchesOutputName('holiday_to-webm.webm', ['holiday.mov']), true);
+  assert.equal(policy.matchesOutputName('other_resize.mp4', ['holiday.mov']), false);
+  assert.equal(policy.matchesOutputName('holiday.mp4', ['holiday.mov']), false);
+  assert.equal(policy.matchesOutputName('anything_resize.mp4'), true, 'Without inputs any original name is accepted.');
+  assert.equal(new PlanningPolicy().isEmpty(), true);
+  assert.equal(new PlanningPolicy().matchesOutputName('out.mp4'), true);
+
+  assert.throws(() => new PlanningPolicy({ outputNamePattern: '{date}_{original}.{ext}' }), /unknown placeholder \{date\}/);
+  assert.throws(() => new PlanningPolicy({ forbiddenCodecs: 'libx265' }), /forbiddenCodecs must be an array/);
+  assert.throws(() => new PlanningPolicy({ maxResolution: { width: 0 } }), /positive integers/);
+
+  const directory = path.join(TMP_ROOT, 'planning-policy-files');
+  await fs.mkdir(directory, { recursive: true });
+  assert.equal(await PlanningPolicy.load(path.join(directory, 'missing.json')), null);
+  const broken = path.join(directory, 'broken.json');
+  await fs.writeFile(broken, '{"rules": "always"}');
+  await assert.rejects(PlanningPolicy.load(broken), /Failed to load planning policy .*broken\.json: rules must be an array/);
+
+  const registry = new ToolRegistry();
+  assert.equal(await registry.loadPolicy(path.join(directory, 'missing.json')), null);
+  assert.equal(registry.getPolicy(), null);
+  const valid = path.join(directory, 'policy.json');
+  await fs.writeFile(valid, JSON.stringify(POLICY));
+  await registry.loadPolicy(valid);
+  assert.deepEqual(registry.getPolicy()?.forbiddenCodecs, ['libx265']);
+}
+
+async function testPromptListsHouseRules() {
+  const prompt = await new PromptBuilder(createRegistry()).build({ task: 'Shrink the clip', files: [], outputDir: OUTPUT_DIR });
+  assert.ok(prompt.includes('House rules of this deployment'));
+  assert.ok(prompt.includes('- Default to H.264 and AAC in mp4 for video.'));
+  assert.ok(prompt.includes('Name every output file {original}_{operation}.{ext}'));
+  assert.ok(prompt.includes('Never encode with these codecs: libx265'));
+  assert.ok(prompt.includes('Never set an output size above width 1920 and height 1080 pixels.'));
+
+  const plain = await new PromptBuilder(new ToolRegistry()).build({ task: 'Shrink the clip', files: [], outputDir: OUTPUT_DIR });
+  assert.ok(!plain.includes('House rules'));
+}
+
+async function testValidatorEnforcesNamingPattern() {
+  const validator = new PlanValidator(createRegistry());
+  const plan = validator.validate(createPlan('ffmpeg', ['-i', INPUT]), OUTPUT_DIR, { files: FILES });
+  assert.equal(plan.steps[0].outputs[0].path, path.join(OUTPUT_DIR, 'holiday_resize.mp4'));
+
+  assertPolicyViolation(
+    validator,
+    createPlan('ffmpeg', ['-i', INPUT], 'output.mp4'),
+    /output "output\.mp4" does not follow the naming pattern \{original\}_\{operation\}\.\{ext\}/
+  );
+  const unrestricted = new PlanValidator(new ToolRegistry());
+  assert.doesNotThrow(
+    () => unrestricted.validate(createPlan('ffmpeg', ['-i', INPUT], 'output.mp4'), OUTPUT_DIR, { files: FILES }),
+    'Without a policy any name inside the output directory is accepted.'
+  );
+}
+
+async function testValidatorRejectsForbiddenCodec() {
+  const validator = new PlanValidator(createRegistry());
+  assertPolicyViolation(validator, createPlan('ffmpeg', ['-i', INPUT, '-c:v', 'libx265']), /encodes with "libx265"/);
+  assertPolicyViolation(validator, createPlan('ffmpeg', ['-i', INPUT, '-vcodec', 'LIBX265']), /encodes with "LIBX265"/);
+  assert.doesNotThrow(() =>
+    validator.validate(createPlan('ffmpeg', ['-c:v', 'libx265', '-i', INPUT, '-c:v', 'libx264']), OUTPUT_DIR, { files: FILES })
+  );
+}
+
+async function testValidatorEnforcesMaxResolution() {
+  const validator = new PlanValidator(createRegistry());
+  assertPolicyViolation(
+    validator,
+    createPlan('ffmpeg', ['-i', INPUT, '-vf', 'fps=30,scale=3840:-2']),
+    /width of 3840 px, above the maximum of 1920 px/
+  );
+  assertPolicyViolation(validator, createPlan('ffmpeg', ['-i', INPUT, '-vf', 'scale=w=1280:h=1440']), /height of 1440 px/);
+  assertPolicyViolation(validator, createPlan('ffmpeg', ['-i', INPUT, '-s', '2560x1440']), /width of 2560 px/);
+  assertPolicyViolation(
+    validator,
+    createPlan('magick', [IMAGE, '-resize', '4000x3000!'], 'holiday_resize.png'),
+    /width of 4000 px/
+  );
+
+  [
+    ['-i', INPUT, '-vf', 'scale=1280:720'],
+    ['-i', INPUT, '-vf', 'scale=iw*2:-2'],
+    ['-s', '3840x2160', '-i', INPUT]
+  ].forEach((args) => {
+    assert.doesNotThrow(() => validator.validate(createPlan('ffmpeg', args), OUTPUT_DIR, { files: FILES }), args.join(' '));
+  });
+  ['4000x3000>', '200%'].forEach((geometry) => {
+    const plan = createPlan('magick', [IMAGE, '-resize', geometry], 'holiday_resize.png');
+    assert.doesNotThrow(() => validator.validate(plan, OUTPUT_DIR, { files: FILES }), geometry);
+  });
+}
+
+async function testPlannerRetriesWithPolicyFeedback() {
+  const responses = ['holiday.mp4', 'holiday_h264.mp4'].map((fileName) => {
+    const output = path.join(OUTPUT_DIR, fileName);
+    return JSON.stringify({
+      clarification: null,
+      steps: [
+        {
+          command: 'ffmpeg',
+          arguments: ['-i', INPUT, output],
+          reasoning: 'Encode.',
+          outputs: [{ path: output, description: 'converted clip' }]
+        }
+      ]
+    });
+  });
+  const prompts = [];
+  const planner = new OpenAIPlanner(null, createRegistry(), {
+    provider: {
+      id: 'stub',
+      async generate(request) {
+        prompts.push(request.instructions);
+        return { text: responses[prompts.length - 1], response: {}, requestPayload: {} };
+      }
+    }
+  });
+
+  const { plan, validationRejections } = await planner.plan({ task: 'Convert to mp4', files: FILES, outputDir: OUTPUT_DIR });
+  assert.equal(path.basename(plan.steps[0].outputs[0].path), 'holiday_h264.mp4');
+  assert.equal(validationRejections.length, 1);
+  assert.match(validationRejections[0], /naming pattern/);
+  assert.ok(prompts[1].includes('Your previous plan was rejected before execution:'));
+  assert.ok(prompts[1].includes('holiday.mp4'));
+}
+
+async function testServerExposesPolicy() {
+  const server = createServerInstance(path.join(TMP_ROOT, 'server-policy'), { toolRegistry: createRegistry() });
+  const res = createMockResponse();
+  server.handleGetPolicy({}, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.policy.maxResolution, { width: 1920, height: 1080 });
+  assert.equal(res.body.policy.outputNamePattern, '{original}_{operation}.{ext}');
+
+  const withoutPolicy = createServerInstance(path.join(TMP_ROOT, 'server-policy-none'), { toolRegistry: new ToolRegistry() });
+  const empty = createMockResponse();
+  withoutPolicy.handleGetPolicy({}, empty);
+  assert.deepEqual(empty.body, { policy: null });
+}
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { PromptBuilder, RecipeLibrary, ToolRegistry } from '../../src/agent/index.js';
+import { TMP_ROOT } from '../helpers/testEnvironment.js';
+
+export default async function runRecipeLibraryTests() {
+  await testSelectsRecipesByKeywordAndFileType();
+  await testMatchesJapaneseTasks();
+  await testIgnoresUnrelatedTasks();
+  await testLoadsRecipesFromDirectory();
+  await testRejectsInvalidRecipeFiles();
+  await testPromptIncludesRelevantRecipes();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'recipes-output');
+const RECIPES_DIR = path.join(TMP_ROOT, 'recipes');
+
+function createRequest(task, files = []) {
+  return { task, files, outputDir: OUTPUT_DIR };
+}
+
+function createFile(originalName, mimeType) {
+  return { id: originalName, originalName, absolutePath: path.join(TMP_ROOT, originalName), size: 10, mimeType };
+}
+
+async function testSelectsRecipesByKeywordAndFileType() {
+  const library = RecipeLibrary.createDefault();
+
+  const video = library.findRelevant(createRequest('Resize this to 720p', [createFile('clip.mov', 'video/quicktime')]));
+  assert.equal(video[0].id, 'video-resize');
+  assert.ok(video.every((recipe) => recipe.tool === 'ffmpeg'));
+
+  const image = library.findRelevant(createRequest('Resize this to 800px wide', [createFile('photo.png', 'image/png')]));
+  assert.equal(image[0].id, 'image-resize');
+
+  const gif = library.findRelevant(createRequest('make a gif from the first 3 seconds'), { limit: 1 });
+  assert.deepEqual(
+    gif.map((recipe) => recipe.id),
+    ['video-to-gif']
+  );
+}
+
+async function testMatchesJapaneseTasks() {
+  const recipes = RecipeLibrary.createDefault().findRelevant(
+    createRequest('この写真の位置情報を削除して', [createFile('photo.jpg', 'image/jpeg')])
+  );
+  assert.equal(recipes[0].id, 'strip-metadata');
+}
+
+async function testIgnoresUnrelatedTasks() {
+  const recipes = RecipeLibrary.createDefault().findRelevant(createRequest('hello', [createFile('clip.mp4', 'video/mp4')]));
+  assert.deepEqual(recipes, []);
+}
+
+async function testLoadsRecipesFromDirectory() {
+  await fs.mkdir(RECIPES_DIR, { recursive: true });
+  await fs.writeFile(
+    path.join(RECIPES_DIR, 'rotate.json'),
+    JSON.stringify([
+      { tool: 'ffmpeg', task: 'Rotate a video by 90 degrees', keywords: ['rotate'], arguments: ['-vf', 'transpose=1'] },
+      { tool: 'magick', task: 'Rotate an image', keywords: ['rotate'], arguments: ['INPUT', '-rotate', '90', 'OUTPUT'] }
+    ])
+  );
+  await fs.writeFile(
+    path.join(RECIPES_DIR, 'video-to-gif.md'),
+    [
+      '---',
+      'tool: ffmpeg',
+      'task: Turn a video clip into a small looping GIF',
+      'keywords: gif, loop',
+      'fileTypes: video',
+      '---',
+      '',
+      '```sh',
+      'ffmpeg -i INPUT -vf "fps=10,scale=320:-1" -loop 0 OUTPUT.gif',
+      '```',
+      '',
+      '- Keep GIFs under 10 seconds.',
+      '* Use a palette for better colours.'
+    ].join('\n')
+  );
+  await fs.writeFile(path.join(RECIPES_DIR, 'notes.txt'), 'ignored');
+
+  const registry = ToolRegistry.createDefault();
+  const defaultCount = registry.recipes.list().length;
+  assert.equal(await registry.loadRecipes(RECIPES_DIR), 3);
+  assert.equal(await registry.loadRecipes(path.join(TMP_ROOT, 'missing-recipes')), 0);
+
+  const recipes = registry.recipes.list();
+  assert.equal(recipes.length, defaultCount + 2, 'The Markdown recipe replaces the built-in recipe with the same id.');
+  const gif = recipes.find((recipe) => recipe.id === 'video-to-gif');
+  assert.equal(gif.task, 'Turn a video clip into a small looping GIF');
+  assert.deepEqual(gif.arguments, ['-i', 'INPUT', '-vf', 'fps=10,scale=320:-1', '-loop', '0', 'OUTPUT.gif']);
+  assert.deepEqual(gif.pitfalls, ['Keep GIFs under 10 seconds.', 'Use a palette for better colours.']);
+  assert.deepEqual(gif.keywords, ['gif', 'loop']);
+  assert.deepEqual(
+    recipes.filter((recipe) => recipe.id.startsWith('rotate-')).map((recipe) => recipe.tool),
+    ['ffmpeg', 'magick']
+  );
+}
+
+async function testRejectsInvalidRecipeFiles() {
+  const directory = path.join(TMP_ROOT, 'recipes-invalid');
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(path.join(directory, 'broken.md'), 'No front matter here.');
+  await assert.rejects(new RecipeLibrary().loadDirectory(directory), /Failed to load recipe .*broken\.md: .*front matter/);
+}
+
+async function testPromptIncludesRelevantRecipes() {
+  const registry = new ToolRegistry(undefined, {
+    recipes: new RecipeLibrary([
+      {
+        id: 'download',
+        tool: 'yt-dlp',
+        task: 'Download a video',
+        keywords: ['download'],
+        arguments: ['-f', 'mp4', 'URL'],
+        pitfalls: ['Respect the site terms.']
+      },
+      { id: 'custom', tool: 'sox', task: 'Download with an unregistered tool', keywords: ['download'] }
+    ])
+  });
+  const prompt = await new PromptBuilder(registry).build(createRequest('download this video'));
+  assert.ok(prompt.includes('- Download a video: yt-dlp -f mp4 URL'));
+  assert.ok(prompt.includes('  Pitfall: Respect the site terms.'));
+  assert.ok(!prompt.includes('sox'), 'Recipes for unregistered commands must not be offered.');
+
+  const unrelated = await new PromptBuilder(registry).build(createRequest('hello'));
+  assert.ok(!unrelated.includes('Relevant recipes'));
+}
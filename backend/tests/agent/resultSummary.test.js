@@ -0,0 +1,186 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { MediaAgent, ResultSummarizer } from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runResultSummaryTests() {
+  await testSummarizerBuildsInputAndNormalizes();
+  await testSummarizerRejectsEmptySummary();
+  await testAgentReturnsSummary();
+  await testSummaryFailureDoesNotFailTask();
+  await testDryRunIsNotSummarized();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'result-summary');
+
+function createRequest() {
+  return { task: 'Convert the clip to webm', files: [], outputDir: OUTPUT_DIR };
+}
+
+function createPlan() {
+  return {
+    overview: 'Transcode to VP9.',
+    steps: [
+      {
+        command: 'ffmpeg',
+        arguments: ['-i', 'in.mp4', path.join(OUTPUT_DIR, 'out.webm')],
+        reasoning: 'Convert.',
+        outputs: [{ path: path.join(OUTPUT_DIR, 'out.webm'), description: 'converted clip' }]
+      }
+    ]
+  };
+}
+
+function createExecutionResult() {
+  const plan = createPlan();
+  return {
+    exitCode: 0,
+    timedOut: false,
+    stdout: '',
+    stderr: '',
+    resolvedOutputs: [
+      {
+        description: 'converted clip',
+        path: path.join(OUTPUT_DIR, 'out.webm'),
+        absolutePath: path.join(OUTPUT_DIR, 'out.webm'),
+        exists: false,
+        size: null,
+        publicPath: null
+      }
+    ],
+    steps: [
+      {
+        status: 'executed',
+        command: 'ffmpeg',
+        arguments: plan.steps[0].arguments,
+        reasoning: 'Convert.',
+        exitCode: 0,
+        timedOut: false,
+        stdout: '',
+        stderr: `${'x'.repeat(2000)}Stream #0:1: Audio: opus, 48000 Hz, stereo`
+      }
+    ]
+  };
+}
+
+function createStubProvider(calls, text) {
+  return {
+    id: 'stub',
+    buildPayload: (request) => request,
+    async generate(request) {
+      calls.push(request);
+      return { text, response: {}, requestPayload: request };
+    }
+  };
+}
+
+function createAgent(summarizer, executionResult = createExecutionResult()) {
+  const plan = createPlan();
+  return new MediaAgent({
+    planner: {
+      id: 'stub',
+      async plan() {
+        return { plan, rawPlan: plan, planner: 'stub' };
+      }
+    },
+    executor: {
+      async execute() {
+        return executionResult;
+      }
+    },
+    toolRegistry: sharedToolRegistry,
+    summarizer
+  });
+}
+
+async function testSummarizerBuildsInputAndNormalizes() {
+  const calls = [];
+  const summarizer = new ResultSummarizer(
+    createStubProvider(
+      calls,
+      JSON.stringify({
+        summary: ' Converted the clip to WebM. ',
+        caveats: ['Audio was downmixed to stereo.', '', 'a', 'b', 'c', 'd', 'e'],
+        nextActions: ['Trim the intro.']
+      })
+    ),
+    { model: 'summary-model' }
+  );
+
+  const summary = await summarizer.summarize(createRequest(), createPlan(), createExecutionResult());
+  assert.deepEqual(summary, {
+    summary: 'Converted the clip to WebM.',
+    caveats: ['Audio was downmixed to stereo.', 'a', 'b', 'c', 'd'],
+    nextActions: ['Trim the intro.']
+  });
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].model, 'summary-model');
+  assert.equal(calls[0].jsonSchema.name, 'result_summary');
+  const { input } = calls[0];
+  assert.ok(input.includes('Task: Convert the clip to webm'));
+  assert.ok(input.includes('Plan overview: Transcode to VP9.'));
+  assert.ok(input.includes('status: executed, exit code: 0'));
+  assert.ok(input.includes('Audio: opus, 48000 Hz, stereo'));
+  assert.ok(!input.includes('x'.repeat(1000)), 'stderr must be cut to an excerpt.');
+  assert.ok(input.includes('- out.webm: missing (converted clip)'));
+}
+
+async function testSummarizerRejectsEmptySummary() {
+  const empty = new ResultSummarizer(
+    createStubProvider([], JSON.stringify({ summary: ' ', caveats: [], nextActions: [] }))
+  );
+  await assert.rejects(empty.summarize(createRequest(), createPlan(), createExecutionResult()), /empty/);
+
+  const invalid = new ResultSummarizer(createStubProvider([], 'not json'));
+  await assert.rejects(invalid.summarize(createRequest(), createPlan(), createExecutionResult()), /Failed to parse/);
+}
+
+async function testAgentReturnsSummary() {
+  const calls = [];
+  const agent = createAgent({
+    async summarize(request, plan, result) {
+      calls.push({ request, plan, result });
+      return { summary: 'Converted the clip.', caveats: [], nextActions: ['Trim the intro.'] };
+    }
+  });
+
+  const { summary, phases } = await agent.runTask(createRequest(), { publicRoot: OUTPUT_DIR });
+  assert.equal(summary.summary, 'Converted the clip.');
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].plan.overview, 'Transcode to VP9.');
+  const summarize = phases.find((phase) => phase.id === 'summarize');
+  assert.equal(summarize.status, 'success');
+  assert.equal(summarize.meta.summarized, true);
+}
+
+async function testSummaryFailureDoesNotFailTask() {
+  const agent = createAgent({
+    async summarize() {
+      throw new Error('rate limited');
+    }
+  });
+
+  const { summary, result, phases } = await agent.runTask(createRequest(), { publicRoot: OUTPUT_DIR });
+  assert.equal(summary, null);
+  assert.equal(result.exitCode, 0);
+  const summarize = phases.find((phase) => phase.id === 'summarize');
+  assert.equal(summarize.status, 'success');
+  assert.equal(summarize.meta.summarized, false);
+  assert.ok(summarize.logs.some((entry) => entry.message.includes('rate limited')));
+}
+
+async function testDryRunIsNotSummarized() {
+  let called = false;
+  const agent = createAgent({
+    async summarize() {
+      called = true;
+      return { summary: 'unused', caveats: [], nextActions: [] };
+    }
+  });
+
+  const { summary } = await agent.runTask(createRequest(), { publicRoot: OUTPUT_DIR, dryRun: true });
+  assert.equal(summary, null);
+  assert.equal(called, false);
+}
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { PlannerChain, RuleBasedPlanner, createMediaAgent } from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runRuleBasedPlannerTests() {
+  await testRuleBasedPlannerIntents();
+  await testRuleBasedPlannerDeclines();
+  await testPlannerChainFallback();
+  await testCreateMediaAgentWithoutClient();
+}
+
+function createRequest(task, fileNames) {
+  const outputDir = path.join(TMP_ROOT, 'rules', 'outputs');
+  return {
+    task,
+    outputDir,
+    files: fileNames.map((name, index) => ({
+      id: `file-${index}`,
+      originalName: name,
+      absolutePath: path.join(TMP_ROOT, 'rules', 'inputs', name),
+      size: 100,
+      mimeType: undefined
+    }))
+  };
+}
+
+async function testRuleBasedPlannerIntents() {
+  const planner = new RuleBasedPlanner(sharedToolRegistry);
+
+  const webp = await planner.plan(createRequest('PNG→WebP に変換して', ['logo.png']), { debug: true });
+  assert.equal(webp.planner, 'rules');
+  assert.equal(webp.debug.rule, 'convert_image');
+  assert.equal(webp.plan.steps.length, 1);
+  assert.equal(webp.plan.steps[0].command, 'magick');
+  assert.ok(webp.plan.steps[0].outputs[0].path.endsWith(`${path.sep}logo.webp`));
+
+  const resize = await planner.plan(createRequest('Resize to 512x256 png', ['photo.jpg']));
+  assert.deepEqual(resize.plan.steps[0].arguments.slice(1, 3), ['-resize', '512x256']);
+  assert.ok(resize.plan.steps[0].outputs[0].path.endsWith('photo_512x256.png'));
+
+  const portrait = await planner.plan(createRequest('Resize to 1280x720', ['portrait.mov']));
+  const portraitArgs = portrait.plan.steps[0].arguments;
+  assert.equal(portrait.plan.steps[0].command, 'ffmpeg');
+  assert.equal(
+    portraitArgs[portraitArgs.indexOf('-vf') + 1],
+    'scale=1280:720:force_original_aspect_ratio=decrease,scale=trunc(iw/2)*2:trunc(ih/2)*2'
+  );
+  assert.ok(portrait.plan.steps[0].outputs[0].path.endsWith('portrait_1280x720.mov'));
+
+  const audio = await planner.plan(createRequest('動画から音声を MP3 で抽出', ['clip.mp4']));
+  assert.equal(audio.plan.steps[0].command, 'ffmpeg');
+  assert.ok(audio.plan.steps[0].arguments.includes('-vn'));
+  assert.ok(audio.plan.steps[0].outputs[0].path.endsWith('clip.mp3'));
+
+  const exif = await planner.plan(createRequest('Strip EXIF data from these photos', ['a.jpg', 'b.png']));
+  assert.equal(exif.plan.steps.length, 2);
+  assert.equal(exif.plan.steps[0].command, 'exiftool');
+  assert.deepEqual(exif.plan.steps[0].arguments.slice(0, 2), ['-all=', '-o']);
+
+  const sameStem = await planner.plan(createRequest('convert to webp', ['logo.png', 'logo.jpg', 'Logo.gif']));
+  assert.deepEqual(
+    sameStem.plan.steps.map((step) => path.basename(step.outputs[0].path)),
+    ['logo.webp', 'logo (2).webp', 'Logo (3).webp']
+  );
+}
+
+async function testRuleBasedPlannerDeclines() {
+  const planner = new RuleBasedPlanner(sharedToolRegistry);
+  assert.equal(planner.canPlan(createRequest('Add a watermark in the corner', ['logo.png'])), false);
+  assert.equal(planner.canPlan(createRequest('Convert to webp', [])), false);
+  assert.equal(planner.canPlan(createRequest('Convert to webp', ['song.mp3'])), false);
+  assert.equal(planner.canPlan(createRequest('Convert to webp and add a watermark', ['logo.png'])), false);
+  assert.equal(planner.canPlan(createRequest("Don't convert to webp, just resize to 800x600", ['logo.png'])), false);
+  assert.equal(planner.canPlan(createRequest('Remove EXIF and resize to 800x600', ['photo.jpg'])), false);
+  assert.equal(planner.canPlan(createRequest('webpに変換しないで', ['logo.png'])), false);
+  assert.equal(planner.canPlan(createRequest('透かしを入れてwebpに変換', ['logo.png'])), false);
+  assert.equal(planner.match(createRequest('Resize to 800x600 and convert to webp', ['logo.png'])).ruleId, 'resize');
+
+  let threw = false;
+  try {
+    await planner.plan(createRequest('Make it look vintage', ['logo.png']));
+  } catch (error) {
+    threw = true;
+    assert.ok(error.message.includes('No planning rule matched'));
+  }
+  assert.equal(threw, true);
+}
+
+async function testPlannerChainFallback() {
+  const calls = [];
+  const llmPlanner = {
+    id: 'openai',
+    async plan(request) {
+      calls.push(request.task);
+      return { plan: { steps: [] }, rawPlan: null, planner: 'openai' };
+    }
+  };
+  const chain = new PlannerChain([new RuleBasedPlanner(sharedToolRegistry), llmPlanner]);
+
+  const ruled = await chain.plan(createRequest('convert to webp', ['logo.png']));
+  assert.equal(ruled.planner, 'rules');
+  assert.equal(calls.length, 0);
+
+  const fallback = await chain.plan(createRequest('Add a watermark', ['logo.png']));
+  assert.equal(fallback.planner, 'openai');
+  assert.deepEqual(calls, ['Add a watermark']);
+}
+
+async function testCreateMediaAgentWithoutClient() {
+  const tmpDir = path.join(TMP_ROOT, 'rules-agent');
+  await fs.mkdir(tmpDir, { recursive: true });
+
+  const agent = createMediaAgent(null, { toolRegistry: sharedToolRegistry, plannerMode: 'openai' });
+  assert.ok(agent.planner instanceof RuleBasedPlanner);
+
+  const { plan, phases } = await agent.runTask(
+    { ...createRequest('convert to webp', ['logo.png']), outputDir: tmpDir },
+    { publicRoot: tmpDir, dryRun: true }
+  );
+  assert.equal(plan.steps[0].command, 'magick');
+  assert.equal(phases[0].meta.planner, 'rules');
+
+  const hybrid = createMediaAgent({ responses: { create: async () => ({}) } }, {
+    toolRegistry: sharedToolRegistry,
+    plannerMode: 'hybrid'
+  });
+  assert.ok(hybrid.planner instanceof PlannerChain);
+}
@@ -0,0 +1,174 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import { MediaAgent, MediaAgentTaskError, PromptBuilder } from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runSelfRepairTests() {
+  await testRepairAfterFailedExecution();
+  await testRepairDisabled();
+  await testRepairAttemptsExhausted();
+  await testPlannerDecliningRepair();
+  await testPromptIncludesRepairSection();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'self-repair');
+
+function createRequest() {
+  return { task: 'Convert the clip to webm', files: [], outputDir: OUTPUT_DIR };
+}
+
+function createPlan(argumentsList) {
+  return {
+    steps: [{ command: 'ffmpeg', arguments: argumentsList, reasoning: 'Convert.', outputs: [] }]
+  };
+}
+
+function createStubPlanner(calls, options = {}) {
+  return {
+    id: 'stub',
+    canPlan: options.canPlan,
+    async plan(request, planOptions) {
+      calls.push(planOptions.repair ?? null);
+      const plan = createPlan(['-i', 'in.mp4', `out-${calls.length}.webm`]);
+      return { plan, rawPlan: plan, planner: 'stub' };
+    }
+  };
+}
+
+function createStubExecutor(exitCodes) {
+  let index = 0;
+  return {
+    async execute(plan) {
+      const exitCode = exitCodes[Math.min(index, exitCodes.length - 1)];
+      index += 1;
+      const step = plan.steps[0];
+      return {
+        exitCode,
+        timedOut: false,
+        stdout: '',
+        stderr: '',
+        resolvedOutputs: [],
+        steps: [
+          {
+            status: 'executed',
+            command: step.command,
+            arguments: step.arguments,
+            reasoning: step.reasoning,
+            exitCode,
+            timedOut: false,
+            stdout: '',
+            stderr: exitCode === 0 ? '' : `${'noise\n'.repeat(1000)}Unknown encoder 'libvpx'`
+          }
+        ]
+      };
+    }
+  };
+}
+
+async function testRepairAfterFailedExecution() {
+  const calls = [];
+  const agent = new MediaAgent({
+    planner: createStubPlanner(calls),
+    executor: createStubExecutor([1, 0]),
+    toolRegistry: sharedToolRegistry,
+    maxRepairAttempts: 2
+  });
+
+  const { plan, phases } = await agent.runTask(createRequest(), { publicRoot: OUTPUT_DIR });
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0], null);
+  const repair = calls[1];
+  assert.equal(repair.attempt, 1);
+  assert.equal(repair.commandLine, 'ffmpeg -i in.mp4 out-1.webm');
+  assert.equal(repair.exitCode, 1);
+  assert.ok(repair.stderrTail.endsWith("Unknown encoder 'libvpx'"));
+  assert.ok(repair.stderrTail.length <= 2000);
+  assert.deepEqual(repair.previousPlan.steps[0].arguments, ['-i', 'in.mp4', 'out-1.webm']);
+
+  assert.deepEqual(plan.steps[0].arguments, ['-i', 'in.mp4', 'out-2.webm']);
+  assert.deepEqual(
+    phases.map((phase) => `${phase.id}:${phase.status}`),
+    ['plan:success', 'execute:failed', 'plan#2:success', 'execute#2:success', 'summarize:success']
+  );
+  assert.equal(phases[2].meta.attempt, 2);
+  assert.equal(phases[4].meta.attempts, 2);
+}
+
+async function testRepairDisabled() {
+  const calls = [];
+  const agent = new MediaAgent({
+    planner: createStubPlanner(calls),
+    executor: createStubExecutor([1, 0]),
+    toolRegistry: sharedToolRegistry,
+    maxRepairAttempts: 2
+  });
+
+  await assert.rejects(
+    agent.runTask(createRequest(), { publicRoot: OUTPUT_DIR, maxRepairAttempts: 0 }),
+    (error) => {
+      assert.ok(error instanceof MediaAgentTaskError);
+      assert.equal(error.message, 'Execution phase failed');
+      assert.deepEqual(
+        error.phases.map((phase) => phase.id),
+        ['plan', 'execute', 'summarize']
+      );
+      return true;
+    }
+  );
+  assert.equal(calls.length, 1);
+}
+
+async function testRepairAttemptsExhausted() {
+  const calls = [];
+  const agent = new MediaAgent({
+    planner: createStubPlanner(calls),
+    executor: createStubExecutor([1]),
+    toolRegistry: sharedToolRegistry,
+    maxRepairAttempts: 2
+  });
+
+  await assert.rejects(agent.runTask(createRequest(), { publicRoot: OUTPUT_DIR }), (error) => {
+    assert.ok(error instanceof MediaAgentTaskError);
+    const executeStatuses = error.phases
+      .filter((phase) => phase.id.startsWith('execute'))
+      .map((phase) => `${phase.id}:${phase.status}`);
+    assert.deepEqual(executeStatuses, ['execute:failed', 'execute#2:failed', 'execute#3:failed']);
+    assert.deepEqual(error.context.plan.steps[0].arguments, ['-i', 'in.mp4', 'out-3.webm']);
+    return true;
+  });
+  assert.equal(calls.length, 3);
+}
+
+async function testPlannerDecliningRepair() {
+  const calls = [];
+  const agent = new MediaAgent({
+    planner: createStubPlanner(calls, { canPlan: (request, options) => !options.repair }),
+    executor: createStubExecutor([1, 0]),
+    toolRegistry: sharedToolRegistry,
+    maxRepairAttempts: 2
+  });
+
+  await assert.rejects(agent.runTask(createRequest(), { publicRoot: OUTPUT_DIR }), MediaAgentTaskError);
+  assert.equal(calls.length, 1);
+}
+
+async function testPromptIncludesRepairSection() {
+  const builder = new PromptBuilder(sharedToolRegistry);
+  const prompt = await builder.build(createRequest(), {
+    repair: {
+      attempt: 1,
+      commandLine: 'ffmpeg -i in.mp4 out.webm',
+      exitCode: 1,
+      timedOut: false,
+      stderrTail: "Unknown encoder 'libvpx'",
+      previousPlan: createPlan(['-i', 'in.mp4', 'out.webm'])
+    }
+  });
+  assert.ok(prompt.includes('Previous attempt 1 failed'));
+  assert.ok(prompt.includes('Failed command: ffmpeg -i in.mp4 out.webm'));
+  assert.ok(prompt.includes("Unknown encoder 'libvpx'"));
+
+  const plain = await builder.build(createRequest());
+  assert.ok(!plain.includes('Previous attempt'));
+}
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import {
+  ChatCompletionsProvider,
+  MediaAgent,
+  OpenAIPlanner,
+  PlannerChain,
+  ResponsesProvider,
+  RuleBasedPlanner
+} from '../../src/agent/index.js';
+import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runStoredConversationTests() {
+  await testPlannerContinuesStoredResponse();
+  await testPlannerWithoutStoredStateStartsOver();
+  await testAgentReportsLatestResponseId();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'stored-conversation');
+const PLAN_TEXT = JSON.stringify({
+  clarification: null,
+  steps: [{ command: 'none', arguments: [], reasoning: 'Nothing to change.', outputs: [] }]
+});
+
+/**
+ * @param {string[]} ids
+ */
+function createResponsesClient(ids) {
+  const payloads = [];
+  return {
+    payloads,
+    responses: {
+      create: async (payload) => {
+        payloads.push(payload);
+        return { id: ids.shift(), output_text: PLAN_TEXT };
+      }
+    }
+  };
+}
+
+async function testPlannerContinuesStoredResponse() {
+  const client = createResponsesClient(['resp_first', 'resp_second']);
+  const planner = new OpenAIPlanner(client, sharedToolRegistry);
+  assert.equal(planner.supportsStoredState, true);
+
+  const first = await planner.plan({ task: 'Brighten the clip', files: [], outputDir: OUTPUT_DIR });
+  assert.equal(first.responseId, 'resp_first');
+  assert.equal(client.payloads[0].previous_response_id, undefined);
+
+  const revised = await planner.plan({
+    task: 'Still too dark',
+    files: [],
+    outputDir: OUTPUT_DIR,
+    previousResponseId: first.responseId
+  });
+  assert.equal(revised.responseId, 'resp_second');
+  const payload = client.payloads[1];
+  assert.equal(payload.previous_response_id, 'resp_first');
+  const [developer, user] = payload.input;
+  assert.equal(user.content[0].text, 'Still too dark', 'Only the new message is sent as user input.');
+  assert.ok(developer.content[0].text.includes('previous plan'));
+  assert.ok(!developer.content[0].text.includes('Available commands:'), 'The command list is already in the conversation.');
+  assert.ok(developer.content[0].text.includes(`Place any new files inside: ${OUTPUT_DIR}`));
+}
+
+async function testPlannerWithoutStoredStateStartsOver() {
+  const payloads = [];
+  const provider = new ChatCompletionsProvider({
+    chat: {
+      completions: {
+        create: async (payload) => {
+          payloads.push(payload);
+          return { id: 'chatcmpl-1', choices: [{ message: { content: PLAN_TEXT } }] };
+        }
+      }
+    }
+  });
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, { provider });
+  assert.equal(planner.supportsStoredState, false);
+
+  const result = await planner.plan({ task: 'Still too dark', files: [], outputDir: OUTPUT_DIR, previousResponseId: 'resp_first' });
+  assert.equal(result.responseId, null);
+  assert.equal(payloads[0].previous_response_id, undefined);
+  assert.ok(payloads[0].messages[0].content.includes('Available commands:'));
+
+  const chain = new PlannerChain([new RuleBasedPlanner(sharedToolRegistry), new OpenAIPlanner(createResponsesClient([]), sharedToolRegistry)]);
+  assert.equal(chain.supportsStoredState, true);
+  const rules = new RuleBasedPlanner(sharedToolRegistry);
+  const convertRequest = {
+    task: 'Convert to webp',
+    files: [{ id: 'f1', originalName: 'photo.png', absolutePath: '/tmp/photo.png', size: 1, mimeType: 'image/png' }],
+    outputDir: OUTPUT_DIR
+  };
+  assert.equal(rules.canPlan(convertRequest), true);
+  assert.equal(
+    rules.canPlan({ ...convertRequest, previousResponseId: 'resp_first' }),
+    false,
+    'The rules cannot read a follow-up message in context.'
+  );
+  assert.equal(new ResponsesProvider({}).supportsStoredState, true);
+}
+
+async function testAgentReportsLatestResponseId() {
+  const client = createResponsesClient(['resp_plan', 'resp_repair']);
+  const planner = new OpenAIPlanner(client, sharedToolRegistry);
+  let executions = 0;
+  const executor = {
+    async execute() {
+      executions += 1;
+      const failed = executions === 1;
+      return {
+        exitCode: failed ? 1 : 0,
+        timedOut: false,
+        stdout: '',
+        stderr: failed ? 'boom' : '',
+        resolvedOutputs: [],
+        steps: [
+          {
+            command: 'none',
+            arguments: [],
+            status: 'executed',
+            exitCode: failed ? 1 : 0,
+            timedOut: false,
+            stdout: '',
+            stderr: failed ? 'boom' : ''
+          }
+        ]
+      };
+    }
+  };
+  const agent = new MediaAgent({ planner, executor, toolRegistry: sharedToolRegistry });
+  assert.equal(agent.supportsStoredConversation(), true);
+
+  const response = await agent.runTask({ task: 'Brighten the clip', files: [], outputDir: OUTPUT_DIR, previousResponseId: 'resp_base' });
+  assert.equal(response.responseId, 'resp_repair', 'The repaired plan is the latest response.');
+  assert.equal(client.payloads[1].previous_response_id, 'resp_base');
+  assert.ok(client.payloads[1].input[0].content[0].text.includes('Previous attempt 1 failed'));
+}
@@ -0,0 +1,223 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import {
+  MediaAgent,
+  OpenAIPlanner,
+  ResultSummarizer,
+  calculateCost,
+  normalizeUsage,
+  resolveLLMConfig,
+  summarizePhaseUsage
+} from '../../src/agent/index.js';
+import { TMP_ROOT, createMockResponse, createServerInstance, sharedToolRegistry } from '../helpers/testEnvironment.js';
+
+export default async function runTokenUsageTests() {
+  await testNormalizesBothUsageShapes();
+  await testCalculatesCostWithPrefixPrices();
+  await testPhasesRecordTokensAndCost();
+  await testResolvesPricesAndBudget();
+  await testServerRefusesOverBudget();
+  await testServerDowngradesOverBudget();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'token-usage');
+const PRICES = { 'gpt-4o-mini': { input: 0.15, output: 0.6 }, 'gpt-4o': { input: 2.5, output: 10 } };
+
+const NOOP_PLAN = JSON.stringify({
+  clarification: null,
+  steps: [{ command: 'none', arguments: [], reasoning: 'Nothing to do.', outputs: [] }]
+});
+
+function createRequest() {
+  return { task: 'Describe the clip', files: [], outputDir: OUTPUT_DIR };
+}
+
+function createStubProvider(calls, text, usage) {
+  return {
+    id: 'stub',
+    buildPayload: (request) => request,
+    async generate(request) {
+      calls.push(request);
+      return { text, response: {}, requestPayload: request, usage };
+    }
+  };
+}
+
+async function testNormalizesBothUsageShapes() {
+  assert.deepEqual(
+    normalizeUsage({ input_tokens: 1200, output_tokens: 300, output_tokens_details: { reasoning_tokens: 120 } }),
+    { inputTokens: 1200, outputTokens: 300, reasoningTokens: 120 }
+  );
+  assert.deepEqual(normalizeUsage({ prompt_tokens: 80, completion_tokens: 20, total_tokens: 100 }), {
+    inputTokens: 80,
+    outputTokens: 20,
+    reasoningTokens: 0
+  });
+  assert.equal(normalizeUsage(undefined), null);
+  assert.equal(normalizeUsage({ input_tokens: 0, output_tokens: 0 }), null);
+}
+
+async function testCalculatesCostWithPrefixPrices() {
+  const usage = { inputTokens: 1_000_000, outputTokens: 500_000, reasoningTokens: 0 };
+  assert.equal(calculateCost(usage, 'gpt-4o-mini', PRICES), 0.45);
+  assert.equal(calculateCost(usage, 'gpt-4o-mini-2024-07-18', PRICES), 0.45, 'Snapshots use the longest priced prefix.');
+  assert.equal(calculateCost(usage, 'gpt-4o-2024-08-06', PRICES), 7.5);
+  assert.equal(calculateCost(usage, 'llama3', PRICES), null);
+}
+
+async function testPhasesRecordTokensAndCost() {
+  const planCalls = [];
+  const summaryCalls = [];
+  const planner = new OpenAIPlanner(null, sharedToolRegistry, {
+    model: 'gpt-4o',
+    provider: createStubProvider(planCalls, NOOP_PLAN, { inputTokens: 2000, outputTokens: 400, reasoningTokens: 100 })
+  });
+  const summarizer = new ResultSummarizer(
+    createStubProvider(summaryCalls, JSON.stringify({ summary: 'Nothing changed.', caveats: [], nextActions: [] }), {
+      inputTokens: 1000,
+      outputTokens: 200,
+      reasoningTokens: 0
+    }),
+    { model: 'gpt-4o' }
+  );
+  const agent = new MediaAgent({
+    planner,
+    executor: {
+      async execute() {
+        return { exitCode: 0, timedOut: false, stdout: '', stderr: '', resolvedOutputs: [], dryRun: false, steps: [] };
+      }
+    },
+    toolRegistry: sharedToolRegistry,
+    summarizer,
+    modelPrices: PRICES
+  });
+
+  const { phases } = await agent.runTask(createRequest(), { model: 'gpt-4o-mini-2024-07-18' });
+  assert.equal(planCalls[0].model, 'gpt-4o-mini-2024-07-18', 'The run option replaces the configured model.');
+  assert.equal(summaryCalls[0].model, 'gpt-4o-mini-2024-07-18');
+
+  const planPhase = phases.find((phase) => phase.id === 'plan');
+  assert.equal(planPhase.meta.inputTokens, 2000);
+  assert.equal(planPhase.meta.outputTokens, 400);
+  assert.equal(planPhase.meta.reasoningTokens, 100);
+  assert.equal(planPhase.meta.costUsd, 0.00054);
+  assert.ok(planPhase.logs.some((log) => log.message.includes('(2000 input / 400 output tokens)')));
+
+  const summarizePhase = phases.find((phase) => phase.id === 'summarize');
+  assert.equal(summarizePhase.meta.inputTokens, 1000);
+  assert.equal(summarizePhase.meta.costUsd, 0.00027);
+
+  assert.deepEqual(summarizePhaseUsage(phases), {
+    inputTokens: 3000,
+    outputTokens: 600,
+    reasoningTokens: 100,
+    costUsd: 0.00081
+  });
+
+  const unpriced = new MediaAgent({
+    planner: new OpenAIPlanner(null, sharedToolRegistry, {
+      model: 'llama3',
+      provider: createStubProvider([], NOOP_PLAN, { inputTokens: 10, outputTokens: 5, reasoningTokens: 0 })
+    }),
+    executor: { execute: async () => null },
+    toolRegistry: sharedToolRegistry,
+    modelPrices: PRICES
+  });
+  const planOnly = (await unpriced.planTask(createRequest())).phases.find((phase) => phase.id === 'plan');
+  assert.equal(planOnly.meta.inputTokens, 10);
+  assert.equal(planOnly.meta.costUsd, 0);
+  assert.ok(planOnly.logs.some((log) => log.message === 'No price is configured for llama3; its tokens are counted as 0 USD.'));
+}
+
+async function testResolvesPricesAndBudget() {
+  const defaults = resolveLLMConfig({});
+  assert.ok(defaults.prices['gpt-4o-mini']);
+  assert.deepEqual(defaults.budget, { sessionUsd: undefined, totalUsd: undefined, action: 'refuse', downgradeModel: undefined });
+
+  const custom = resolveLLMConfig({
+    LLM_PRICES: '{"llama3": {"input": 0, "output": 0}}',
+    LLM_SESSION_BUDGET_USD: '0.5',
+    LLM_TOTAL_BUDGET_USD: '20',
+    LLM_BUDGET_ACTION: 'Downgrade',
+    LLM_BUDGET_DOWNGRADE_MODEL: ' gpt-4o-mini '
+  });
+  assert.deepEqual(custom.prices.llama3, { input: 0, output: 0 });
+  assert.ok(custom.prices['gpt-4o'], 'Overrides are merged into the default prices.');
+  assert.deepEqual(custom.budget, { sessionUsd: 0.5, totalUsd: 20, action: 'downgrade', downgradeModel: 'gpt-4o-mini' });
+
+  assert.throws(() => resolveLLMConfig({ LLM_PRICES: '{oops' }), /LLM_PRICES is not valid JSON/);
+  assert.throws(() => resolveLLMConfig({ LLM_PRICES: '{"m": {"input": -1, "output": 1}}' }), /non-negative/);
+}
+
+function createUsageAgent(calls) {
+  return {
+    async runTask(request, options) {
+      calls.push(options);
+      return {
+        plan: { steps: [] },
+        rawPlan: null,
+        result: { exitCode: 0, timedOut: false, stdout: '', stderr: '', resolvedOutputs: [], dryRun: false, steps: [] },
+        phases: [{ id: 'plan', status: 'success', meta: { inputTokens: 4000, outputTokens: 1000, reasoningTokens: 0, costUsd: 0.02 } }]
+      };
+    }
+  };
+}
+
+function createTaskRequest(baseDir, sessionId) {
+  return {
+    body: { task: 'Convert the clip' },
+    query: {},
+    files: [],
+    agentSession: { id: sessionId, inputDir: path.join(baseDir, 'inputs', sessionId), outputDir: path.join(baseDir, 'generated', sessionId) }
+  };
+}
+
+async function testServerRefusesOverBudget() {
+  const baseDir = path.join(TMP_ROOT, 'server-budget-refuse');
+  const calls = [];
+  const server = createServerInstance(baseDir, { agent: createUsageAgent(calls), budget: { totalUsd: 0.03 } });
+  await server.ensureBaseDirectories();
+
+  const first = createMockResponse();
+  await server.handleTaskRequest(createTaskRequest(baseDir, 'session-budget-1'), first);
+  assert.equal(first.statusCode, 200);
+  assert.deepEqual(first.body.usage, { inputTokens: 4000, outputTokens: 1000, reasoningTokens: 0, costUsd: 0.02 });
+  assert.equal((await server.readSessionRecord('session-budget-1')).usage.costUsd, 0.02);
+
+  await server.handleTaskRequest(createTaskRequest(baseDir, 'session-budget-2'), createMockResponse());
+  const usage = createMockResponse();
+  server.handleGetUsage({}, usage);
+  assert.equal(usage.body.total.costUsd, 0.04);
+  assert.equal(usage.body.budget.totalUsd, 0.03);
+
+  const refused = createMockResponse();
+  await server.handleTaskRequest(createTaskRequest(baseDir, 'session-budget-3'), refused);
+  assert.equal(refused.statusCode, 402);
+  assert.match(refused.body.detail, /\$0\.04.*\$0\.03/);
+  assert.equal(calls.length, 2, 'The agent must not be called once the budget is spent.');
+}
+
+async function testServerDowngradesOverBudget() {
+  const baseDir = path.join(TMP_ROOT, 'server-budget-downgrade');
+  const calls = [];
+  const server = createServerInstance(baseDir, {
+    agent: createUsageAgent(calls),
+    budget: { sessionUsd: 0.01, action: 'downgrade', downgradeModel: 'gpt-4o-mini' }
+  });
+  await server.ensureBaseDirectories();
+
+  const res = createMockResponse();
+  await server.handleTaskRequest(createTaskRequest(baseDir, 'session-downgrade-1'), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls[0].model, undefined, 'A new session starts within its budget.');
+
+  const record = await server.readSessionRecord('session-downgrade-1');
+  const budgetOptions = await server.enforceBudget(createMockResponse(), null, record);
+  assert.deepEqual(budgetOptions, { model: 'gpt-4o-mini' });
+
+  const refusing = createServerInstance(baseDir, { agent: createUsageAgent([]), budget: { sessionUsd: 0.01 } });
+  const refused = createMockResponse();
+  assert.equal(await refusing.enforceBudget(refused, null, record), null);
+  assert.equal(refused.statusCode, 402);
+}
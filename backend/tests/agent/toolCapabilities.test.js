@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+
+import {
+  OpenAIPlanner,
+  PlanValidationError,
+  PlanValidator,
+  PromptBuilder,
+  ToolRegistry,
+  probeToolCapabilities
+} from '../../src/agent/index.js';
+import { TMP_ROOT } from '../helpers/testEnvironment.js';
+
+export default async function runToolCapabilitiesTests() {
+  await testProbeParsesToolListings();
+  await testProbeTreatsUnreadableToolsAsUnknown();
+  await testValidatorRejectsUnavailableEncoder();
+  await testValidatorRejectsUnavailableFilter();
+  await testValidatorChecksImageFormats();
+  await testValidatorSkipsUnprobedTools();
+  await testPromptListsCapabilities();
+  await testPlannerRetriesWithValidationFeedback();
+}
+
+const OUTPUT_DIR = path.join(TMP_ROOT, 'tool-capabilities');
+const INPUT = path.join(TMP_ROOT, 'input.mov');
+
+const ENCODERS_OUTPUT = `Encoders:
+ V..... = Video
+ A..... = Audio
+ S..... = Subtitle
+ ------
+ V....D libx264              libx264 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10 (codec h264)
+ V....D libvpx-vp9           libvpx VP9 (codec vp9)
+ A....D aac                  AAC (Advanced Audio Coding)
+ A....D libopus              libopus Opus (codec opus)
+`;
+const DECODERS_OUTPUT = `Decoders:
+ ------
+ VFS..D h264                 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10
+ A....D aac                  AAC (Advanced Audio Coding)
+`;
+const FILTERS_OUTPUT = `Filters:
+  T.. = Timeline support
+  .S. = Slice threading
+  A = Audio input/output
+  | = Source or sink filter
+ ..C scale             V->V       Scale the input video size and/or convert the image format.
+ ... fps               V->V       Force constant framerate.
+ T.C loudnorm          A->A       EBU R128 loudness normalization
+ ... split             V->N       Pass on the input to N video outputs.
+ ... color             |->V       Provide an uniformly colored input.
+`;
+const FORMATS_OUTPUT = `   Format  Mode  Description
+-------------------------------------------------------------------------------
+     HEIC  r--   High Efficiency Image Format (1.17.6)
+     JPEG* rw-   Joint Photographic Experts Group JFIF format (libjpeg-turbo 2.1.5)
+      JPG* rw-   Joint Photographic Experts Group JFIF format (libjpeg-turbo 2.1.5)
+      PNG* rw+   Portable Network Graphics (libpng 1.6.43)
+                 See http://www.libpng.org/ for details about the PNG format.
+     WEBP* rw+   WebP Image Format (libwebp 1.3.2 [020F])
+`;
+
+const OUTPUTS = {
+  '-encoders': ENCODERS_OUTPUT,
+  '-decoders': DECODERS_OUTPUT,
+  '-filters': FILTERS_OUTPUT,
+  format: FORMATS_OUTPUT
+};
+
+async function createRegistry() {
+  const registry = ToolRegistry.createDefault();
+  await registry.probeCapabilities({ run: async (command, args) => OUTPUTS[args[args.length - 1]] });
+  return registry;
+}
+
+function validateStep(registry, command, args) {
+  return new PlanValidator(registry).validate(
+    { steps: [{ command, arguments: args, reasoning: 'Convert.', outputs: [] }] },
+    OUTPUT_DIR,
+    { inputDir: TMP_ROOT }
+  );
+}
+
+async function testProbeParsesToolListings() {
+  const capabilities = (await createRegistry()).getCapabilities();
+  assert.deepEqual(capabilities.ffmpeg.encoders, ['libx264', 'libvpx-vp9', 'aac', 'libopus']);
+  assert.deepEqual(capabilities.ffmpeg.decoders, ['h264', 'aac']);
+  assert.deepEqual(capabilities.ffmpeg.filters, ['scale', 'fps', 'loudnorm', 'split', 'color']);
+  assert.deepEqual(capabilities.magick.formats, { HEIC: 'r--', JPEG: 'rw-', JPG: 'rw-', PNG: 'rw+', WEBP: 'rw+' });
+}
+
+async function testProbeTreatsUnreadableToolsAsUnknown() {
+  const capabilities = await probeToolCapabilities({
+    run: async (command) => {
+      if (command === 'magick') {
+        throw new Error('spawn magick ENOENT');
+      }
+      return 'ffmpeg version 6.1';
+    }
+  });
+  assert.deepEqual(capabilities, { ffmpeg: null, magick: null });
+}
+
+async function testValidatorRejectsUnavailableEncoder() {
+  const registry = await createRegistry();
+  assert.doesNotThrow(() =>
+    validateStep(registry, 'ffmpeg', ['-i', INPUT, '-c:v', 'libx264', '-c:a', 'copy', path.join(OUTPUT_DIR, 'out.mp4')])
+  );
+  assert.throws(
+    () => validateStep(registry, 'ffmpeg', ['-i', INPUT, '-c:a', 'libfdk_aac', path.join(OUTPUT_DIR, 'out.m4a')]),
+    (error) => {
+      assert.ok(error instanceof PlanValidationError);
+      assert.equal(error.code, 'unavailable_capability');
+      assert.equal(error.stepIndex, 0);
+      assert.match(error.message, /encoder "libfdk_aac", which is not available/);
+      assert.match(error.message, /Available encoders: libx264, libvpx-vp9, aac, libopus\./);
+      return true;
+    }
+  );
+  assert.throws(
+    () => validateStep(registry, 'ffmpeg', ['-c:v', 'hevc_cuvid', '-i', INPUT, path.join(OUTPUT_DIR, 'out.mp4')]),
+    /decoder "hevc_cuvid"/
+  );
+}
+
+async function testValidatorRejectsUnavailableFilter() {
+  const registry = await createRegistry();
+  assert.doesNotThrow(() =>
+    validateStep(registry, 'ffmpeg', [
+      '-i',
+      INPUT,
+      '-filter_complex',
+      "[0:v]split[a][b];[a]scale=w='min(iw\\,1280)':h=-2,fps=30[out]",
+      path.join(OUTPUT_DIR, 'out.mp4')
+    ])
+  );
+  assert.throws(
+    () => validateStep(registry, 'ffmpeg', ['-i', INPUT, '-lavfi', 'libvmaf', '-f', 'null', '-']),
+    /filter "libvmaf", which is not available/
+  );
+}
+
+async function testValidatorChecksImageFormats() {
+  const registry = await createRegistry();
+  const heic = path.join(TMP_ROOT, 'photo.heic');
+  assert.doesNotThrow(() => validateStep(registry, 'magick', [heic, '-resize', '50%', path.join(OUTPUT_DIR, 'photo.jpg')]));
+  assert.throws(
+    () => validateStep(registry, 'magick', [path.join(TMP_ROOT, 'photo.png'), path.join(OUTPUT_DIR, 'photo.heic')]),
+    /writes HEIC images, which ImageMagick on this server cannot write\. Available formats: JPEG, PNG, WEBP\./
+  );
+  assert.throws(
+    () => validateStep(registry, 'magick', [path.join(TMP_ROOT, 'photo.avif'), path.join(OUTPUT_DIR, 'photo.png')]),
+    /reads AVIF images/
+  );
+  assert.doesNotThrow(() =>
+    validateStep(registry, 'magick', [heic, '-font', 'DejaVuSans.ttf', '-annotate', '+10+10', 'Hi', path.join(OUTPUT_DIR, 'a.png')])
+  );
+}
+
+async function testValidatorSkipsUnprobedTools() {
+  const registry = ToolRegistry.createDefault();
+  assert.equal(registry.getCapabilities(), null);
+  assert.doesNotThrow(() =>
+    validateStep(registry, 'ffmpeg', ['-i', INPUT, '-c:a', 'libfdk_aac', path.join(OUTPUT_DIR, 'out.m4a')])
+  );
+}
+
+async function testPromptListsCapabilities() {
+  const request = { task: 'Convert to mp4', files: [], outputDir: OUTPUT_DIR };
+  const prompt = await new PromptBuilder(await createRegistry()).build(request);
+  assert.ok(prompt.includes('- ffmpeg encoders: libx264, libvpx-vp9, aac, libopus'));
+  assert.ok(prompt.includes('- ffmpeg filters: scale, fps, loudnorm'));
+  assert.ok(prompt.includes('- ImageMagick formats: JPEG, PNG, WEBP, HEIC (read only)'));
+  assert.match(prompt, /- Not available on this server, never use: .*libfdk_aac.*libvmaf.*AVIF/);
+
+  const plain = await new PromptBuilder(ToolRegistry.createDefault()).build(request);
+  assert.ok(!plain.includes('Capabilities of the installed tools'));
+}
+
+async function testPlannerRetriesWithValidationFeedback() {
+  const registry = await createRegistry();
+  const output = path.join(OUTPUT_DIR, 'out.m4a');
+  const responses = [['-c:a', 'libfdk_aac'], ['-c:a', 'aac']].map((codecArgs) =>
+    JSON.stringify({
+      clarification: null,
+      steps: [{ command: 'ffmpeg', arguments: ['-i', INPUT, ...codecArgs, output], reasoning: 'Encode.', outputs: [] }]
+    })
+  );
+  const prompts = [];
+  const planner = new OpenAIPlanner(null, registry, {
+    provider: {
+      id: 'stub',
+      async generate(request) {
+        prompts.push(request.instructions);
+        return { text: responses[prompts.length - 1], response: {}, requestPayload: {} };
+      }
+    }
+  });
+
+  const { plan, attempts, validationRejections } = await planner.plan({ task: 'Extract audio', files: [], inputDir: TMP_ROOT, outputDir: OUTPUT_DIR });
+  assert.deepEqual(plan.steps[0].arguments.slice(2, 4), ['-c:a', 'aac']);
+  assert.equal(validationRejections.length, 1);
+  assert.match(validationRejections[0], /libfdk_aac/);
+  assert.deepEqual(
+    attempts.map((attempt) => attempt.attempt),
+    [1, 2]
+  );
+  assert.ok(!prompts[0].includes('Your previous plan was rejected'));
+  assert.ok(prompts[1].includes('Your previous plan was rejected before execution:'));
+  assert.ok(prompts[1].includes('libfdk_aac'));
+
+  const stubborn = new OpenAIPlanner(null, registry, {
+    maxValidationRetries: 0,
+    provider: {
+      id: 'stub',
+      generate: async () => ({ text: responses[0], response: {}, requestPayload: {} })
+    }
+  });
+  await assert.rejects(stubborn.plan({ task: 'Extract audio', files: [], inputDir: TMP_ROOT, outputDir: OUTPUT_DIR }), PlanValidationError);
+}
@@ -2,11 +2,12 @@ import assert from 'node:assert/strict';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
-import { PlanValidator, TaskPhaseTracker } from '../../src/agent/index.js';
+import { PLAN_SCHEMA_VERSION, PlanValidator, TaskPhaseTracker, upgradePlan } from '../../src/agent/index.js';
 import { TMP_ROOT, sharedToolRegistry } from '../helpers/testEnvironment.js';
 
 export default async function runAgentValidationTests() {
   await testPlanValidator();
+  await testUpgradePlan();
   await testTaskPhaseTracker();
 }
 
@@ -41,6 +42,14 @@ async function testPlanValidator() {
   assert.equal(step.id, 'step-1');
   assert.equal(step.title, 'Initial');
   assert.equal(step.note, 'optional note');
+  assert.equal(validated.schemaVersion, PLAN_SCHEMA_VERSION);
+
+  const untitled = validator.validate(
+    { steps: [{ command: 'none', arguments: [], reasoning: '', outputs: [], title: null }] },
+    tmpDir
+  );
+  assert.equal(untitled.overview, '');
+  assert.deepEqual([untitled.steps[0].id, untitled.steps[0].title, untitled.steps[0].note], [null, null, null]);
 
   let threw = false;
   try {
@@ -66,6 +75,44 @@ async function testPlanValidator() {
   assert.equal(threw, true);
 }
 
+async function testUpgradePlan() {
+  assert.equal(upgradePlan(null), null);
+
+  const legacy = upgradePlan({ command: 'ffmpeg', arguments: ['-i', 'in.mp4'], reasoning: 'Convert', outputs: [] });
+  assert.equal(legacy.schemaVersion, PLAN_SCHEMA_VERSION);
+  assert.equal(legacy.overview, 'Convert');
+  assert.equal(legacy.followUp, '');
+  assert.deepEqual(legacy.steps[0], {
+    command: 'ffmpeg',
+    arguments: ['-i', 'in.mp4'],
+    reasoning: 'Convert',
+    outputs: [],
+    id: null,
+    title: null,
+    note: null
+  });
+
+  const versionOne = upgradePlan({
+    overview: 'Resize',
+    steps: [
+      {
+        command: 'magick',
+        arguments: ['in.png', 'out.png'],
+        reasoning: '',
+        outputs: [{ path: 'out.png', description: 'resized' }],
+        title: 'Resize '
+      }
+    ]
+  });
+  assert.equal(versionOne.followUp, '');
+  assert.deepEqual(versionOne.steps[0].outputs, [{ path: 'out.png', description: 'resized', id: null }]);
+  assert.equal(versionOne.steps[0].title, 'Resize');
+  assert.equal(versionOne.steps[0].note, null);
+
+  const malformed = upgradePlan({ steps: [{ arguments: 'oops' }] });
+  assert.equal(malformed.steps[0].command, undefined, 'Required fields are left for the validator to reject.');
+}
+
 async function testTaskPhaseTracker() {
   const tracker = new TaskPhaseTracker([
     { id: 'plan', title: 'Plan command' },
@@ -41,6 +41,8 @@ export function createServerInstance(baseDir, overrides = {}) {
   return new MediaAgentServer({
     agent: overrides.agent,
     toolRegistry: overrides.toolRegistry || ToolRegistry.createDefault(),
+    budget: overrides.budget,
+    models: overrides.models,
     ...paths
   });
 }
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { TMP_ROOT, createMockResponse, createServerInstance } from '../helpers/testEnvironment.js';
+
+export default async function runServerAlternativesTests() {
+  await testAlternativesRoundTrip();
+  await testSelectRequestValidation();
+}
+
+function createPlan(outputName) {
+  return {
+    steps: [{ command: 'ffmpeg', arguments: ['-i', 'in.mp4', outputName], reasoning: 'Convert.', outputs: [] }]
+  };
+}
+
+const ALTERNATIVES = [
+  {
+    id: 'alt-1',
+    label: 'High quality',
+    tradeoff: 'Larger file.',
+    estimate: { size: '~40 MB', time: '~2 min' },
+    plan: createPlan('hq.webm')
+  },
+  {
+    id: 'alt-2',
+    label: 'Small file',
+    tradeoff: 'Visible compression artefacts.',
+    estimate: { size: '~5 MB', time: '~30 s' },
+    plan: createPlan('small.webm')
+  }
+];
+
+function createAgent(calls) {
+  return {
+    async runTask() {
+      throw new Error('runTask must not be used in alternatives mode.');
+    },
+    async proposeAlternatives(request, options) {
+      calls.push({ type: 'propose', request, options });
+      return {
+        alternatives: ALTERNATIVES,
+        rawPlan: [],
+        phases: [{ id: 'plan', status: 'success', meta: { alternatives: ['High quality', 'Small file'] } }]
+      };
+    },
+    async executePlan(request, plan, options) {
+      calls.push({ type: 'execute', request, plan, options });
+      return {
+        plan,
+        rawPlan: plan,
+        result: {
+          exitCode: 0,
+          timedOut: false,
+          stdout: '',
+          stderr: '',
+          resolvedOutputs: [],
+          dryRun: true,
+          steps: []
+        },
+        phases: [
+          { id: 'execute', status: 'success' },
+          { id: 'summarize', status: 'success' }
+        ]
+      };
+    }
+  };
+}
+
+async function prepareServer(baseDir, agent) {
+  const server = createServerInstance(baseDir, { agent });
+  await server.ensureBaseDirectories();
+  return server;
+}
+
+async function submitAlternativesTask(server, baseDir, sessionId) {
+  const inputDir = path.join(baseDir, 'inputs', sessionId);
+  const outputDir = path.join(baseDir, 'generated', sessionId);
+  await fs.mkdir(inputDir, { recursive: true });
+  await fs.mkdir(outputDir, { recursive: true });
+  const res = createMockResponse();
+  await server.handleTaskRequest(
+    {
+      body: { task: 'Convert the clip to webm' },
+      query: { dryRun: 'true', mode: 'alternatives' },
+      files: [],
+      agentSession: { id: sessionId, inputDir, outputDir }
+    },
+    res
+  );
+  return res;
+}
+
+async function selectAlternative(server, sessionId, alternativeId) {
+  const res = createMockResponse();
+  await server.handleSelectRequest(
+    { params: { sessionId }, body: { alternativeId }, query: {}, headers: {} },
+    res
+  );
+  return res;
+}
+
+async function testAlternativesRoundTrip() {
+  const baseDir = path.join(TMP_ROOT, 'server-alternatives');
+  const calls = [];
+  const server = await prepareServer(baseDir, createAgent(calls));
+
+  const proposed = await submitAlternativesTask(server, baseDir, 'session-alternatives');
+  assert.equal(proposed.statusCode, 200);
+  assert.equal(proposed.body.status, 'awaiting_choice');
+  assert.equal(proposed.body.plan, null);
+  assert.deepEqual(
+    proposed.body.alternatives.map((alternative) => alternative.id),
+    ['alt-1', 'alt-2']
+  );
+  assert.deepEqual(
+    proposed.body.phases.map((phase) => phase.id),
+    ['request', 'plan']
+  );
+  assert.equal(proposed.body.phases[0].meta.mode, 'alternatives');
+
+  const recordPath = path.join(baseDir, 'storage', 'session-alternatives.json');
+  const pending = JSON.parse(await fs.readFile(recordPath, 'utf8'));
+  assert.equal(pending.status, 'awaiting_choice');
+  assert.equal(pending.alternatives.length, 2);
+  assert.equal(pending.requestOptions.mode, 'alternatives');
+
+  const res = await selectAlternative(server, 'session-alternatives', 'alt-2');
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'success');
+  assert.equal(res.body.selectedAlternativeId, 'alt-2');
+  assert.deepEqual(res.body.plan, ALTERNATIVES[1].plan);
+
+  const execution = calls.find((call) => call.type === 'execute');
+  assert.deepEqual(execution.plan, ALTERNATIVES[1].plan);
+  assert.equal(execution.request.outputDir, path.join(baseDir, 'generated', 'session-alternatives'));
+  assert.equal(execution.options.dryRun, true, 'The original request options must be reused.');
+
+  const selected = JSON.parse(await fs.readFile(recordPath, 'utf8'));
+  assert.equal(selected.status, 'success');
+  assert.equal(selected.selectedAlternativeId, 'alt-2');
+  assert.equal(selected.alternatives.length, 2, 'Rejected alternatives must stay in the record.');
+  assert.deepEqual(
+    selected.phases.map((phase) => phase.id),
+    ['request', 'plan', 'execute', 'summarize']
+  );
+
+  const again = await selectAlternative(server, 'session-alternatives', 'alt-1');
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.status, 'success');
+}
+
+async function testSelectRequestValidation() {
+  const baseDir = path.join(TMP_ROOT, 'server-alternatives-validation');
+  const server = await prepareServer(baseDir, createAgent([]));
+  await submitAlternativesTask(server, baseDir, 'session-pending');
+
+  const missingId = await selectAlternative(server, 'session-pending', '  ');
+  assert.equal(missingId.statusCode, 400);
+
+  const unknownSession = await selectAlternative(server, 'session-unknown', 'alt-1');
+  assert.equal(unknownSession.statusCode, 404);
+
+  const unknownAlternative = await selectAlternative(server, 'session-pending', 'alt-9');
+  assert.equal(unknownAlternative.statusCode, 404);
+}
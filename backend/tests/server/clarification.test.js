@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { TMP_ROOT, createMockResponse, createServerInstance } from '../helpers/testEnvironment.js';
+
+export default async function runServerClarificationTests() {
+  await testClarificationRoundTrip();
+  await testAnswerRequestValidation();
+}
+
+const CLARIFICATION = {
+  question: 'Should the file size or the resolution be reduced?',
+  choices: ['File size', 'Resolution']
+};
+
+function createSuccessResponse() {
+  return {
+    plan: { steps: [{ command: 'none', arguments: [], reasoning: 'noop', outputs: [] }] },
+    rawPlan: null,
+    result: {
+      exitCode: null,
+      timedOut: false,
+      stdout: '',
+      stderr: '',
+      resolvedOutputs: [],
+      dryRun: true,
+      steps: []
+    },
+    phases: [{ id: 'plan', status: 'success' }]
+  };
+}
+
+async function prepareServer(baseDir, agent) {
+  const server = createServerInstance(baseDir, { agent });
+  await server.ensureBaseDirectories();
+  return server;
+}
+
+async function submitTask(server, baseDir, sessionId, task) {
+  const inputDir = path.join(baseDir, 'inputs', sessionId);
+  const outputDir = path.join(baseDir, 'generated', sessionId);
+  await fs.mkdir(inputDir, { recursive: true });
+  await fs.mkdir(outputDir, { recursive: true });
+  const res = createMockResponse();
+  await server.handleTaskRequest(
+    {
+      body: { task },
+      query: { dryRun: 'true' },
+      files: [],
+      agentSession: { id: sessionId, inputDir, outputDir }
+    },
+    res
+  );
+  return res;
+}
+
+async function testClarificationRoundTrip() {
+  const baseDir = path.join(TMP_ROOT, 'server-clarification');
+  const calls = [];
+  const server = await prepareServer(baseDir, {
+    async runTask(request, options) {
+      calls.push({ request, options });
+      if (calls.length === 1) {
+        return {
+          plan: null,
+          rawPlan: { steps: [] },
+          result: null,
+          phases: [{ id: 'plan', status: 'success' }],
+          clarification: CLARIFICATION
+        };
+      }
+      return createSuccessResponse();
+    }
+  });
+
+  const asked = await submitTask(server, baseDir, 'session-clarify', 'Make this smaller');
+  assert.equal(asked.statusCode, 200);
+  assert.equal(asked.body.status, 'needs_input');
+  assert.deepEqual(asked.body.clarification, CLARIFICATION);
+  assert.equal(asked.body.plan, null);
+
+  const recordPath = path.join(baseDir, 'storage', 'session-clarify.json');
+  const pending = JSON.parse(await fs.readFile(recordPath, 'utf8'));
+  assert.equal(pending.status, 'needs_input');
+  assert.deepEqual(pending.clarification, CLARIFICATION);
+
+  const res = createMockResponse();
+  await server.handleAnswerRequest(
+    { params: { sessionId: 'session-clarify' }, body: { answer: 'Resolution' }, query: {}, headers: {} },
+    res
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'success');
+  assert.equal(res.body.sessionId, 'session-clarify');
+  assert.equal(calls.length, 2);
+  assert.ok(calls[1].request.task.startsWith('Make this smaller'));
+  assert.ok(calls[1].request.task.includes(CLARIFICATION.question));
+  assert.ok(calls[1].request.task.includes('回答: Resolution'));
+  assert.equal(calls[1].request.outputDir, path.join(baseDir, 'generated', 'session-clarify'));
+  assert.equal(calls[1].options.dryRun, true, 'The original request options must be reused.');
+
+  const answered = JSON.parse(await fs.readFile(recordPath, 'utf8'));
+  assert.equal(answered.status, 'success');
+  assert.equal(answered.task, 'Make this smaller');
+  assert.equal(answered.clarification, null);
+  assert.equal(answered.clarifications.length, 1);
+  assert.equal(answered.clarifications[0].answer, 'Resolution');
+  assert.equal(answered.phases[0].meta.clarificationAnswer, 'Resolution');
+}
+
+async function testAnswerRequestValidation() {
+  const baseDir = path.join(TMP_ROOT, 'server-clarification-validation');
+  const server = await prepareServer(baseDir, {
+    async runTask() {
+      return createSuccessResponse();
+    }
+  });
+  await submitTask(server, baseDir, 'session-done', 'Convert to webp');
+
+  const empty = createMockResponse();
+  await server.handleAnswerRequest({ params: { sessionId: 'session-done' }, body: { answer: '  ' }, query: {}, headers: {} }, empty);
+  assert.equal(empty.statusCode, 400);
+
+  const missing = createMockResponse();
+  await server.handleAnswerRequest({ params: { sessionId: 'session-missing' }, body: { answer: 'yes' }, query: {}, headers: {} }, missing);
+  assert.equal(missing.statusCode, 404);
+
+  const notPending = createMockResponse();
+  await server.handleAnswerRequest({ params: { sessionId: 'session-done' }, body: { answer: 'yes' }, query: {}, headers: {} }, notPending);
+  assert.equal(notPending.statusCode, 409);
+  assert.equal(notPending.body.status, 'success');
+}
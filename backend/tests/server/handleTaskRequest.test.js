@@ -12,6 +12,7 @@ import {
 export default async function runServerHandleTaskRequestTests() {
   await testMediaAgentServerHandleTaskRequestSuccess();
   await testMediaAgentServerHandleTaskRequestAgentError();
+  await testMediaAgentServerHandleInquiryRequest();
 }
 
 async function testMediaAgentServerHandleTaskRequestSuccess() {
@@ -34,7 +35,8 @@ async function testMediaAgentServerHandleTaskRequestSuccess() {
             steps: []
           },
           phases: [{ id: 'plan', status: 'success' }],
-          debug: { info: 'details' }
+          debug: { info: 'details' },
+          summary: { summary: 'Converted the clip.', caveats: [], nextActions: [] }
         };
       }
     }
@@ -86,6 +88,9 @@ async function testMediaAgentServerHandleTaskRequestSuccess() {
   assert.equal(res.body.phases.length, 2);
   assert.equal(res.body.uploadedFiles.length, 2);
   assert.ok(res.body.debug);
+  assert.equal(res.body.summary.summary, 'Converted the clip.');
+  const record = JSON.parse(await fs.readFile(path.join(baseDir, 'storage', 'session-success.json'), 'utf8'));
+  assert.equal(record.summary.summary, 'Converted the clip.');
 
   assert.equal(calls.length, 1);
   assert.equal(calls[0].request.task, 'Process media');
@@ -144,3 +149,46 @@ async function testMediaAgentServerHandleTaskRequestAgentError() {
   assert.equal(res.body.debug, errorContext.debug);
   assert.equal(res.body.phases.length, 2);
 }
+
+async function testMediaAgentServerHandleInquiryRequest() {
+  const baseDir = path.join(TMP_ROOT, 'server-inquiry');
+  const calls = [];
+  const server = createServerInstance(baseDir, {
+    agent: {
+      async runTask(request, options) {
+        calls.push(options);
+        return {
+          plan: { steps: [{ command: 'ffprobe', arguments: ['-of', 'json'], reasoning: '', outputs: [] }] },
+          rawPlan: null,
+          result: { exitCode: 0, timedOut: false, stdout: '', stderr: '', resolvedOutputs: [], steps: [] },
+          phases: [{ id: 'plan', status: 'success' }],
+          answer: { answer: 'The video codec is H.264.' }
+        };
+      }
+    }
+  });
+  await server.ensureBaseDirectories();
+
+  const sessionDir = path.join(baseDir, 'generated', 'session-inquiry');
+  const inputDir = path.join(baseDir, 'inputs', 'session-inquiry');
+  await fs.mkdir(sessionDir, { recursive: true });
+  await fs.mkdir(inputDir, { recursive: true });
+
+  const res = createMockResponse();
+  await server.handleTaskRequest(
+    {
+      body: { task: 'What codec is this?' },
+      query: { mode: 'inquiry' },
+      files: [],
+      agentSession: { id: 'session-inquiry', inputDir, outputDir: sessionDir }
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls[0].inquiry, true);
+  assert.equal(res.body.answer.answer, 'The video codec is H.264.');
+  const record = JSON.parse(await fs.readFile(path.join(baseDir, 'storage', 'session-inquiry.json'), 'utf8'));
+  assert.equal(record.answer.answer, 'The video codec is H.264.');
+  assert.equal(record.requestOptions.mode, 'inquiry');
+}
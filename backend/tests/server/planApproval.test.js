@@ -0,0 +1,183 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { MediaAgent } from '../../src/agent/index.js';
+import {
+  TMP_ROOT,
+  createMockResponse,
+  createServerInstance,
+  sharedToolRegistry
+} from '../helpers/testEnvironment.js';
+
+export default async function runServerPlanApprovalTests() {
+  await testPlanThenExecuteEditedSteps();
+  await testRejectInvalidEdits();
+  await testExecuteRequestValidation();
+}
+
+function createPlan() {
+  return {
+    overview: 'Convert then thumbnail.',
+    followUp: '',
+    steps: [
+      { command: 'ffmpeg', arguments: ['-i', 'in.mp4', 'out.webm'], reasoning: 'Convert.', outputs: [] },
+      { command: 'magick', arguments: ['in.png', 'thumb.png'], reasoning: 'Thumbnail.', outputs: [] }
+    ]
+  };
+}
+
+function createAgent(executed) {
+  return new MediaAgent({
+    planner: {
+      id: 'stub',
+      async plan() {
+        const plan = createPlan();
+        return { plan, rawPlan: createPlan(), planner: 'stub' };
+      }
+    },
+    executor: {
+      async execute(plan) {
+        executed.push(plan);
+        return { exitCode: 0, timedOut: false, stdout: '', stderr: '', resolvedOutputs: [], dryRun: true, steps: [] };
+      }
+    },
+    toolRegistry: sharedToolRegistry
+  });
+}
+
+async function prepareServer(baseDir, agent) {
+  const server = createServerInstance(baseDir, { agent });
+  await server.ensureBaseDirectories();
+  return server;
+}
+
+async function submitPlanTask(server, baseDir, sessionId) {
+  const inputDir = path.join(baseDir, 'inputs', sessionId);
+  const outputDir = path.join(baseDir, 'generated', sessionId);
+  await fs.mkdir(inputDir, { recursive: true });
+  await fs.mkdir(outputDir, { recursive: true });
+  const res = createMockResponse();
+  await server.handleTaskRequest(
+    {
+      body: { task: 'Convert the clip and make a thumbnail' },
+      query: { dryRun: 'true', mode: 'plan' },
+      files: [],
+      agentSession: { id: sessionId, inputDir, outputDir }
+    },
+    res
+  );
+  return res;
+}
+
+async function executeSession(server, sessionId, body = {}) {
+  const res = createMockResponse();
+  await server.handleExecuteRequest({ params: { sessionId }, body, query: {}, headers: {} }, res);
+  return res;
+}
+
+async function testPlanThenExecuteEditedSteps() {
+  const baseDir = path.join(TMP_ROOT, 'server-plan-approval');
+  const executed = [];
+  const server = await prepareServer(baseDir, createAgent(executed));
+
+  const planned = await submitPlanTask(server, baseDir, 'session-planned');
+  assert.equal(planned.statusCode, 200);
+  assert.equal(planned.body.status, 'planned');
+  assert.equal(planned.body.plan.steps.length, 2);
+  assert.equal(planned.body.result, null);
+  assert.deepEqual(
+    planned.body.phases.map((phase) => `${phase.id}:${phase.status}`),
+    ['request:success', 'plan:success']
+  );
+  assert.equal(executed.length, 0, 'Planning must not execute anything.');
+
+  const recordPath = path.join(baseDir, 'storage', 'session-planned.json');
+  const pending = JSON.parse(await fs.readFile(recordPath, 'utf8'));
+  assert.equal(pending.status, 'planned');
+  assert.equal(pending.requestOptions.mode, 'plan');
+
+  const thumbnail = path.join(baseDir, 'generated', 'session-planned', 'thumb.png');
+  const editedSteps = [
+    { ...pending.plan.steps[1], arguments: ['in.png', '-resize', '128x128', thumbnail] }
+  ];
+  const res = await executeSession(server, 'session-planned', { steps: editedSteps });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'success');
+  assert.equal(res.body.planEdited, true);
+  assert.equal(executed.length, 1);
+  assert.deepEqual(
+    executed[0].steps.map((step) => step.arguments),
+    [['in.png', '-resize', '128x128', thumbnail]]
+  );
+
+  const done = JSON.parse(await fs.readFile(recordPath, 'utf8'));
+  assert.equal(done.status, 'success');
+  assert.equal(done.planEdited, true);
+  assert.equal(done.plan.steps.length, 1);
+  assert.equal(done.rawPlan.steps.length, 2, 'The original planner output must be kept for comparison.');
+  assert.deepEqual(
+    done.phases.map((phase) => phase.id),
+    ['request', 'plan', 'execute', 'summarize']
+  );
+}
+
+async function testRejectInvalidEdits() {
+  const baseDir = path.join(TMP_ROOT, 'server-plan-approval-invalid');
+  const executed = [];
+  const server = await prepareServer(baseDir, createAgent(executed));
+  await submitPlanTask(server, baseDir, 'session-invalid-edit');
+
+  const unknownCommand = await executeSession(server, 'session-invalid-edit', {
+    steps: [{ command: 'rm', arguments: ['-rf', '/'], reasoning: 'edited', outputs: [] }]
+  });
+  assert.equal(unknownCommand.statusCode, 400);
+  assert.ok(unknownCommand.body.detail);
+
+  const overwritesInput = await executeSession(server, 'session-invalid-edit', {
+    steps: [{ command: 'exiftool', arguments: ['-all=', '-overwrite_original', 'photo.jpg'], reasoning: 'edited', outputs: [] }]
+  });
+  assert.equal(overwritesInput.statusCode, 400);
+  assert.match(overwritesInput.body.detail, /"-overwrite_original" is not allowed on uploaded input files/);
+
+  const writesInputDir = await executeSession(server, 'session-invalid-edit', {
+    steps: [{ command: 'magick', arguments: ['in.png', 'thumb.png'], reasoning: 'edited', outputs: [] }]
+  });
+  assert.equal(writesInputDir.statusCode, 400, 'Relative outputs resolve against the input directory the plan runs in.');
+
+  const empty = await executeSession(server, 'session-invalid-edit', { steps: [] });
+  assert.equal(empty.statusCode, 400);
+  assert.equal(executed.length, 0);
+
+  const record = JSON.parse(
+    await fs.readFile(path.join(baseDir, 'storage', 'session-invalid-edit.json'), 'utf8')
+  );
+  assert.equal(record.status, 'planned', 'Rejected edits must leave the session awaiting approval.');
+  assert.equal(record.plan.steps.length, 2);
+
+  const approved = await executeSession(server, 'session-invalid-edit');
+  assert.equal(approved.statusCode, 200);
+  assert.equal(approved.body.planEdited, false);
+  assert.equal(executed[0].steps.length, 2);
+}
+
+async function testExecuteRequestValidation() {
+  const baseDir = path.join(TMP_ROOT, 'server-plan-approval-validation');
+  const server = await prepareServer(baseDir, createAgent([]));
+  await submitPlanTask(server, baseDir, 'session-twice');
+
+  const malformed = await executeSession(server, 'session-twice', { steps: 'ffmpeg -i in.mp4' });
+  assert.equal(malformed.statusCode, 400);
+
+  const unknownSession = await executeSession(server, 'session-unknown');
+  assert.equal(unknownSession.statusCode, 404);
+
+  const traversal = await executeSession(server, '../storage/session-twice');
+  assert.equal(traversal.statusCode, 404);
+
+  const first = await executeSession(server, 'session-twice');
+  assert.equal(first.statusCode, 200);
+  const second = await executeSession(server, 'session-twice');
+  assert.equal(second.statusCode, 409);
+  assert.equal(second.body.status, 'success');
+}
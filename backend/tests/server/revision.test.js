@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { MediaAgentTaskError } from '../../src/agent/index.js';
+import { TMP_ROOT, createMockResponse, createServerInstance } from '../helpers/testEnvironment.js';
+
+export default async function runServerRevisionTests() {
+  await testRevisionContinuesStoredResponse();
+  await testRevisionFallsBackToHistoryTable();
+  await testRevisionRecoversFromMissingStoredResponse();
+  await testRevisionRejectsMalformedSessionId();
+}
+
+function createSuccessResponse(responseId) {
+  return {
+    plan: { steps: [{ command: 'none', arguments: [], reasoning: 'noop', outputs: [] }] },
+    rawPlan: null,
+    result: {
+      exitCode: null,
+      timedOut: false,
+      stdout: '',
+      stderr: '',
+      resolvedOutputs: [],
+      dryRun: true,
+      steps: []
+    },
+    phases: [{ id: 'plan', status: 'success' }],
+    responseId
+  };
+}
+
+async function prepareSession(baseDir, sessionId) {
+  const inputDir = path.join(baseDir, 'inputs', sessionId);
+  const outputDir = path.join(baseDir, 'generated', sessionId);
+  await fs.mkdir(inputDir, { recursive: true });
+  await fs.mkdir(outputDir, { recursive: true });
+  return { id: sessionId, inputDir, outputDir };
+}
+
+async function submitTask(server, baseDir, sessionId, task) {
+  const res = createMockResponse();
+  await server.handleTaskRequest(
+    { body: { task }, query: { dryRun: 'true' }, files: [], agentSession: await prepareSession(baseDir, sessionId) },
+    res
+  );
+  return res;
+}
+
+async function submitRevision(server, baseDir, baseSessionId, sessionId, complaint) {
+  const res = createMockResponse();
+  await server.handleRevisionRequest(
+    {
+      body: { sessionId: baseSessionId, complaint },
+      query: { dryRun: 'true' },
+      headers: {},
+      agentSession: await prepareSession(baseDir, sessionId)
+    },
+    res
+  );
+  return res;
+}
+
+async function readRecord(baseDir, sessionId) {
+  return JSON.parse(await fs.readFile(path.join(baseDir, 'storage', `${sessionId}.json`), 'utf8'));
+}
+
+async function testRevisionContinuesStoredResponse() {
+  const baseDir = path.join(TMP_ROOT, 'server-revision-stored');
+  const calls = [];
+  const responseIds = ['resp_task', 'resp_revision'];
+  const server = createServerInstance(baseDir, {
+    agent: {
+      supportsStoredConversation: () => true,
+      async runTask(request) {
+        calls.push(request);
+        return createSuccessResponse(responseIds.shift());
+      }
+    }
+  });
+  await server.ensureBaseDirectories();
+
+  await submitTask(server, baseDir, 'session-base', 'Brighten the clip');
+  assert.equal((await readRecord(baseDir, 'session-base')).responseId, 'resp_task');
+
+  const res = await submitRevision(server, baseDir, 'session-base', 'session-revised', 'Still too dark');
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls[1].task, 'Still too dark', 'Only the complaint is sent; the model already has the history.');
+  assert.equal(calls[1].previousResponseId, 'resp_task');
+
+  const record = await readRecord(baseDir, 'session-revised');
+  assert.equal(record.revisionStrategy, 'stored_response');
+  assert.equal(record.previousResponseId, 'resp_task');
+  assert.equal(record.responseId, 'resp_revision');
+  assert.equal(record.phases[0].meta.revisionStrategy, 'stored_response');
+}
+
+async function testRevisionFallsBackToHistoryTable() {
+  const baseDir = path.join(TMP_ROOT, 'server-revision-table');
+  const calls = [];
+  const server = createServerInstance(baseDir, {
+    agent: {
+      async runTask(request) {
+        calls.push(request);
+        return createSuccessResponse(null);
+      }
+    }
+  });
+  await server.ensureBaseDirectories();
+
+  await submitTask(server, baseDir, 'session-base', 'Brighten the clip');
+  const res = await submitRevision(server, baseDir, 'session-base', 'session-revised', 'Still too dark');
+  assert.equal(res.statusCode, 200);
+  assert.ok(calls[1].task.startsWith('再編集リクエストです。'));
+  assert.ok(calls[1].task.includes('Brighten the clip'));
+  assert.equal(calls[1].previousResponseId, undefined);
+
+  const record = await readRecord(baseDir, 'session-revised');
+  assert.equal(record.revisionStrategy, 'history_table');
+  assert.equal(record.previousResponseId, null);
+}
+
+async function testRevisionRecoversFromMissingStoredResponse() {
+  const baseDir = path.join(TMP_ROOT, 'server-revision-expired');
+  const calls = [];
+  const server = createServerInstance(baseDir, {
+    agent: {
+      supportsStoredConversation: () => true,
+      async runTask(request) {
+        calls.push(request);
+        if (calls.length === 1) {
+          return createSuccessResponse('resp_expired');
+        }
+        if (request.previousResponseId) {
+          const cause = Object.assign(new Error("Previous response with id 'resp_expired' not found."), {
+            status: 400,
+            param: 'previous_response_id'
+          });
+          throw new MediaAgentTaskError('Plan phase failed', [{ id: 'plan', status: 'failed' }], { cause });
+        }
+        return createSuccessResponse('resp_table');
+      }
+    }
+  });
+  await server.ensureBaseDirectories();
+
+  await submitTask(server, baseDir, 'session-base', 'Brighten the clip');
+  const res = await submitRevision(server, baseDir, 'session-base', 'session-revised', 'Still too dark');
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls.length, 3);
+  assert.ok(calls[2].task.startsWith('再編集リクエストです。'));
+  assert.equal(calls[2].previousResponseId, undefined);
+
+  const record = await readRecord(baseDir, 'session-revised');
+  assert.equal(record.revisionStrategy, 'history_table');
+  assert.equal(record.responseId, 'resp_table');
+  assert.equal(record.phases[0].meta.revisionStrategy, 'history_table');
+  assert.ok(record.phases[0].logs.some((entry) => entry.message.includes('not found')));
+}
+
+async function testRevisionRejectsMalformedSessionId() {
+  const baseDir = path.join(TMP_ROOT, 'server-revision-malformed');
+  const calls = [];
+  const server = createServerInstance(baseDir, {
+    agent: {
+      async runTask(request) {
+        calls.push(request);
+        return createSuccessResponse(null);
+      }
+    }
+  });
+  await server.ensureBaseDirectories();
+
+  await submitTask(server, baseDir, 'session-base', 'Brighten the clip');
+  const res = await submitRevision(server, baseDir, '../storage/session-base', 'session-revised', 'Still too dark');
+  assert.equal(res.statusCode, 404);
+  assert.equal(calls.length, 1);
+}
@@ -9,6 +9,7 @@ import { useTaskWorkflow } from './hooks/useTaskWorkflow.js';
 import { useProgressPreview } from './hooks/useProgressPreview.js';
 import { MESSAGES } from './i18n/messages.js';
 import ErrorRetryTestScreen from './dev/ErrorRetryTestScreen.jsx';
+import { formatCostUsd } from './utils/formatters.js';
 
 export default function App() {
   if (
@@ -37,11 +38,17 @@ export default function App() {
     setShowDebugOptions,
     dryRun,
     setDryRun,
+    taskMode,
+    setTaskMode,
+    taskModel,
+    setTaskModel,
     progressStage,
     handleSubmit,
     resetForm,
     latestEntry,
     latestOutputs,
+    latestAnswer,
+    usageTotal,
     complaintText,
     complaintError,
     complaintButtonDisabled,
@@ -51,13 +58,25 @@ export default function App() {
     handleComplaintSubmit,
     handleComplaintChange,
     handleRetryFromError,
-    liveLogs
+    liveLogs,
+    draftPlan,
+    pendingClarification,
+    clarificationAnswer,
+    clarificationError,
+    handleClarificationAnswerChange,
+    handleClarificationSubmit,
+    pendingAlternatives,
+    alternativeError,
+    handleAlternativeSelect,
+    approvalError,
+    handleExecutePlan
   } = useTaskWorkflow();
   const progressPreview = useProgressPreview();
 
   const progressModalVisible = progressPreview.enabled ? true : isSubmitting;
   const progressModalStage = progressPreview.enabled ? progressPreview.stage : progressStage;
   const progressModalLogs = progressPreview.enabled ? progressPreview.logs : liveLogs;
+  const progressModalDraftSteps = progressPreview.enabled ? [] : draftPlan.steps;
 
   const { app } = MESSAGES;
   const showErrorBanner =
@@ -72,6 +91,14 @@ export default function App() {
       <header className="header">
         <h1>{app.header.title}</h1>
         <p>{app.header.description}</p>
+        {usageTotal && (
+          <p className="header-usage">
+            {app.header.usageTotal(
+              formatCostUsd(usageTotal.costUsd),
+              (usageTotal.inputTokens + usageTotal.outputTokens).toLocaleString()
+            )}
+          </p>
+        )}
       </header>
 
       <main className="content">
@@ -91,6 +118,10 @@ export default function App() {
             onDryRunChange={setDryRun}
             debugEnabled={debugEnabled}
             onDebugChange={setDebugEnabled}
+            taskMode={taskMode}
+            onTaskModeChange={setTaskMode}
+            taskModel={taskModel}
+            onTaskModelChange={setTaskModel}
             onReset={resetForm}
             error={error}
           />
@@ -99,6 +130,7 @@ export default function App() {
         <LatestOutputsPanel
           isSubmitting={isSubmitting}
           outputs={latestOutputs}
+          answer={latestAnswer}
           showErrorBanner={showErrorBanner}
           errorMessage={errorBannerMessage}
           onRetryFromError={handleRetryFromError}
@@ -110,12 +142,25 @@ export default function App() {
           complaintButtonDisabled={complaintButtonDisabled}
           isSubmittingComplaint={isSubmittingComplaint}
           canSubmitRevision={canSubmitRevision}
+          clarification={pendingClarification}
+          clarificationAnswer={clarificationAnswer}
+          clarificationError={clarificationError}
+          onClarificationAnswerChange={handleClarificationAnswerChange}
+          onClarificationSubmit={handleClarificationSubmit}
+          alternatives={pendingAlternatives}
+          alternativeError={alternativeError}
+          onAlternativeSelect={handleAlternativeSelect}
         />
 
         {latestEntry && (
           <section className="panel">
             <h2>{app.sections.latestResult}</h2>
-            <ResultView entry={latestEntry} />
+            <ResultView
+              entry={latestEntry}
+              onExecutePlan={handleExecutePlan}
+              approvalError={approvalError}
+              isSubmitting={isSubmitting}
+            />
           </section>
         )}
 
@@ -127,7 +172,9 @@ export default function App() {
         )}
       </main>
 
-      {progressModalVisible && <ProgressModal stage={progressModalStage} logs={progressModalLogs} />}
+      {progressModalVisible && (
+        <ProgressModal stage={progressModalStage} logs={progressModalLogs} draftSteps={progressModalDraftSteps} />
+      )}
     </div>
   );
 }
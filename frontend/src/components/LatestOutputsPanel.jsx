@@ -1,9 +1,11 @@
 import OutputList from './common/OutputList.jsx';
 import { MESSAGES } from '../i18n/messages.js';
+import { buildPlanSummary } from '../utils/plan.js';
 
 export default function LatestOutputsPanel({
   isSubmitting,
   outputs,
+  answer,
   showErrorBanner,
   errorMessage,
   onRetryFromError,
@@ -14,9 +16,20 @@ export default function LatestOutputsPanel({
   onComplaintSubmit,
   complaintButtonDisabled,
   isSubmittingComplaint,
-  canSubmitRevision
+  canSubmitRevision,
+  clarification,
+  clarificationAnswer,
+  clarificationError,
+  onClarificationAnswerChange,
+  onClarificationSubmit,
+  alternatives,
+  alternativeError,
+  onAlternativeSelect
 }) {
   const messages = MESSAGES.latestOutputs;
+  const clarificationChoices = Array.isArray(clarification?.choices) ? clarification.choices : [];
+  const answerText = typeof clarificationAnswer === 'string' ? clarificationAnswer : '';
+  const alternativeList = Array.isArray(alternatives) ? alternatives : [];
 
   return (
     <section className="panel">
@@ -37,8 +50,64 @@ export default function LatestOutputsPanel({
           </div>
         </div>
       )}
+      {clarification && !isSubmitting && (
+        <div className="clarification-section">
+          <p className="clarification-section__title">{messages.clarificationTitle}</p>
+          <p className="clarification-section__question">{clarification.question}</p>
+          {clarificationChoices.length > 0 && (
+            <div className="clarification-section__choices">
+              {clarificationChoices.map((choice) => (
+                <button type="button" key={choice} onClick={() => onClarificationSubmit(choice)}>
+                  {choice}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="clarification-section__answer">
+            <input
+              type="text"
+              value={answerText}
+              onChange={(event) => onClarificationAnswerChange(event.target.value)}
+              placeholder={messages.clarificationPlaceholder}
+              aria-label={messages.clarificationAnswerLabel}
+            />
+            <button type="button" onClick={() => onClarificationSubmit()} disabled={answerText.trim().length === 0}>
+              {messages.clarificationSubmit}
+            </button>
+          </div>
+          {clarificationError && <div className="error">{clarificationError}</div>}
+        </div>
+      )}
+      {alternativeList.length > 0 && !isSubmitting && (
+        <div className="alternatives-section">
+          <p className="alternatives-section__title">{messages.alternativesTitle}</p>
+          {alternativeList.map((alternative) => (
+            <div className="alternative-card" key={alternative.id}>
+              <p className="alternative-card__label">{alternative.label}</p>
+              {alternative.tradeoff && <p className="alternative-card__tradeoff">{alternative.tradeoff}</p>}
+              {alternative.estimate && (
+                <p className="alternative-card__estimate note">
+                  {messages.alternativeEstimate(alternative.estimate.size, alternative.estimate.time)}
+                </p>
+              )}
+              <code className="command-line">{buildPlanSummary(alternative.plan)}</code>
+              <div>
+                <button type="button" onClick={() => onAlternativeSelect(alternative.id)}>
+                  {messages.alternativeSelect}
+                </button>
+              </div>
+            </div>
+          ))}
+          {alternativeError && <div className="error">{alternativeError}</div>}
+        </div>
+      )}
       {isSubmitting ? (
         <p className="note">{messages.processing}</p>
+      ) : answer && outputs.length === 0 ? (
+        <div className="inquiry-answer">
+          <p className="inquiry-answer__title">{messages.answerTitle}</p>
+          <p>{answer}</p>
+        </div>
       ) : outputs.length > 0 ? (
         <OutputList outputs={outputs} />
       ) : (
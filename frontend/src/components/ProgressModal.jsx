@@ -2,7 +2,7 @@ import { useEffect, useMemo, useRef } from 'react';
 import { PROGRESS_STEPS } from '../constants/app.js';
 import { MESSAGES } from '../i18n/messages.js';
 
-export default function ProgressModal({ stage, logs = [] }) {
+export default function ProgressModal({ stage, logs = [], draftSteps = [] }) {
   const logViewerRef = useRef(null);
   const progressMessages = MESSAGES.progress;
   const displayText = useMemo(() => {
@@ -45,6 +45,20 @@ export default function ProgressModal({ stage, logs = [] }) {
                 );
               })}
             </ul>
+            {draftSteps.length > 0 && (
+              <div className="progress-draft-plan" aria-live="polite">
+                <h3>{progressMessages.draftPlanTitle}</h3>
+                <p className="progress-draft-note">{progressMessages.draftPlanNote}</p>
+                <ol className="progress-draft-steps">
+                  {draftSteps.map((step, index) => (
+                    <li key={`draft-${index}`}>
+                      <code>{step.commandLine || step.command}</code>
+                      {step.reasoning && <span>{step.reasoning}</span>}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
           </section>
           <section className="panel progress-log-panel" aria-label={progressMessages.logAriaLabel}>
             <h3 className="progress-log-title">{progressMessages.logTitle}</h3>
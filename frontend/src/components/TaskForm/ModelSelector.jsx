@@ -0,0 +1,58 @@
+import { useCallback, useState } from 'react';
+import { MESSAGES } from '../../i18n/messages.js';
+
+/**
+ * Lets the user pin the planning model for a request. The empty value leaves the choice to the server's routing.
+ * The model list is fetched from `/api/models` the first time the selector is focused.
+ */
+export default function ModelSelector({ value, onChange, disabled }) {
+  const [state, setState] = useState({ status: 'idle', catalog: null });
+  const messages = MESSAGES.modelSelector;
+
+  const loadModels = useCallback(async () => {
+    if (state.status !== 'idle') {
+      return;
+    }
+    setState({ status: 'loading', catalog: null });
+    try {
+      const response = await fetch('/api/models');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const payload = await response.json();
+      setState({ status: 'loaded', catalog: payload });
+    } catch {
+      setState({ status: 'error', catalog: null });
+    }
+  }, [state.status]);
+
+  const models = Array.isArray(state.catalog?.models) ? state.catalog.models : [];
+  // Keep a model chosen earlier selectable even before the list has been loaded.
+  const options = value && !models.some((model) => model.id === value) ? [{ id: value, tags: [], price: null }, ...models] : models;
+  const routing = state.catalog?.routing;
+
+  return (
+    <label className="field model-selector">
+      <span>{messages.label}</span>
+      <select
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        onFocus={loadModels}
+        onPointerDown={loadModels}
+        disabled={disabled}
+      >
+        <option value="">{messages.auto}</option>
+        {options.map((model) => (
+          <option key={model.id} value={model.id}>
+            {messages.option(model)}
+          </option>
+        ))}
+      </select>
+      {state.status === 'loading' && <small>{messages.loading}</small>}
+      {state.status === 'error' && <small className="error">{messages.error}</small>}
+      {state.status === 'loaded' && !value && (routing?.lightModel || routing?.strongModel) && (
+        <small>{messages.routingHint(routing.lightModel, routing.strongModel, state.catalog.defaultModel)}</small>
+      )}
+    </label>
+  );
+}
@@ -0,0 +1,56 @@
+import { useCallback, useState } from 'react';
+import { MESSAGES } from '../../i18n/messages.js';
+
+/**
+ * Shows the operator's planning policy. It is fetched from `/api/policy` the first time the section is opened.
+ */
+export default function PlanningPolicyDetails() {
+  const [state, setState] = useState({ status: 'idle', policy: null });
+  const messages = MESSAGES.planningPolicy;
+
+  const handleToggle = useCallback(
+    async (event) => {
+      if (!event.currentTarget.open || state.status !== 'idle') {
+        return;
+      }
+      setState({ status: 'loading', policy: null });
+      try {
+        const response = await fetch('/api/policy');
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const payload = await response.json();
+        setState({ status: 'loaded', policy: payload?.policy ?? null });
+      } catch {
+        setState({ status: 'error', policy: null });
+      }
+    },
+    [state.status]
+  );
+
+  const { policy } = state;
+  const items = policy
+    ? [
+      ...policy.rules,
+      policy.outputNamePattern ? messages.namingPattern(policy.outputNamePattern) : null,
+      policy.forbiddenCodecs.length > 0 ? messages.forbiddenCodecs(policy.forbiddenCodecs.join(', ')) : null,
+      policy.maxResolution ? messages.maxResolution(policy.maxResolution.width, policy.maxResolution.height) : null
+    ].filter(Boolean)
+    : [];
+
+  return (
+    <details className="field planning-policy" onToggle={handleToggle}>
+      <summary>{messages.title}</summary>
+      {state.status === 'loading' && <p>{messages.loading}</p>}
+      {state.status === 'error' && <p className="error">{messages.error}</p>}
+      {state.status === 'loaded' && items.length === 0 && <p>{messages.empty}</p>}
+      {items.length > 0 && (
+        <ul>
+          {items.map((item) => (
+            <li key={item}>{item}</li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
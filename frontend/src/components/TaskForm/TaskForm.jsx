@@ -1,5 +1,7 @@
 import { useCallback } from 'react';
 import FilePreviewList from './FilePreviewList.jsx';
+import ModelSelector from './ModelSelector.jsx';
+import PlanningPolicyDetails from './PlanningPolicyDetails.jsx';
 import { MESSAGES } from '../../i18n/messages.js';
 
 export default function TaskForm({
@@ -17,6 +19,10 @@ export default function TaskForm({
   onDryRunChange,
   debugEnabled,
   onDebugChange,
+  taskMode,
+  onTaskModeChange,
+  taskModel,
+  onTaskModelChange,
   onReset,
   error
 }) {
@@ -78,6 +84,32 @@ export default function TaskForm({
           />
         </div>
 
+        <fieldset className="field mode-options">
+          <legend>{messages.modeLabel}</legend>
+          {[
+            { value: 'run', label: messages.modeRunLabel },
+            { value: 'plan', label: messages.modePlanLabel },
+            { value: 'alternatives', label: messages.alternativesLabel },
+            { value: 'inquiry', label: messages.modeInquiryLabel }
+          ].map((mode) => (
+            <label className="option" key={mode.value}>
+              <input
+                type="radio"
+                name="task-mode"
+                value={mode.value}
+                checked={taskMode === mode.value}
+                onChange={() => onTaskModeChange(mode.value)}
+                disabled={isSubmitting}
+              />
+              <span>{mode.label}</span>
+            </label>
+          ))}
+        </fieldset>
+
+        <ModelSelector value={taskModel} onChange={onTaskModelChange} disabled={isSubmitting} />
+
+        <PlanningPolicyDetails />
+
         <div className={`field options debug-options ${showDebugOptions ? 'is-expanded' : 'is-collapsed'}`}>
           <label className="debug-options-header">
             <input
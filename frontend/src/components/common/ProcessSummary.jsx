@@ -1,4 +1,4 @@
-import { describeSkipReason, formatStepCommand, formatStepStatus } from '../../utils/plan.js';
+import { describeFailureReason, describeSkipReason, formatStepCommand, formatStepStatus } from '../../utils/plan.js';
 import { MESSAGES } from '../../i18n/messages.js';
 
 export default function ProcessSummary({ result }) {
@@ -43,6 +43,12 @@ export default function ProcessSummary({ result }) {
                       {describeSkipReason(step.skipReason)}
                     </p>
                   )}
+                  {step.status === 'executed' && step.failureReason && (
+                    <p className="note">
+                      {messages.failureReasonPrefix}
+                      {describeFailureReason(step.failureReason)}
+                    </p>
+                  )}
                   {step.status === 'executed' && (
                     <>
                       <details className="log-block">
@@ -0,0 +1,113 @@
+import { useCallback, useMemo, useState } from 'react';
+import { formatStepCommand, normalizePlan } from '../../utils/plan.js';
+import { MESSAGES } from '../../i18n/messages.js';
+
+function toEditableSteps(plan) {
+  const normalized = normalizePlan(plan);
+  return (normalized?.steps || []).map((step, index) => ({
+    key: step.id || `${step.command || 'step'}-${index}`,
+    step,
+    argumentsText: step.arguments.join('\n')
+  }));
+}
+
+function toPlanSteps(editableSteps) {
+  return editableSteps.map(({ step, argumentsText }) => ({
+    ...step,
+    arguments: argumentsText.split('\n').filter((argument) => argument.length > 0)
+  }));
+}
+
+export default function PlanApprovalEditor({ plan, onExecute, disabled, error }) {
+  const messages = MESSAGES.result;
+  const planMessages = MESSAGES.plan;
+  const initialSteps = useMemo(() => toEditableSteps(plan), [plan]);
+  const [steps, setSteps] = useState(initialSteps);
+
+  const isEdited = useMemo(
+    () => JSON.stringify(toPlanSteps(steps)) !== JSON.stringify(toPlanSteps(initialSteps)),
+    [steps, initialSteps]
+  );
+
+  const handleArgumentsChange = useCallback((index, value) => {
+    setSteps((previous) =>
+      previous.map((entry, entryIndex) => (entryIndex === index ? { ...entry, argumentsText: value } : entry))
+    );
+  }, []);
+
+  const handleMove = useCallback((index, offset) => {
+    setSteps((previous) => {
+      const target = index + offset;
+      if (target < 0 || target >= previous.length) {
+        return previous;
+      }
+      const next = [...previous];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, []);
+
+  const handleRemove = useCallback((index) => {
+    setSteps((previous) => previous.filter((_, entryIndex) => entryIndex !== index));
+  }, []);
+
+  const handleExecute = useCallback(() => {
+    onExecute(isEdited ? toPlanSteps(steps) : undefined);
+  }, [onExecute, isEdited, steps]);
+
+  return (
+    <div className="plan-approval">
+      <p className="note">{messages.approvalHint}</p>
+      {steps.length === 0 && <p className="note">{messages.approvalNoSteps}</p>}
+      <ol className="plan-step-list">
+        {steps.map((entry, index) => {
+          const title = entry.step.title || planMessages.stepLabel(index);
+          const [editedStep] = toPlanSteps([entry]);
+          const commandText = formatStepCommand(editedStep);
+          return (
+            <li key={entry.key} className="plan-step-item">
+              <div className="plan-step-header">
+                <strong>{title}</strong>
+                <div className="plan-approval__actions">
+                  <button type="button" onClick={() => handleMove(index, -1)} disabled={disabled || index === 0}>
+                    {messages.approvalMoveUp}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={disabled || index === steps.length - 1}
+                  >
+                    {messages.approvalMoveDown}
+                  </button>
+                  <button type="button" onClick={() => handleRemove(index)} disabled={disabled}>
+                    {messages.approvalRemove}
+                  </button>
+                </div>
+              </div>
+              <code className="command-line small">{commandText}</code>
+              {entry.step.reasoning && <p className="note">{entry.step.reasoning}</p>}
+              <label className="field">
+                <span>{messages.approvalArgumentsLabel(title)}</span>
+                <textarea
+                  value={entry.argumentsText}
+                  onChange={(event) => handleArgumentsChange(index, event.target.value)}
+                  rows={Math.min(Math.max(entry.step.arguments.length, 2), 8)}
+                  disabled={disabled}
+                />
+              </label>
+            </li>
+          );
+        })}
+      </ol>
+      <div className="form-actions">
+        <button type="button" onClick={handleExecute} disabled={disabled || steps.length === 0}>
+          {messages.approvalExecute}
+        </button>
+        <button type="button" onClick={() => setSteps(initialSteps)} disabled={disabled || !isEdited}>
+          {messages.approvalReset}
+        </button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
@@ -4,11 +4,13 @@ import DebugDetails from '../common/DebugDetails.jsx';
 import OutputList from '../common/OutputList.jsx';
 import PhaseChecklist from '../common/PhaseChecklist.jsx';
 import PlanStepList from '../common/PlanStepList.jsx';
+import PlanApprovalEditor from './PlanApprovalEditor.jsx';
 import ProcessSummary from '../common/ProcessSummary.jsx';
 import UploadedFileList from '../common/UploadedFileList.jsx';
 import { MESSAGES } from '../../i18n/messages.js';
+import { formatCostUsd } from '../../utils/formatters.js';
 
-export default function ResultView({ entry }) {
+export default function ResultView({ entry, onExecutePlan, approvalError, isSubmitting = false }) {
   const outputList = entry?.result?.resolvedOutputs || [];
   const status = entry.status || 'unknown';
   const statusLabel = STATUS_LABELS[status] || status || MESSAGES.formatters.unknownStatus;
@@ -18,6 +20,10 @@ export default function ResultView({ entry }) {
   const overview = plan?.overview || '';
   const planSteps = plan?.steps || [];
   const stepResults = Array.isArray(entry?.result?.steps) ? entry.result.steps : [];
+  const alternatives = Array.isArray(entry.alternatives) ? entry.alternatives : [];
+  const awaitingApproval = status === 'planned' && plan && typeof onExecutePlan === 'function';
+  const resultSummary = entry.summary?.summary ? entry.summary : null;
+  const answer = entry.answer?.answer || '';
   const messages = MESSAGES.result;
 
   return (
@@ -27,9 +33,51 @@ export default function ResultView({ entry }) {
         {entry.parentSessionId && <span className="chip">{messages.revisionChip}</span>}
         {entry.requestOptions?.dryRun && <span className="chip">{messages.dryRunChip}</span>}
         {entry.requestOptions?.debug && <span className="chip">{messages.debugChip}</span>}
+        {entry.planEdited && <span className="chip">{messages.planEditedChip}</span>}
+        {entry.usage && (
+          <span className="chip">
+            {messages.usageChip(
+              formatCostUsd(entry.usage.costUsd),
+              entry.usage.inputTokens.toLocaleString(),
+              entry.usage.outputTokens.toLocaleString()
+            )}
+          </span>
+        )}
       </div>
 
       {entry.error && <div className="error inline">{entry.error}</div>}
+      {answer && (
+        <div className="result-section result-summary">
+          <h3>{messages.answerHeading}</h3>
+          <p>{answer}</p>
+        </div>
+      )}
+      {resultSummary && (
+        <div className="result-section result-summary">
+          <h3>{messages.resultSummaryHeading}</h3>
+          <p>{resultSummary.summary}</p>
+          {resultSummary.caveats?.length > 0 && (
+            <>
+              <h4>{messages.resultSummaryCaveats}</h4>
+              <ul>
+                {resultSummary.caveats.map((caveat) => (
+                  <li key={caveat}>{caveat}</li>
+                ))}
+              </ul>
+            </>
+          )}
+          {resultSummary.nextActions?.length > 0 && (
+            <>
+              <h4>{messages.resultSummaryNextActions}</h4>
+              <ul>
+                {resultSummary.nextActions.map((action) => (
+                  <li key={action}>{action}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
       {entry.complaint && (
         <div className="result-section">
           <h3>{messages.complaintHeading}</h3>
@@ -43,8 +91,16 @@ export default function ResultView({ entry }) {
       </div>
 
       <div className="result-section">
-        <h3>{messages.planHeading}</h3>
-        {plan ? (
+        <h3>{awaitingApproval ? messages.approvalHeading : messages.planHeading}</h3>
+        {awaitingApproval ? (
+          <PlanApprovalEditor
+            key={entry.id}
+            plan={plan}
+            onExecute={onExecutePlan}
+            disabled={isSubmitting}
+            error={approvalError}
+          />
+        ) : plan ? (
           <>
             <code className="command-line">{buildPlanSummary(plan)}</code>
             {overview && <p className="note">{overview}</p>}
@@ -55,6 +111,25 @@ export default function ResultView({ entry }) {
         )}
       </div>
 
+      {alternatives.length > 0 && (
+        <div className="result-section">
+          <h3>{messages.alternativesHeading}</h3>
+          {alternatives.map((alternative) => {
+            const isSelected = alternative.id === entry.selectedAlternativeId;
+            return (
+              <div className={`alternative-card${isSelected ? ' is-selected' : ''}`} key={alternative.id}>
+                <p className="alternative-card__label">
+                  {alternative.label}
+                  {isSelected && <span className="chip">{messages.alternativeSelectedChip}</span>}
+                </p>
+                {alternative.tradeoff && <p className="alternative-card__tradeoff">{alternative.tradeoff}</p>}
+                <code className="command-line">{buildPlanSummary(alternative.plan)}</code>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {followUp && (
         <div className="result-section">
           <h3>{messages.followUpHeading}</h3>
@@ -87,10 +162,12 @@ export default function ResultView({ entry }) {
         <UploadedFileList files={entry.uploadedFiles} />
       </div>
 
-      <div className="result-section">
-        <h3>{messages.outputsHeading}</h3>
-        <OutputList outputs={outputList} showPreview={false} />
-      </div>
+      {!(answer && outputList.length === 0) && (
+        <div className="result-section">
+          <h3>{messages.outputsHeading}</h3>
+          <OutputList outputs={outputList} showPreview={false} />
+        </div>
+      )}
 
       <div className="result-section">
         <h3>{messages.summaryHeading}</h3>
@@ -1,9 +1,12 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { PROGRESS_ROTATION_MS, PROGRESS_STEPS } from '../constants/app.js';
 import { MESSAGES } from '../i18n/messages.js';
+import { sumSessionUsage } from '../utils/formatters.js';
 
 const INITIAL_HISTORY = [];
+const TASK_MODES = ['run', 'plan', 'alternatives', 'inquiry'];
 const LOG_LINE_LIMIT = 500;
+const EMPTY_DRAFT_PLAN = { phase: '', steps: [] };
 
 /**
  * Create a stable identity string for a File-like object.
@@ -81,6 +84,9 @@ export function summarizeFailureContext(failureContext) {
     if (failingStep.timedOut) {
       exitInfo.push('timed_out=true');
     }
+    if (failingStep.failureReason) {
+      exitInfo.push(`failure=${failingStep.failureReason}`);
+    }
     const infoSuffix = exitInfo.length ? ` (${exitInfo.join(', ')})` : '';
     const commandLine = formatCommandLineFromStep(failingStep);
     failureLines.push(`失敗したコマンド: ${commandLine}${infoSuffix}`);
@@ -173,7 +179,7 @@ function findFirstFailingStep(steps) {
       (step) =>
         step &&
         step.status === 'executed' &&
-        (step.timedOut || (typeof step.exitCode === 'number' && step.exitCode !== 0))
+        (step.timedOut || step.failureReason || (typeof step.exitCode === 'number' && step.exitCode !== 0))
     ) || null
   );
 }
@@ -352,11 +358,18 @@ export function useTaskWorkflow() {
   const [debugEnabled, setDebugEnabled] = useState(false);
   const [showDebugOptions, setShowDebugOptions] = useState(true);
   const [dryRun, setDryRun] = useState(false);
+  const [taskMode, setTaskMode] = useState('run');
+  const [taskModel, setTaskModel] = useState('');
   const [progressStage, setProgressStage] = useState(0);
   const [complaintText, setComplaintText] = useState('');
   const [complaintError, setComplaintError] = useState('');
   const [isSubmittingComplaint, setIsSubmittingComplaint] = useState(false);
   const [liveLogs, setLiveLogs] = useState([]);
+  const [draftPlan, setDraftPlan] = useState(EMPTY_DRAFT_PLAN);
+  const [clarificationAnswer, setClarificationAnswer] = useState('');
+  const [clarificationError, setClarificationError] = useState('');
+  const [alternativeError, setAlternativeError] = useState('');
+  const [approvalError, setApprovalError] = useState('');
   const fileInputRef = useRef(null);
   const eventSourceRef = useRef(null);
   const logChannelRef = useRef('');
@@ -467,6 +480,7 @@ export function useTaskWorkflow() {
       logChannelRef.current = '';
       logChunkBufferRef.current = { stdout: '', stderr: '' };
       setLiveLogs([]);
+      setDraftPlan(EMPTY_DRAFT_PLAN);
       return '';
     }
 
@@ -480,6 +494,7 @@ export function useTaskWorkflow() {
     logChannelRef.current = channelId;
     logChunkBufferRef.current = { stdout: '', stderr: '' };
     setLiveLogs([]);
+    setDraftPlan(EMPTY_DRAFT_PLAN);
 
     const parseEventData = (event) => {
       if (!event?.data) {
@@ -528,6 +543,10 @@ export function useTaskWorkflow() {
       let suffix;
       if (timedOut) {
         suffix = logMessages.timeout;
+      } else if (payload?.failureReason === 'interactive_prompt') {
+        suffix = logMessages.interactivePrompt;
+      } else if (payload?.failureReason === 'inputs_modified') {
+        suffix = logMessages.inputsModified;
       } else if (exitCode === null || exitCode === undefined) {
         suffix = logMessages.exitCodeUnknown;
       } else {
@@ -558,6 +577,9 @@ export function useTaskWorkflow() {
         case 'no_op_command':
           reasonText = logMessages.skipNoCommand;
           break;
+        case 'output_exists':
+          reasonText = logMessages.skipOutputExists;
+          break;
         default:
           reasonText = reason
             ? `${logMessages.skipFallbackPrefix}${reason}${logMessages.skipFallbackSuffix}`
@@ -569,6 +591,25 @@ export function useTaskWorkflow() {
       appendLogLines([`${label}${reasonText}${suffix}`]);
     };
 
+    // Steps arrive while the planner is still writing; index 0 or a new phase (retry, repair) starts a new draft.
+    const handlePlanDelta = (event) => {
+      const payload = parseEventData(event);
+      if (typeof payload?.index !== 'number') {
+        return;
+      }
+      const step = {
+        command: typeof payload.command === 'string' ? payload.command : '',
+        commandLine: typeof payload.commandLine === 'string' ? payload.commandLine : '',
+        reasoning: typeof payload.reasoning === 'string' ? payload.reasoning : ''
+      };
+      const phase = typeof payload.phase === 'string' ? payload.phase : '';
+      setDraftPlan((prev) => {
+        const restart = payload.index === 0 || prev.phase !== phase;
+        const steps = restart ? [] : prev.steps.slice(0, payload.index);
+        return { phase, steps: [...steps, step] };
+      });
+    };
+
     const handleLog = (event) => {
       const payload = parseEventData(event);
       if (!payload) {
@@ -585,6 +626,7 @@ export function useTaskWorkflow() {
     source.addEventListener('command_end', handleCommandEnd);
     source.addEventListener('command_skip', handleCommandSkip);
     source.addEventListener('log', handleLog);
+    source.addEventListener('plan_delta', handlePlanDelta);
     source.addEventListener('end', () => {
       flushPendingChunks();
     });
@@ -648,7 +690,10 @@ export function useTaskWorkflow() {
       const fileList = Array.isArray(files) ? [...files] : [];
       const normalizedOptions = {
         debugEnabled: Boolean(options?.debugEnabled),
-        dryRun: Boolean(options?.dryRun)
+        dryRun: Boolean(options?.dryRun),
+        mode: TASK_MODES.includes(options?.mode) ? options.mode : 'run',
+        model: typeof options?.model === 'string' ? options.model : '',
+        retry: Boolean(options?.retry)
       };
 
       if (!trimmedTask) {
@@ -691,6 +736,9 @@ export function useTaskWorkflow() {
       if (normalizedOptions.dryRun) {
         params.append('dryRun', 'true');
       }
+      if (normalizedOptions.mode !== 'run') {
+        params.append('mode', normalizedOptions.mode);
+      }
 
       const url = `/api/tasks${params.toString() ? `?${params.toString()}` : ''}`;
       const formData = new FormData();
@@ -698,6 +746,12 @@ export function useTaskWorkflow() {
       fileList.forEach((file) => {
         formData.append('files', file);
       });
+      if (normalizedOptions.model) {
+        formData.append('model', normalizedOptions.model);
+      }
+      if (normalizedOptions.retry) {
+        formData.append('retry', 'true');
+      }
 
       const submittedAt = new Date().toISOString();
       const pendingUploads = fileList.map((file, index) => ({
@@ -743,6 +797,7 @@ export function useTaskWorkflow() {
                 error: payload.detail || detail,
                 debug: payload.debug || null,
                 responseText: payload.responseText ?? null,
+                usage: payload.usage ?? null,
                 parentSessionId: payload.parentSessionId ?? null,
                 complaint: payload.complaint ?? null,
                 requestOptions: {
@@ -772,14 +827,20 @@ export function useTaskWorkflow() {
             plan: payload.plan,
             rawPlan: payload.rawPlan ?? payload.plan ?? null,
             result: payload.result,
+            summary: payload.summary ?? null,
+            answer: payload.answer ?? null,
             phases: payload.phases || [],
             uploadedFiles: payload.uploadedFiles || pendingUploads,
             status: finalStatus,
             error: payload.detail || null,
             debug: payload.debug || null,
             responseText: payload.responseText ?? null,
+            usage: payload.usage ?? null,
             parentSessionId: payload.parentSessionId ?? null,
             complaint: payload.complaint ?? null,
+            clarification: payload.clarification ?? null,
+            alternatives: payload.alternatives ?? [],
+            selectedAlternativeId: payload.selectedAlternativeId ?? null,
             requestOptions: {
               debug: normalizedOptions.debugEnabled,
               verbose: normalizedOptions.debugEnabled,
@@ -789,6 +850,28 @@ export function useTaskWorkflow() {
           ...prev
         ]);
 
+        if (finalStatus === 'needs_input') {
+          setClarificationAnswer('');
+          setClarificationError('');
+          setPlanStatus('needs_input');
+          setPlanError(null);
+          return false;
+        }
+
+        if (finalStatus === 'awaiting_choice') {
+          setAlternativeError('');
+          setPlanStatus('awaiting_choice');
+          setPlanError(null);
+          return false;
+        }
+
+        if (finalStatus === 'planned') {
+          setApprovalError('');
+          setPlanStatus('planned');
+          setPlanError(null);
+          return false;
+        }
+
         if (finalStatus === 'success') {
           setComplaintText('');
           setComplaintError('');
@@ -835,11 +918,13 @@ export function useTaskWorkflow() {
         files: selectedFiles,
         options: {
           debugEnabled,
-          dryRun
+          dryRun,
+          mode: taskMode,
+          model: taskModel
         }
       });
     },
-    [task, selectedFiles, debugEnabled, dryRun, submitTaskRequest]
+    [task, selectedFiles, debugEnabled, dryRun, taskMode, taskModel, submitTaskRequest]
   );
 
   const handleRetryFromError = useCallback(async () => {
@@ -854,7 +939,10 @@ export function useTaskWorkflow() {
     const previousFiles = Array.isArray(snapshot.files) ? [...snapshot.files] : [];
     const normalizedOptions = {
       debugEnabled: Boolean(snapshot.options?.debugEnabled),
-      dryRun: Boolean(snapshot.options?.dryRun)
+      dryRun: Boolean(snapshot.options?.dryRun),
+      model: snapshot.options?.model || '',
+      // Lets the server route the retry to a stronger model.
+      retry: true
     };
 
     const retryTask = buildErrorRetryTask(snapshot.task, planError);
@@ -892,6 +980,10 @@ export function useTaskWorkflow() {
     return latestEntry?.result?.resolvedOutputs || [];
   }, [latestEntry]);
 
+  const latestAnswer = latestEntry?.answer?.answer || '';
+
+  const usageTotal = useMemo(() => sumSessionUsage(history), [history]);
+
   const handleComplaintSubmit = useCallback(async () => {
     const complaintValue = complaintText.trim();
     const baseSessionId = latestEntry?.id || '';
@@ -937,7 +1029,8 @@ export function useTaskWorkflow() {
         },
         body: JSON.stringify({
           sessionId: baseSessionId,
-          complaint: complaintValue
+          complaint: complaintValue,
+          ...(taskModel ? { model: taskModel } : {})
         })
       });
 
@@ -962,6 +1055,7 @@ export function useTaskWorkflow() {
               error: payload.detail || message,
               debug: payload.debug || null,
               responseText: payload.responseText ?? null,
+              usage: payload.usage ?? null,
               parentSessionId: payload.parentSessionId ?? baseSessionId,
               complaint: payload.complaint ?? complaintValue,
               requestOptions: {
@@ -989,14 +1083,18 @@ export function useTaskWorkflow() {
           plan: payload.plan,
           rawPlan: payload.rawPlan ?? payload.plan ?? null,
           result: payload.result,
+          summary: payload.summary ?? null,
+          answer: payload.answer ?? null,
           phases: payload.phases || [],
           uploadedFiles: payload.uploadedFiles || [],
           status: payload.status || 'success',
           error: payload.detail || null,
           debug: payload.debug || null,
           responseText: payload.responseText ?? null,
+          usage: payload.usage ?? null,
           parentSessionId: payload.parentSessionId ?? baseSessionId,
           complaint: payload.complaint ?? complaintValue,
+          clarification: payload.clarification ?? null,
           requestOptions: {
             debug: debugEnabled,
             verbose: debugEnabled,
@@ -1005,6 +1103,10 @@ export function useTaskWorkflow() {
         },
         ...prev
       ]);
+      if (payload.status === 'needs_input') {
+        setClarificationAnswer('');
+        setClarificationError('');
+      }
       setComplaintText('');
     } catch (submitError) {
       setComplaintError(submitError.message);
@@ -1019,12 +1121,246 @@ export function useTaskWorkflow() {
     latestOutputs,
     debugEnabled,
     dryRun,
+    taskModel,
     isSubmitting,
     isSubmittingComplaint,
     startLogStream,
     stopLogStream
   ]);
 
+  const pendingClarification =
+    latestEntry?.status === 'needs_input' && latestEntry.clarification ? latestEntry.clarification : null;
+
+  const handleClarificationSubmit = useCallback(
+    async (answerOverride) => {
+      const answerValue = (typeof answerOverride === 'string' ? answerOverride : clarificationAnswer).trim();
+      const sessionId = latestEntry?.id || '';
+      if (!answerValue) {
+        setClarificationError(validationMessages.emptyAnswer);
+        return;
+      }
+      if (!sessionId || isSubmitting) {
+        return;
+      }
+
+      setIsSubmitting(true);
+      setClarificationError('');
+      setPlanStatus('running');
+
+      const params = new URLSearchParams();
+      const logChannel = startLogStream();
+      if (logChannel) {
+        params.append('logChannel', logChannel);
+      }
+      const url = `/api/sessions/${encodeURIComponent(sessionId)}/answer${
+        params.toString() ? `?${params.toString()}` : ''
+      }`;
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ answer: answerValue })
+        });
+        const payload = await response.json().catch(() => null);
+
+        if (!payload?.sessionId) {
+          setClarificationError(payload?.error || errorMessages.answerFailed);
+          setPlanStatus('needs_input');
+          return;
+        }
+
+        const finalStatus = payload.status || (response.ok ? 'success' : 'failed');
+        const nextEntry = {
+          ...latestEntry,
+          id: payload.sessionId,
+          submittedAt: payload.submittedAt || latestEntry.submittedAt,
+          task: payload.task || latestEntry.task,
+          plan: payload.plan ?? null,
+          rawPlan: payload.rawPlan ?? payload.plan ?? null,
+          result: payload.result ?? null,
+          summary: payload.summary ?? null,
+          answer: payload.answer ?? null,
+          phases: payload.phases || [],
+          uploadedFiles: payload.uploadedFiles || latestEntry.uploadedFiles || [],
+          status: finalStatus,
+          error: payload.detail || null,
+          debug: payload.debug || null,
+          responseText: payload.responseText ?? null,
+          usage: payload.usage ?? null,
+          clarification: payload.clarification ?? null
+        };
+        setHistory((prev) => [nextEntry, ...prev.filter((entry) => entry.id !== nextEntry.id)]);
+        setClarificationAnswer('');
+
+        if (finalStatus === 'needs_input') {
+          setPlanStatus('needs_input');
+          return;
+        }
+        if (finalStatus === 'planned') {
+          setApprovalError('');
+          setPlanStatus('planned');
+          setPlanError(null);
+          return;
+        }
+        if (finalStatus === 'success') {
+          setPlanStatus('succeeded');
+          setPlanError(null);
+          return;
+        }
+        const failureMessage = payload.detail || payload.error || errorMessages.executionFailed;
+        setError(failureMessage);
+        setPlanStatus('failed');
+        setPlanError({
+          message: failureMessage,
+          payload,
+          recordedAt: new Date().toISOString(),
+          request: lastRequest
+        });
+      } catch (submitError) {
+        setClarificationError(submitError?.message || errorMessages.answerFailed);
+        setPlanStatus('needs_input');
+      } finally {
+        stopLogStream();
+        setIsSubmitting(false);
+      }
+    },
+    [clarificationAnswer, latestEntry, isSubmitting, lastRequest, startLogStream, stopLogStream]
+  );
+
+  const handleClarificationAnswerChange = useCallback(
+    (value) => {
+      setClarificationAnswer(value);
+      if (clarificationError) {
+        setClarificationError('');
+      }
+    },
+    [clarificationError]
+  );
+
+  const pendingAlternatives =
+    latestEntry?.status === 'awaiting_choice' && Array.isArray(latestEntry.alternatives)
+      ? latestEntry.alternatives
+      : [];
+
+  const submitStoredPlan = useCallback(
+    async ({ action, body, pendingStatus, setRequestError, fallbackMessage }) => {
+      const sessionId = latestEntry?.id || '';
+      if (!sessionId || isSubmitting) {
+        return;
+      }
+
+      setIsSubmitting(true);
+      setRequestError('');
+      setPlanStatus('running');
+
+      const params = new URLSearchParams();
+      const logChannel = startLogStream();
+      if (logChannel) {
+        params.append('logChannel', logChannel);
+      }
+      const url = `/api/sessions/${encodeURIComponent(sessionId)}/${action}${
+        params.toString() ? `?${params.toString()}` : ''
+      }`;
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        });
+        const payload = await response.json().catch(() => null);
+
+        if (!payload?.sessionId) {
+          setRequestError(payload?.detail || payload?.error || fallbackMessage);
+          setPlanStatus(pendingStatus);
+          return;
+        }
+
+        const finalStatus = payload.status || (response.ok ? 'success' : 'failed');
+        const nextEntry = {
+          ...latestEntry,
+          id: payload.sessionId,
+          submittedAt: payload.submittedAt || latestEntry.submittedAt,
+          task: payload.task || latestEntry.task,
+          plan: payload.plan ?? null,
+          rawPlan: payload.rawPlan ?? payload.plan ?? null,
+          result: payload.result ?? null,
+          summary: payload.summary ?? null,
+          answer: payload.answer ?? null,
+          phases: payload.phases || [],
+          uploadedFiles: payload.uploadedFiles || latestEntry.uploadedFiles || [],
+          status: finalStatus,
+          error: payload.detail || null,
+          debug: payload.debug || null,
+          responseText: payload.responseText ?? null,
+          usage: payload.usage ?? null,
+          alternatives: payload.alternatives ?? latestEntry.alternatives ?? [],
+          selectedAlternativeId: payload.selectedAlternativeId ?? latestEntry.selectedAlternativeId ?? null,
+          planEdited: Boolean(payload.planEdited)
+        };
+        setHistory((prev) => [nextEntry, ...prev.filter((entry) => entry.id !== nextEntry.id)]);
+
+        if (finalStatus === 'success') {
+          setComplaintText('');
+          setComplaintError('');
+          setPlanStatus('succeeded');
+          setPlanError(null);
+          return;
+        }
+        const failureMessage = payload.detail || payload.error || errorMessages.executionFailed;
+        setError(failureMessage);
+        setPlanStatus('failed');
+        setPlanError({
+          message: failureMessage,
+          payload,
+          recordedAt: new Date().toISOString(),
+          request: lastRequest
+        });
+      } catch (submitError) {
+        setRequestError(submitError?.message || fallbackMessage);
+        setPlanStatus(pendingStatus);
+      } finally {
+        stopLogStream();
+        setIsSubmitting(false);
+      }
+    },
+    [latestEntry, isSubmitting, lastRequest, startLogStream, stopLogStream]
+  );
+
+  const handleAlternativeSelect = useCallback(
+    async (alternativeId) => {
+      if (!alternativeId) {
+        return;
+      }
+      await submitStoredPlan({
+        action: 'select',
+        body: { alternativeId },
+        pendingStatus: 'awaiting_choice',
+        setRequestError: setAlternativeError,
+        fallbackMessage: errorMessages.selectFailed
+      });
+    },
+    [submitStoredPlan]
+  );
+
+  const handleExecutePlan = useCallback(
+    async (editedSteps) => {
+      await submitStoredPlan({
+        action: 'execute',
+        body: Array.isArray(editedSteps) ? { steps: editedSteps } : {},
+        pendingStatus: 'planned',
+        setRequestError: setApprovalError,
+        fallbackMessage: errorMessages.executePlanFailed
+      });
+    },
+    [submitStoredPlan]
+  );
+
   const complaintTextTrimmed = complaintText.trim();
   const canSubmitRevision = Boolean(!isSubmitting && latestEntry && latestOutputs.length > 0);
   const complaintButtonDisabled =
@@ -1062,11 +1398,17 @@ export function useTaskWorkflow() {
     setShowDebugOptions,
     dryRun,
     setDryRun,
+    taskMode,
+    setTaskMode,
+    taskModel,
+    setTaskModel,
     progressStage,
     handleSubmit,
     resetForm,
     latestEntry,
     latestOutputs,
+    latestAnswer,
+    usageTotal,
     complaintText,
     complaintError,
     complaintButtonDisabled,
@@ -1076,6 +1418,17 @@ export function useTaskWorkflow() {
     handleComplaintSubmit,
     handleComplaintChange,
     setError,
-    liveLogs
+    liveLogs,
+    draftPlan,
+    pendingClarification,
+    clarificationAnswer,
+    clarificationError,
+    handleClarificationAnswerChange,
+    handleClarificationSubmit,
+    pendingAlternatives,
+    alternativeError,
+    handleAlternativeSelect,
+    approvalError,
+    handleExecutePlan
   };
 }
@@ -3,7 +3,8 @@ export const MESSAGES = {
     header: {
       title: 'MultiMedia Worker',
       description:
-        '指定した指示に従い、ffmpeg / ImageMagick / ExifTool / yt-dlp などのコマンドを自動生成して実行します。'
+        '指定した指示に従い、ffmpeg / ImageMagick / ExifTool / yt-dlp などのコマンドを自動生成して実行します。',
+      usageTotal: (cost, tokens) => `この画面での LLM 利用額: ${cost}（${tokens} トークン）`
     },
     sections: {
       taskForm: 'タスクを送信',
@@ -25,7 +26,37 @@ export const MESSAGES = {
     reset: 'リセット',
     debugOptionsTitle: 'デバッグオプション',
     dryRunLabel: 'ドライラン（コマンドを実行せず検証）',
-    debugVerboseLabel: '詳細なデバッグログを有効にする（レスポンスを含む）'
+    debugVerboseLabel: '詳細なデバッグログを有効にする（レスポンスを含む）',
+    modeLabel: '実行方法',
+    modeRunLabel: '計画後すぐに実行する',
+    modePlanLabel: '実行前にプランを確認・編集する',
+    alternativesLabel: '複数の候補プランを比較してから実行する',
+    modeInquiryLabel: 'ファイルについて質問する（読み取り専用の調査のみ）'
+  },
+  modelSelector: {
+    label: '使用するモデル',
+    auto: '自動（依頼内容に応じて選択）',
+    loading: 'モデル一覧を読み込み中...',
+    error: 'モデル一覧を取得できませんでした。',
+    option: (model) => {
+      const details = [
+        ...(model.tags || []),
+        model.price ? `$${model.price.input} / $${model.price.output} per 1M` : null,
+        model.default ? '既定' : null
+      ].filter(Boolean);
+      return details.length > 0 ? `${model.id}（${details.join('・')}）` : model.id;
+    },
+    routingHint: (light, strong, fallback) =>
+      `自動の場合、単純な依頼は ${light || fallback}、複数ファイルや失敗後の再試行は ${strong || fallback} で計画します。`
+  },
+  planningPolicy: {
+    title: 'この環境のハウスルール',
+    loading: '読み込み中...',
+    error: 'ハウスルールを取得できませんでした。',
+    empty: 'ハウスルールは設定されていません。',
+    namingPattern: (pattern) => `出力ファイル名: ${pattern}`,
+    forbiddenCodecs: (codecs) => `使用しないコーデック: ${codecs}`,
+    maxResolution: (width, height) => `最大解像度: ${width ?? '制限なし'} × ${height ?? '制限なし'}`
   },
   filePreview: {
     selectedLabel: (count) => `選択中のファイル（${count}件）`,
@@ -38,6 +69,7 @@ export const MESSAGES = {
     heading: '生成物',
     processing: '最新の生成物は処理が完了すると表示されます。',
     empty: 'まだ表示できる生成物はありません。',
+    answerTitle: '質問への回答',
     errorTitle: 'プランの実行中にエラーが発生しました。',
     errorAction: 'エラーから再編集',
     complaintSectionTitle: '修正リクエスト',
@@ -45,7 +77,14 @@ export const MESSAGES = {
     complaintPlaceholder: '例: 出力された画像が暗いので明るくしてください。',
     complaintButton: '修正依頼を送信',
     complaintSubmitting: '送信中...',
-    complaintDisabledHint: '修正依頼は生成物を確認できる状態で利用できます。'
+    complaintDisabledHint: '修正依頼は生成物を確認できる状態で利用できます。',
+    clarificationTitle: 'プランナーからの確認',
+    clarificationAnswerLabel: '回答',
+    clarificationPlaceholder: '回答を入力してください',
+    clarificationSubmit: '回答を送信',
+    alternativesTitle: '候補プランから実行するものを選択してください',
+    alternativeEstimate: (size, time) => `目安: サイズ ${size || '不明'} / 時間 ${time || '不明'}`,
+    alternativeSelect: 'このプランで実行'
   },
   complaint: {
     helperWithOutputs: '最新の生成物に対する要望を記入して送信してください。',
@@ -57,9 +96,14 @@ export const MESSAGES = {
     logTitle: '実行ログ',
     logAriaLabel: '実行ログ',
     logEmpty: 'まだ出力はありません。',
+    draftPlanTitle: '作成中のプラン',
+    draftPlanNote: 'モデルが書き終えたステップから表示しています（検証前のため、実行されるプランと異なる場合があります）。',
     statusLabels: {
       success: '成功',
-      failed: '失敗'
+      failed: '失敗',
+      needs_input: '回答待ち',
+      awaiting_choice: '選択待ち',
+      planned: '承認待ち'
     },
     stages: [
       {
@@ -84,7 +128,8 @@ export const MESSAGES = {
     validation: {
       emptyTask: 'タスク内容を入力してください。',
       emptyComplaint: '修正依頼の内容を入力してください。',
-      noOutputs: '修正対象の生成物が見つかりません。'
+      noOutputs: '修正対象の生成物が見つかりません。',
+      emptyAnswer: '回答を入力してください。'
     },
     helper: {
       withOutputs: '最新の生成物に対する修正点を記入してください。',
@@ -96,7 +141,10 @@ export const MESSAGES = {
       parseEmpty: 'サーバーから空のレスポンスが返されました。',
       executionFailed: 'プランの実行中に失敗しました。',
       executionError: '実行中にエラーが発生しました。',
-      revisionFailed: '修正リクエストの送信に失敗しました。'
+      revisionFailed: '修正リクエストの送信に失敗しました。',
+      answerFailed: '回答の送信に失敗しました。',
+      selectFailed: '候補プランの実行に失敗しました。',
+      executePlanFailed: 'プランの実行に失敗しました。'
     },
     logs: {
       commandStart: 'コマンドを開始しました',
@@ -106,6 +154,9 @@ export const MESSAGES = {
       skipDryRun: 'ドライランのためスキップしました',
       skipPreviousFailed: '前のステップ失敗のためスキップしました',
       skipNoCommand: 'コマンドが設定されていないためスキップしました',
+      skipOutputExists: '出力ファイルが既に存在するためスキップしました',
+      interactivePrompt: '終了コード: 入力待ちのプロンプトで停止しました',
+      inputsModified: '終了コード: 入力ファイルが変更されたため失敗としました',
       skipFallbackPrefix: '理由: ',
       skipFallbackSuffix: ' のためスキップしました',
       noAdditionalInfo: '追加情報はありません。'
@@ -137,6 +188,9 @@ export const MESSAGES = {
     dryRunDescription: 'ドライランモードのため説明のみです。',
     previousFailedDescription: '直前のステップが失敗しました。',
     noOpDescription: 'コマンドが "none" に設定されています。',
+    outputExistsDescription: '出力ファイルが既に存在するため、上書きせずに残しました。',
+    interactivePromptDescription: '上書きの確認など、入力を待つプロンプトで止まったため終了しました。',
+    inputsModifiedDescription: 'アップロードされた入力ファイルを変更または削除しました（元の内容に戻してあります）。',
     noAdditionalInfo: '追加情報はありません。',
     outputFallback: '出力',
     stepLabel: (index) => `ステップ ${index + 1}`,
@@ -156,6 +210,7 @@ export const MESSAGES = {
     stepsHeading: 'ステップ詳細',
     stepLabel: (index) => `ステップ ${index + 1}`,
     skipReasonPrefix: 'スキップ理由: ',
+    failureReasonPrefix: '失敗理由: ',
     stdout: '標準出力',
     stderr: '標準エラー',
     emptyLog: '（なし）'
@@ -196,7 +251,24 @@ export const MESSAGES = {
     uploadsHeading: 'アップロード済みファイル',
     outputsHeading: '出力ファイル',
     summaryHeading: '実行サマリー',
-    debugHeading: 'デバッグログ'
+    debugHeading: 'デバッグログ',
+    alternativesHeading: '候補プラン',
+    alternativeSelectedChip: '選択済み',
+    planEditedChip: '編集済みプラン',
+    usageChip: (cost, inputTokens, outputTokens) => `LLM ${cost}（入力 ${inputTokens} / 出力 ${outputTokens} トークン）`,
+    approvalHeading: 'プランの確認と編集',
+    approvalHint: '引数は 1 行に 1 つずつ入力します。ステップの並べ替えや削除もできます。',
+    approvalNoSteps: '実行するステップがありません。',
+    approvalArgumentsLabel: (title) => `${title} の引数`,
+    approvalMoveUp: '上へ',
+    approvalMoveDown: '下へ',
+    approvalRemove: '削除',
+    approvalExecute: 'このプランで実行',
+    approvalReset: '編集を元に戻す',
+    resultSummaryHeading: '結果の説明',
+    resultSummaryCaveats: '注意点',
+    resultSummaryNextActions: '次にできること',
+    answerHeading: '質問への回答'
   },
   history: {
     none: '履歴はまだありません。',
@@ -216,7 +288,22 @@ export const MESSAGES = {
       durationMs: '処理時間 (ms)',
       attempt: '試行回数',
       attempts: '試行回数',
-      retries: 'リトライ回数'
+      retries: 'リトライ回数',
+      model: '使用モデル',
+      modelAttempts: 'モデル呼び出し回数',
+      promptWarnings: '要注意の入力データ',
+      inputTokens: '入力トークン',
+      outputTokens: '出力トークン',
+      reasoningTokens: '推論トークン',
+      costUsd: '料金 (USD)',
+      budgetModel: '予算超過による切り替え先モデル',
+      selectedModel: '選択されたモデル',
+      modelReason: 'モデルの選択理由',
+      revisionStrategy: '再編集の方式',
+      networkPolicy: 'ネットワーク設定',
+      networkDecision: 'ネットワーク利用の判定',
+      networkSteps: 'ネットワークを使うステップ',
+      networkHosts: '接続先'
     }
   }
 };
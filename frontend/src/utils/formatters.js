@@ -55,6 +55,37 @@ export function formatPhaseMetaValue(value) {
   return String(value);
 }
 
+export function formatCostUsd(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return '';
+  }
+  return `$${value < 0.01 ? value.toFixed(4) : value.toFixed(2)}`;
+}
+
+/**
+ * Sum the LLM usage of the sessions in the history.
+ * Follow-up requests (answers, plan execution) report the running total of their session,
+ * so only the newest entry of each session is counted.
+ * @param {Array<{id?: string, usage?: {inputTokens: number, outputTokens: number, costUsd: number}|null}>} entries
+ * @returns {{inputTokens: number, outputTokens: number, costUsd: number}|null}
+ */
+export function sumSessionUsage(entries) {
+  const seen = new Set();
+  let total = null;
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    if (!entry?.usage || seen.has(entry.id)) {
+      return;
+    }
+    seen.add(entry.id);
+    total = {
+      inputTokens: (total?.inputTokens || 0) + (entry.usage.inputTokens || 0),
+      outputTokens: (total?.outputTokens || 0) + (entry.usage.outputTokens || 0),
+      costUsd: (total?.costUsd || 0) + (entry.usage.costUsd || 0)
+    };
+  });
+  return total;
+}
+
 export function formatDateTime(value) {
   if (!value) {
     return '';
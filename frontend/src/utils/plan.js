@@ -2,10 +2,16 @@ import { quoteArgument } from './formatters.js';
 import { MESSAGES } from '../i18n/messages.js';
 const PLAN_MESSAGES = MESSAGES.plan;
 
+/**
+ * Plan schema version this client understands; it matches `PLAN_SCHEMA_VERSION` on the backend.
+ */
+export const PLAN_SCHEMA_VERSION = 3;
+
 /**
  * @typedef {Object} ClientCommandOutput
  * @property {string} path
  * @property {string} description
+ * @property {string|null} id
  */
 
 /**
@@ -14,16 +20,17 @@ const PLAN_MESSAGES = MESSAGES.plan;
  * @property {string[]} arguments
  * @property {string} reasoning
  * @property {ClientCommandOutput[]} outputs
- * @property {string|undefined} id
- * @property {string|undefined} title
- * @property {string|undefined} note
+ * @property {string|null} id
+ * @property {string|null} title
+ * @property {string|null} note
  */
 
 /**
  * @typedef {Object} ClientCommandPlan
+ * @property {number} schemaVersion
  * @property {ClientCommandStep[]} steps
- * @property {string|undefined} overview
- * @property {string|undefined} followUp
+ * @property {string} overview
+ * @property {string} followUp
  */
 
 /**
@@ -37,6 +44,7 @@ const PLAN_MESSAGES = MESSAGES.plan;
  * @property {string} stdout
  * @property {string} stderr
  * @property {string|undefined} skipReason
+ * @property {string|undefined} failureReason
  */
 
 /**
@@ -55,6 +63,8 @@ export function buildPlanSummary(plan) {
 }
 
 /**
+ * Brings a plan of any schema version (including legacy single-command plans) into the current shape,
+ * the same one the backend stores: overview and followUp are strings, unset step fields are null.
  * @param {ClientCommandPlan|any} plan
  * @returns {ClientCommandPlan|null}
  */
@@ -65,18 +75,20 @@ export function normalizePlan(plan) {
 
   if (Array.isArray(plan.steps)) {
     return {
+      schemaVersion: PLAN_SCHEMA_VERSION,
       steps: plan.steps.map((step) => normalizePlanStep(step)),
-      overview: typeof plan.overview === 'string' ? plan.overview : '',
-      followUp: typeof plan.followUp === 'string' ? plan.followUp : ''
+      overview: optionalText(plan.overview) ?? '',
+      followUp: optionalText(plan.followUp) ?? ''
     };
   }
 
   if (typeof plan.command === 'string') {
     const legacyStep = normalizePlanStep(plan);
     return {
+      schemaVersion: PLAN_SCHEMA_VERSION,
       steps: [legacyStep],
       overview: typeof plan.reasoning === 'string' ? plan.reasoning : '',
-      followUp: typeof plan.followUp === 'string' ? plan.followUp : ''
+      followUp: optionalText(plan.followUp) ?? ''
     };
   }
 
@@ -130,6 +142,19 @@ export function describeSkipReason(reason) {
       return PLAN_MESSAGES.previousFailedDescription;
     case 'no_op_command':
       return PLAN_MESSAGES.noOpDescription;
+    case 'output_exists':
+      return PLAN_MESSAGES.outputExistsDescription;
+    default:
+      return reason ? reason.replace(/_/g, ' ') : PLAN_MESSAGES.noAdditionalInfo;
+  }
+}
+
+export function describeFailureReason(reason) {
+  switch (reason) {
+    case 'interactive_prompt':
+      return PLAN_MESSAGES.interactivePromptDescription;
+    case 'inputs_modified':
+      return PLAN_MESSAGES.inputsModifiedDescription;
     default:
       return reason ? reason.replace(/_/g, ' ') : PLAN_MESSAGES.noAdditionalInfo;
   }
@@ -142,23 +167,24 @@ function normalizePlanStep(step) {
     ? step.outputs
         .map((output) => ({
           path: typeof output?.path === 'string' ? output.path : '',
-          description: typeof output?.description === 'string' ? output.description : ''
+          description: typeof output?.description === 'string' ? output.description : '',
+          id: optionalText(output?.id)
         }))
         .filter((output) => output.path)
     : [];
 
-  const id = typeof step?.id === 'string' && step.id.trim() ? step.id.trim() : undefined;
-  const title = typeof step?.title === 'string' && step.title.trim() ? step.title.trim() : undefined;
-  const note = typeof step?.note === 'string' && step.note.trim() ? step.note.trim() : undefined;
-
   return {
     command,
     arguments: args,
     reasoning: typeof step?.reasoning === 'string' ? step.reasoning : '',
     outputs,
-    id,
-    title,
-    note
+    id: optionalText(step?.id),
+    title: optionalText(step?.title),
+    note: optionalText(step?.note)
   };
 }
 
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
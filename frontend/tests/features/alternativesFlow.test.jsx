@@ -0,0 +1,123 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+function createPlan(output) {
+  return {
+    overview: '',
+    followUp: '',
+    steps: [
+      {
+        command: 'ffmpeg',
+        arguments: ['-i', 'in.mp4', output],
+        reasoning: 'convert',
+        outputs: [{ path: output, description: 'converted' }]
+      }
+    ]
+  };
+}
+
+const ALTERNATIVES = [
+  {
+    id: 'alt-1',
+    label: '高画質',
+    tradeoff: 'ファイルサイズが大きくなります。',
+    estimate: { size: '~40 MB', time: '~2 min' },
+    plan: createPlan('/tmp/hq.webm')
+  },
+  {
+    id: 'alt-2',
+    label: '軽量',
+    tradeoff: '画質が低下します。',
+    estimate: { size: '~5 MB', time: '~30 s' },
+    plan: createPlan('/tmp/small.webm')
+  }
+];
+
+describe('候補プラン選択フロー', () => {
+  afterEach(() => {
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('候補プランを比較表示し、選んだプランだけを実行する', async () => {
+    const proposalPayload = {
+      status: 'awaiting_choice',
+      sessionId: 'session-alternatives',
+      submittedAt: '2024-01-10T00:00:00.000Z',
+      task: '動画を webm に変換して',
+      alternatives: ALTERNATIVES,
+      selectedAlternativeId: null,
+      plan: null,
+      rawPlan: null,
+      result: null,
+      phases: [],
+      uploadedFiles: []
+    };
+    const selectedPayload = {
+      status: 'success',
+      sessionId: 'session-alternatives',
+      submittedAt: '2024-01-10T00:00:00.000Z',
+      task: '動画を webm に変換して',
+      alternatives: ALTERNATIVES,
+      selectedAlternativeId: 'alt-2',
+      plan: ALTERNATIVES[1].plan,
+      result: {
+        exitCode: 0,
+        timedOut: false,
+        stdout: '',
+        stderr: '',
+        resolvedOutputs: [{ path: '/tmp/small.webm', description: 'converted', exists: true }],
+        steps: []
+      },
+      phases: [],
+      uploadedFiles: []
+    };
+
+    const mockFetch = vi.fn((url) => {
+      if (url.startsWith('/api/tasks')) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(proposalPayload) });
+      }
+      if (url.startsWith('/api/sessions/session-alternatives/select')) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(selectedPayload) });
+      }
+      throw new Error(`Unexpected fetch URL: ${url}`);
+    });
+    vi.stubGlobal('fetch', mockFetch);
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), '動画を webm に変換して');
+    await user.click(screen.getByLabelText(MESSAGES.taskForm.alternativesLabel));
+    await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+
+    expect(await screen.findByText(MESSAGES.latestOutputs.alternativesTitle)).toBeInTheDocument();
+    expect(mockFetch.mock.calls[0][0]).toContain('mode=alternatives');
+    expect(screen.getByText(MESSAGES.progress.statusLabels.awaiting_choice)).toBeInTheDocument();
+    expect(screen.getByText(MESSAGES.latestOutputs.alternativeEstimate('~5 MB', '~30 s'))).toBeInTheDocument();
+
+    const selectButtons = screen.getAllByRole('button', { name: MESSAGES.latestOutputs.alternativeSelect });
+    expect(selectButtons).toHaveLength(2);
+    await user.click(selectButtons[1]);
+
+    await waitFor(() =>
+      expect(mockFetch).toHaveBeenCalledWith(
+        '/api/sessions/session-alternatives/select',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ alternativeId: 'alt-2' }) })
+      )
+    );
+    await waitFor(() =>
+      expect(screen.queryByText(MESSAGES.latestOutputs.alternativesTitle)).not.toBeInTheDocument()
+    );
+    expect(screen.getByText(MESSAGES.progress.statusLabels.success)).toBeInTheDocument();
+
+    const comparison = screen.getByRole('heading', { name: MESSAGES.result.alternativesHeading }).parentElement;
+    expect(within(comparison).getByText('高画質')).toBeInTheDocument();
+    expect(within(comparison).getByText(MESSAGES.result.alternativeSelectedChip)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+describe('確認事項フロー', () => {
+  afterEach(() => {
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('プランナーの質問を表示し、選択肢の回答で処理を再開できる', async () => {
+    const clarificationPayload = {
+      status: 'needs_input',
+      sessionId: 'session-clarify',
+      submittedAt: '2024-01-10T00:00:00.000Z',
+      task: 'これを小さくして',
+      clarification: {
+        question: 'ファイルサイズと解像度のどちらを小さくしますか？',
+        choices: ['ファイルサイズ', '解像度']
+      },
+      plan: null,
+      rawPlan: null,
+      result: null,
+      phases: [],
+      uploadedFiles: []
+    };
+    const answeredPayload = {
+      status: 'success',
+      sessionId: 'session-clarify',
+      submittedAt: '2024-01-10T00:00:00.000Z',
+      task: 'これを小さくして',
+      plan: {
+        overview: '',
+        followUp: '',
+        steps: [
+          {
+            command: 'magick',
+            arguments: ['in.png', '-resize', '50%', '/tmp/out.png'],
+            reasoning: 'resize',
+            outputs: [{ path: '/tmp/out.png', description: 'resized' }]
+          }
+        ]
+      },
+      result: {
+        exitCode: 0,
+        timedOut: false,
+        stdout: '',
+        stderr: '',
+        resolvedOutputs: [{ path: '/tmp/out.png', description: 'resized', exists: true }],
+        steps: []
+      },
+      phases: [],
+      uploadedFiles: []
+    };
+
+    const mockFetch = vi.fn((url) => {
+      if (url.startsWith('/api/tasks')) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(clarificationPayload) });
+      }
+      if (url.startsWith('/api/sessions/session-clarify/answer')) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(answeredPayload) });
+      }
+      throw new Error(`Unexpected fetch URL: ${url}`);
+    });
+    vi.stubGlobal('fetch', mockFetch);
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), 'これを小さくして');
+    await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+
+    expect(await screen.findByText(clarificationPayload.clarification.question)).toBeInTheDocument();
+    expect(screen.getByText(MESSAGES.progress.statusLabels.needs_input)).toBeInTheDocument();
+    expect(screen.queryByText(MESSAGES.latestOutputs.errorTitle)).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: '解像度' }));
+
+    await waitFor(() =>
+      expect(mockFetch).toHaveBeenCalledWith(
+        '/api/sessions/session-clarify/answer',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ answer: '解像度' }) })
+      )
+    );
+    await waitFor(() =>
+      expect(screen.queryByText(clarificationPayload.clarification.question)).not.toBeInTheDocument()
+    );
+    expect(screen.getByText(MESSAGES.progress.statusLabels.success)).toBeInTheDocument();
+  });
+
+  it('自由記述の回答が空の場合は送信できない', async () => {
+    const mockFetch = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            status: 'needs_input',
+            sessionId: 'session-free',
+            task: '調整して',
+            clarification: { question: 'どのように調整しますか？', choices: [] },
+            plan: null,
+            result: null,
+            phases: [],
+            uploadedFiles: []
+          })
+      })
+    );
+    vi.stubGlobal('fetch', mockFetch);
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), '調整して');
+    await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+
+    await screen.findByText('どのように調整しますか？');
+    const submitButton = screen.getByRole('button', { name: MESSAGES.latestOutputs.clarificationSubmit });
+    expect(submitButton).toBeDisabled();
+
+    await user.type(screen.getByLabelText(MESSAGES.latestOutputs.clarificationAnswerLabel), '明るく');
+    expect(submitButton).toBeEnabled();
+  });
+});
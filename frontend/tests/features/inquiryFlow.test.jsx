@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+const ANSWER = '映像コーデックは H.264、音声は AAC（ステレオ）です。';
+
+function createInquiryPayload() {
+  return {
+    status: 'success',
+    sessionId: 'session-inquiry',
+    submittedAt: '2024-01-10T00:00:00.000Z',
+    task: 'この動画のコーデックは？',
+    plan: {
+      overview: '',
+      followUp: '',
+      steps: [
+        {
+          command: 'ffprobe',
+          arguments: ['-v', 'error', '-of', 'json', '-show_streams', '/tmp/in.mp4'],
+          reasoning: 'probe',
+          outputs: []
+        }
+      ]
+    },
+    result: {
+      exitCode: 0,
+      timedOut: false,
+      stdout: '{"streams":[]}',
+      stderr: '',
+      resolvedOutputs: [],
+      steps: []
+    },
+    answer: { answer: ANSWER },
+    phases: [],
+    uploadedFiles: []
+  };
+}
+
+describe('質問モード', () => {
+  afterEach(() => {
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('質問モードで送信すると生成物の代わりに回答を表示する', async () => {
+    const mockFetch = vi.fn(() =>
+      Promise.resolve({ ok: true, json: () => Promise.resolve(createInquiryPayload()) })
+    );
+    vi.stubGlobal('fetch', mockFetch);
+
+    const user = userEvent.setup();
+    render(<App />);
+    await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), 'この動画のコーデックは？');
+    await user.click(screen.getByLabelText(MESSAGES.taskForm.modeInquiryLabel));
+    await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+
+    await waitFor(() => expect(mockFetch).toHaveBeenCalledTimes(1));
+    expect(mockFetch.mock.calls[0][0]).toContain('mode=inquiry');
+
+    expect(await screen.findByRole('heading', { name: MESSAGES.result.answerHeading })).toBeInTheDocument();
+    expect(screen.getAllByText(ANSWER)).toHaveLength(2);
+    expect(screen.queryByText(MESSAGES.latestOutputs.empty)).not.toBeInTheDocument();
+    expect(screen.queryByRole('heading', { name: MESSAGES.result.outputsHeading })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+const CATALOG = {
+  defaultModel: 'gpt-5-mini',
+  models: [
+    { id: 'gpt-5-mini', tags: ['balanced', 'reasoning'], price: { input: 0.25, output: 2 }, default: true },
+    { id: 'gpt-5', tags: ['strong', 'reasoning'], price: { input: 1.25, output: 10 }, default: false }
+  ],
+  routing: { lightModel: 'gpt-5-nano', strongModel: 'gpt-5' }
+};
+
+const TASK_PAYLOAD = {
+  sessionId: 'session-model',
+  submittedAt: '2024-01-10T00:00:00.000Z',
+  task: '音声を抽出',
+  plan: { overview: '', followUp: '', steps: [] },
+  result: { exitCode: 0, timedOut: false, stdout: '', stderr: '', resolvedOutputs: [], steps: [] },
+  phases: [
+    {
+      id: 'plan',
+      status: 'success',
+      meta: { selectedModel: 'gpt-5', modelReason: 'Selected by the user.' }
+    }
+  ],
+  uploadedFiles: [],
+  status: 'success'
+};
+
+describe('モデルの選択', () => {
+  afterEach(() => {
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('選択したときにモデル一覧を取得し、選んだモデルをタスクと一緒に送信する', async () => {
+    const fetchMock = vi.fn((url) =>
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(url === '/api/models' ? CATALOG : TASK_PAYLOAD)
+      })
+    );
+    vi.stubGlobal('fetch', fetchMock);
+    const user = userEvent.setup();
+    render(<App />);
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    const select = screen.getByLabelText(MESSAGES.modelSelector.label);
+    await user.click(select);
+    const strongOption = await screen.findByRole('option', { name: MESSAGES.modelSelector.option(CATALOG.models[1]) });
+    expect(fetchMock).toHaveBeenCalledWith('/api/models');
+    expect(screen.getByText(MESSAGES.modelSelector.routingHint('gpt-5-nano', 'gpt-5', 'gpt-5-mini'))).toBeInTheDocument();
+
+    await user.selectOptions(select, strongOption);
+    await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), '音声を抽出');
+    await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+
+    await waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(2));
+    const [url, init] = fetchMock.mock.calls[1];
+    expect(url).toBe('/api/tasks');
+    expect(init.body.get('model')).toBe('gpt-5');
+    expect(fetchMock.mock.calls.filter(([calledUrl]) => calledUrl === '/api/models')).toHaveLength(1);
+  });
+
+  it('自動のままなら model を送信しない', async () => {
+    const fetchMock = vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(TASK_PAYLOAD) }));
+    vi.stubGlobal('fetch', fetchMock);
+    const user = userEvent.setup();
+    render(<App />);
+
+    expect(screen.getByLabelText(MESSAGES.modelSelector.label)).toHaveValue('');
+    await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), '音声を抽出');
+    await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+
+    await waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+    expect(fetchMock.mock.calls[0][1].body.has('model')).toBe(false);
+  });
+});
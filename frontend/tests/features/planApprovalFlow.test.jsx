@@ -0,0 +1,131 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+const PLAN = {
+  overview: '',
+  followUp: '',
+  steps: [
+    {
+      command: 'ffmpeg',
+      arguments: ['-i', 'in.mp4', '/tmp/out.webm'],
+      reasoning: 'convert',
+      outputs: [{ path: '/tmp/out.webm', description: 'converted' }]
+    },
+    {
+      command: 'magick',
+      arguments: ['in.png', '/tmp/thumb.png'],
+      reasoning: 'thumbnail',
+      outputs: [{ path: '/tmp/thumb.png', description: 'thumbnail' }]
+    }
+  ]
+};
+
+function createPlannedPayload() {
+  return {
+    status: 'planned',
+    sessionId: 'session-planned',
+    submittedAt: '2024-01-10T00:00:00.000Z',
+    task: '変換してサムネイルを作って',
+    plan: PLAN,
+    rawPlan: PLAN,
+    result: null,
+    phases: [],
+    uploadedFiles: []
+  };
+}
+
+async function submitPlanTask(user) {
+  await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), '変換してサムネイルを作って');
+  await user.click(screen.getByLabelText(MESSAGES.taskForm.modePlanLabel));
+  await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+  await screen.findByText(MESSAGES.result.approvalHeading);
+}
+
+describe('プラン承認フロー', () => {
+  afterEach(() => {
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('編集したステップを送信して実行できる', async () => {
+    const executedPayload = {
+      ...createPlannedPayload(),
+      status: 'success',
+      planEdited: true,
+      plan: { ...PLAN, steps: [PLAN.steps[1]] },
+      result: {
+        exitCode: 0,
+        timedOut: false,
+        stdout: '',
+        stderr: '',
+        resolvedOutputs: [{ path: '/tmp/thumb.png', description: 'thumbnail', exists: true }],
+        steps: []
+      }
+    };
+    const mockFetch = vi.fn((url) => {
+      if (url.startsWith('/api/tasks')) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(createPlannedPayload()) });
+      }
+      if (url.startsWith('/api/sessions/session-planned/execute')) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(executedPayload) });
+      }
+      throw new Error(`Unexpected fetch URL: ${url}`);
+    });
+    vi.stubGlobal('fetch', mockFetch);
+
+    const user = userEvent.setup();
+    render(<App />);
+    await submitPlanTask(user);
+
+    expect(mockFetch.mock.calls[0][0]).toContain('mode=plan');
+    expect(screen.getByText(MESSAGES.progress.statusLabels.planned)).toBeInTheDocument();
+
+    const secondArguments = screen.getByLabelText(MESSAGES.result.approvalArgumentsLabel(MESSAGES.plan.stepLabel(1)));
+    await user.clear(secondArguments);
+    await user.type(secondArguments, 'in.png{enter}-resize{enter}128x128{enter}/tmp/thumb.png');
+    await user.click(screen.getAllByRole('button', { name: MESSAGES.result.approvalRemove })[0]);
+    await user.click(screen.getByRole('button', { name: MESSAGES.result.approvalExecute }));
+
+    await waitFor(() => expect(mockFetch).toHaveBeenCalledTimes(2));
+    const [url, request] = mockFetch.mock.calls[1];
+    expect(url).toBe('/api/sessions/session-planned/execute');
+    const body = JSON.parse(request.body);
+    expect(body.steps).toHaveLength(1);
+    expect(body.steps[0].command).toBe('magick');
+    expect(body.steps[0].arguments).toEqual(['in.png', '-resize', '128x128', '/tmp/thumb.png']);
+
+    expect(await screen.findByText(MESSAGES.result.planEditedChip)).toBeInTheDocument();
+    expect(screen.queryByText(MESSAGES.result.approvalHeading)).not.toBeInTheDocument();
+  });
+
+  it('検証エラーの場合はプランを残したままエラーを表示する', async () => {
+    const mockFetch = vi.fn((url) => {
+      if (url.startsWith('/api/tasks')) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(createPlannedPayload()) });
+      }
+      return Promise.resolve({
+        ok: false,
+        json: () =>
+          Promise.resolve({ error: '編集されたプランが検証に失敗しました。', detail: 'Command "rm" is not allowed.' })
+      });
+    });
+    vi.stubGlobal('fetch', mockFetch);
+
+    const user = userEvent.setup();
+    render(<App />);
+    await submitPlanTask(user);
+
+    await user.click(screen.getAllByRole('button', { name: MESSAGES.result.approvalMoveDown })[0]);
+    await user.click(screen.getByRole('button', { name: MESSAGES.result.approvalExecute }));
+
+    expect(await screen.findByText('Command "rm" is not allowed.')).toBeInTheDocument();
+    expect(screen.getByText(MESSAGES.result.approvalHeading)).toBeInTheDocument();
+    const body = JSON.parse(mockFetch.mock.calls[1][1].body);
+    expect(body.steps.map((step) => step.command)).toEqual(['magick', 'ffmpeg']);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(name, listener) {
+    this.listeners[name] = listener;
+  }
+
+  emit(name, payload) {
+    this.listeners[name]?.({ data: JSON.stringify(payload) });
+  }
+
+  close() {}
+}
+
+describe('プランのストリーミング表示', () => {
+  afterEach(() => {
+    FakeEventSource.instances = [];
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('モデルが書き終えたステップから進行状況に表示する', async () => {
+    vi.stubGlobal('EventSource', FakeEventSource);
+    vi.stubGlobal('fetch', vi.fn(() => new Promise(() => {})));
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), '動画を webm に変換');
+    await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+    await screen.findByRole('dialog');
+    const [source] = FakeEventSource.instances;
+    expect(screen.queryByText(MESSAGES.progress.draftPlanTitle)).not.toBeInTheDocument();
+
+    act(() => {
+      source.emit('plan_delta', {
+        phase: 'plan',
+        index: 0,
+        command: 'ffmpeg',
+        commandLine: 'ffmpeg -i in.mp4 out.webm',
+        reasoning: 'webm に変換する'
+      });
+    });
+    expect(screen.getByText(MESSAGES.progress.draftPlanTitle)).toBeInTheDocument();
+    expect(screen.getByText('ffmpeg -i in.mp4 out.webm')).toBeInTheDocument();
+    expect(screen.getByText('webm に変換する')).toBeInTheDocument();
+
+    act(() => {
+      source.emit('plan_delta', { phase: 'plan', index: 1, command: 'ffprobe', commandLine: 'ffprobe out.webm' });
+    });
+    expect(screen.getByText('ffprobe out.webm')).toBeInTheDocument();
+
+    act(() => {
+      source.emit('plan_delta', { phase: 'plan#2', index: 0, command: 'ffmpeg', commandLine: 'ffmpeg -i in.mp4 -c:v libvpx-vp9 out.webm' });
+    });
+    expect(screen.getByText('ffmpeg -i in.mp4 -c:v libvpx-vp9 out.webm')).toBeInTheDocument();
+    expect(screen.queryByText('ffmpeg -i in.mp4 out.webm')).not.toBeInTheDocument();
+    expect(screen.queryByText('ffprobe out.webm')).not.toBeInTheDocument();
+  });
+});
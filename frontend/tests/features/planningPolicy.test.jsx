@@ -0,0 +1,55 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+describe('ハウスルールの表示', () => {
+  afterEach(() => {
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('開いたときに有効なポリシーを取得して表示する', async () => {
+    const fetchMock = vi.fn(() =>
+      Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            policy: {
+              rules: ['動画は H.264 / AAC の mp4 で出力する'],
+              outputNamePattern: '{original}_{operation}.{ext}',
+              forbiddenCodecs: ['libx265'],
+              maxResolution: { width: 1920, height: null }
+            }
+          })
+      })
+    );
+    vi.stubGlobal('fetch', fetchMock);
+    const user = userEvent.setup();
+    render(<App />);
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    await user.click(screen.getByText(MESSAGES.planningPolicy.title));
+    expect(await screen.findByText('動画は H.264 / AAC の mp4 で出力する')).toBeInTheDocument();
+    expect(fetchMock).toHaveBeenCalledWith('/api/policy');
+    expect(screen.getByText(MESSAGES.planningPolicy.namingPattern('{original}_{operation}.{ext}'))).toBeInTheDocument();
+    expect(screen.getByText(MESSAGES.planningPolicy.forbiddenCodecs('libx265'))).toBeInTheDocument();
+    expect(screen.getByText(MESSAGES.planningPolicy.maxResolution(1920, null))).toBeInTheDocument();
+
+    await user.click(screen.getByText(MESSAGES.planningPolicy.title));
+    await user.click(screen.getByText(MESSAGES.planningPolicy.title));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('ポリシーが無い場合はその旨を表示する', async () => {
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ policy: null }) })));
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByText(MESSAGES.planningPolicy.title));
+    expect(await screen.findByText(MESSAGES.planningPolicy.empty)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+function createPayload(summary) {
+  return {
+    status: 'success',
+    sessionId: 'session-summary',
+    submittedAt: '2024-01-10T00:00:00.000Z',
+    task: '動画を webm に変換',
+    plan: {
+      overview: '',
+      followUp: '',
+      steps: [
+        {
+          command: 'ffmpeg',
+          arguments: ['-i', 'in.mp4', '/tmp/out.webm'],
+          reasoning: 'convert',
+          outputs: [{ path: '/tmp/out.webm', description: 'converted' }]
+        }
+      ]
+    },
+    result: {
+      exitCode: 0,
+      timedOut: false,
+      stdout: '',
+      stderr: '',
+      resolvedOutputs: [{ path: '/tmp/out.webm', description: 'converted', exists: true }],
+      steps: []
+    },
+    summary,
+    phases: [],
+    uploadedFiles: []
+  };
+}
+
+async function submitTask(payload) {
+  vi.stubGlobal(
+    'fetch',
+    vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payload) }))
+  );
+  const user = userEvent.setup();
+  render(<App />);
+  await user.type(screen.getByLabelText(MESSAGES.taskForm.taskLabel), '動画を webm に変換');
+  await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+  await screen.findByRole('heading', { name: MESSAGES.app.sections.latestResult });
+}
+
+describe('結果の説明', () => {
+  afterEach(() => {
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('要約・注意点・次のアクションを結果の先頭に表示する', async () => {
+    await submitTask(
+      createPayload({
+        summary: '動画を VP9 の webm に変換しました。',
+        caveats: ['音声はステレオにダウンミックスされました。'],
+        nextActions: ['冒頭の無音部分をカットする']
+      })
+    );
+
+    expect(screen.getByRole('heading', { name: MESSAGES.result.resultSummaryHeading })).toBeInTheDocument();
+    expect(screen.getByText('動画を VP9 の webm に変換しました。')).toBeInTheDocument();
+    expect(screen.getByText('音声はステレオにダウンミックスされました。')).toBeInTheDocument();
+    expect(screen.getByText('冒頭の無音部分をカットする')).toBeInTheDocument();
+  });
+
+  it('要約がない場合は表示しない', async () => {
+    await submitTask(createPayload(null));
+
+    expect(screen.queryByRole('heading', { name: MESSAGES.result.resultSummaryHeading })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../../src/App.jsx';
+import { MESSAGES } from '../../src/i18n/messages.js';
+
+function createPayload(sessionId, usage) {
+  return {
+    status: 'success',
+    sessionId,
+    submittedAt: '2024-01-10T00:00:00.000Z',
+    task: '動画を webm に変換',
+    plan: { overview: '', followUp: '', steps: [] },
+    result: { exitCode: 0, timedOut: false, stdout: '', stderr: '', resolvedOutputs: [], steps: [] },
+    phases: [],
+    uploadedFiles: [],
+    usage
+  };
+}
+
+async function submitTask(user) {
+  const input = screen.getByLabelText(MESSAGES.taskForm.taskLabel);
+  await user.clear(input);
+  await user.type(input, '動画を webm に変換');
+  await user.click(screen.getByRole('button', { name: MESSAGES.taskForm.submit }));
+  await screen.findByRole('heading', { name: MESSAGES.app.sections.latestResult });
+}
+
+describe('LLM の利用量', () => {
+  afterEach(() => {
+    if (typeof vi.unstubAllGlobals === 'function') {
+      vi.unstubAllGlobals();
+    }
+    vi.restoreAllMocks();
+  });
+
+  it('タスクごとの料金を結果に、合計をヘッダーに表示する', async () => {
+    const payloads = [
+      createPayload('session-1', { inputTokens: 1200, outputTokens: 300, reasoningTokens: 0, costUsd: 0.0042 }),
+      createPayload('session-2', { inputTokens: 800, outputTokens: 200, reasoningTokens: 0, costUsd: 0.0158 })
+    ];
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(payloads.shift()) }))
+    );
+    const user = userEvent.setup();
+    render(<App />);
+    expect(screen.queryByText(/LLM 利用額/)).not.toBeInTheDocument();
+
+    await submitTask(user);
+    expect(screen.getByText(MESSAGES.result.usageChip('$0.0042', '1,200', '300'))).toBeInTheDocument();
+    expect(screen.getByText(MESSAGES.app.header.usageTotal('$0.0042', '1,500'))).toBeInTheDocument();
+
+    await submitTask(user);
+    expect(screen.getByText(MESSAGES.result.usageChip('$0.02', '800', '200'))).toBeInTheDocument();
+    expect(screen.getByText(MESSAGES.app.header.usageTotal('$0.02', '2,500'))).toBeInTheDocument();
+  });
+});